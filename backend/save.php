@@ -146,7 +146,8 @@ function selfInvoker()
         'mp4',   // MP4 視頻格式
         'mkv',   // MKV 視頻格式
         'mp3',   // MP3 音頻格式
-        'ogg'    // OGG 音頻格式
+        'ogg',   // OGG 音頻格式
+        'flac'   // FLAC 無損音頻格式
     );
     
     $extension = pathinfo($filePath, PATHINFO_EXTENSION); // 提取副檔名
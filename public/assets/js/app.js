@@ -9,18 +9,15 @@ var audioBlobsContainer = document.querySelector('#audio-blobs-container'); // 
 var downloadButton = document.getElementById('btn-download-recording');     // 下載按鈕
 var btnPlay = document.getElementById('btn-play');             // 播放
 var btnPause = document.getElementById('btn-pause');           // 暫停
+var btnPauseRecording = document.getElementById('btn-pause-recording'); // 暫停/繼續錄音
 var btnStopPlayback = document.getElementById('btn-stop-playback'); // 停止播放
 var btnClearSelection = document.getElementById('btn-clear-selection'); // 取消選取
 
-// 錄音狀態控制變數
-var is_ready_to_record = true;   // 是否準備好錄音
-var is_recording = false;        // 是否正在錄音
-var is_recorded = false;         // 是否已完成錄音
-
 // Web Audio API 相關物件
 var audioContext = null; // 音頻上下文（延遲初始化）
 var analyser = null;     // 音頻分析器（延遲初始化）
 var analyserSilencer = null; // 用於避免回授的靜音輸出節點
+var spectrogramAnalyser = null; // 即時頻譜圖專用的分析器（FFT 長度隨頻譜設定）
 
 // 即時/累積波形顯示變數
 var liveWaveform = null;          // 即時波形顯示器實例
@@ -29,6 +26,10 @@ var overviewWaveform = null;      // 全局波形顯示器實例
 var latestRecordingBlob = null;   // 最近一次錄音的 Blob
 var latestRecordingUrl = null;    // 最近一次錄音的 Object URL
 var accumulatedControlsBound = false; // 是否已綁定累積波形互動
+var overviewControlsBound = false;    // 是否已綁定全局波形互動
+
+// 多段錄音（Take）管理
+var takeManager = null;           // TakeManager 實例（於檔案後段初始化）
 
 // 區域選取相關變數
 var selectionStart = null;        // 選取起始樣本索引
@@ -69,14 +70,133 @@ function setAccumulatedControlsEnabled(enabled) {
 
 setAccumulatedControlsEnabled(false);
 
+/*=================================================================
+ * RecorderStateMachine 類 - 錄音與播放狀態機
+ * 以單一狀態取代分散的旗標：idle（沒有開啟的錄音）、acquiring（開啟麥克風中）、
+ * recording、paused、finalizing（產生錄音檔中）、ready（可播放）、playing、error；
+ * 只允許表列的轉換，狀態改變時通知訂閱者更新按鈕與控制項
+ *================================================================*/
+
+/**
+ * RecorderStateMachine 類構造函數
+ * @param {string} [initial='idle'] - 初始狀態
+ */
+function RecorderStateMachine(initial) {
+    this.state = initial || 'idle';
+    this.listeners = [];
+}
+
+// 各狀態允許前往的狀態
+RecorderStateMachine.transitions = {
+    idle: ['acquiring', 'ready', 'error'],
+    ready: ['acquiring', 'playing', 'idle', 'error'],
+    playing: ['ready', 'idle', 'error'],
+    acquiring: ['recording', 'error'],
+    recording: ['paused', 'finalizing', 'error'],
+    paused: ['recording', 'finalizing', 'error'],
+    finalizing: ['ready', 'idle', 'error'],
+    error: ['idle', 'ready', 'acquiring']
+};
+
+/**
+ * 目前狀態是否為指定狀態之一
+ * @param {...string} states - 狀態名稱
+ * @returns {boolean}
+ */
+RecorderStateMachine.prototype.is = function() {
+    return Array.prototype.indexOf.call(arguments, this.state) !== -1;
+};
+
+/**
+ * 是否可以轉換至指定狀態
+ * @param {string} next - 目標狀態
+ * @returns {boolean}
+ */
+RecorderStateMachine.prototype.can = function(next) {
+    return (RecorderStateMachine.transitions[this.state] || []).indexOf(next) !== -1;
+};
+
+/**
+ * 是否正在使用麥克風（開啟中、錄音中或暫停錄音）
+ * @returns {boolean}
+ */
+RecorderStateMachine.prototype.isCapturing = function() {
+    return this.is('acquiring', 'recording', 'paused');
+};
+
+/**
+ * 轉換狀態並通知訂閱者；與目前狀態相同時不做任何事
+ * @param {string} next - 目標狀態
+ * @param {*} [detail] - 附帶資訊（例如 error 狀態的 AppError）
+ * @returns {boolean} 是否為允許的轉換
+ */
+RecorderStateMachine.prototype.transition = function(next, detail) {
+    if (next === this.state) {
+        return true;
+    }
+    if (!this.can(next)) {
+        console.warn('不允許的狀態轉換: ' + this.state + ' → ' + next);
+        return false;
+    }
+
+    var previous = this.state;
+    this.state = next;
+
+    this.listeners.forEach(function(listener) {
+        try {
+            listener(next, previous, detail);
+        } catch (error) {
+            console.error('狀態訂閱者執行失敗:', error);
+        }
+    });
+    return true;
+};
+
+/**
+ * 訂閱狀態變更
+ * @param {function} listener - 回調函數 (state, previous, detail)
+ * @returns {function} 取消訂閱的函數
+ */
+RecorderStateMachine.prototype.subscribe = function(listener) {
+    var listeners = this.listeners;
+    listeners.push(listener);
+    return function() {
+        var index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    };
+};
+
 /**
- * 更新播放控制按鈕的啟用/停用狀態
+ * 錄音流程以外：依是否有開啟的錄音回到 ready 或 idle
+ * （開啟、關閉錄音或錄音檔產生完成時呼叫；錄音與播放中不受影響）
+ * @param {boolean} hasAudio - 是否有可播放的錄音
+ */
+RecorderStateMachine.prototype.settle = function(hasAudio) {
+    if (this.is('idle', 'ready', 'finalizing', 'error') || (this.is('playing') && !hasAudio)) {
+        this.transition(hasAudio ? 'ready' : 'idle');
+    }
+};
+
+var recorderState = new RecorderStateMachine('idle');
+
+/**
+ * 更新播放控制按鈕的啟用/停用狀態（依 recorderState 的狀態）
  */
 function updatePlaybackButtonsState() {
+    updateEditButtonsState();
+    updatePitchButtonsState();
+    updateMarkerButtonsState();
+    updateTierButtonsState();
+    updateImportButtonsState();
+    updateInputDeviceControlsState();
+    updateCaptureSettingsState();
+
     if (!btnPlay || !btnPause || !btnStopPlayback) return;
 
-    // 錄音期間，全部停用
-    if (isCurrentlyRecording) {
+    // 錄音期間與產生錄音檔期間，全部停用
+    if (recorderState.isCapturing() || recorderState.is('finalizing')) {
         btnPlay.disabled = true;
         btnPause.disabled = true;
         btnStopPlayback.disabled = true;
@@ -85,7 +205,7 @@ function updatePlaybackButtonsState() {
     }
 
     // 尚無錄音可播
-    if (!latestRecordingBlob) {
+    if (recorderState.is('idle') || !latestRecordingBlob) {
         btnPlay.disabled = true;
         btnPause.disabled = true;
         btnStopPlayback.disabled = true;
@@ -94,7 +214,7 @@ function updatePlaybackButtonsState() {
     }
 
     // 正在播放
-    if (selectionAudioSource && accumulatedWaveform && accumulatedWaveform.isPlaying) {
+    if (recorderState.is('playing')) {
         btnPlay.disabled = true;
         btnPause.disabled = false;
         btnStopPlayback.disabled = false;
@@ -111,7 +231,10 @@ function updatePlaybackButtonsState() {
     if (btnClearSelection) btnClearSelection.disabled = (selectionStart === null || selectionEnd === null || selectionStart === selectionEnd);
 }
 
-// 初始化時更新一次按鈕狀態
+// 狀態改變時更新按鈕；初始化時更新一次
+recorderState.subscribe(function() {
+    updatePlaybackButtonsState();
+});
 updatePlaybackButtonsState();
 
 /*=================================================================
@@ -122,12 +245,16 @@ updatePlaybackButtonsState();
 /**
  * 初始化 Web Audio API 組件
  * 確保 AudioContext 在用戶互動後被創建
- * @returns {Promise} 返回 Promise，確保 AudioContext 完全就緒
+ * @returns {Promise} 返回 Promise，確保 AudioContext 完全就緒（無法建立時以 AppError 拒絕）
  */
 function initializeAudioContext() {
     if (!audioContext) {
-        // 創建 AudioContext
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        // 創建 AudioContext（瀏覽器不支援或資源不足時回傳 AppError）
+        try {
+            audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        } catch (error) {
+            return Promise.reject(new AppError(AppError.AUDIO_CONTEXT, '瀏覽器無法建立 AudioContext', error));
+        }
         
         // 創建分析器
         analyser = audioContext.createAnalyser();
@@ -138,6 +265,12 @@ function initializeAudioContext() {
         analyserSilencer.gain.value = 0;
         analyser.connect(analyserSilencer);
         analyserSilencer.connect(audioContext.destination);
+
+        // 頻譜圖串接在 analyser 之後（訊號原樣通過），可自由設定 FFT 長度，
+        // 不影響共用 analyser 的即時波形、電平表與語音偵測
+        spectrogramAnalyser = audioContext.createAnalyser();
+        analyser.connect(spectrogramAnalyser);
+        spectrogramAnalyser.connect(analyserSilencer);
     }
     
     // 如果 AudioContext 處於暫停狀態，嘗試恢復並返回 Promise
@@ -308,1736 +441,11660 @@ LiveWaveform.prototype.draw = function() {
 };
 
 /*=================================================================
- * AccumulatedWaveform 類 - 累積音訊波形顯示
- * 持續繪製目前錄製完成的音訊波形，方便觀察整體振幅分佈
+ * LevelMeter 類 - 電平表（dBFS）
+ * 以 AnalyserNode 的浮點時域資料計算真實電平：RMS、峰值、
+ * 峰值保持與削波次數（即時波形會放大顯示，無法看出實際音量）
  *================================================================*/
 
+var clipThreshold = 0.999; // 視為削波的振幅（約 -0.01 dBFS）
+
 /**
- * AccumulatedWaveform 類構造函數
- * @param {HTMLCanvasElement} canvas - 用於繪製累積波形的 Canvas 元素
+ * LevelMeter 類構造函數
+ * @param {HTMLCanvasElement} canvas - 電平條 Canvas
+ * @param {AnalyserNode} analyserNode - 分析器節點
+ * @param {Object} [readouts] - 數值顯示元素 { rms, peak, clips }
  */
-function AccumulatedWaveform(canvas) {
+function LevelMeter(canvas, analyserNode, readouts) {
     this.canvas = canvas;
     this.canvasContext = canvas.getContext('2d');
     this.width = canvas.width;
     this.height = canvas.height;
+    this.analyser = analyserNode;
+    this.readouts = readouts || {};
 
-    this.targetSampleRate = 5000;          // 目標採樣率，控制記憶體使用量
-    this.sourceSampleRate = 48000;         // 預設來源採樣率
-    this.decimationFactor = 10;            // 預設下采樣倍率
-
-    this.sampleMin = [];                   // 累積區段的最小值（動態增長）
-    this.sampleMax = [];                   // 累積區段的最大值（動態增長）
-    this.sampleCount = 0;                  // 目前緩衝內的有效樣本數
-
-    this.zoomFactor = 1;                   // 目前縮放倍率（1 代表完整視圖）
-    this.viewStart = 0;                    // 可視範圍起始樣本索引
-    this.isAutoScroll = true;              // 是否自動捲動到最新資料
-    this._panRemainder = 0;                // 平滑平移時的殘餘樣本量
-    
-    // 播放位置相關
-    this.playbackPosition = 0;             // 當前播放位置（樣本索引）
-    this.isPlaying = false;                // 是否正在播放
-    this.playbackStartTime = 0;            // 播放開始時間戳記
-    this.playbackStartSample = 0;          // 播放開始的樣本位置
+    this.floorDb = -60;            // 顯示下限
+    this.rmsTimeConstant = 0.3;    // RMS 平滑時間常數（秒）
+    this.peakHoldSeconds = 1.5;    // 峰值保持時間
+    this.peakDecayDbPerSecond = 20; // 保持時間結束後的下降速度
 
-    this.clear();
-    setAccumulatedControlsEnabled(false);
+    this.animationId = null;
+    this.isRunning = false;
+    this.buffer = null;
+    this.resetClips();
 }
 
 /**
- * 清空畫布並重繪基準線
+ * 重設峰值保持與削波計數
  */
-AccumulatedWaveform.prototype.clear = function() {
-    this.canvasContext.clearRect(0, 0, this.width, this.height);
-    this.canvasContext.fillStyle = '#f0f0f0';
-    this.canvasContext.fillRect(0, 0, this.width, this.height);
+LevelMeter.prototype.resetClips = function() {
+    this.meanSquare = 0;
+    this.rmsDb = -Infinity;
+    this.peakDb = -Infinity;
+    this.holdDb = -Infinity;
+    this.holdTime = 0;
+    this.clipCount = 0;
+    this.lastClipTime = -Infinity;
+    this.wasClipping = false;
+    this.lastTime = 0;
+    this.draw();
+};
 
-    this.canvasContext.lineWidth = 1;
-    this.canvasContext.strokeStyle = '#d0d0d0';
-    this.canvasContext.beginPath();
-    this.canvasContext.moveTo(0, this.height / 2);
-    this.canvasContext.lineTo(this.width, this.height / 2);
-    this.canvasContext.stroke();
+/**
+ * 開始量測
+ */
+LevelMeter.prototype.start = function() {
+    if (this.isRunning) {
+        return;
+    }
+    this.isRunning = true;
+    this.lastTime = 0;
+    this._tick();
 };
 
 /**
- * 重置累積資訊
+ * 停止量測（保留最後的峰值保持與削波次數）
  */
-AccumulatedWaveform.prototype.reset = function() {
-    this.sampleMin.length = 0;
-    this.sampleMax.length = 0;
-    this.sampleCount = 0;
-    this.zoomFactor = 1;
-    this.viewStart = 0;
-    this.isAutoScroll = true;
-    this._panRemainder = 0;
-    this.clear();
-    setAccumulatedControlsEnabled(false);
+LevelMeter.prototype.stop = function() {
+    this.isRunning = false;
+    if (this.animationId) {
+        cancelAnimationFrame(this.animationId);
+        this.animationId = null;
+    }
+    this.rmsDb = -Infinity;
+    this.peakDb = -Infinity;
+    this.draw();
 };
 
 /**
- * 增加新的音訊取樣資料並重新繪製
- * @param {Float32Array} audioSamples - 新的音訊資料
+ * 讀取分析器資料並更新數值（內部方法，用於動畫循環）
  */
-AccumulatedWaveform.prototype.append = function(audioSamples) {
-    if (!audioSamples || !audioSamples.length) {
+LevelMeter.prototype._tick = function() {
+    if (!this.isRunning) {
         return;
     }
+    this.animationId = requestAnimationFrame(this._tick.bind(this));
 
-    var factor = this.decimationFactor;
-    var total = audioSamples.length;
-
-    for (var i = 0; i < total; i += factor) {
-        var blockMin = 1.0;
-        var blockMax = -1.0;
-        var blockSum = 0;
-        var blockCount = 0;
-
-        for (var j = 0; j < factor && (i + j) < total; j++) {
-            var sample = audioSamples[i + j];
-            blockSum += sample;
-            blockCount++;
-        }
-
-        var blockMean = blockCount ? (blockSum / blockCount) : 0;
-
-        for (var k = 0; k < blockCount; k++) {
-            var centeredSample = audioSamples[i + k] - blockMean;
-            if (centeredSample < blockMin) {
-                blockMin = centeredSample;
-            }
-            if (centeredSample > blockMax) {
-                blockMax = centeredSample;
-            }
-        }
+    var now = audioContext.currentTime;
+    var elapsed = this.lastTime ? Math.max(0, now - this.lastTime) : 0;
+    this.lastTime = now;
 
-        if (!blockCount) {
-            continue;
+    var size = this.analyser.fftSize;
+    if (!this.buffer || this.buffer.length !== size) {
+        this.buffer = new Float32Array(size);
+    }
+    this.analyser.getFloatTimeDomainData(this.buffer);
+
+    var sum = 0;
+    var peak = 0;
+    var clipping = false;
+    for (var i = 0; i < size; i++) {
+        var value = this.buffer[i];
+        var magnitude = value < 0 ? -value : value;
+        sum += value * value;
+        if (magnitude > peak) {
+            peak = magnitude;
         }
-
-        if (blockMin > blockMax) {
-            blockMin = blockMax = 0;
+        if (magnitude >= clipThreshold) {
+            clipping = true;
         }
-
-        this.sampleMin.push(blockMin);
-        this.sampleMax.push(blockMax);
-        this.sampleCount++;
     }
 
-    if (this.isAutoScroll) {
-        this.scrollToLatest();
-    } else {
-        this._enforceViewBounds();
+    // RMS 以指數平滑模擬表頭慣性，峰值取瞬間值
+    var alpha = elapsed ? 1 - Math.exp(-elapsed / this.rmsTimeConstant) : 1;
+    this.meanSquare += (sum / size - this.meanSquare) * alpha;
+    this.rmsDb = toDecibels(Math.sqrt(this.meanSquare));
+    this.peakDb = toDecibels(peak);
+
+    // 峰值保持：超過保持時間後以固定速度下降
+    if (this.peakDb >= this.holdDb) {
+        this.holdDb = this.peakDb;
+        this.holdTime = now;
+    } else if (now - this.holdTime > this.peakHoldSeconds) {
+        this.holdDb = Math.max(this.peakDb, this.holdDb - this.peakDecayDbPerSecond * elapsed);
     }
 
-    if (this.sampleCount > 0) {
-        setAccumulatedControlsEnabled(true);
+    // 連續削波只計一次（相鄰分析視窗會重疊）
+    if (clipping) {
+        if (!this.wasClipping) {
+            this.clipCount++;
+        }
+        this.lastClipTime = now;
     }
+    this.wasClipping = clipping;
 
     this.draw();
 };
 
 /**
- * 繪製累積波形
+ * 將 dBFS 轉為電平條的水平位置
+ * @param {number} db - 電平（dBFS）
+ * @returns {number} x 座標
  */
-AccumulatedWaveform.prototype.draw = function() {
-    this.clear();
-
-    if (!this.sampleCount) {
-        return;
-    }
+LevelMeter.prototype._toX = function(db) {
+    var ratio = (Math.max(this.floorDb, Math.min(0, db)) - this.floorDb) / -this.floorDb;
+    return ratio * this.width;
+};
 
+/**
+ * 繪製電平條與數值
+ */
+LevelMeter.prototype.draw = function() {
     var ctx = this.canvasContext;
     var width = this.width;
     var height = this.height;
-    var totalSamples = this.sampleCount;
-    var centerY = height / 2;
-    var visibleSamples = this.getVisibleSamples();
+    var clipBoxWidth = 24;
+    var barWidth = width - clipBoxWidth - 4;
+    var scale = barWidth / width;
+
+    ctx.fillStyle = '#2d3748';
+    ctx.fillRect(0, 0, width, height);
+
+    // 電平條：-18 dBFS 以下綠色、-6 dBFS 以下黃色、以上紅色
+    var gradient = ctx.createLinearGradient(0, 0, barWidth, 0);
+    var yellowStop = (this.floorDb + 18) / this.floorDb;
+    var redStop = (this.floorDb + 6) / this.floorDb;
+    gradient.addColorStop(0, '#48bb78');
+    gradient.addColorStop(yellowStop, '#48bb78');
+    gradient.addColorStop(yellowStop, '#ecc94b');
+    gradient.addColorStop(redStop, '#ecc94b');
+    gradient.addColorStop(redStop, '#f56565');
+    gradient.addColorStop(1, '#f56565');
+
+    var barHeight = height - 12;
+    if (isFinite(this.peakDb)) {
+        ctx.globalAlpha = 0.45;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, this._toX(this.peakDb) * scale, barHeight);
+        ctx.globalAlpha = 1;
+    }
+    if (isFinite(this.rmsDb)) {
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, this._toX(this.rmsDb) * scale, barHeight);
+    }
 
-    if (this.viewStart + visibleSamples > totalSamples) {
-        this.viewStart = Math.max(0, totalSamples - visibleSamples);
+    // 峰值保持指示線
+    if (isFinite(this.holdDb) && this.holdDb > this.floorDb) {
+        var holdX = this._toX(this.holdDb) * scale;
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(holdX - 1, 0, 2, barHeight);
     }
 
-    var startSample = this.viewStart;
-    var endSample = Math.min(totalSamples, startSample + visibleSamples);
-    var samplesPerPixel = visibleSamples / width;
+    // 刻度（每 6 dB）
+    ctx.fillStyle = '#cbd5e0';
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'center';
+    for (var db = this.floorDb; db <= 0; db += 6) {
+        var tickX = this._toX(db) * scale;
+        ctx.fillRect(tickX, barHeight, 1, 3);
+        ctx.fillText(String(db), Math.min(barWidth - 8, Math.max(8, tickX)), height - 1);
+    }
 
-    ctx.strokeStyle = '#1E88E5';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
+    // 削波指示燈（最近保持時間內有削波時亮紅燈）
+    var clipActive = audioContext && audioContext.currentTime - this.lastClipTime < this.peakHoldSeconds;
+    ctx.fillStyle = clipActive ? '#e53e3e' : '#4a5568';
+    ctx.fillRect(width - clipBoxWidth, 0, clipBoxWidth, height);
 
-    if (samplesPerPixel <= 1) {
-        var spacing = visibleSamples > 1 ? width / (visibleSamples - 1) : width;
-        for (var i = 0; i < visibleSamples; i++) {
-            var sampleIndex = startSample + i;
-            if (sampleIndex >= endSample) {
-                break;
-            }
+    function format(value) {
+        return isFinite(value) ? value.toFixed(1) + ' dBFS' : '-∞ dBFS';
+    }
+    if (this.readouts.rms) {
+        this.readouts.rms.textContent = format(this.rmsDb);
+    }
+    if (this.readouts.peak) {
+        this.readouts.peak.textContent = format(this.holdDb);
+    }
+    if (this.readouts.clips) {
+        this.readouts.clips.textContent = String(this.clipCount);
+        this.readouts.clips.classList.toggle('clipping', this.clipCount > 0);
+    }
+};
 
-            var pair = this._getSamplePair(sampleIndex);
-            if (!pair) {
-                continue;
+/**
+ * 振幅轉 dBFS
+ * @param {number} amplitude - 線性振幅（1 = 滿刻度）
+ * @returns {number} dBFS（振幅為 0 時為 -Infinity）
+ */
+function toDecibels(amplitude) {
+    return amplitude > 0 ? 20 * Math.log(amplitude) / Math.LN10 : -Infinity;
+}
+
+/**
+ * 找出錄音中的削波區段（連續數個樣本達滿刻度）
+ * @param {Array<Float32Array>} channels - 各聲道樣本
+ * @param {number} sampleRate - 採樣率
+ * @param {Object} [options] - { minRun: 最少連續樣本數（預設 3）, mergeSeconds: 合併間隔（預設 0.05） }
+ * @returns {Array<Object>} 削波區段 [{ start, end }]（原始樣本位置）
+ */
+function findClippedRegions(channels, sampleRate, options) {
+    options = options || {};
+    var minRun = options.minRun || 3;
+    var mergeGap = Math.round((options.mergeSeconds === undefined ? 0.05 : options.mergeSeconds) * sampleRate);
+    var length = channels[0].length;
+    var regions = [];
+    var runStart = -1;
+
+    function isClipped(index) {
+        for (var c = 0; c < channels.length; c++) {
+            var value = channels[c][index];
+            if (value >= clipThreshold || value <= -clipThreshold) {
+                return true;
             }
+        }
+        return false;
+    }
 
-            var columnOffset = (pair.max + pair.min) / 2;
-            var adjustedMax = pair.max - columnOffset;
-            var adjustedMin = pair.min - columnOffset;
+    function closeRun(end) {
+        if (runStart < 0 || end - runStart < minRun) {
+            return;
+        }
+        var last = regions[regions.length - 1];
+        if (last && runStart - last.end <= mergeGap) {
+            last.end = end;
+        } else {
+            regions.push({ start: runStart, end: end });
+        }
+    }
 
-            if (adjustedMax > 1) adjustedMax = 1;
-            if (adjustedMax < -1) adjustedMax = -1;
-            if (adjustedMin > 1) adjustedMin = 1;
-            if (adjustedMin < -1) adjustedMin = -1;
+    for (var i = 0; i < length; i++) {
+        if (isClipped(i)) {
+            if (runStart < 0) {
+                runStart = i;
+            }
+        } else if (runStart >= 0) {
+            closeRun(i);
+            runStart = -1;
+        }
+    }
+    closeRun(length);
 
-            var drawX = visibleSamples > 1 ? i * spacing : width / 2;
-            var yTop = centerY - adjustedMax * centerY;
-            var yBottom = centerY - adjustedMin * centerY;
+    return regions;
+}
 
-            ctx.moveTo(drawX + 0.5, yTop);
-            ctx.lineTo(drawX + 0.5, yBottom);
-        }
-    } else {
-        for (var x = 0; x < width; x++) {
-            var rangeStart = startSample + x * samplesPerPixel;
-            var rangeEnd = rangeStart + samplesPerPixel;
-            var startIdx = Math.max(Math.floor(rangeStart), startSample);
-            var endIdx = Math.min(Math.floor(rangeEnd), endSample - 1);
+var levelMeter = (function() {
+    var canvas = document.getElementById('level-meter');
+    if (!canvas) {
+        return null;
+    }
 
-            if (endIdx < startIdx) {
-                endIdx = startIdx;
+    var meter = {
+        canvas: canvas,
+        readouts: {
+            rms: document.getElementById('level-rms'),
+            peak: document.getElementById('level-peak'),
+            clips: document.getElementById('level-clips')
+        },
+        instance: null
+    };
+
+    var resetButton = document.getElementById('level-reset');
+    if (resetButton) {
+        resetButton.addEventListener('click', function() {
+            if (meter.instance) {
+                meter.instance.resetClips();
             }
+        });
+    }
 
-            var min = 1.0;
-            var max = -1.0;
+    return meter;
+})();
 
-            for (var idx = startIdx; idx <= endIdx; idx++) {
-                var samplePair = this._getSamplePair(idx);
-                if (!samplePair) {
-                    continue;
-                }
-                if (samplePair.min < min) {
-                    min = samplePair.min;
-                }
-                if (samplePair.max > max) {
-                    max = samplePair.max;
-                }
-            }
+/**
+ * 開始電平表量測（於 AudioContext 初始化後呼叫）
+ * @param {boolean} [resetClips] - 是否重設峰值保持與削波次數
+ */
+function startLevelMeter(resetClips) {
+    if (!levelMeter || !analyser) {
+        return;
+    }
+    if (!levelMeter.instance) {
+        levelMeter.instance = new LevelMeter(levelMeter.canvas, analyser, levelMeter.readouts);
+    }
+    if (resetClips) {
+        levelMeter.instance.resetClips();
+    }
+    levelMeter.instance.start();
+}
 
-            if (min > max) {
-                continue;
-            }
+/**
+ * 停止電平表量測
+ */
+function stopLevelMeter() {
+    if (levelMeter && levelMeter.instance) {
+        levelMeter.instance.stop();
+    }
+}
 
-            var columnOffsetLarge = (max + min) / 2;
-            var adjustedMaxLarge = max - columnOffsetLarge;
-            var adjustedMinLarge = min - columnOffsetLarge;
+/*=================================================================
+ * 頻譜圖（Spectrogram）
+ * 錄音時顯示捲動的即時頻譜，錄音完成後顯示整段錄音的頻譜，
+ * 並與累積波形的縮放、平移與選取區間對齊
+ *================================================================*/
 
-            if (adjustedMaxLarge > 1) adjustedMaxLarge = 1;
-            if (adjustedMaxLarge < -1) adjustedMaxLarge = -1;
-            if (adjustedMinLarge > 1) adjustedMinLarge = 1;
-            if (adjustedMinLarge < -1) adjustedMinLarge = -1;
+var spectrogramDbRange = { min: -100, max: -10 }; // 顏色對應的 dBFS 範圍
 
-            var yTop = centerY - adjustedMaxLarge * centerY;
-            var yBottom = centerY - adjustedMinLarge * centerY;
+// 色彩對照表的錨點（由低到高能量），繪製時內插為 256 色
+var spectrogramColorMaps = {
+    viridis: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]],
+    magma: [[0, 0, 4], [81, 18, 124], [183, 55, 121], [252, 137, 97], [252, 253, 191]],
+    jet: [[0, 0, 131], [0, 60, 170], [5, 255, 255], [255, 255, 0], [250, 0, 0], [128, 0, 0]],
+    grayscale: [[0, 0, 0], [255, 255, 255]]
+};
 
-            ctx.moveTo(x + 0.5, yTop);
-            ctx.lineTo(x + 0.5, yBottom);
+/**
+ * 產生 256 色的色彩查找表
+ * @param {string} name - 色彩對照表名稱
+ * @returns {Uint8Array} RGB 交錯的查找表（長度 768）
+ */
+function buildSpectrogramPalette(name) {
+    var anchors = spectrogramColorMaps[name] || spectrogramColorMaps.viridis;
+    var palette = new Uint8Array(256 * 3);
+
+    for (var i = 0; i < 256; i++) {
+        var position = i / 255 * (anchors.length - 1);
+        var index = Math.min(anchors.length - 2, Math.floor(position));
+        var t = position - index;
+        for (var c = 0; c < 3; c++) {
+            palette[i * 3 + c] = Math.round(anchors[index][c] + (anchors[index + 1][c] - anchors[index][c]) * t);
         }
     }
 
-    ctx.stroke();
-    
-    // 繪製選取區域
-    if (selectionStart !== null && selectionEnd !== null) {
-        var selStart = Math.min(selectionStart, selectionEnd);
-        var selEnd = Math.max(selectionStart, selectionEnd);
-        
-        // 只繪製在可視範圍內的選取
-        if (selEnd >= startSample && selStart <= endSample) {
-            var visStart = Math.max(selStart, startSample);
-            var visEnd = Math.min(selEnd, endSample);
-            
-            var selStartX = ((visStart - startSample) / visibleSamples) * width;
-            var selEndX = ((visEnd - startSample) / visibleSamples) * width;
-            
-            // 繪製半透明選取區域
-            ctx.fillStyle = 'rgba(76, 175, 80, 0.2)';
-            ctx.fillRect(selStartX, 0, selEndX - selStartX, height);
-            
-            // 繪製選取邊界線
-            ctx.strokeStyle = '#4CAF50';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.moveTo(selStartX, 0);
-            ctx.lineTo(selStartX, height);
-            ctx.moveTo(selEndX, 0);
-            ctx.lineTo(selEndX, height);
-            ctx.stroke();
-            
-            // 繪製可拖曳的圓形手柄（觸控友善）
-            var handleRadius = 12;
-            var handleY = height / 2;
-            
-            // 左側手柄
-            if (selStart >= startSample) {
-                ctx.fillStyle = '#4CAF50';
-                ctx.strokeStyle = '#FFFFFF';
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.arc(selStartX, handleY, handleRadius, 0, Math.PI * 2);
-                ctx.fill();
-                ctx.stroke();
-                
-                // 左側手柄內部指示器
-                ctx.strokeStyle = '#FFFFFF';
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.moveTo(selStartX - 4, handleY - 5);
-                ctx.lineTo(selStartX - 4, handleY + 5);
-                ctx.moveTo(selStartX, handleY - 5);
-                ctx.lineTo(selStartX, handleY + 5);
-                ctx.moveTo(selStartX + 4, handleY - 5);
-                ctx.lineTo(selStartX + 4, handleY + 5);
-                ctx.stroke();
-            }
-            
-            // 右側手柄
-            if (selEnd <= endSample) {
-                ctx.fillStyle = '#4CAF50';
-                ctx.strokeStyle = '#FFFFFF';
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.arc(selEndX, handleY, handleRadius, 0, Math.PI * 2);
-                ctx.fill();
-                ctx.stroke();
-                
-                // 右側手柄內部指示器
-                ctx.strokeStyle = '#FFFFFF';
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.moveTo(selEndX - 4, handleY - 5);
-                ctx.lineTo(selEndX - 4, handleY + 5);
-                ctx.moveTo(selEndX, handleY - 5);
-                ctx.lineTo(selEndX, handleY + 5);
-                ctx.moveTo(selEndX + 4, handleY - 5);
-                ctx.lineTo(selEndX + 4, handleY + 5);
-                ctx.stroke();
-            }
+    return palette;
+}
+
+/**
+ * 產生分析視窗
+ * @param {string} type - 'hann' | 'hamming' | 'blackman' | 'rectangular'
+ * @param {number} size - 視窗長度
+ * @returns {Float32Array} 視窗係數
+ */
+function createSpectrumWindow(type, size) {
+    var coefficients = new Float32Array(size);
+    var denominator = Math.max(1, size - 1);
+
+    for (var i = 0; i < size; i++) {
+        var phase = 2 * Math.PI * i / denominator;
+        switch (type) {
+            case 'rectangular':
+                coefficients[i] = 1;
+                break;
+            case 'hamming':
+                coefficients[i] = 0.54 - 0.46 * Math.cos(phase);
+                break;
+            case 'blackman':
+                coefficients[i] = 0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+                break;
+            default:
+                coefficients[i] = 0.5 - 0.5 * Math.cos(phase);
         }
     }
-    
-    // 繪製播放位置指示器（紅色垂直線）
-    if (this.playbackPosition >= 0 && this.playbackPosition <= totalSamples) {
-        // 檢查播放位置是否在可視範圍內
-        if (this.playbackPosition >= startSample && this.playbackPosition <= endSample) {
-            var playbackX = ((this.playbackPosition - startSample) / visibleSamples) * width;
-            
-            // 繪製紅色垂直線
-            ctx.strokeStyle = '#FF0000';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.moveTo(playbackX, 0);
-            ctx.lineTo(playbackX, height);
-            ctx.stroke();
-            
-            // 繪製頂部三角形指示器
-            ctx.fillStyle = '#FF0000';
-            ctx.beginPath();
-            ctx.moveTo(playbackX, 0);
-            ctx.lineTo(playbackX - 6, 10);
-            ctx.lineTo(playbackX + 6, 10);
-            ctx.closePath();
-            ctx.fill();
-            
-            // 繪製底部三角形指示器
-            ctx.beginPath();
-            ctx.moveTo(playbackX, height);
-            ctx.lineTo(playbackX - 6, height - 10);
-            ctx.lineTo(playbackX + 6, height - 10);
-            ctx.closePath();
-            ctx.fill();
+
+    return coefficients;
+}
+
+/**
+ * 預先計算 FFT 的旋轉因子 e^(-2πik/n)，k = 0 … n/2 - 1
+ * @param {number} n - FFT 長度
+ * @returns {Object} { cos, sin }
+ */
+function createFftTwiddles(n) {
+    var cos = new Float32Array(n / 2);
+    var sin = new Float32Array(n / 2);
+    for (var k = 0; k < n / 2; k++) {
+        cos[k] = Math.cos(-2 * Math.PI * k / n);
+        sin[k] = Math.sin(-2 * Math.PI * k / n);
+    }
+    return { cos: cos, sin: sin };
+}
+
+/**
+ * 原地計算基 2 快速傅立葉轉換
+ * @param {Float32Array} real - 實部（長度須為 2 的次方）
+ * @param {Float32Array} imag - 虛部
+ * @param {Object} [twiddles] - createFftTwiddles(real.length) 的結果（重複計算時傳入以省去三角函數）
+ */
+function fftInPlace(real, imag, twiddles) {
+    var n = real.length;
+    var i, j, k;
+    twiddles = twiddles || createFftTwiddles(n);
+    var cosTable = twiddles.cos;
+    var sinTable = twiddles.sin;
+
+    // 位元反轉重排
+    for (i = 1, j = 0; i < n; i++) {
+        var bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            var tr = real[i]; real[i] = real[j]; real[j] = tr;
+            var ti = imag[i]; imag[i] = imag[j]; imag[j] = ti;
         }
     }
-    
-    // 同步更新全局波形視圖
-    if (overviewWaveform) {
-        overviewWaveform.draw();
+
+    for (var size = 2; size <= n; size <<= 1) {
+        var half = size >> 1;
+        var stride = n / size; // 此階段的旋轉因子在查找表中的間隔
+        for (i = 0; i < n; i += size) {
+            for (k = 0; k < half; k++) {
+                var cos = cosTable[k * stride];
+                var sin = sinTable[k * stride];
+                var a = i + k;
+                var b = a + half;
+                var xr = real[b] * cos - imag[b] * sin;
+                var xi = real[b] * sin + imag[b] * cos;
+                real[b] = real[a] - xr;
+                imag[b] = imag[a] - xi;
+                real[a] += xr;
+                imag[a] += xi;
+            }
+        }
     }
-};
+}
 
 /**
- * 取得目前可視範圍內的樣本數
- * @returns {number} 可視樣本數
+ * SpectrumAnalyzer 類構造函數
+ * 將一個音框加窗後轉為各頻帶的 dBFS（滿刻度正弦波約為 0 dBFS）
+ * @param {number} fftSize - FFT 長度（2 的次方）
+ * @param {string} windowType - 視窗類型（見 createSpectrumWindow）
  */
-AccumulatedWaveform.prototype.getVisibleSamples = function() {
-    if (!this.sampleCount) {
-        return 0;
+function SpectrumAnalyzer(fftSize, windowType) {
+    this.fftSize = fftSize;
+    this.window = createSpectrumWindow(windowType, fftSize);
+    this.real = new Float32Array(fftSize);
+    this.imag = new Float32Array(fftSize);
+    this.output = new Float32Array(fftSize / 2);
+    this.twiddles = createFftTwiddles(fftSize);
+
+    var sum = 0;
+    for (var i = 0; i < fftSize; i++) {
+        sum += this.window[i];
     }
+    this.scale = 2 / sum; // 視窗增益補償
+}
 
-    var total = this.sampleCount;
-    var minVisible = this._getMinVisibleSamples(total);
-    var visible = Math.round(total / this.zoomFactor);
-
-    if (visible < minVisible) {
-        visible = minVisible;
+/**
+ * 計算一個音框的頻譜
+ * @param {Float32Array} samples - 音訊樣本
+ * @param {number} offset - 音框起點（不足處補零）
+ * @returns {Float32Array} 各頻帶的 dBFS（長度 fftSize / 2，會重複使用）
+ */
+SpectrumAnalyzer.prototype.analyze = function(samples, offset) {
+    var n = this.fftSize;
+    for (var i = 0; i < n; i++) {
+        var index = offset + i;
+        this.real[i] = index >= 0 && index < samples.length ? samples[index] * this.window[i] : 0;
+        this.imag[i] = 0;
     }
-    if (visible > total) {
-        visible = total;
+
+    fftInPlace(this.real, this.imag, this.twiddles);
+
+    for (var k = 0; k < n / 2; k++) {
+        var magnitude = Math.sqrt(this.real[k] * this.real[k] + this.imag[k] * this.imag[k]) * this.scale;
+        this.output[k] = toDecibels(magnitude);
     }
 
-    return visible;
+    return this.output;
 };
 
 /**
- * 計算目前允許的最小視窗樣本數
- * @param {number} total - 總樣本數
- * @returns {number} 最小視窗樣本
+ * 將 dBFS 量化為色彩索引（0–255）
+ * @param {number} db - 電平
+ * @returns {number} 色彩索引
  */
-AccumulatedWaveform.prototype._getMinVisibleSamples = function(total) {
-    if (!total) {
-        return 0;
-    }
+function spectrogramLevel(db) {
+    var ratio = (db - spectrogramDbRange.min) / (spectrogramDbRange.max - spectrogramDbRange.min);
+    return ratio <= 0 || !(ratio === ratio) ? 0 : ratio >= 1 ? 255 : Math.round(ratio * 255);
+}
 
-    var minSpan;
-    if (total <= this.width) {
-        minSpan = Math.max(1, Math.ceil(total / 6));
-    } else {
-        minSpan = Math.max(1, Math.floor(this.width / 2));
-    }
+var spectrogramControls = {
+    fftSize: document.getElementById('spectrogram-fft-size'),
+    windowType: document.getElementById('spectrogram-window'),
+    colorMap: document.getElementById('spectrogram-colormap')
+};
 
-    if (minSpan > total) {
-        minSpan = total;
-    }
+/**
+ * 取得使用者選擇的頻譜圖設定
+ * @returns {Object} { fftSize, windowType, colorMap }
+ */
+function getSpectrogramSettings() {
+    var fftSize = spectrogramControls.fftSize ? Number(spectrogramControls.fftSize.value) : 1024;
+    return {
+        fftSize: fftSize >= 128 ? fftSize : 1024,
+        windowType: spectrogramControls.windowType ? spectrogramControls.windowType.value : 'hann',
+        colorMap: spectrogramControls.colorMap ? spectrogramControls.colorMap.value : 'viridis'
+    };
+}
 
-    return minSpan;
+/**
+ * LiveSpectrogram 類構造函數
+ * 每個動畫幀由右側新增一欄，舊資料向左捲動
+ * @param {HTMLCanvasElement} canvas - 用於繪製的 Canvas 元素
+ * @param {AnalyserNode} analyserNode - 頻譜圖專用的分析器節點（會設定其 fftSize）
+ */
+function LiveSpectrogram(canvas, analyserNode) {
+    this.canvas = canvas;
+    this.canvasContext = canvas.getContext('2d');
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.analyser = analyserNode;
+    this.animationId = null;
+    this.isRunning = false;
+    this.buffer = null;
+    this.column = this.canvasContext.createImageData(1, this.height);
+    this.configure(getSpectrogramSettings());
+}
+
+/**
+ * 套用 FFT 長度、視窗與色彩設定
+ * @param {Object} settings - getSpectrogramSettings() 的結果
+ */
+LiveSpectrogram.prototype.configure = function(settings) {
+    this.spectrum = new SpectrumAnalyzer(settings.fftSize, settings.windowType);
+    this.palette = buildSpectrogramPalette(settings.colorMap);
 };
 
 /**
- * 依據目前縮放狀態調整視窗邊界
+ * 開始繪製（清空舊畫面）
  */
-AccumulatedWaveform.prototype._enforceViewBounds = function() {
-    if (!this.sampleCount) {
-        this.viewStart = 0;
+LiveSpectrogram.prototype.start = function() {
+    if (this.isRunning) {
         return;
     }
+    this.isRunning = true;
+    this.canvasContext.fillStyle = '#000000';
+    this.canvasContext.fillRect(0, 0, this.width, this.height);
+    this.draw();
+};
 
-    var total = this.sampleCount;
-    var visible = this.getVisibleSamples();
+/**
+ * 停止繪製（保留最後畫面）
+ */
+LiveSpectrogram.prototype.stop = function() {
+    this.isRunning = false;
+    if (this.animationId) {
+        cancelAnimationFrame(this.animationId);
+        this.animationId = null;
+    }
+};
 
-    if (visible >= total) {
-        this.viewStart = 0;
+/**
+ * 繪製新的一欄頻譜
+ */
+LiveSpectrogram.prototype.draw = function() {
+    if (!this.isRunning) {
         return;
     }
+    this.animationId = requestAnimationFrame(this.draw.bind(this));
 
-    if (this.viewStart < 0) {
-        this.viewStart = 0;
+    // 專用分析器的視窗長度與分析的 FFT 長度一致
+    var fftSize = this.spectrum.fftSize;
+    if (this.analyser.fftSize !== fftSize) {
+        this.analyser.fftSize = fftSize;
     }
-
-    if (this.viewStart + visible > total) {
-        this.viewStart = total - visible;
+    if (!this.buffer || this.buffer.length !== fftSize) {
+        this.buffer = new Float32Array(fftSize);
     }
+    this.analyser.getFloatTimeDomainData(this.buffer);
+
+    var levels = this.spectrum.analyze(this.buffer, 0);
+    var bins = levels.length;
+    var data = this.column.data;
+
+    // 低頻在下、高頻在上
+    for (var y = 0; y < this.height; y++) {
+        var bin = Math.min(bins - 1, Math.floor((this.height - 1 - y) / this.height * bins));
+        var color = spectrogramLevel(levels[bin]) * 3;
+        data[y * 4] = this.palette[color];
+        data[y * 4 + 1] = this.palette[color + 1];
+        data[y * 4 + 2] = this.palette[color + 2];
+        data[y * 4 + 3] = 255;
+    }
+
+    this.canvasContext.drawImage(this.canvas, -1, 0);
+    this.canvasContext.putImageData(this.column, this.width - 1, 0);
 };
 
 /**
- * 捲動視圖到最新資料
+ * TakeSpectrogram 類構造函數
+ * 預先計算整段錄音的頻譜（量化為 8 位元），繪製時依累積波形的可視範圍取樣
+ * @param {HTMLCanvasElement} canvas - 用於繪製的 Canvas 元素
  */
-AccumulatedWaveform.prototype.scrollToLatest = function() {
-    if (!this.sampleCount) {
-        this.viewStart = 0;
-        return;
-    }
+function TakeSpectrogram(canvas) {
+    this.canvas = canvas;
+    this.canvasContext = canvas.getContext('2d');
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.image = this.canvasContext.createImageData(this.width, this.height);
+    this.data = null;    // { levels, columnCount, bins, hop }
+    this.viewKey = null; // 目前影像對應的可視範圍
+    this.job = 0;        // 進行中的頻譜計算（新的計算或清空時遞增以中止舊的）
+    this.palette = buildSpectrogramPalette(getSpectrogramSettings().colorMap);
+    this.clear();
+}
 
-    var visible = this.getVisibleSamples();
+/**
+ * 清空畫布
+ */
+TakeSpectrogram.prototype.clear = function() {
+    this.job++;
+    this.data = null;
+    this.viewKey = null;
+    this.canvasContext.fillStyle = '#f0f0f0';
+    this.canvasContext.fillRect(0, 0, this.width, this.height);
+};
 
-    if (visible >= this.sampleCount) {
-        this.viewStart = 0;
-    } else {
-        this.viewStart = this.sampleCount - visible;
-    }
+/**
+ * 計算整段音訊的頻譜並重繪
+ * 分批計算（每批約 12 毫秒）後讓出主線程，長錄音也不會凍結畫面；
+ * 計算期間保留原本的影像，新的計算開始時捨棄舊的
+ * @param {Float32Array} samples - 音訊樣本（第一聲道）
+ * @param {Object} settings - getSpectrogramSettings() 的結果
+ * @returns {Promise<boolean>} 完成時為 true，被新的計算取代時為 false
+ */
+TakeSpectrogram.prototype.setAudio = function(samples, settings) {
+    var self = this;
+    var job = ++this.job;
+    var fftSize = settings.fftSize;
+    var spectrum = new SpectrumAnalyzer(fftSize, settings.windowType);
+    var bins = fftSize / 2;
+
+    // 欄數上限避免長錄音佔用過多記憶體
+    var hop = Math.max(fftSize / 4, Math.ceil(samples.length / 20000));
+    var columnCount = Math.max(1, Math.ceil(samples.length / hop));
+    var levels = new Uint8Array(columnCount * bins);
+    var column = 0;
+    this.palette = buildSpectrogramPalette(settings.colorMap); // 計算期間可由 setColorMap 更換
+
+    return new Promise(function(resolve) {
+        function computeBatch() {
+            if (job !== self.job) {
+                resolve(false);
+                return;
+            }
+
+            var deadline = Date.now() + 12;
+            for (; column < columnCount && Date.now() < deadline; column++) {
+                var output = spectrum.analyze(samples, column * hop - fftSize / 2);
+                var base = column * bins;
+                for (var k = 0; k < bins; k++) {
+                    levels[base + k] = spectrogramLevel(output[k]);
+                }
+            }
+
+            if (column < columnCount) {
+                setTimeout(computeBatch, 0);
+                return;
+            }
+
+            self.data = { levels: levels, columnCount: columnCount, bins: bins, hop: hop };
+            self.viewKey = null;
+            self.draw();
+            resolve(true);
+        }
+
+        computeBatch();
+    });
 };
 
 /**
- * 設定縮放倍率
- * @param {number} targetZoom - 目標縮放倍率
- * @param {number} [anchorSample] - 錨點樣本索引，用於維持放大中心
+ * 只更換色彩對照表（頻譜資料已量化為色彩索引，不需重新計算）
+ * @param {string} colorMap - 色彩對照表名稱
  */
-AccumulatedWaveform.prototype.setZoom = function(targetZoom, anchorSample) {
-    if (!this.sampleCount) {
+TakeSpectrogram.prototype.setColorMap = function(colorMap) {
+    this.palette = buildSpectrogramPalette(colorMap);
+    this.viewKey = null;
+    this.draw();
+};
+
+/**
+ * 依累積波形的可視範圍繪製頻譜、選取區域與播放位置
+ */
+TakeSpectrogram.prototype.draw = function() {
+    var wave = accumulatedWaveform;
+    if (!this.data || !wave || !wave.sampleCount) {
+        this.canvasContext.fillStyle = '#f0f0f0';
+        this.canvasContext.fillRect(0, 0, this.width, this.height);
         return;
     }
 
-    var total = this.sampleCount;
-    var minVisible = this._getMinVisibleSamples(total);
-    var maxZoom = total / minVisible;
-    if (!isFinite(maxZoom) || maxZoom < 1) {
-        maxZoom = 1;
+    var ctx = this.canvasContext;
+    var width = this.width;
+    var height = this.height;
+    var data = this.data;
+    var pixels = this.image.data;
+    var palette = this.palette;
+    var visibleSamples = wave.getVisibleSamples();
+    var startSample = wave.viewStart;
+    var factor = wave.decimationFactor;
+
+    // 可視範圍未變（例如播放中只移動游標）時沿用上次的影像
+    var viewKey = startSample + '|' + visibleSamples + '|' + factor;
+    if (this.viewKey === viewKey) {
+        ctx.putImageData(this.image, 0, 0);
+        this._drawOverlay(startSample, visibleSamples);
+        return;
     }
+    this.viewKey = viewKey;
 
-    if (targetZoom < 1) {
-        targetZoom = 1;
+    // 每個像素欄對應的頻譜欄範圍；縮小時取範圍內的最大值，避免短暫聲音消失
+    var columnStarts = new Int32Array(width + 1);
+    for (var x = 0; x <= width; x++) {
+        var sourceSample = (startSample + x / width * visibleSamples) * factor;
+        columnStarts[x] = Math.max(0, Math.min(data.columnCount - 1, Math.round(sourceSample / data.hop)));
     }
-    if (targetZoom > maxZoom) {
-        targetZoom = maxZoom;
+
+    var rowBins = new Int32Array(height);
+    for (var y = 0; y < height; y++) {
+        rowBins[y] = Math.min(data.bins - 1, Math.floor((height - 1 - y) / height * data.bins));
     }
 
-    if (targetZoom === this.zoomFactor) {
-        return;
+    for (x = 0; x < width; x++) {
+        var first = columnStarts[x];
+        var last = Math.max(first, columnStarts[x + 1] - 1);
+        for (y = 0; y < height; y++) {
+            var level = 0;
+            for (var column = first; column <= last; column++) {
+                var value = data.levels[column * data.bins + rowBins[y]];
+                if (value > level) {
+                    level = value;
+                }
+            }
+            var pixel = (y * width + x) * 4;
+            pixels[pixel] = palette[level * 3];
+            pixels[pixel + 1] = palette[level * 3 + 1];
+            pixels[pixel + 2] = palette[level * 3 + 2];
+            pixels[pixel + 3] = 255;
+        }
     }
+    ctx.putImageData(this.image, 0, 0);
+    this._drawOverlay(startSample, visibleSamples);
+};
 
-    var previousVisible = this.getVisibleSamples();
-    this.zoomFactor = targetZoom;
-    var newVisible = this.getVisibleSamples();
+/**
+ * 繪製選取區域與播放位置（內部方法）
+ * @param {number} startSample - 可視範圍起點（累積波形索引）
+ * @param {number} visibleSamples - 可視樣本數
+ */
+TakeSpectrogram.prototype._drawOverlay = function(startSample, visibleSamples) {
+    var ctx = this.canvasContext;
+    var width = this.width;
+    var height = this.height;
 
-    if (anchorSample === undefined || anchorSample === null) {
-        anchorSample = this.viewStart + previousVisible / 2;
+    function toX(index) {
+        return (index - startSample) / visibleSamples * width;
     }
 
-    this.isAutoScroll = false;
-
-    var relative = previousVisible ? (anchorSample - this.viewStart) / previousVisible : 0.5;
-    if (!isFinite(relative)) {
-        relative = 0.5;
+    // 選取區域（與累積波形相同的樣本索引）
+    if (selectionStart !== null && selectionEnd !== null && selectionStart !== selectionEnd) {
+        var selStartX = toX(Math.min(selectionStart, selectionEnd));
+        var selEndX = toX(Math.max(selectionStart, selectionEnd));
+        if (selEndX >= 0 && selStartX <= width) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.18)';
+            ctx.fillRect(selStartX, 0, selEndX - selStartX, height);
+            ctx.strokeStyle = '#4CAF50';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(selStartX, 0);
+            ctx.lineTo(selStartX, height);
+            ctx.moveTo(selEndX, 0);
+            ctx.lineTo(selEndX, height);
+            ctx.stroke();
+        }
     }
 
-    this.viewStart = Math.round(anchorSample - relative * newVisible);
-    this._enforceViewBounds();
-    this.draw();
+    // 播放位置
+    var playbackX = toX(accumulatedWaveform.playbackPosition);
+    if (playbackX >= 0 && playbackX <= width) {
+        ctx.strokeStyle = '#FF0000';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(playbackX, 0);
+        ctx.lineTo(playbackX, height);
+        ctx.stroke();
+    }
 };
 
+var liveSpectrogram = null; // 即時頻譜圖實例（錄音時建立）
+var takeSpectrogram = (function() {
+    var canvas = document.getElementById('take-spectrogram');
+    return canvas ? new TakeSpectrogram(canvas) : null;
+})();
+var takeSpectrogramToken = 0; // 用於捨棄過期的頻譜計算結果
+
 /**
- * 依指定的級距進行縮放
- * @param {number} stepCount - 正值放大，負值縮小
- * @param {number} [anchorRatio] - 錨點相對位置 (0~1) 用於保持焦點
+ * 以錄音目前的音訊更新整段頻譜圖
+ * @param {RecordingTake} take - 開啟中的錄音
+ * @param {Object} [decoded] - 已解碼的音訊 { channels, sampleRate }，省略時自行解碼
  */
-AccumulatedWaveform.prototype.zoomBySteps = function(stepCount, anchorRatio) {
-    if (!this.sampleCount || !stepCount) {
+function updateTakeSpectrogram(take, decoded) {
+    if (!takeSpectrogram) {
         return;
     }
 
-    var anchorSample = null;
-    if (anchorRatio !== undefined && anchorRatio !== null && this.sampleCount) {
-        if (anchorRatio < 0) {
-            anchorRatio = 0;
-        } else if (anchorRatio > 1) {
-            anchorRatio = 1;
-        }
-        anchorSample = this.viewStart + anchorRatio * this.getVisibleSamples();
-    }
+    var token = ++takeSpectrogramToken;
+    var ready = decoded ? Promise.resolve(decoded) : readAudioChannels(take.getAudioBlob());
 
-    var zoomBase = 1.5;
-    var targetZoom = this.zoomFactor * Math.pow(zoomBase, stepCount);
-    this.setZoom(targetZoom, anchorSample);
-};
+    ready.then(function(audioData) {
+        if (token !== takeSpectrogramToken) {
+            return; // 已切換錄音或重新計算
+        }
+        takeSpectrogram.setAudio(audioData.channels[0], getSpectrogramSettings());
+    }).catch(function(error) {
+        console.warn('無法產生頻譜圖:', error);
+    });
+}
 
 /**
- * 依樣本量平移視圖
- * @param {number} sampleDelta - 正值向右，負值向左
+ * 清除整段頻譜圖（關閉錄音時）
  */
-AccumulatedWaveform.prototype.panBySamples = function(sampleDelta) {
-    if (!this.sampleCount || !sampleDelta) {
-        return;
+function clearTakeSpectrogram() {
+    takeSpectrogramToken++;
+    if (takeSpectrogram) {
+        takeSpectrogram.clear();
     }
-
-    this.isAutoScroll = false;
-    this.viewStart += sampleDelta;
-    this._panRemainder = 0;
-    this._enforceViewBounds();
-    this.draw();
-};
+}
 
 /**
- * 依畫素量平移視圖
- * @param {number} pixelDelta - 以畫素為單位的位移
+ * 開始錄音時的即時頻譜圖
  */
-AccumulatedWaveform.prototype.panByPixels = function(pixelDelta) {
-    if (!this.sampleCount || !pixelDelta) {
+function startLiveSpectrogram() {
+    var canvas = document.getElementById('live-spectrogram');
+    if (!canvas || !spectrogramAnalyser) {
         return;
     }
-
-    var samplesPerPixel = this.getVisibleSamples() / this.width;
-    this._panRemainder += pixelDelta * samplesPerPixel;
-    var sampleDelta = Math.trunc(this._panRemainder);
-
-    if (sampleDelta !== 0) {
-        this._panRemainder -= sampleDelta;
-        this.panBySamples(sampleDelta);
+    if (!liveSpectrogram) {
+        liveSpectrogram = new LiveSpectrogram(canvas, spectrogramAnalyser);
     }
-};
+    liveSpectrogram.start();
+}
 
 /**
- * 重設視圖（恢復自動捲動與預設縮放）
+ * 停止即時頻譜圖
  */
-AccumulatedWaveform.prototype.resetView = function() {
-    if (!this.sampleCount) {
-        this.zoomFactor = 1;
-        this.viewStart = 0;
-        this.isAutoScroll = true;
-        this._panRemainder = 0;
-        this.draw();
+function stopLiveSpectrogram() {
+    if (liveSpectrogram) {
+        liveSpectrogram.stop();
+    }
+}
+
+// 變更設定時套用於即時頻譜並重新計算開啟中錄音的頻譜（只換色彩時直接重繪）
+[spectrogramControls.fftSize, spectrogramControls.windowType, spectrogramControls.colorMap].forEach(function(select) {
+    if (!select) {
         return;
     }
+    select.addEventListener('change', function() {
+        if (liveSpectrogram) {
+            liveSpectrogram.configure(getSpectrogramSettings());
+        }
+        if (select === spectrogramControls.colorMap) {
+            if (takeSpectrogram) {
+                takeSpectrogram.setColorMap(select.value);
+            }
+            return;
+        }
+        var take = takeManager && takeManager.getActiveTake();
+        if (take && !recorderState.isCapturing()) {
+            updateTakeSpectrogram(take);
+        }
+    });
+});
 
-    this.zoomFactor = 1;
-    this._panRemainder = 0;
-    this.isAutoScroll = true;
-    this.scrollToLatest();
-    this.draw();
-};
+/*=================================================================
+ * 音高追蹤（F0）
+ * 以 YIN 演算法估計基頻，錄音時逐段分析、錄音完成後分析整段音訊，
+ * 並繪製於累積波形上（聲調練習用），可匯出為 CSV
+ *================================================================*/
 
 /**
- * 設定來源採樣率並更新下采樣倍率
- * @param {number} sampleRate - 來源音訊採樣率
+ * PitchTracker 類構造函數
+ * 串流式 YIN：先降採樣至約 8 kHz 以減少運算量，每 10 毫秒輸出一個估計值
+ * @param {number} sampleRate - 輸入採樣率
+ * @param {Object} [options] - 設定
+ * @param {number} [options.minF0=60] - 最低基頻（Hz）
+ * @param {number} [options.maxF0=500] - 最高基頻（Hz）
+ * @param {number} [options.threshold=0.15] - YIN 累積平均正規化差值的門檻
+ * @param {number} [options.silenceDb=-50] - 低於此電平（dBFS）視為無聲
  */
-AccumulatedWaveform.prototype.setSourceSampleRate = function(sampleRate) {
-    if (!sampleRate || sampleRate <= 0) {
-        return;
-    }
-    this.sourceSampleRate = sampleRate;
-    this.decimationFactor = Math.max(1, Math.round(this.sourceSampleRate / this.targetSampleRate));
-};
+function PitchTracker(sampleRate, options) {
+    options = options || {};
+    this.minF0 = options.minF0 || 60;
+    this.maxF0 = options.maxF0 || 500;
+    this.threshold = options.threshold || 0.15;
+    this.silenceDb = options.silenceDb === undefined ? -50 : options.silenceDb;
+
+    this.decimation = Math.max(1, Math.floor(sampleRate / 8000));
+    this.rate = sampleRate / this.decimation;
+    this.hop = Math.max(1, Math.round(this.rate * 0.01));
+    this.tauMin = Math.max(2, Math.floor(this.rate / this.maxF0));
+    this.tauMax = Math.ceil(this.rate / this.minF0);
+    this.windowLength = this.tauMax;               // 積分長度：最長一個週期
+    this.span = this.windowLength + this.tauMax;   // 每個音框需要的樣本數
+
+    this.buffer = new Float32Array(0);
+    this.bufferOffset = 0;     // buffer[0] 對應的降採樣樣本位置
+    this.nextFrame = 0;        // 下一個音框的起點（降採樣樣本位置）
+    this.decimationSum = 0;
+    this.decimationCount = 0;
+    this.difference = new Float32Array(this.tauMax + 1);
+
+    this.track = {
+        hopSeconds: this.hop / this.rate,
+        firstSeconds: this.span / 2 / this.rate, // 第一個音框中心的時間
+        minF0: this.minF0,
+        maxF0: this.maxF0,
+        values: []                               // 各音框的基頻（Hz），0 表示無聲
+    };
+}
 
 /**
- * 取得指定索引的樣本值（考慮循環緩衝）
- * @param {number} index - 0-based 索引
- * @returns {number} 樣本值
+ * 加入新的音訊樣本並分析所有完整的音框
+ * @param {Float32Array} samples - 音訊樣本
  */
-AccumulatedWaveform.prototype._getSamplePair = function(index) {
-    if (index < 0 || index >= this.sampleCount) {
-        return null;
+PitchTracker.prototype.push = function(samples) {
+    var factor = this.decimation;
+    var decimated = new Float32Array(Math.ceil((samples.length + this.decimationCount) / factor));
+    var count = 0;
+
+    // 以區塊平均降採樣（兼作簡易低通濾波）
+    for (var i = 0; i < samples.length; i++) {
+        this.decimationSum += samples[i];
+        this.decimationCount++;
+        if (this.decimationCount === factor) {
+            decimated[count++] = this.decimationSum / factor;
+            this.decimationSum = 0;
+            this.decimationCount = 0;
+        }
     }
 
-    var bufferIndex;
-    return {
-        min: this.sampleMin[index],
-        max: this.sampleMax[index]
-    };
+    var merged = new Float32Array(this.buffer.length + count);
+    merged.set(this.buffer);
+    merged.set(decimated.subarray(0, count), this.buffer.length);
+    this.buffer = merged;
+
+    while (this.nextFrame + this.span <= this.bufferOffset + this.buffer.length) {
+        this.track.values.push(this._estimate(this.nextFrame - this.bufferOffset));
+        this.nextFrame += this.hop;
+    }
+
+    // 捨棄已不再需要的樣本
+    var consumed = this.nextFrame - this.bufferOffset;
+    if (consumed > 0) {
+        this.buffer = this.buffer.slice(Math.min(consumed, this.buffer.length));
+        this.bufferOffset += consumed;
+    }
 };
 
 /**
- * 設定播放位置
- * @param {number} sampleIndex - 樣本索引
+ * 估計一個音框的基頻（內部方法）
+ * @param {number} start - 音框在 buffer 中的起點
+ * @returns {number} 基頻（Hz），無聲時為 0
  */
-AccumulatedWaveform.prototype.setPlaybackPosition = function(sampleIndex) {
-    this.playbackPosition = Math.max(0, Math.min(sampleIndex, this.sampleCount));
-    this.draw();
+PitchTracker.prototype._estimate = function(start) {
+    var x = this.buffer;
+    var w = this.windowLength;
+    var energy = 0;
+    for (var j = 0; j < w; j++) {
+        energy += x[start + j] * x[start + j];
+    }
+    if (toDecibels(Math.sqrt(energy / w)) < this.silenceDb) {
+        return 0;
+    }
+
+    // 差值函數與累積平均正規化
+    var d = this.difference;
+    var runningSum = 0;
+    d[0] = 1;
+    for (var tau = 1; tau <= this.tauMax; tau++) {
+        var sum = 0;
+        for (j = 0; j < w; j++) {
+            var delta = x[start + j] - x[start + j + tau];
+            sum += delta * delta;
+        }
+        runningSum += sum;
+        d[tau] = runningSum ? sum * tau / runningSum : 1;
+    }
+
+    // 第一個低於門檻的谷底
+    for (tau = this.tauMin; tau < this.tauMax; tau++) {
+        if (d[tau] < this.threshold) {
+            while (tau + 1 < this.tauMax && d[tau + 1] < d[tau]) {
+                tau++;
+            }
+
+            // 拋物線內插取得次樣本精度
+            var previous = d[tau - 1];
+            var next = d[tau + 1];
+            var denominator = previous + next - 2 * d[tau];
+            var refined = denominator ? tau + (previous - next) / (2 * denominator) : tau;
+            var f0 = this.rate / refined;
+
+            return f0 >= this.minF0 && f0 <= this.maxF0 ? f0 : 0;
+        }
+    }
+
+    return 0;
 };
 
 /**
- * 開始播放並初始化播放追蹤
- * @param {number} startSample - 開始播放的樣本位置
+ * 分析整段音訊的基頻
+ * 分批送入追蹤器（每批約 12 毫秒）後讓出主線程，長錄音也不會凍結畫面
+ * @param {Float32Array} samples - 音訊樣本
  * @param {number} sampleRate - 採樣率
+ * @param {Object} [options] - 見 PitchTracker
+ * @param {function(): boolean} [isCurrent] - 每批開始前檢查，回傳 false 時放棄計算
+ * @returns {Promise<Object|null>} 音高軌跡 { hopSeconds, firstSeconds, minF0, maxF0, values }；放棄時為 null
  */
-AccumulatedWaveform.prototype.startPlayback = function(startSample, sampleRate) {
-    this.isPlaying = true;
-    this.playbackStartSample = startSample;
-    this.playbackPosition = startSample;
-    this.playbackStartTime = audioContext.currentTime;
-    this.sourceSampleRate = sampleRate || this.sourceSampleRate;
-    
-    // 開始動畫循環更新播放位置
-    this._updatePlaybackPosition();
+function trackPitch(samples, sampleRate, options, isCurrent) {
+    var tracker = new PitchTracker(sampleRate, options);
+    var chunkLength = Math.max(1, Math.round(sampleRate * 0.1));
+    var position = 0;
+
+    return new Promise(function(resolve) {
+        function computeBatch() {
+            if (isCurrent && !isCurrent()) {
+                resolve(null);
+                return;
+            }
+
+            var deadline = Date.now() + 12;
+            while (position < samples.length && Date.now() < deadline) {
+                tracker.push(samples.subarray(position, position + chunkLength));
+                position += chunkLength;
+            }
+
+            if (position < samples.length) {
+                setTimeout(computeBatch, 0);
+                return;
+            }
+            resolve(tracker.track);
+        }
+
+        computeBatch();
+    });
+}
+
+var pitchControls = {
+    overlay: document.getElementById('pitch-overlay'),
+    minF0: document.getElementById('pitch-min-f0'),
+    maxF0: document.getElementById('pitch-max-f0'),
+    exportCsv: document.getElementById('pitch-export-csv')
 };
 
+var livePitchTracker = null; // 錄音中的音高追蹤器
+var pitchAnalysisJob = 0;    // 最新一次整段音高分析的編號（新的分析開始時捨棄舊的）
+
 /**
- * 停止播放
+ * 取得使用者設定的基頻範圍
+ * @returns {Object} { minF0, maxF0 }
  */
-AccumulatedWaveform.prototype.stopPlayback = function() {
-    this.isPlaying = false;
-    this.draw();
-};
+function getPitchOptions() {
+    var minF0 = pitchControls.minF0 ? parseFloat(pitchControls.minF0.value) : NaN;
+    var maxF0 = pitchControls.maxF0 ? parseFloat(pitchControls.maxF0.value) : NaN;
+    minF0 = minF0 > 0 ? minF0 : 60;
+    maxF0 = maxF0 > minF0 ? maxF0 : Math.max(500, minF0 * 2);
+    return { minF0: minF0, maxF0: maxF0 };
+}
 
 /**
- * 更新播放位置（內部方法，用於動畫循環）
+ * 是否顯示音高曲線
+ * @returns {boolean}
  */
-AccumulatedWaveform.prototype._updatePlaybackPosition = function() {
-    if (!this.isPlaying) {
-        return;
-    }
-    
-    // 計算當前播放位置
-    var elapsed = audioContext.currentTime - this.playbackStartTime;
-    var samplesPassed = elapsed * this.sourceSampleRate;
-    var decimatedSamplesPassed = samplesPassed / this.decimationFactor;
-    
-    this.playbackPosition = this.playbackStartSample + decimatedSamplesPassed;
-    
-    // 重繪波形
-    this.draw();
-    
-    // 繼續動畫循環
-    var self = this;
-    requestAnimationFrame(function() {
-        self._updatePlaybackPosition();
-    });
-};
-
-/*=================================================================
- * OverviewWaveform 類 - 全局波形視圖
- * 顯示整體波形並標示當前 AccumulatedWaveform 的觀察區域
- *================================================================*/
+function isPitchOverlayEnabled() {
+    return !pitchControls.overlay || pitchControls.overlay.checked;
+}
 
 /**
- * OverviewWaveform 類構造函數
- * @param {HTMLCanvasElement} canvas - 用於繪製全局波形的 Canvas 元素
- * @param {AccumulatedWaveform} accumulatedWaveform - 關聯的累積波形實例
+ * 開始錄音時建立音高追蹤器
+ * @param {number} sampleRate - 錄音片段解碼後的採樣率
  */
-function OverviewWaveform(canvas, accumulatedWaveform) {
-    this.canvas = canvas;
-    this.canvasContext = canvas.getContext('2d');
-    this.width = canvas.width;
-    this.height = canvas.height;
-    this.accumulatedWaveform = accumulatedWaveform;
-    
-    this.clear();
+function startLivePitchTracking(sampleRate) {
+    livePitchTracker = new PitchTracker(sampleRate, getPitchOptions());
+    if (accumulatedWaveform) {
+        accumulatedWaveform.pitchTrack = livePitchTracker.track;
+    }
 }
 
 /**
- * 清空畫布
+ * 以錄音目前的音訊重新計算音高軌跡
+ * 計算期間不顯示舊的曲線；切換錄音或開始新的分析時放棄計算
+ * @param {RecordingTake} take - 錄音
+ * @param {Object} decoded - 已解碼的音訊 { channels, sampleRate }
+ * @returns {Promise} 完成或放棄後 resolve
  */
-OverviewWaveform.prototype.clear = function() {
-    this.canvasContext.clearRect(0, 0, this.width, this.height);
-    this.canvasContext.fillStyle = '#f5f5f5';
-    this.canvasContext.fillRect(0, 0, this.width, this.height);
-};
+function updateTakePitch(take, decoded) {
+    var job = ++pitchAnalysisJob;
 
-/**
- * 繪製全局波形和視窗指示器
- */
-OverviewWaveform.prototype.draw = function() {
-    if (!this.accumulatedWaveform) {
-        return;
-    }
-    
-    this.clear();
-    
-    var sampleCount = this.accumulatedWaveform.sampleCount;
-    if (!sampleCount) {
-        return;
+    take.pitchTrack = null;
+    if (accumulatedWaveform) {
+        accumulatedWaveform.setPitchTrack(null);
     }
-    
-    var ctx = this.canvasContext;
-    var width = this.width;
-    var height = this.height;
-    var centerY = height / 2;
-    
-    // 繪製整體波形（簡化版本）
-    var samplesPerPixel = sampleCount / width;
-    
-    ctx.strokeStyle = '#9E9E9E';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    
-    for (var x = 0; x < width; x++) {
-        var rangeStart = x * samplesPerPixel;
-        var rangeEnd = rangeStart + samplesPerPixel;
-        var startIdx = Math.floor(rangeStart);
-        var endIdx = Math.min(Math.floor(rangeEnd), sampleCount - 1);
-        
-        if (endIdx < startIdx) {
-            endIdx = startIdx;
-        }
-        
-        var min = 1.0;
-        var max = -1.0;
-        
-        for (var idx = startIdx; idx <= endIdx; idx++) {
-            if (idx >= 0 && idx < this.accumulatedWaveform.sampleMin.length) {
-                var sampleMin = this.accumulatedWaveform.sampleMin[idx];
-                var sampleMax = this.accumulatedWaveform.sampleMax[idx];
-                if (sampleMin < min) min = sampleMin;
-                if (sampleMax > max) max = sampleMax;
-            }
+    updatePitchButtonsState();
+
+    return trackPitch(decoded.channels[0], decoded.sampleRate, getPitchOptions(), function() {
+        return job === pitchAnalysisJob && takeManager.activeTakeId === take.id;
+    }).then(function(track) {
+        if (!track) {
+            return;
         }
-        
-        if (min > max) {
-            continue;
+        take.pitchTrack = track;
+        if (accumulatedWaveform) {
+            accumulatedWaveform.setPitchTrack(track);
         }
-        
-        // 去除 DC offset
-        var columnOffset = (max + min) / 2;
-        var adjustedMax = max - columnOffset;
-        var adjustedMin = min - columnOffset;
-        
-        if (adjustedMax > 1) adjustedMax = 1;
-        if (adjustedMax < -1) adjustedMax = -1;
-        if (adjustedMin > 1) adjustedMin = 1;
-        if (adjustedMin < -1) adjustedMin = -1;
-        
-        var yTop = centerY - adjustedMax * centerY * 0.9;
-        var yBottom = centerY - adjustedMin * centerY * 0.9;
-        
-        ctx.moveTo(x + 0.5, yTop);
-        ctx.lineTo(x + 0.5, yBottom);
-    }
-    
-    ctx.stroke();
-    
-    // 繪製當前視窗指示器
-    var viewStart = this.accumulatedWaveform.viewStart;
-    var visibleSamples = this.accumulatedWaveform.getVisibleSamples();
-    
-    var viewStartX = (viewStart / sampleCount) * width;
-    var viewWidth = (visibleSamples / sampleCount) * width;
-    
-    // 繪製半透明的視窗範圍
-    ctx.fillStyle = 'rgba(30, 136, 229, 0.2)';
-    ctx.fillRect(viewStartX, 0, viewWidth, height);
-    
-    // 繪製視窗邊框
-    ctx.strokeStyle = '#1E88E5';
-    ctx.lineWidth = 2;
-    ctx.strokeRect(viewStartX, 0, viewWidth, height);
-
-    // 繪製紅色垂直播放位置（若有播放或已設定位置）
-    var playbackPos = this.accumulatedWaveform.playbackPosition;
-    if (typeof playbackPos === 'number' && playbackPos >= 0 && playbackPos <= sampleCount) {
-        var playbackX = (playbackPos / sampleCount) * width;
-        ctx.strokeStyle = '#FF0000';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(playbackX + 0.5, 0);
-        ctx.lineTo(playbackX + 0.5, height);
-        ctx.stroke();
-        // 頂部三角形
-        ctx.fillStyle = '#FF0000';
-        ctx.beginPath();
-        ctx.moveTo(playbackX, 0);
-        ctx.lineTo(playbackX - 5, 9);
-        ctx.lineTo(playbackX + 5, 9);
-        ctx.closePath();
-        ctx.fill();
-        // 底部三角形
-        ctx.beginPath();
-        ctx.moveTo(playbackX, height);
-        ctx.lineTo(playbackX - 5, height - 9);
-        ctx.lineTo(playbackX + 5, height - 9);
-        ctx.closePath();
-        ctx.fill();
-    }
-};
-
-/*=================================================================
- * 輔助工具函數
- * 提供時間計算、麥克風捕獲等通用功能
- *================================================================*/
+        updatePitchButtonsState();
+    });
+}
 
 /**
- * 將秒數轉換為時:分:秒格式
- * @param {number} secs - 總秒數
- * @returns {string} 格式化的時間字串 (HH:MM:SS 或 MM:SS)
+ * 解碼開啟中錄音的音訊一次，更新頻譜圖與音高軌跡
+ * @param {RecordingTake} take - 錄音
+ * @param {Object} [decoded] - 已解碼的音訊，省略時自行解碼
  */
-function calculateTimeDuration(secs) {
-    var hr = Math.floor(secs / 3600);           // 計算小時
-    var min = Math.floor((secs - (hr * 3600)) / 60); // 計算分鐘
-    var sec = Math.floor(secs - (hr * 3600) - (min * 60)); // 計算秒數
-
-    // 格式化分鐘：小於10時前面補0
-    if (min < 10) {
-        min = "0" + min;
-    }
-
-    // 格式化秒數：小於10時前面補0
-    if (sec < 10) {
-        sec = "0" + sec;
-    }
+function refreshTakeAnalysis(take, decoded) {
+    var ready = decoded ? Promise.resolve(decoded) : readAudioChannels(take.getAudioBlob());
 
-    // 如果沒有小時，只顯示分:秒
-    if(hr <= 0) {
-        return min + ':' + sec;
-    }
+    var recomputePitch = !!decoded || !take.pitchTrack; // 音訊未變時沿用已計算的音高
 
-    // 有小時時顯示時:分:秒
-    return hr + ':' + min + ':' + sec;
+    ready.then(function(audioData) {
+        if (takeManager.activeTakeId !== take.id) {
+            return;
+        }
+        updateTakeSpectrogram(take, audioData);
+        if (recomputePitch) {
+            updateTakePitch(take, audioData);
+        }
+    }).catch(function(error) {
+        console.warn('無法分析錄音:', error);
+    });
 }
 
 /**
- * 捕獲用戶麥克風
- * 請求麥克風權限並獲取音頻流
- * @param {function} callback - 成功獲取麥克風後的回調函數
+ * 將音高軌跡序列化為 CSV（無聲的音框基頻留白）
+ * @param {Object} track - 音高軌跡
+ * @returns {string} CSV 內容
  */
-function captureMicrophone(callback) {
-    // 讀取 AGC 設定
-    var agcToggle = document.getElementById('agc-toggle');
-    var agcEnabled = agcToggle ? agcToggle.checked : false;
-    
-    navigator.mediaDevices.getUserMedia({
-        audio: {
-            echoCancellation: false,    // 關閉回音消除
-            noiseSuppression: false,    // 關閉噪音抑制
-            autoGainControl: agcEnabled // 根據使用者設定啟用/停用 AGC
-        },
-        video: false                    // 不需要視頻
-    }).then(function(microphone) {
-        callback(microphone);           // 成功時執行回調
-    }).catch(function(error) {
-        // 錯誤處理：顯示錯誤訊息並記錄到控制台
-        alert('Unable to capture your microphone. Please check console logs.');
-        console.error(error);
+function serializePitchCsv(track) {
+    var lines = ['time_sec,f0_hz'];
+    track.values.forEach(function(f0, index) {
+        var time = track.firstSeconds + index * track.hopSeconds;
+        lines.push(time.toFixed(3) + ',' + (f0 ? f0.toFixed(2) : ''));
     });
+    return lines.join('\n') + '\n';
 }
 
-/*=================================================================
- * 累積波形更新工具
- * 將新收到的音訊 Blob 解碼並附加至累積波形
- *================================================================*/
-
 /**
- * 將錄音片段 Blob 附加至累積波形顯示
- * @param {Blob} blob - 錄音片段
+ * 依錄音狀態更新音高匯出按鈕
  */
-function appendBlobToAccumulatedWaveform(blob) {
-    if (!accumulatedWaveform || !audioContext) {
+function updatePitchButtonsState() {
+    if (!pitchControls || !pitchControls.exportCsv) {
         return;
     }
+    var take = takeManager && takeManager.getActiveTake();
+    pitchControls.exportCsv.disabled = recorderState.isCapturing() || !take || !take.pitchTrack;
+}
 
-    blob.arrayBuffer().then(function(arrayBuffer) {
-        return audioContext.decodeAudioData(arrayBuffer);
-    }).then(function(audioBuffer) {
-        if (!accumulatedWaveform) {
+if (pitchControls.exportCsv) {
+    pitchControls.exportCsv.addEventListener('click', function() {
+        var take = takeManager.getActiveTake();
+        if (!take || !take.pitchTrack) {
             return;
         }
+        var csv = new Blob([serializePitchCsv(take.pitchTrack)], { type: 'text/csv' });
+        downloadBlob(csv, toSafeFileName(take.name) + '_pitch.csv');
+    });
+}
 
-        accumulatedWaveform.setSourceSampleRate(audioBuffer.sampleRate);
-        var channelData = audioBuffer.getChannelData(0);
-        accumulatedWaveform.append(channelData);
-    }).catch(function(error) {
-        console.warn('Unable to decode audio chunk for accumulated waveform.', error);
+if (pitchControls.overlay) {
+    pitchControls.overlay.addEventListener('change', function() {
+        if (accumulatedWaveform) {
+            accumulatedWaveform.draw();
+        }
     });
 }
 
-/**
- * 播放選取的音訊範圍或整句
- */
-function playSelectedOrFullAudio() {
-    if (!latestRecordingBlob || !audioContext || !accumulatedWaveform) {
-        console.warn('沒有可播放的音訊');
+// 變更基頻範圍時重新分析開啟中的錄音
+[pitchControls.minF0, pitchControls.maxF0].forEach(function(input) {
+    if (!input) {
         return;
     }
-
-    // 停止之前的播放
-    if (selectionAudioSource) {
-        try {
-            selectionAudioSource.stop();
-        } catch (e) {
-            // 忽略已經停止的錯誤
+    input.addEventListener('change', function() {
+        var take = takeManager && takeManager.getActiveTake();
+        if (take && !recorderState.isCapturing()) {
+            take.pitchTrack = null;
+            refreshTakeAnalysis(take);
         }
-        selectionAudioSource = null;
-    }
-    
-    // 停止之前的播放動畫
-    if (accumulatedWaveform) {
-        accumulatedWaveform.stopPlayback();
-    }
+    });
+});
 
-    latestRecordingBlob.arrayBuffer().then(function(arrayBuffer) {
-        return audioContext.decodeAudioData(arrayBuffer);
-    }).then(function(audioBuffer) {
-        var sampleRate = audioBuffer.sampleRate;
-        var channelData = audioBuffer.getChannelData(0);
-        
-        // 判斷播放起始位置
-        var startSample, endSample;
-        var playFromPosition = false;
-        
-        // 優先使用播放位置指示器
-        if (accumulatedWaveform.playbackPosition > 0 && 
-            accumulatedWaveform.playbackPosition < accumulatedWaveform.sampleCount) {
-            // 從播放位置開始
-            var decimationFactor = accumulatedWaveform.decimationFactor;
-            startSample = Math.floor(accumulatedWaveform.playbackPosition * decimationFactor);
-            playFromPosition = true;
-            
+/*=================================================================
+ * AccumulatedWaveform 類 - 累積音訊波形顯示
+ * 持續繪製目前錄製完成的音訊波形，方便觀察整體振幅分佈
+ *================================================================*/
+
+/**
+ * AccumulatedWaveform 類構造函數
+ * @param {HTMLCanvasElement} canvas - 用於繪製累積波形的 Canvas 元素
+ */
+function AccumulatedWaveform(canvas) {
+    this.canvas = canvas;
+    this.canvasContext = canvas.getContext('2d');
+    this.width = canvas.width;
+    this.height = canvas.height;
+
+    this.targetSampleRate = 5000;          // 目標採樣率，控制記憶體使用量
+    this.sourceSampleRate = 48000;         // 預設來源採樣率
+    this.decimationFactor = 10;            // 預設下采樣倍率
+
+    this.sampleMin = [];                   // 累積區段的最小值（動態增長）
+    this.sampleMax = [];                   // 累積區段的最大值（動態增長）
+    this.sampleCount = 0;                  // 目前緩衝內的有效樣本數
+
+    this.zoomFactor = 1;                   // 目前縮放倍率（1 代表完整視圖）
+    this.viewStart = 0;                    // 可視範圍起始樣本索引
+    this.isAutoScroll = true;              // 是否自動捲動到最新資料
+    this._panRemainder = 0;                // 平滑平移時的殘餘樣本量
+    
+    // 播放位置相關
+    this.playbackPosition = 0;             // 當前播放位置（樣本索引）
+    this.isPlaying = false;                // 是否正在播放
+    this.playbackStartTime = 0;            // 播放開始時間戳記
+    this.playbackStartSample = 0;          // 播放開始的樣本位置
+    this.playbackRate = 1;                 // 播放速度倍率（變速播放時游標依此換算）
+    this.playbackLoop = null;              // 循環播放區段 { start, end, period, offset }
+    this.loopCount = 0;                    // 循環播放目前是第幾遍
+    this.onLoopCount = null;               // 循環次數變更回調
+
+    this.clipRegions = [];                 // 削波區段（原始樣本位置）
+    this.pitchTrack = null;                // 音高軌跡（見 PitchTracker）
+    this.markers = [];                     // 標記與標籤區段（原始樣本位置，見標記區段）
+    this.activeMarkerId = null;            // 反白顯示的標記
+    this.markerTagHeight = 16;             // 標記名稱標籤高度（像素）
+    this.resumePoints = [];                // 暫停後繼續錄音的位置（原始樣本位置）
+
+    this.clear();
+    setAccumulatedControlsEnabled(false);
+}
+
+/**
+ * 清空畫布並重繪基準線
+ */
+AccumulatedWaveform.prototype.clear = function() {
+    this.canvasContext.clearRect(0, 0, this.width, this.height);
+    this.canvasContext.fillStyle = '#f0f0f0';
+    this.canvasContext.fillRect(0, 0, this.width, this.height);
+
+    this.canvasContext.lineWidth = 1;
+    this.canvasContext.strokeStyle = '#d0d0d0';
+    this.canvasContext.beginPath();
+    this.canvasContext.moveTo(0, this.height / 2);
+    this.canvasContext.lineTo(this.width, this.height / 2);
+    this.canvasContext.stroke();
+};
+
+/**
+ * 重置累積資訊
+ */
+AccumulatedWaveform.prototype.reset = function() {
+    this.sampleMin.length = 0;
+    this.sampleMax.length = 0;
+    this.sampleCount = 0;
+    this.zoomFactor = 1;
+    this.viewStart = 0;
+    this.isAutoScroll = true;
+    this._panRemainder = 0;
+    this.clipRegions = [];
+    this.pitchTrack = null;
+    this.markers = [];
+    this.resumePoints = [];
+    this.clear();
+    setAccumulatedControlsEnabled(false);
+
+    // 同步清空全局波形視圖
+    if (overviewWaveform && overviewWaveform.accumulatedWaveform === this) {
+        overviewWaveform.draw();
+    }
+};
+
+/**
+ * 增加新的音訊取樣資料並重新繪製
+ * @param {Float32Array} audioSamples - 新的音訊資料
+ */
+AccumulatedWaveform.prototype.append = function(audioSamples) {
+    if (!audioSamples || !audioSamples.length) {
+        return;
+    }
+
+    var factor = this.decimationFactor;
+    var total = audioSamples.length;
+
+    for (var i = 0; i < total; i += factor) {
+        var blockMin = 1.0;
+        var blockMax = -1.0;
+        var blockSum = 0;
+        var blockCount = 0;
+
+        for (var j = 0; j < factor && (i + j) < total; j++) {
+            var sample = audioSamples[i + j];
+            blockSum += sample;
+            blockCount++;
+        }
+
+        var blockMean = blockCount ? (blockSum / blockCount) : 0;
+
+        for (var k = 0; k < blockCount; k++) {
+            var centeredSample = audioSamples[i + k] - blockMean;
+            if (centeredSample < blockMin) {
+                blockMin = centeredSample;
+            }
+            if (centeredSample > blockMax) {
+                blockMax = centeredSample;
+            }
+        }
+
+        if (!blockCount) {
+            continue;
+        }
+
+        if (blockMin > blockMax) {
+            blockMin = blockMax = 0;
+        }
+
+        this.sampleMin.push(blockMin);
+        this.sampleMax.push(blockMax);
+        this.sampleCount++;
+    }
+
+    if (this.isAutoScroll) {
+        this.scrollToLatest();
+    } else {
+        this._enforceViewBounds();
+    }
+
+    if (this.sampleCount > 0) {
+        setAccumulatedControlsEnabled(true);
+    }
+
+    this.draw();
+};
+
+/**
+ * 繪製累積波形
+ */
+AccumulatedWaveform.prototype.draw = function() {
+    this.clear();
+
+    if (!this.sampleCount) {
+        return;
+    }
+
+    var ctx = this.canvasContext;
+    var width = this.width;
+    var height = this.height;
+    var totalSamples = this.sampleCount;
+    var centerY = height / 2;
+    var visibleSamples = this.getVisibleSamples();
+
+    if (this.viewStart + visibleSamples > totalSamples) {
+        this.viewStart = Math.max(0, totalSamples - visibleSamples);
+    }
+
+    var startSample = this.viewStart;
+    var endSample = Math.min(totalSamples, startSample + visibleSamples);
+    var samplesPerPixel = visibleSamples / width;
+
+    ctx.strokeStyle = '#1E88E5';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+
+    if (samplesPerPixel <= 1) {
+        var spacing = visibleSamples > 1 ? width / (visibleSamples - 1) : width;
+        for (var i = 0; i < visibleSamples; i++) {
+            var sampleIndex = startSample + i;
+            if (sampleIndex >= endSample) {
+                break;
+            }
+
+            var pair = this._getSamplePair(sampleIndex);
+            if (!pair) {
+                continue;
+            }
+
+            var columnOffset = (pair.max + pair.min) / 2;
+            var adjustedMax = pair.max - columnOffset;
+            var adjustedMin = pair.min - columnOffset;
+
+            if (adjustedMax > 1) adjustedMax = 1;
+            if (adjustedMax < -1) adjustedMax = -1;
+            if (adjustedMin > 1) adjustedMin = 1;
+            if (adjustedMin < -1) adjustedMin = -1;
+
+            var drawX = visibleSamples > 1 ? i * spacing : width / 2;
+            var yTop = centerY - adjustedMax * centerY;
+            var yBottom = centerY - adjustedMin * centerY;
+
+            ctx.moveTo(drawX + 0.5, yTop);
+            ctx.lineTo(drawX + 0.5, yBottom);
+        }
+    } else {
+        for (var x = 0; x < width; x++) {
+            var rangeStart = startSample + x * samplesPerPixel;
+            var rangeEnd = rangeStart + samplesPerPixel;
+            var startIdx = Math.max(Math.floor(rangeStart), startSample);
+            var endIdx = Math.min(Math.floor(rangeEnd), endSample - 1);
+
+            if (endIdx < startIdx) {
+                endIdx = startIdx;
+            }
+
+            var min = 1.0;
+            var max = -1.0;
+
+            for (var idx = startIdx; idx <= endIdx; idx++) {
+                var samplePair = this._getSamplePair(idx);
+                if (!samplePair) {
+                    continue;
+                }
+                if (samplePair.min < min) {
+                    min = samplePair.min;
+                }
+                if (samplePair.max > max) {
+                    max = samplePair.max;
+                }
+            }
+
+            if (min > max) {
+                continue;
+            }
+
+            var columnOffsetLarge = (max + min) / 2;
+            var adjustedMaxLarge = max - columnOffsetLarge;
+            var adjustedMinLarge = min - columnOffsetLarge;
+
+            if (adjustedMaxLarge > 1) adjustedMaxLarge = 1;
+            if (adjustedMaxLarge < -1) adjustedMaxLarge = -1;
+            if (adjustedMinLarge > 1) adjustedMinLarge = 1;
+            if (adjustedMinLarge < -1) adjustedMinLarge = -1;
+
+            var yTop = centerY - adjustedMaxLarge * centerY;
+            var yBottom = centerY - adjustedMinLarge * centerY;
+
+            ctx.moveTo(x + 0.5, yTop);
+            ctx.lineTo(x + 0.5, yBottom);
+        }
+    }
+
+    ctx.stroke();
+
+    // 標示削波區段（紅色底色，過窄時至少 2 像素）
+    if (this.clipRegions.length) {
+        var factor = this.decimationFactor;
+        ctx.fillStyle = 'rgba(229, 62, 62, 0.35)';
+        for (var r = 0; r < this.clipRegions.length; r++) {
+            var clipStart = this.clipRegions[r].start / factor;
+            var clipEnd = this.clipRegions[r].end / factor;
+            if (clipEnd < startSample || clipStart > endSample) {
+                continue;
+            }
+            var clipStartX = ((Math.max(clipStart, startSample) - startSample) / visibleSamples) * width;
+            var clipEndX = ((Math.min(clipEnd, endSample) - startSample) / visibleSamples) * width;
+            ctx.fillRect(clipStartX, 0, Math.max(2, clipEndX - clipStartX), height);
+        }
+    }
+
+    this._drawPitch(startSample, visibleSamples);
+    this._drawMarkers(startSample, visibleSamples);
+    this._drawResumePoints(startSample, visibleSamples);
+    
+    // 繪製選取區域
+    if (selectionStart !== null && selectionEnd !== null) {
+        var selStart = Math.min(selectionStart, selectionEnd);
+        var selEnd = Math.max(selectionStart, selectionEnd);
+        
+        // 只繪製在可視範圍內的選取
+        if (selEnd >= startSample && selStart <= endSample) {
+            var visStart = Math.max(selStart, startSample);
+            var visEnd = Math.min(selEnd, endSample);
+            
+            var selStartX = ((visStart - startSample) / visibleSamples) * width;
+            var selEndX = ((visEnd - startSample) / visibleSamples) * width;
+            
+            // 繪製半透明選取區域
+            ctx.fillStyle = 'rgba(76, 175, 80, 0.2)';
+            ctx.fillRect(selStartX, 0, selEndX - selStartX, height);
+            
+            // 繪製選取邊界線
+            ctx.strokeStyle = '#4CAF50';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(selStartX, 0);
+            ctx.lineTo(selStartX, height);
+            ctx.moveTo(selEndX, 0);
+            ctx.lineTo(selEndX, height);
+            ctx.stroke();
+            
+            // 繪製可拖曳的圓形手柄（觸控友善）
+            var handleRadius = 12;
+            var handleY = height / 2;
+            
+            // 左側手柄
+            if (selStart >= startSample) {
+                ctx.fillStyle = '#4CAF50';
+                ctx.strokeStyle = '#FFFFFF';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(selStartX, handleY, handleRadius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+                
+                // 左側手柄內部指示器
+                ctx.strokeStyle = '#FFFFFF';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(selStartX - 4, handleY - 5);
+                ctx.lineTo(selStartX - 4, handleY + 5);
+                ctx.moveTo(selStartX, handleY - 5);
+                ctx.lineTo(selStartX, handleY + 5);
+                ctx.moveTo(selStartX + 4, handleY - 5);
+                ctx.lineTo(selStartX + 4, handleY + 5);
+                ctx.stroke();
+            }
+            
+            // 右側手柄
+            if (selEnd <= endSample) {
+                ctx.fillStyle = '#4CAF50';
+                ctx.strokeStyle = '#FFFFFF';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(selEndX, handleY, handleRadius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+                
+                // 右側手柄內部指示器
+                ctx.strokeStyle = '#FFFFFF';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(selEndX - 4, handleY - 5);
+                ctx.lineTo(selEndX - 4, handleY + 5);
+                ctx.moveTo(selEndX, handleY - 5);
+                ctx.lineTo(selEndX, handleY + 5);
+                ctx.moveTo(selEndX + 4, handleY - 5);
+                ctx.lineTo(selEndX + 4, handleY + 5);
+                ctx.stroke();
+            }
+        }
+    }
+    
+    // 繪製播放位置指示器（紅色垂直線）
+    if (this.playbackPosition >= 0 && this.playbackPosition <= totalSamples) {
+        // 檢查播放位置是否在可視範圍內
+        if (this.playbackPosition >= startSample && this.playbackPosition <= endSample) {
+            var playbackX = ((this.playbackPosition - startSample) / visibleSamples) * width;
+            
+            // 繪製紅色垂直線
+            ctx.strokeStyle = '#FF0000';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(playbackX, 0);
+            ctx.lineTo(playbackX, height);
+            ctx.stroke();
+            
+            // 繪製頂部三角形指示器
+            ctx.fillStyle = '#FF0000';
+            ctx.beginPath();
+            ctx.moveTo(playbackX, 0);
+            ctx.lineTo(playbackX - 6, 10);
+            ctx.lineTo(playbackX + 6, 10);
+            ctx.closePath();
+            ctx.fill();
+            
+            // 繪製底部三角形指示器
+            ctx.beginPath();
+            ctx.moveTo(playbackX, height);
+            ctx.lineTo(playbackX - 6, height - 10);
+            ctx.lineTo(playbackX + 6, height - 10);
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+    
+    // 同步更新全局波形視圖與頻譜圖
+    if (overviewWaveform) {
+        overviewWaveform.draw();
+    }
+    if (takeSpectrogram) {
+        takeSpectrogram.draw();
+    }
+    if (annotationTier) {
+        annotationTier.draw();
+    }
+};
+
+/**
+ * 設定要標示的削波區段並重繪
+ * @param {Array<Object>} regions - 削波區段 [{ start, end }]（原始樣本位置）
+ */
+AccumulatedWaveform.prototype.setClipRegions = function(regions) {
+    this.clipRegions = regions || [];
+    this.draw();
+};
+
+/**
+ * 設定要顯示的標記並重繪
+ * @param {Array<Object>} markers - 標記清單 [{ id, start, end, label }]（原始樣本位置）
+ * @param {string} [activeId] - 反白顯示的標記
+ */
+AccumulatedWaveform.prototype.setMarkers = function(markers, activeId) {
+    this.markers = markers || [];
+    this.activeMarkerId = activeId || null;
+    this.draw();
+};
+
+/**
+ * 繪製標記與標籤區段（內部方法）
+ * 時間點標記為紫色直線，區段為橘色底色與邊界；名稱顯示於頂端標籤
+ * @param {number} startSample - 可視範圍起點（樣本索引）
+ * @param {number} visibleSamples - 可視樣本數
+ */
+AccumulatedWaveform.prototype._drawMarkers = function(startSample, visibleSamples) {
+    if (!this.markers.length) {
+        return;
+    }
+
+    var ctx = this.canvasContext;
+    var width = this.width;
+    var height = this.height;
+    var factor = this.decimationFactor;
+    var endSample = startSample + visibleSamples;
+    var tagHeight = this.markerTagHeight;
+
+    ctx.save();
+    ctx.font = '11px sans-serif';
+    ctx.textBaseline = 'middle';
+
+    for (var i = 0; i < this.markers.length; i++) {
+        var marker = this.markers[i];
+        var from = marker.start / factor;
+        var to = marker.end / factor;
+        if (to < startSample || from > endSample) {
+            continue;
+        }
+
+        var isRegion = marker.end > marker.start;
+        var isActive = marker.id === this.activeMarkerId;
+        var color = isRegion ? '#FB8C00' : '#8E24AA';
+        var x1 = ((from - startSample) / visibleSamples) * width;
+        var x2 = ((to - startSample) / visibleSamples) * width;
+
+        if (isRegion) {
+            ctx.fillStyle = isActive ? 'rgba(251, 140, 0, 0.28)' : 'rgba(251, 140, 0, 0.14)';
+            ctx.fillRect(x1, 0, x2 - x1, height);
+        }
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = isActive ? 2 : 1;
+        ctx.beginPath();
+        ctx.moveTo(x1, 0);
+        ctx.lineTo(x1, height);
+        if (isRegion) {
+            ctx.moveTo(x2, 0);
+            ctx.lineTo(x2, height);
+        }
+        ctx.stroke();
+
+        // 名稱標籤（區段起點在畫面外時貼齊左緣）
+        if (marker.label) {
+            var tagX = Math.max(0, x1);
+            var tagWidth = ctx.measureText(marker.label).width + 8;
+            if (isRegion) {
+                tagWidth = Math.min(tagWidth, Math.max(0, x2 - tagX));
+            }
+            if (tagWidth > 8) {
+                ctx.fillStyle = color;
+                ctx.fillRect(tagX, 0, tagWidth, tagHeight);
+                ctx.fillStyle = '#FFFFFF';
+                ctx.fillText(marker.label, tagX + 4, tagHeight / 2, tagWidth - 8);
+            }
+        }
+    }
+
+    ctx.restore();
+};
+
+/**
+ * 設定暫停後繼續錄音的位置並重繪
+ * @param {Array<number>} points - 繼續錄音的位置（原始樣本位置）
+ */
+AccumulatedWaveform.prototype.setResumePoints = function(points) {
+    this.resumePoints = points || [];
+    this.draw();
+};
+
+/**
+ * 繪製暫停標記（內部方法）
+ * 於繼續錄音處畫灰色虛線，底端標示「⏸」以與頂端的標記名稱區分
+ * @param {number} startSample - 可視範圍起點（樣本索引）
+ * @param {number} visibleSamples - 可視樣本數
+ */
+AccumulatedWaveform.prototype._drawResumePoints = function(startSample, visibleSamples) {
+    if (!this.resumePoints.length) {
+        return;
+    }
+
+    var ctx = this.canvasContext;
+    var width = this.width;
+    var height = this.height;
+    var tagHeight = this.markerTagHeight;
+    var endSample = startSample + visibleSamples;
+
+    ctx.save();
+    ctx.font = '11px sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.strokeStyle = '#546E7A';
+    ctx.fillStyle = '#546E7A';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+
+    for (var i = 0; i < this.resumePoints.length; i++) {
+        var position = this.resumePoints[i] / this.decimationFactor;
+        if (position < startSample || position > endSample) {
+            continue;
+        }
+
+        var x = ((position - startSample) / visibleSamples) * width;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+
+        var tagWidth = ctx.measureText('⏸').width + 8;
+        ctx.fillRect(x, height - tagHeight, tagWidth, tagHeight);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('⏸', x + 4, height - tagHeight / 2);
+        ctx.fillStyle = '#546E7A';
+    }
+
+    ctx.restore();
+};
+
+/**
+ * 找出指定位置上的標記（供拖曳與重新命名）
+ * @param {number} x - 相對於畫布左緣的位置（顯示像素）
+ * @param {number} y - 相對於畫布頂端的位置（顯示像素）
+ * @param {DOMRect} rect - 畫布的顯示範圍
+ * @param {number} threshold - 判定距離（顯示像素）
+ * @returns {Object|null} { marker, edge }；edge 為 'point'、'start'、'end' 或 'move'（區段頂端標籤）
+ */
+AccumulatedWaveform.prototype.hitTestMarker = function(x, y, rect, threshold) {
+    if (!this.markers.length || !this.sampleCount) {
+        return null;
+    }
+
+    var visibleSamples = this.getVisibleSamples();
+    var factor = this.decimationFactor;
+    var canvasY = y * this.height / rect.height;
+
+    // 由後往前找，與繪製時的上下層順序一致
+    for (var i = this.markers.length - 1; i >= 0; i--) {
+        var marker = this.markers[i];
+        var x1 = ((marker.start / factor - this.viewStart) / visibleSamples) * rect.width;
+        var x2 = ((marker.end / factor - this.viewStart) / visibleSamples) * rect.width;
+
+        if (marker.end === marker.start) {
+            if (Math.abs(x - x1) <= threshold) {
+                return { marker: marker, edge: 'point' };
+            }
+            continue;
+        }
+        if (Math.abs(x - x1) <= threshold) {
+            return { marker: marker, edge: 'start' };
+        }
+        if (Math.abs(x - x2) <= threshold) {
+            return { marker: marker, edge: 'end' };
+        }
+        if (x > x1 && x < x2 && canvasY <= this.markerTagHeight) {
+            return { marker: marker, edge: 'move' };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * 設定要顯示的音高軌跡並重繪
+ * @param {Object|null} track - 音高軌跡（見 PitchTracker）
+ */
+AccumulatedWaveform.prototype.setPitchTrack = function(track) {
+    this.pitchTrack = track || null;
+    this.draw();
+};
+
+/**
+ * 繪製音高曲線（對數頻率軸，內部方法）
+ * @param {number} startSample - 可視範圍起點（樣本索引）
+ * @param {number} visibleSamples - 可視樣本數
+ */
+AccumulatedWaveform.prototype._drawPitch = function(startSample, visibleSamples) {
+    var track = this.pitchTrack;
+    if (!track || !track.values.length || !isPitchOverlayEnabled()) {
+        return;
+    }
+
+    var ctx = this.canvasContext;
+    var width = this.width;
+    var height = this.height;
+    var indexPerSecond = this.sourceSampleRate / this.decimationFactor;
+    var logMin = Math.log(track.minF0);
+    var logRange = Math.log(track.maxF0) - logMin;
+
+    function toY(f0) {
+        return height - 6 - (Math.log(f0) - logMin) / logRange * (height - 12);
+    }
+
+    // 參考線
+    ctx.save();
+    ctx.font = '10px sans-serif';
+    ctx.lineWidth = 1;
+    [100, 200, 300, 400].forEach(function(f0) {
+        if (f0 <= track.minF0 || f0 >= track.maxF0) {
+            return;
+        }
+        var y = toY(f0);
+        ctx.strokeStyle = 'rgba(221, 107, 32, 0.25)';
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+        ctx.fillStyle = 'rgba(221, 107, 32, 0.8)';
+        ctx.fillText(f0 + ' Hz', 4, y - 2);
+    });
+
+    // 只繪製可視範圍內的音框；無聲或跳動過大時斷開
+    var startSeconds = startSample / indexPerSecond;
+    var endSeconds = (startSample + visibleSamples) / indexPerSecond;
+    var first = Math.max(0, Math.floor((startSeconds - track.firstSeconds) / track.hopSeconds) - 1);
+    var last = Math.min(track.values.length - 1, Math.ceil((endSeconds - track.firstSeconds) / track.hopSeconds) + 1);
+    var previous = 0;
+
+    ctx.strokeStyle = '#DD6B20';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (var i = first; i <= last; i++) {
+        var f0 = track.values[i];
+        if (!f0) {
+            previous = 0;
+            continue;
+        }
+        var seconds = track.firstSeconds + i * track.hopSeconds;
+        var x = (seconds * indexPerSecond - startSample) / visibleSamples * width;
+        var y = toY(f0);
+        if (previous && f0 / previous < 1.5 && previous / f0 < 1.5) {
+            ctx.lineTo(x, y);
+        } else {
+            ctx.moveTo(x, y);
+        }
+        previous = f0;
+    }
+    ctx.stroke();
+    ctx.restore();
+};
+
+/**
+ * 取得目前可視範圍內的樣本數
+ * @returns {number} 可視樣本數
+ */
+AccumulatedWaveform.prototype.getVisibleSamples = function() {
+    if (!this.sampleCount) {
+        return 0;
+    }
+
+    var total = this.sampleCount;
+    var minVisible = this._getMinVisibleSamples(total);
+    var visible = Math.round(total / this.zoomFactor);
+
+    if (visible < minVisible) {
+        visible = minVisible;
+    }
+    if (visible > total) {
+        visible = total;
+    }
+
+    return visible;
+};
+
+/**
+ * 計算目前允許的最小視窗樣本數
+ * @param {number} total - 總樣本數
+ * @returns {number} 最小視窗樣本
+ */
+AccumulatedWaveform.prototype._getMinVisibleSamples = function(total) {
+    if (!total) {
+        return 0;
+    }
+
+    var minSpan;
+    if (total <= this.width) {
+        minSpan = Math.max(1, Math.ceil(total / 6));
+    } else {
+        minSpan = Math.max(1, Math.floor(this.width / 2));
+    }
+
+    if (minSpan > total) {
+        minSpan = total;
+    }
+
+    return minSpan;
+};
+
+/**
+ * 依據目前縮放狀態調整視窗邊界
+ */
+AccumulatedWaveform.prototype._enforceViewBounds = function() {
+    if (!this.sampleCount) {
+        this.viewStart = 0;
+        return;
+    }
+
+    var total = this.sampleCount;
+    var visible = this.getVisibleSamples();
+
+    if (visible >= total) {
+        this.viewStart = 0;
+        return;
+    }
+
+    if (this.viewStart < 0) {
+        this.viewStart = 0;
+    }
+
+    if (this.viewStart + visible > total) {
+        this.viewStart = total - visible;
+    }
+};
+
+/**
+ * 捲動視圖到最新資料
+ */
+AccumulatedWaveform.prototype.scrollToLatest = function() {
+    if (!this.sampleCount) {
+        this.viewStart = 0;
+        return;
+    }
+
+    var visible = this.getVisibleSamples();
+
+    if (visible >= this.sampleCount) {
+        this.viewStart = 0;
+    } else {
+        this.viewStart = this.sampleCount - visible;
+    }
+};
+
+/**
+ * 設定縮放倍率
+ * @param {number} targetZoom - 目標縮放倍率
+ * @param {number} [anchorSample] - 錨點樣本索引，用於維持放大中心
+ */
+AccumulatedWaveform.prototype.setZoom = function(targetZoom, anchorSample) {
+    if (!this.sampleCount) {
+        return;
+    }
+
+    var total = this.sampleCount;
+    var minVisible = this._getMinVisibleSamples(total);
+    var maxZoom = total / minVisible;
+    if (!isFinite(maxZoom) || maxZoom < 1) {
+        maxZoom = 1;
+    }
+
+    if (targetZoom < 1) {
+        targetZoom = 1;
+    }
+    if (targetZoom > maxZoom) {
+        targetZoom = maxZoom;
+    }
+
+    if (targetZoom === this.zoomFactor) {
+        return;
+    }
+
+    var previousVisible = this.getVisibleSamples();
+    this.zoomFactor = targetZoom;
+    var newVisible = this.getVisibleSamples();
+
+    if (anchorSample === undefined || anchorSample === null) {
+        anchorSample = this.viewStart + previousVisible / 2;
+    }
+
+    this.isAutoScroll = false;
+
+    var relative = previousVisible ? (anchorSample - this.viewStart) / previousVisible : 0.5;
+    if (!isFinite(relative)) {
+        relative = 0.5;
+    }
+
+    this.viewStart = Math.round(anchorSample - relative * newVisible);
+    this._enforceViewBounds();
+    this.draw();
+};
+
+/**
+ * 依指定的級距進行縮放
+ * @param {number} stepCount - 正值放大，負值縮小
+ * @param {number} [anchorRatio] - 錨點相對位置 (0~1) 用於保持焦點
+ */
+AccumulatedWaveform.prototype.zoomBySteps = function(stepCount, anchorRatio) {
+    if (!this.sampleCount || !stepCount) {
+        return;
+    }
+
+    var anchorSample = null;
+    if (anchorRatio !== undefined && anchorRatio !== null && this.sampleCount) {
+        if (anchorRatio < 0) {
+            anchorRatio = 0;
+        } else if (anchorRatio > 1) {
+            anchorRatio = 1;
+        }
+        anchorSample = this.viewStart + anchorRatio * this.getVisibleSamples();
+    }
+
+    var zoomBase = 1.5;
+    var targetZoom = this.zoomFactor * Math.pow(zoomBase, stepCount);
+    this.setZoom(targetZoom, anchorSample);
+};
+
+/**
+ * 依樣本量平移視圖
+ * @param {number} sampleDelta - 正值向右，負值向左
+ */
+AccumulatedWaveform.prototype.panBySamples = function(sampleDelta) {
+    if (!this.sampleCount || !sampleDelta) {
+        return;
+    }
+
+    this.isAutoScroll = false;
+    this.viewStart += sampleDelta;
+    this._panRemainder = 0;
+    this._enforceViewBounds();
+    this.draw();
+};
+
+/**
+ * 依畫素量平移視圖
+ * @param {number} pixelDelta - 以畫素為單位的位移
+ */
+AccumulatedWaveform.prototype.panByPixels = function(pixelDelta) {
+    if (!this.sampleCount || !pixelDelta) {
+        return;
+    }
+
+    var samplesPerPixel = this.getVisibleSamples() / this.width;
+    this._panRemainder += pixelDelta * samplesPerPixel;
+    var sampleDelta = Math.trunc(this._panRemainder);
+
+    if (sampleDelta !== 0) {
+        this._panRemainder -= sampleDelta;
+        this.panBySamples(sampleDelta);
+    }
+};
+
+/**
+ * 重設視圖（恢復自動捲動與預設縮放）
+ */
+AccumulatedWaveform.prototype.resetView = function() {
+    if (!this.sampleCount) {
+        this.zoomFactor = 1;
+        this.viewStart = 0;
+        this.isAutoScroll = true;
+        this._panRemainder = 0;
+        this.draw();
+        return;
+    }
+
+    this.zoomFactor = 1;
+    this._panRemainder = 0;
+    this.isAutoScroll = true;
+    this.scrollToLatest();
+    this.draw();
+};
+
+/**
+ * 設定來源採樣率並更新下采樣倍率
+ * @param {number} sampleRate - 來源音訊採樣率
+ */
+AccumulatedWaveform.prototype.setSourceSampleRate = function(sampleRate) {
+    if (!sampleRate || sampleRate <= 0) {
+        return;
+    }
+    this.sourceSampleRate = sampleRate;
+    this.decimationFactor = Math.max(1, Math.round(this.sourceSampleRate / this.targetSampleRate));
+};
+
+/**
+ * 以完整的音訊資料重建累積波形（用於載入已完成的錄音）
+ * @param {Float32Array} channelData - 音訊資料
+ * @param {number} sampleRate - 音訊採樣率
+ */
+AccumulatedWaveform.prototype.loadAudioData = function(channelData, sampleRate) {
+    this.reset();
+    this.playbackPosition = 0;
+    this.setSourceSampleRate(sampleRate);
+    this.append(channelData);
+};
+
+/**
+ * 取得目前累積波形的峰值快照
+ * @returns {Object} 包含 min/max 陣列與採樣資訊的快照
+ */
+AccumulatedWaveform.prototype.getPeaks = function() {
+    return {
+        sampleMin: this.sampleMin.slice(0, this.sampleCount),
+        sampleMax: this.sampleMax.slice(0, this.sampleCount),
+        sourceSampleRate: this.sourceSampleRate,
+        decimationFactor: this.decimationFactor
+    };
+};
+
+/**
+ * 載入峰值快照並重繪（不需重新解碼音訊）
+ * @param {Object} peaks - 由 getPeaks() 產生的快照
+ * @param {Object} [viewState] - 要還原的視圖狀態（viewStart、zoomFactor、playbackPosition）
+ */
+AccumulatedWaveform.prototype.loadPeaks = function(peaks, viewState) {
+    this.reset();
+
+    if (!peaks) {
+        this.playbackPosition = 0;
+        this.draw();
+        return;
+    }
+
+    this.sampleMin = Array.prototype.slice.call(peaks.sampleMin);
+    this.sampleMax = Array.prototype.slice.call(peaks.sampleMax);
+    this.sampleCount = this.sampleMin.length;
+    this.sourceSampleRate = peaks.sourceSampleRate || this.sourceSampleRate;
+    this.decimationFactor = peaks.decimationFactor || this.decimationFactor;
+
+    if (viewState) {
+        this.zoomFactor = viewState.zoomFactor || 1;
+        this.viewStart = viewState.viewStart || 0;
+        this.isAutoScroll = false;
+        this.playbackPosition = viewState.playbackPosition || 0;
+        this._enforceViewBounds();
+    } else {
+        this.playbackPosition = 0;
+        this.scrollToLatest();
+    }
+
+    if (this.sampleCount > 0) {
+        setAccumulatedControlsEnabled(true);
+    }
+
+    this.draw();
+};
+
+/**
+ * 取得指定索引的樣本值（考慮循環緩衝）
+ * @param {number} index - 0-based 索引
+ * @returns {number} 樣本值
+ */
+AccumulatedWaveform.prototype._getSamplePair = function(index) {
+    if (index < 0 || index >= this.sampleCount) {
+        return null;
+    }
+
+    var bufferIndex;
+    return {
+        min: this.sampleMin[index],
+        max: this.sampleMax[index]
+    };
+};
+
+/**
+ * 設定播放位置
+ * @param {number} sampleIndex - 樣本索引
+ */
+AccumulatedWaveform.prototype.setPlaybackPosition = function(sampleIndex) {
+    this.playbackPosition = Math.max(0, Math.min(sampleIndex, this.sampleCount));
+    this.draw();
+};
+
+/**
+ * 開始播放並初始化播放追蹤
+ * @param {number} startSample - 開始播放的樣本位置
+ * @param {number} sampleRate - 採樣率
+ * @param {number} [rate=1] - 播放速度倍率
+ * @param {Object} [loop] - 循環播放區段：start/end 為樣本位置，
+ *   period 為每遍長度（秒，含間隔），offset 為第一遍已略過的秒數
+ */
+AccumulatedWaveform.prototype.startPlayback = function(startSample, sampleRate, rate, loop) {
+    this.isPlaying = true;
+    this.playbackStartSample = startSample;
+    this.playbackPosition = startSample;
+    this.playbackStartTime = audioContext.currentTime;
+    this.playbackRate = rate || 1;
+    this.playbackLoop = loop || null;
+    this._setLoopCount(loop ? 1 : 0);
+    this.sourceSampleRate = sampleRate || this.sourceSampleRate;
+    
+    // 開始動畫循環更新播放位置
+    this._updatePlaybackPosition();
+};
+
+/**
+ * 停止播放
+ */
+AccumulatedWaveform.prototype.stopPlayback = function() {
+    this.isPlaying = false;
+    this.playbackLoop = null;
+    this._setLoopCount(0);
+    this.draw();
+};
+
+/**
+ * 更新循環次數並通知
+ * @param {number} count - 第幾遍（0 表示未循環）
+ */
+AccumulatedWaveform.prototype._setLoopCount = function(count) {
+    if (count === this.loopCount) {
+        return;
+    }
+    this.loopCount = count;
+    if (this.onLoopCount) {
+        this.onLoopCount(count);
+    }
+};
+
+/**
+ * 更新播放位置（內部方法，用於動畫循環）
+ */
+AccumulatedWaveform.prototype._updatePlaybackPosition = function() {
+    if (!this.isPlaying) {
+        return;
+    }
+    
+    // 計算當前播放位置
+    var elapsed = audioContext.currentTime - this.playbackStartTime;
+    var loop = this.playbackLoop;
+    if (loop) {
+        // 循環播放：依每遍長度取餘數，間隔期間游標停在區段終點
+        var loopElapsed = elapsed + loop.offset;
+        var cycleTime = loopElapsed % loop.period;
+        var advanced = cycleTime * this.playbackRate * this.sourceSampleRate / this.decimationFactor;
+        this.playbackPosition = Math.min(loop.end, loop.start + advanced);
+        this._setLoopCount(Math.floor(loopElapsed / loop.period) + 1);
+    } else {
+        var samplesPassed = elapsed * this.playbackRate * this.sourceSampleRate; // 變速時每秒前進 rate 秒的原始音訊
+        var decimatedSamplesPassed = samplesPassed / this.decimationFactor;
+        
+        this.playbackPosition = this.playbackStartSample + decimatedSamplesPassed;
+    }
+    
+    // 重繪波形
+    this.draw();
+    
+    // 繼續動畫循環
+    var self = this;
+    requestAnimationFrame(function() {
+        self._updatePlaybackPosition();
+    });
+};
+
+/*=================================================================
+ * OverviewWaveform 類 - 全局波形視圖
+ * 顯示整體波形並標示當前 AccumulatedWaveform 的觀察區域
+ *================================================================*/
+
+/**
+ * OverviewWaveform 類構造函數
+ * @param {HTMLCanvasElement} canvas - 用於繪製全局波形的 Canvas 元素
+ * @param {AccumulatedWaveform} accumulatedWaveform - 關聯的累積波形實例
+ */
+function OverviewWaveform(canvas, accumulatedWaveform) {
+    this.canvas = canvas;
+    this.canvasContext = canvas.getContext('2d');
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.accumulatedWaveform = accumulatedWaveform;
+    
+    this.clear();
+}
+
+/**
+ * 清空畫布
+ */
+OverviewWaveform.prototype.clear = function() {
+    this.canvasContext.clearRect(0, 0, this.width, this.height);
+    this.canvasContext.fillStyle = '#f5f5f5';
+    this.canvasContext.fillRect(0, 0, this.width, this.height);
+};
+
+/**
+ * 繪製全局波形和視窗指示器
+ */
+OverviewWaveform.prototype.draw = function() {
+    if (!this.accumulatedWaveform) {
+        return;
+    }
+    
+    this.clear();
+    
+    var sampleCount = this.accumulatedWaveform.sampleCount;
+    if (!sampleCount) {
+        return;
+    }
+    
+    var ctx = this.canvasContext;
+    var width = this.width;
+    var height = this.height;
+    var centerY = height / 2;
+    
+    // 繪製整體波形（簡化版本）
+    var samplesPerPixel = sampleCount / width;
+    
+    ctx.strokeStyle = '#9E9E9E';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    
+    for (var x = 0; x < width; x++) {
+        var rangeStart = x * samplesPerPixel;
+        var rangeEnd = rangeStart + samplesPerPixel;
+        var startIdx = Math.floor(rangeStart);
+        var endIdx = Math.min(Math.floor(rangeEnd), sampleCount - 1);
+        
+        if (endIdx < startIdx) {
+            endIdx = startIdx;
+        }
+        
+        var min = 1.0;
+        var max = -1.0;
+        
+        for (var idx = startIdx; idx <= endIdx; idx++) {
+            if (idx >= 0 && idx < this.accumulatedWaveform.sampleMin.length) {
+                var sampleMin = this.accumulatedWaveform.sampleMin[idx];
+                var sampleMax = this.accumulatedWaveform.sampleMax[idx];
+                if (sampleMin < min) min = sampleMin;
+                if (sampleMax > max) max = sampleMax;
+            }
+        }
+        
+        if (min > max) {
+            continue;
+        }
+        
+        // 去除 DC offset
+        var columnOffset = (max + min) / 2;
+        var adjustedMax = max - columnOffset;
+        var adjustedMin = min - columnOffset;
+        
+        if (adjustedMax > 1) adjustedMax = 1;
+        if (adjustedMax < -1) adjustedMax = -1;
+        if (adjustedMin > 1) adjustedMin = 1;
+        if (adjustedMin < -1) adjustedMin = -1;
+        
+        var yTop = centerY - adjustedMax * centerY * 0.9;
+        var yBottom = centerY - adjustedMin * centerY * 0.9;
+        
+        ctx.moveTo(x + 0.5, yTop);
+        ctx.lineTo(x + 0.5, yBottom);
+    }
+    
+    ctx.stroke();
+
+    // 標記與標籤區段
+    var markers = this.accumulatedWaveform.markers;
+    var factor = this.accumulatedWaveform.decimationFactor;
+    for (var m = 0; m < markers.length; m++) {
+        var markerX = (markers[m].start / factor / sampleCount) * width;
+        if (markers[m].end > markers[m].start) {
+            ctx.fillStyle = 'rgba(251, 140, 0, 0.3)';
+            ctx.fillRect(markerX, 0, Math.max(1, ((markers[m].end - markers[m].start) / factor / sampleCount) * width), height);
+        } else {
+            ctx.fillStyle = '#8E24AA';
+            ctx.fillRect(Math.floor(markerX), 0, 1, height);
+        }
+    }
+    
+    // 繪製當前視窗指示器
+    var viewStart = this.accumulatedWaveform.viewStart;
+    var visibleSamples = this.accumulatedWaveform.getVisibleSamples();
+    
+    var viewStartX = (viewStart / sampleCount) * width;
+    var viewWidth = (visibleSamples / sampleCount) * width;
+    
+    // 繪製半透明的視窗範圍
+    ctx.fillStyle = 'rgba(30, 136, 229, 0.2)';
+    ctx.fillRect(viewStartX, 0, viewWidth, height);
+    
+    // 繪製視窗邊框
+    ctx.strokeStyle = '#1E88E5';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(viewStartX, 0, viewWidth, height);
+
+    // 繪製紅色垂直播放位置（若有播放或已設定位置）
+    var playbackPos = this.accumulatedWaveform.playbackPosition;
+    if (typeof playbackPos === 'number' && playbackPos >= 0 && playbackPos <= sampleCount) {
+        var playbackX = (playbackPos / sampleCount) * width;
+        ctx.strokeStyle = '#FF0000';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(playbackX + 0.5, 0);
+        ctx.lineTo(playbackX + 0.5, height);
+        ctx.stroke();
+        // 頂部三角形
+        ctx.fillStyle = '#FF0000';
+        ctx.beginPath();
+        ctx.moveTo(playbackX, 0);
+        ctx.lineTo(playbackX - 5, 9);
+        ctx.lineTo(playbackX + 5, 9);
+        ctx.closePath();
+        ctx.fill();
+        // 底部三角形
+        ctx.beginPath();
+        ctx.moveTo(playbackX, height);
+        ctx.lineTo(playbackX - 5, height - 9);
+        ctx.lineTo(playbackX + 5, height - 9);
+        ctx.closePath();
+        ctx.fill();
+    }
+};
+
+/*=================================================================
+ * 輔助工具函數
+ * 提供時間計算、麥克風捕獲等通用功能
+ *================================================================*/
+
+/**
+ * 將秒數轉換為時:分:秒格式
+ * @param {number} secs - 總秒數
+ * @returns {string} 格式化的時間字串 (HH:MM:SS 或 MM:SS)
+ */
+function calculateTimeDuration(secs) {
+    var hr = Math.floor(secs / 3600);           // 計算小時
+    var min = Math.floor((secs - (hr * 3600)) / 60); // 計算分鐘
+    var sec = Math.floor(secs - (hr * 3600) - (min * 60)); // 計算秒數
+
+    // 格式化分鐘：小於10時前面補0
+    if (min < 10) {
+        min = "0" + min;
+    }
+
+    // 格式化秒數：小於10時前面補0
+    if (sec < 10) {
+        sec = "0" + sec;
+    }
+
+    // 如果沒有小時，只顯示分:秒
+    if(hr <= 0) {
+        return min + ':' + sec;
+    }
+
+    // 有小時時顯示時:分:秒
+    return hr + ':' + min + ':' + sec;
+}
+
+/*=================================================================
+ * AppError 類與通知區
+ * 將失敗分類（麥克風權限、找不到裝置、裝置忙碌、音訊系統、解碼、編碼、編輯、上傳、本機保存），
+ * 於頁面角落以不阻斷操作的通知顯示，並視情況提供重試
+ *================================================================*/
+
+/**
+ * AppError 類構造函數
+ * @param {string} category - 錯誤類別（AppError.PERMISSION_DENIED 等）
+ * @param {string} message - 錯誤說明
+ * @param {*} [cause] - 原始錯誤
+ */
+function AppError(category, message, cause) {
+    this.name = 'AppError';
+    this.category = category;
+    this.message = message;
+    this.cause = cause || null;
+    this.stack = (new Error(message)).stack;
+}
+
+AppError.prototype = Object.create(Error.prototype);
+AppError.prototype.constructor = AppError;
+
+AppError.PERMISSION_DENIED = 'permission-denied';
+AppError.NO_DEVICE = 'no-device';
+AppError.DEVICE_BUSY = 'device-busy';
+AppError.AUDIO_CONTEXT = 'audio-context';
+AppError.DECODE = 'decode';
+AppError.UPLOAD = 'upload';
+AppError.STORAGE = 'storage';
+AppError.ENCODE = 'encode';
+AppError.EDIT = 'edit';
+
+// 各類別的通知標題與處理建議
+var appErrorDescriptions = {
+    'permission-denied': { title: '麥克風權限遭拒', hint: '請於瀏覽器網址列的網站設定中允許使用麥克風，再按重試' },
+    'no-device': { title: '找不到麥克風', hint: '請確認麥克風已連接，或於「輸入裝置」選單選擇其他裝置' },
+    'device-busy': { title: '麥克風無法開啟', hint: '裝置可能正被其他程式使用，請關閉後再按重試' },
+    'audio-context': { title: '音訊系統初始化失敗', hint: '請再試一次；若仍失敗請重新整理頁面' },
+    'decode': { title: '音訊解碼失敗', hint: '檔案可能已損毀，或此瀏覽器不支援該格式' },
+    'upload': { title: '上傳失敗', hint: '請確認網路連線與伺服器狀態後再按重試' },
+    'storage': { title: '本機保存失敗', hint: '請清除舊錄音釋放空間後再按重試' },
+    'encode': { title: '音訊編碼失敗', hint: '請再試一次，或改選其他輸出格式' },
+    'edit': { title: '編輯失敗', hint: '錄音內容未變更，可再試一次' }
+};
+
+/**
+ * 將 getUserMedia 的錯誤轉為 AppError
+ * @param {Error} error - getUserMedia 拋出的錯誤（DOMException）
+ * @returns {AppError}
+ */
+AppError.fromMediaError = function(error) {
+    var name = error && error.name;
+
+    if (name === 'NotAllowedError' || name === 'SecurityError' || name === 'PermissionDeniedError') {
+        return new AppError(AppError.PERMISSION_DENIED, '瀏覽器或使用者拒絕了麥克風存取', error);
+    }
+    if (name === 'NotFoundError' || name === 'OverconstrainedError' || name === 'DevicesNotFoundError') {
+        return new AppError(AppError.NO_DEVICE, '沒有符合設定的麥克風', error);
+    }
+    return new AppError(AppError.DEVICE_BUSY, '無法開啟麥克風' + (error && error.message ? '：' + error.message : ''), error);
+};
+
+/**
+ * NotificationCenter 類構造函數
+ * 通知以 key 區分，相同 key 的新通知會取代舊的，避免連續失敗時堆疊
+ * @param {HTMLElement} container - 通知區容器
+ */
+function NotificationCenter(container) {
+    this.container = container;
+    this.items = {};    // key -> { element, timer }
+    this.nextId = 1;
+}
+
+/**
+ * 顯示通知
+ * @param {Object} options - 通知內容
+ * @param {string} [options.key] - 識別碼（相同者取代）
+ * @param {string} [options.level='info'] - 'error'、'warning' 或 'info'
+ * @param {string} options.title - 標題
+ * @param {string} [options.message] - 說明
+ * @param {Array<Object>} [options.actions] - 按鈕 { label, handler }，按下後關閉通知
+ * @param {number} [options.timeout] - 自動關閉的毫秒數（錯誤預設不自動關閉）
+ * @returns {string} 通知識別碼
+ */
+NotificationCenter.prototype.show = function(options) {
+    var key = options.key || ('notice-' + this.nextId++);
+    var level = options.level || 'info';
+    var timeout = options.timeout !== undefined ? options.timeout : (level === 'error' ? 0 : 6000);
+
+    this.dismiss(key);
+
+    if (!this.container) {
+        console.log('[' + level + '] ' + options.title + (options.message ? '：' + options.message : ''));
+        return key;
+    }
+
+    var self = this;
+    var element = document.createElement('div');
+    element.className = 'notification notification-' + level;
+    element.setAttribute('role', level === 'error' ? 'alert' : 'status');
+
+    var body = document.createElement('div');
+    body.className = 'notification-body';
+    var title = document.createElement('strong');
+    title.textContent = options.title;
+    body.appendChild(title);
+    if (options.message) {
+        var message = document.createElement('span');
+        message.textContent = options.message;
+        body.appendChild(message);
+    }
+    element.appendChild(body);
+
+    (options.actions || []).forEach(function(action) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = action.label;
+        button.addEventListener('click', function() {
+            self.dismiss(key);
+            action.handler();
+        });
+        element.appendChild(button);
+    });
+
+    var close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'notification-close';
+    close.title = '關閉';
+    close.textContent = '×';
+    close.addEventListener('click', function() {
+        self.dismiss(key);
+    });
+    element.appendChild(close);
+
+    this.container.appendChild(element);
+    this.items[key] = {
+        element: element,
+        timer: timeout > 0 ? setTimeout(function() { self.dismiss(key); }, timeout) : null
+    };
+
+    return key;
+};
+
+/**
+ * 關閉通知
+ * @param {string} key - 通知識別碼
+ */
+NotificationCenter.prototype.dismiss = function(key) {
+    var item = this.items[key];
+    if (!item) {
+        return;
+    }
+
+    if (item.timer) {
+        clearTimeout(item.timer);
+    }
+    if (item.element.parentNode) {
+        item.element.parentNode.removeChild(item.element);
+    }
+    delete this.items[key];
+};
+
+var notificationCenter = new NotificationCenter(document.getElementById('notification-area'));
+
+/**
+ * 記錄並顯示錯誤通知
+ * @param {AppError} error - 分類後的錯誤
+ * @param {Object} [options] - 設定
+ * @param {function} [options.retry] - 重試動作（提供時顯示「重試」按鈕）
+ * @param {string} [options.retryLabel='重試'] - 重試按鈕文字
+ * @param {Array<Object>} [options.actions] - 自訂按鈕 { label, handler }（提供時取代重試按鈕）
+ * @param {string} [options.key] - 通知識別碼（預設為錯誤類別）
+ */
+function reportError(error, options) {
+    options = options || {};
+    console.error(error.message, error.cause || error);
+
+    var description = appErrorDescriptions[error.category] || { title: '發生錯誤', hint: '' };
+    notificationCenter.show({
+        key: options.key || error.category,
+        level: 'error',
+        title: description.title,
+        message: error.message + (description.hint ? '。' + description.hint + '。' : ''),
+        actions: options.actions || (options.retry ? [{ label: options.retryLabel || '重試', handler: options.retry }] : [])
+    });
+}
+
+/**
+ * 捕獲用戶麥克風
+ * 請求麥克風權限並獲取音頻流
+ * @param {function} callback - 成功獲取麥克風後的回調函數
+ * @param {function} [onError] - 失敗時的回調函數，參數為 AppError（省略時直接顯示通知）
+ */
+function captureMicrophone(callback, onError) {
+    // 免手動錄音待命中：沿用已開啟的麥克風，避免重新要求權限造成延遲
+    if (handsFree.stream && handsFree.stream.active) {
+        callback(handsFree.stream);
+        return;
+    }
+
+    var deviceId = getSelectedInputDeviceId();
+
+    function request(deviceId) {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            return Promise.reject(new AppError(AppError.NO_DEVICE, '此瀏覽器不支援錄音（需要 HTTPS 與 getUserMedia）'));
+        }
+
+        var audioConstraints = getCaptureConstraints(); // 擷取設定面板與 AGC 開關
+        if (deviceId) {
+            audioConstraints.deviceId = { exact: deviceId }; // 使用選擇的輸入裝置
+        }
+        return navigator.mediaDevices.getUserMedia({
+            audio: audioConstraints,
+            video: false                // 不需要視頻
+        });
+    }
+
+    request(deviceId).catch(function(error) {
+        // 選擇的裝置已移除：不自動改用其他裝置，由使用者決定改用系統預設或另選裝置
+        if (deviceId && (error.name === 'OverconstrainedError' || error.name === 'NotFoundError')) {
+            var preferred = loadPreferredInputDevice();
+            var name = preferred && preferred.deviceId === deviceId && preferred.label ? '「' + preferred.label + '」' : '';
+            var appError = new AppError(AppError.NO_DEVICE, '找不到選擇的輸入裝置' + name, error);
+            appError.missingDevice = true;
+            throw appError;
+        }
+        throw error;
+    }).then(function(microphone) {
+        watchInputStream(microphone);
+        showAppliedCaptureSettings(readAppliedCaptureSettings(microphone));
+        refreshInputDevices();          // 取得權限後才能顯示裝置名稱
+        callback(microphone);           // 成功時執行回調
+    }, function(error) {
+        // 錯誤處理：分類後顯示通知，由呼叫端還原狀態
+        var appError = error instanceof AppError ? error : AppError.fromMediaError(error);
+        if (onError) {
+            onError(appError);
+        } else {
+            reportError(appError);
+        }
+    });
+}
+
+/*=================================================================
+ * 輸入裝置選擇
+ * 由 enumerateDevices 列出麥克風並記住上次的選擇；
+ * 裝置插拔（devicechange）或使用中的裝置中斷時明確提示，避免改由其他裝置錄音而不自知
+ *================================================================*/
+
+var inputDeviceControls = {
+    select: document.getElementById('input-device'),
+    refresh: document.getElementById('input-device-refresh'),
+    status: document.getElementById('input-device-status')
+};
+
+var inputDeviceStorageKey = 'simple-recordrtc-input-device';
+var knownInputDeviceIds = null; // 上次列出的裝置代號（用於比對新插入的裝置；null 表示尚未列出）
+
+/**
+ * 讀取上次選擇的輸入裝置
+ * @returns {Object|null} { deviceId, label }
+ */
+function loadPreferredInputDevice() {
+    try {
+        return JSON.parse(localStorage.getItem(inputDeviceStorageKey) || 'null');
+    } catch (error) {
+        console.warn('無法讀取輸入裝置設定:', error);
+        return null;
+    }
+}
+
+/**
+ * 保存選擇的輸入裝置（空字串表示系統預設）
+ * @param {string} deviceId - 裝置代號
+ * @param {string} label - 裝置名稱
+ */
+function savePreferredInputDevice(deviceId, label) {
+    try {
+        if (deviceId) {
+            localStorage.setItem(inputDeviceStorageKey, JSON.stringify({ deviceId: deviceId, label: label }));
+        } else {
+            localStorage.removeItem(inputDeviceStorageKey);
+        }
+    } catch (error) {
+        console.warn('無法保存輸入裝置設定:', error);
+    }
+}
+
+/**
+ * 取得選擇的輸入裝置代號
+ * @returns {string} 裝置代號，空字串表示系統預設
+ */
+function getSelectedInputDeviceId() {
+    if (inputDeviceControls.select && inputDeviceControls.select.value) {
+        return inputDeviceControls.select.value;
+    }
+    var preferred = loadPreferredInputDevice();
+    return preferred ? preferred.deviceId : '';
+}
+
+/**
+ * 顯示輸入裝置狀態
+ * @param {string} text - 狀態文字
+ */
+function setInputDeviceStatus(text) {
+    if (inputDeviceControls.status) {
+        inputDeviceControls.status.textContent = text;
+    }
+}
+
+/**
+ * 取得目前使用中的麥克風音軌（錄音中或免手動錄音待命中）
+ * @returns {MediaStreamTrack|null}
+ */
+function getActiveInputTrack() {
+    var stream = recorderState.isCapturing() && recorder && recorder.microphone ? recorder.microphone : handsFree.stream;
+    return stream && stream.getAudioTracks ? stream.getAudioTracks()[0] || null : null;
+}
+
+/**
+ * 重新列出輸入裝置並更新選單
+ * 尚未取得麥克風權限時瀏覽器不提供裝置名稱，以「麥克風 N」代替
+ * @returns {Promise<Array<MediaDeviceInfo>|null>} 輸入裝置清單，無法列出時為 null
+ */
+function refreshInputDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+        setInputDeviceStatus('此瀏覽器不支援選擇輸入裝置');
+        return Promise.resolve([]);
+    }
+
+    return navigator.mediaDevices.enumerateDevices().then(function(devices) {
+        var inputs = devices.filter(function(device) {
+            return device.kind === 'audioinput' && device.deviceId !== 'default' && device.deviceId !== 'communications';
+        });
+
+        var select = inputDeviceControls.select;
+        var preferred = loadPreferredInputDevice();
+        // 以保存的選擇為準：裝置暫時拔除時選單改為系統預設，重新插入後自動選回
+        var current = preferred ? preferred.deviceId : '';
+
+        // 尚未授權時裝置代號為空字串：保留上次的選擇，授權後再比對
+        if (inputs.length && !inputs[0].deviceId) {
+            if (select && preferred && !select.value) {
+                select.appendChild(new Option(preferred.label || '上次選擇的裝置', preferred.deviceId));
+                select.value = preferred.deviceId;
+            }
+            setInputDeviceStatus('允許使用麥克風後即可顯示裝置名稱');
+            return [];
+        }
+
+        var currentFound = !current;
+
+        if (select) {
+            while (select.firstChild) {
+                select.removeChild(select.firstChild);
+            }
+            select.appendChild(new Option('系統預設', ''));
+            inputs.forEach(function(device, index) {
+                select.appendChild(new Option(device.label || ('麥克風 ' + (index + 1)), device.deviceId));
+                if (device.deviceId === current) {
+                    currentFound = true;
+                }
+            });
+            select.value = currentFound ? current : '';
+        }
+
+        if (!currentFound) {
+            var name = preferred && preferred.deviceId === current && preferred.label ? '「' + preferred.label + '」' : '';
+            setInputDeviceStatus('上次選擇的輸入裝置' + name + '未連接，開始錄音時會詢問是否改用系統預設裝置');
+        } else {
+            setInputDeviceStatus(inputs.length ? '' : '找不到可用的麥克風');
+        }
+
+        knownInputDeviceIds = inputs.map(function(device) {
+            return device.deviceId;
+        });
+        return inputs;
+    }).catch(function(error) {
+        console.warn('無法列出輸入裝置:', error);
+        setInputDeviceStatus('無法列出輸入裝置');
+        return null;
+    });
+}
+
+/**
+ * 依錄音狀態更新輸入裝置控制項（錄音中不可切換裝置）
+ */
+function updateInputDeviceControlsState() {
+    if (!inputDeviceControls) {
+        return; // 輸入裝置區段尚未初始化
+    }
+
+    if (inputDeviceControls.select) {
+        inputDeviceControls.select.disabled = recorderState.isCapturing();
+    }
+    if (inputDeviceControls.refresh) {
+        inputDeviceControls.refresh.disabled = recorderState.isCapturing();
+    }
+}
+
+/**
+ * 使用中的輸入裝置中斷：停止錄音（保留已錄製的內容）或結束待命，並提示使用者
+ * @param {string} label - 中斷的裝置名稱
+ */
+function handleInputDeviceLost(label) {
+    var name = label ? '「' + label + '」' : '';
+    var wasRecording = recorderState.isCapturing();
+    var wasArmed = handsFree.armed;
+
+    if (!wasRecording && !wasArmed) {
+        return;
+    }
+
+    if (wasArmed) {
+        disarmHandsFree();
+    }
+    if (wasRecording) {
+        stopRecording.call(document.getElementById('btn-toggle-recording'));
+    }
+
+    setInputDeviceStatus('輸入裝置' + name + '已中斷連線');
+    reportError(new AppError(AppError.NO_DEVICE, '輸入裝置' + name + '已中斷連線，' +
+        (wasRecording ? '錄音已停止，中斷前錄製的內容已保留' : '免手動錄音已結束待命')), {
+        retry: wasRecording ? function() {
+            if (!recorderState.isCapturing()) {
+                startRecording.call(document.getElementById('btn-toggle-recording'));
+            }
+        } : armHandsFree,
+        retryLabel: wasRecording ? '重新開始錄音' : '重新待命'
+    });
+}
+
+/**
+ * 選擇的輸入裝置未連接時的通知按鈕：改用系統預設裝置後重試，或前往選單另選裝置
+ * @param {function} retry - 改用系統預設裝置後的重試動作
+ * @returns {Array<Object>} 通知按鈕 { label, handler }
+ */
+function getMissingInputDeviceActions(retry) {
+    return [{
+        label: '使用預設裝置',
+        handler: function() {
+            if (inputDeviceControls.select) {
+                inputDeviceControls.select.value = '';
+            }
+            savePreferredInputDevice('', '');
+            setInputDeviceStatus('');
+            retry();
+        }
+    }, {
+        label: '選擇裝置',
+        handler: function() {
+            if (inputDeviceControls.select) {
+                inputDeviceControls.select.focus();
+            }
+        }
+    }];
+}
+
+/**
+ * 監看麥克風音軌：裝置拔除時音軌會結束
+ * @param {MediaStream} stream - 麥克風串流
+ */
+function watchInputStream(stream) {
+    var track = stream.getAudioTracks()[0];
+    if (!track) {
+        return;
+    }
+
+    track.addEventListener('ended', function() {
+        if (track === getActiveInputTrack()) {
+            handleInputDeviceLost(track.label);
+        }
+    });
+}
+
+/**
+ * 裝置插拔：重新列出裝置；使用中的裝置消失時停止錄音，有新裝置時提示可切換
+ */
+function handleInputDeviceChange() {
+    var previousIds = knownInputDeviceIds;
+
+    refreshInputDevices().then(function(inputs) {
+        if (!inputs) {
+            return;
+        }
+
+        var ids = inputs.map(function(device) {
+            return device.deviceId;
+        });
+
+        var track = getActiveInputTrack();
+        if (track) {
+            var settings = track.getSettings ? track.getSettings() : {};
+            var missing = settings.deviceId && settings.deviceId !== 'default' && ids.indexOf(settings.deviceId) === -1;
+            if (track.readyState === 'ended' || missing) {
+                handleInputDeviceLost(track.label);
+                return;
+            }
+        }
+
+        var added = previousIds ? inputs.filter(function(device) {
+            return previousIds.indexOf(device.deviceId) === -1;
+        }) : [];
+        if (added.length) {
+            setInputDeviceStatus('偵測到新的輸入裝置「' + (added[0].label || '麥克風') + '」，可於選單切換' +
+                (recorderState.isCapturing() ? '（本次錄音仍使用原裝置）' : ''));
+        }
+    });
+}
+
+if (inputDeviceControls.select) {
+    inputDeviceControls.select.addEventListener('change', function() {
+        var option = this.options[this.selectedIndex];
+        savePreferredInputDevice(this.value, this.value && option ? option.textContent : '');
+        setInputDeviceStatus('');
+
+        // 免手動錄音待命中：以新裝置重新開啟麥克風
+        if (handsFree.armed && !recorderState.isCapturing()) {
+            disarmHandsFree();
+            armHandsFree();
+        }
+    });
+}
+
+if (inputDeviceControls.refresh) {
+    inputDeviceControls.refresh.addEventListener('click', refreshInputDevices);
+}
+
+if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+    navigator.mediaDevices.addEventListener('devicechange', handleInputDeviceChange);
+}
+
+refreshInputDevices();
+
+/*=================================================================
+ * 擷取設定
+ * 回音消除、噪音抑制、採樣率、聲道數與延遲的要求值，
+ * 開啟麥克風後以 track.getSettings() 讀回瀏覽器實際套用的值並隨錄音保存
+ *================================================================*/
+
+var captureSettingsControls = {
+    echoCancellation: document.getElementById('capture-echo-cancellation'),
+    noiseSuppression: document.getElementById('capture-noise-suppression'),
+    sampleRate: document.getElementById('capture-sample-rate'),
+    channelCount: document.getElementById('capture-channel-count'),
+    latency: document.getElementById('capture-latency'),
+    applied: document.getElementById('capture-applied')
+};
+
+/**
+ * 依設定面板產生 getUserMedia 的音訊限制（不含裝置）
+ * 採樣率、聲道數與延遲以 ideal 要求，裝置不支援時由瀏覽器取最接近的值而不致失敗
+ * @returns {Object} 音訊限制
+ */
+function getCaptureConstraints() {
+    var controls = captureSettingsControls;
+    var agcToggle = document.getElementById('agc-toggle');
+    var constraints = {
+        echoCancellation: controls.echoCancellation ? controls.echoCancellation.checked : false,
+        noiseSuppression: controls.noiseSuppression ? controls.noiseSuppression.checked : false,
+        autoGainControl: agcToggle ? agcToggle.checked : false
+    };
+
+    ['sampleRate', 'channelCount', 'latency'].forEach(function(name) {
+        var value = controls[name] ? parseFloat(controls[name].value) : NaN;
+        if (value > 0) {
+            constraints[name] = { ideal: value };
+        }
+    });
+
+    return constraints;
+}
+
+/**
+ * 讀回麥克風實際套用的擷取設定（瀏覽器未提供的項目為 null）
+ * @param {MediaStream} stream - 麥克風串流
+ * @returns {Object} { sampleRate, channelCount, latency, echoCancellation, noiseSuppression, autoGainControl }
+ */
+function readAppliedCaptureSettings(stream) {
+    var track = stream && stream.getAudioTracks ? stream.getAudioTracks()[0] : null;
+    var settings = track && track.getSettings ? track.getSettings() : {};
+    var applied = {};
+
+    ['sampleRate', 'channelCount', 'latency', 'echoCancellation', 'noiseSuppression', 'autoGainControl'].forEach(function(name) {
+        applied[name] = settings[name] === undefined ? null : settings[name];
+    });
+
+    return applied;
+}
+
+/**
+ * 將擷取設定轉為簡短說明
+ * @param {Object} settings - readAppliedCaptureSettings() 的結果
+ * @returns {string} 說明文字
+ */
+function describeCaptureSettings(settings) {
+    function flag(value) {
+        return value === null ? '未知' : (value ? '開' : '關');
+    }
+
+    return [
+        settings.sampleRate ? settings.sampleRate + ' Hz' : '採樣率未知',
+        settings.channelCount ? settings.channelCount + ' 聲道' : '聲道數未知',
+        settings.latency !== null ? '延遲 ' + Math.round(settings.latency * 1000) + ' ms' : '延遲未知',
+        '回音消除 ' + flag(settings.echoCancellation),
+        '噪音抑制 ' + flag(settings.noiseSuppression),
+        'AGC ' + flag(settings.autoGainControl)
+    ].join('・');
+}
+
+/**
+ * 顯示實際套用的擷取設定
+ * 錄音器以音訊系統的採樣率錄製，可能與麥克風回報的採樣率不同，故另外列出錄音檔的採樣率
+ * @param {Object} settings - readAppliedCaptureSettings() 的結果
+ * @param {number} [recordedSampleRate] - 錄音檔的採樣率（錄音開始後才知道）
+ */
+function showAppliedCaptureSettings(settings, recordedSampleRate) {
+    if (!captureSettingsControls.applied) {
+        return;
+    }
+
+    var text = '實際套用：' + describeCaptureSettings(settings);
+    if (recordedSampleRate) {
+        text += '；錄音檔 ' + recordedSampleRate + ' Hz';
+        if (settings.sampleRate && settings.sampleRate !== recordedSampleRate) {
+            text += '（依音訊系統採樣率錄製，與麥克風不同）';
+        }
+    }
+    captureSettingsControls.applied.textContent = text;
+}
+
+/**
+ * 依錄音狀態更新擷取設定控制項（錄音中不可變更）
+ */
+function updateCaptureSettingsState() {
+    if (!captureSettingsControls) {
+        return; // 擷取設定區段尚未初始化
+    }
+
+    ['echoCancellation', 'noiseSuppression', 'sampleRate', 'channelCount', 'latency'].forEach(function(name) {
+        if (captureSettingsControls[name]) {
+            captureSettingsControls[name].disabled = recorderState.isCapturing();
+        }
+    });
+}
+
+// 免手動錄音待命中變更設定：以新設定重新開啟麥克風
+['echoCancellation', 'noiseSuppression', 'sampleRate', 'channelCount', 'latency'].forEach(function(name) {
+    var control = captureSettingsControls[name];
+    if (!control) {
+        return;
+    }
+    control.addEventListener('change', function() {
+        if (handsFree.armed && !recorderState.isCapturing()) {
+            disarmHandsFree();
+            armHandsFree();
+        }
+    });
+});
+
+/*=================================================================
+ * 累積波形更新工具
+ * 將新收到的音訊 Blob 解碼並附加至累積波形
+ *================================================================*/
+
+/**
+ * 將錄音片段 Blob 附加至累積波形顯示
+ * @param {Blob} blob - 錄音片段
+ */
+function appendBlobToAccumulatedWaveform(blob) {
+    if (!accumulatedWaveform || !audioContext) {
+        return;
+    }
+
+    blob.arrayBuffer().then(function(arrayBuffer) {
+        return audioContext.decodeAudioData(arrayBuffer);
+    }).then(function(audioBuffer) {
+        if (!accumulatedWaveform) {
+            return;
+        }
+
+        accumulatedWaveform.setSourceSampleRate(audioBuffer.sampleRate);
+        var channelData = audioBuffer.getChannelData(0);
+        if (livePitchTracker) {
+            livePitchTracker.push(channelData); // 音高曲線隨波形一起更新
+        }
+        accumulatedWaveform.append(channelData);
+    }).catch(function(error) {
+        // 每個片段都可能失敗，以固定識別碼取代同一則通知
+        reportError(new AppError(AppError.DECODE, '即時波形無法解碼錄音片段，錄音本身仍持續進行', error), {
+            key: 'chunk-decode'
+        });
+    });
+}
+
+/*=================================================================
+ * 變速播放（WSOLA 時間伸縮）
+ * 以波形相似疊加法改變播放速度而不改變音高，
+ * 播放前在 Web Worker 中一次處理整個播放範圍，游標依倍率換算原始位置
+ *================================================================*/
+
+var wsolaFrameSeconds = 0.04;      // 分析窗長度（50% 重疊）
+var wsolaToleranceSeconds = 0.01;  // 尋找最相似片段的位移範圍（±）
+
+var playbackRateSelect = document.getElementById('playback-rate');
+
+/**
+ * 取得目前選擇的播放速度
+ * @returns {number} 倍率（1 為原速）
+ */
+function getPlaybackRate() {
+    var rate = playbackRateSelect ? parseFloat(playbackRateSelect.value) : 1;
+    return rate > 0 ? rate : 1;
+}
+
+/**
+ * 在可選的速度之間切換（快捷鍵使用）
+ * @param {number} direction - -1 變慢、1 變快
+ */
+function stepPlaybackRate(direction) {
+    if (!playbackRateSelect) {
+        return;
+    }
+
+    var index = playbackRateSelect.selectedIndex + direction;
+    if (index < 0 || index >= playbackRateSelect.options.length) {
+        return;
+    }
+
+    playbackRateSelect.selectedIndex = index;
+    playbackRateSelect.dispatchEvent(new Event('change'));
+}
+
+/**
+ * 在指定範圍內尋找與目標片段最相似的位置（正規化互相關）
+ * @param {Float32Array} samples - 輸入樣本
+ * @param {number} target - 目標片段起點
+ * @param {number} from - 搜尋起點
+ * @param {number} to - 搜尋終點（含）
+ * @param {number} length - 比對長度
+ * @param {number} stride - 搜尋與比對的取樣間隔
+ * @returns {number} 最相似片段的起點
+ */
+function findWsolaOffset(samples, target, from, to, length, stride) {
+    var best = from;
+    var bestScore = -Infinity;
+
+    for (var pos = from; pos <= to; pos += stride) {
+        var dot = 0;
+        var energy = 0;
+        for (var i = 0; i < length; i += stride) {
+            var value = samples[pos + i];
+            dot += samples[target + i] * value;
+            energy += value * value;
+        }
+
+        var score = energy > 0 ? dot / Math.sqrt(energy) : 0;
+        if (score > bestScore) {
+            bestScore = score;
+            best = pos;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * 以 WSOLA 伸縮音訊長度，保持音高不變
+ * 每個輸出音框從理想位置附近挑選與前一音框自然延續最相似的片段，
+ * 因此重疊處的波形相位一致，不會產生迴音或顫音
+ * @param {Float32Array} samples - 輸入樣本
+ * @param {number} sampleRate - 採樣率
+ * @param {number} rate - 播放倍率（0.5 = 半速，輸出長度為兩倍）
+ * @returns {Float32Array} 伸縮後的樣本
+ */
+function timeStretch(samples, sampleRate, rate) {
+    if (!rate || rate === 1 || !samples.length) {
+        return samples;
+    }
+
+    var frameSize = Math.max(2, Math.round(sampleRate * wsolaFrameSeconds / 2) * 2);
+    var hop = frameSize / 2;
+    var tolerance = Math.round(sampleRate * wsolaToleranceSeconds);
+    var stride = Math.max(1, Math.round(sampleRate / 8000)); // 先以約 8 kHz 粗搜，再逐樣本細修
+    var window = createSpectrumWindow('hann', frameSize);
+
+    // 尾端補零，讓最後幾個音框的搜尋與讀取不必檢查邊界
+    var input = new Float32Array(samples.length + 2 * frameSize + 2 * tolerance);
+    input.set(samples);
+
+    var outputLength = Math.ceil(samples.length / rate);
+    var output = new Float32Array(outputLength + frameSize);
+    var weight = new Float32Array(outputLength + frameSize);
+    var maxStart = samples.length + tolerance;
+    var previous = 0;
+
+    for (var outStart = 0; outStart < outputLength; outStart += hop) {
+        var start = 0;
+        if (outStart > 0) {
+            var natural = previous + hop;  // 前一音框的自然延續
+            var ideal = Math.min(maxStart, Math.round(outStart * rate));
+            var from = Math.max(0, ideal - tolerance);
+            var to = Math.min(maxStart, ideal + tolerance);
+
+            var coarse = findWsolaOffset(input, natural, from, to, hop, stride);
+            start = findWsolaOffset(input, natural, Math.max(from, coarse - stride), Math.min(to, coarse + stride), hop, 1);
+        }
+
+        for (var i = 0; i < frameSize; i++) {
+            output[outStart + i] += input[start + i] * window[i];
+            weight[outStart + i] += window[i];
+        }
+        previous = start;
+    }
+
+    for (var j = 0; j < outputLength; j++) {
+        if (weight[j] > 1e-3) {
+            output[j] /= weight[j];
+        }
+    }
+
+    return output.subarray(0, outputLength);
+}
+
+/**
+ * Worker 內執行的時間伸縮（由 processInWebWorker 載入）
+ * @param {Object} config - { samples, sampleRate, rate, frameSeconds, toleranceSeconds }
+ */
+function timeStretchInWorker(config) {
+    // Worker 內沒有主線程的設定變數，由 config 帶入
+    wsolaFrameSeconds = config.frameSeconds;
+    wsolaToleranceSeconds = config.toleranceSeconds;
+
+    var output = timeStretch(config.samples, config.sampleRate, config.rate);
+    postMessage({ samples: output }, [output.buffer]);
+}
+
+var playbackStretchCache = null;   // 最近一次伸縮的結果 { blob, rate, start, end, samples }
+var playbackStretchJob = null;     // 進行中的伸縮 { worker, reject }
+var playbackRequestId = 0;         // 最新一次播放要求的編號（伸縮完成時已被取代則不播放）
+
+/**
+ * 在 Web Worker 中伸縮播放範圍，避免長錄音在主線程卡住畫面
+ * 結果依錄音、倍率與範圍快取：暫停後從較後的位置繼續播放到同一終點時，直接取用伸縮後的對應片段；
+ * 新的要求會取消進行中的伸縮
+ * @param {Blob} blob - 播放中的音訊（錄音或編輯後的音訊）
+ * @param {Float32Array} channelData - 解碼後的樣本
+ * @param {number} start - 播放範圍起點（原始樣本位置）
+ * @param {number} end - 播放範圍終點（原始樣本位置）
+ * @param {number} sampleRate - 採樣率
+ * @param {number} rate - 播放倍率
+ * @returns {Promise<Float32Array>} 伸縮後的樣本
+ */
+function stretchPlaybackRange(blob, channelData, start, end, sampleRate, rate) {
+    if (playbackStretchJob) {
+        playbackStretchJob.worker.terminate();
+        URL.revokeObjectURL(playbackStretchJob.worker.workerURL);
+        playbackStretchJob.reject(new Error('伸縮已取消'));
+        playbackStretchJob = null;
+    }
+
+    if (!rate || rate === 1) {
+        return Promise.resolve(channelData.subarray(start, end));
+    }
+
+    var cache = playbackStretchCache;
+    if (cache && cache.blob === blob && cache.rate === rate && cache.end === end && cache.start <= start) {
+        // 伸縮後的位置約為原始位移除以倍率
+        return Promise.resolve(cache.samples.subarray(Math.min(cache.samples.length, Math.round((start - cache.start) / rate))));
+    }
+
+    var samples = channelData.slice(start, end);
+
+    return new Promise(function(resolve, reject) {
+        var worker;
+        try {
+            worker = processInWebWorker(timeStretchInWorker, [timeStretch, findWsolaOffset, createSpectrumWindow]);
+        } catch (error) {
+            // 無法建立 Worker 時改在主線程處理
+            resolve(timeStretch(samples, sampleRate, rate));
+            return;
+        }
+
+        var job = { worker: worker, reject: reject };
+        playbackStretchJob = job;
+
+        function release() {
+            worker.terminate();
+            URL.revokeObjectURL(worker.workerURL);
+            if (playbackStretchJob === job) {
+                playbackStretchJob = null;
+            }
+        }
+
+        worker.onmessage = function(event) {
+            release();
+            if (event.data.error) {
+                reject(new Error(event.data.error));
+                return;
+            }
+            resolve(event.data.samples);
+        };
+        worker.onerror = function(event) {
+            event.preventDefault();
+            release();
+            reject(new Error(event.message || '變速播放 Worker 發生錯誤'));
+        };
+
+        worker.postMessage({
+            samples: samples,
+            sampleRate: sampleRate,
+            rate: rate,
+            frameSeconds: wsolaFrameSeconds,
+            toleranceSeconds: wsolaToleranceSeconds
+        }, [samples.buffer]);
+    }).then(function(stretched) {
+        playbackStretchCache = { blob: blob, rate: rate, start: start, end: end, samples: stretched };
+        return stretched;
+    });
+}
+
+/**
+ * 播放設定變更時，若正在播放則從目前位置以新設定繼續
+ */
+function restartActivePlayback() {
+    if (recorderState.is('playing')) {
+        pausePlayback();
+        playSelectedOrFullAudio();
+    }
+}
+
+if (playbackRateSelect) {
+    playbackRateSelect.addEventListener('change', restartActivePlayback);
+}
+
+/*=================================================================
+ * 循環播放
+ * 有選取區間時重複播放該區間：音訊緩衝設為 loop 以無縫銜接，
+ * 間隔以靜音補在每一遍之後，游標與次數依播放時間換算
+ *================================================================*/
+
+var loopControls = {
+    toggle: document.getElementById('playback-loop'),
+    gap: document.getElementById('playback-loop-gap'),
+    count: document.getElementById('playback-loop-count')
+};
+
+/**
+ * 是否啟用循環播放
+ * @returns {boolean}
+ */
+function isLoopPlaybackEnabled() {
+    return !!(loopControls.toggle && loopControls.toggle.checked);
+}
+
+/**
+ * 取得每一遍之間的間隔（秒）
+ * @returns {number}
+ */
+function getLoopGapSeconds() {
+    var gap = loopControls.gap ? parseFloat(loopControls.gap.value) : 0;
+    return isFinite(gap) ? Math.max(0, Math.min(10, gap)) : 0;
+}
+
+/**
+ * 更新循環次數顯示
+ * @param {number} count - 目前是第幾遍（0 表示未在循環播放）
+ */
+function updateLoopCounter(count) {
+    if (loopControls.count) {
+        loopControls.count.textContent = count > 0 ? '第 ' + count + ' 遍' : '';
+    }
+}
+
+if (loopControls.toggle) {
+    loopControls.toggle.addEventListener('change', restartActivePlayback);
+}
+if (loopControls.gap) {
+    loopControls.gap.addEventListener('change', restartActivePlayback);
+}
+
+/**
+ * 播放選取的音訊範圍或整句
+ * 速度不是原速時先以 WSOLA 伸縮，音高維持不變；
+ * 啟用循環播放且有選取區間時，重複播放選取區間直到暫停或停止
+ */
+function playSelectedOrFullAudio() {
+    if (!latestRecordingBlob || !accumulatedWaveform) {
+        notificationCenter.show({ key: 'playback', level: 'warning', title: '沒有可播放的音訊', message: '請先錄音或開啟錄音清單中的錄音。' });
+        return;
+    }
+    if (!audioContext) {
+        reportError(new AppError(AppError.AUDIO_CONTEXT, '音訊系統尚未就緒，無法播放'), {
+            retry: startPlaybackFromButton,
+            retryLabel: '重新播放'
+        });
+        return;
+    }
+
+    // 停止之前的播放
+    if (selectionAudioSource) {
+        try {
+            selectionAudioSource.onended = null;
+            selectionAudioSource.stop();
+        } catch (e) {
+            // 忽略已經停止的錯誤
+        }
+        selectionAudioSource = null;
+    }
+    
+    // 停止之前的播放動畫
+    if (accumulatedWaveform) {
+        accumulatedWaveform.stopPlayback();
+    }
+
+    var blob = latestRecordingBlob;
+    var request = ++playbackRequestId;
+
+    blob.arrayBuffer().then(function(arrayBuffer) {
+        return audioContext.decodeAudioData(arrayBuffer);
+    }).then(function(audioBuffer) {
+        if (request !== playbackRequestId || blob !== latestRecordingBlob) {
+            return; // 解碼期間已有新的播放要求，或已切換錄音
+        }
+
+        var sampleRate = audioBuffer.sampleRate;
+        var channelData = audioBuffer.getChannelData(0);
+        
+
+        // 判斷播放起始位置
+        var startSample, endSample;
+        var playFromPosition = false;
+        var loopPlayback = isLoopPlaybackEnabled() && selectionStart !== null && selectionEnd !== null && selectionStart !== selectionEnd;
+        var loopOffset = 0; // 循環播放時，第一遍從選取區間內的播放位置接續（原始樣本數）
+        
+        if (loopPlayback) {
+            var decimationFactor = accumulatedWaveform.decimationFactor;
+            startSample = Math.max(0, Math.floor(Math.min(selectionStart, selectionEnd) * decimationFactor));
+            endSample = Math.min(channelData.length, Math.ceil(Math.max(selectionStart, selectionEnd) * decimationFactor));
+
+            var positionSample = Math.floor(accumulatedWaveform.playbackPosition * decimationFactor);
+            if (positionSample > startSample && positionSample < endSample) {
+                loopOffset = positionSample - startSample;
+            }
+
+            console.log('循環播放選取範圍: 樣本 ' + startSample + ' 到 ' + endSample);
+        } else if (accumulatedWaveform.playbackPosition > 0 && 
+            accumulatedWaveform.playbackPosition < accumulatedWaveform.sampleCount) {
+            // 從播放位置開始
+            var decimationFactor = accumulatedWaveform.decimationFactor;
+            startSample = Math.floor(accumulatedWaveform.playbackPosition * decimationFactor);
+            playFromPosition = true;
+            
             // 如果有選取範圍，播放到選取範圍結束
             if (selectionStart !== null && selectionEnd !== null) {
                 var selEnd = Math.max(selectionStart, selectionEnd);
                 endSample = Math.min(channelData.length, Math.ceil(selEnd * decimationFactor));
             } else {
-                // 否則播放到結尾
-                endSample = channelData.length;
+                // 否則播放到結尾
+                endSample = channelData.length;
+            }
+            
+            console.log('從播放位置開始: 樣本 ' + startSample);
+        } else if (selectionStart !== null && selectionEnd !== null) {
+            // 有選取範圍，播放選取範圍
+            var decimationFactor = accumulatedWaveform.decimationFactor;
+            startSample = Math.min(selectionStart, selectionEnd) * decimationFactor;
+            endSample = Math.max(selectionStart, selectionEnd) * decimationFactor;
+            
+            startSample = Math.max(0, Math.floor(startSample));
+            endSample = Math.min(channelData.length, Math.ceil(endSample));
+            
+            console.log('播放選取範圍: 樣本 ' + startSample + ' 到 ' + endSample);
+        } else {
+            // 播放整句
+            startSample = 0;
+            endSample = channelData.length;
+            console.log('播放整句: 總共 ' + channelData.length + ' 個樣本');
+        }
+        
+        if (startSample >= endSample) {
+            notificationCenter.show({ key: 'playback', level: 'warning', title: '播放範圍無效', message: '播放位置已在選取區間或錄音的結尾，請重新選取或移動播放位置。' });
+            return;
+        }
+        
+        // 提取播放範圍的音訊數據，依播放速度伸縮
+        var playbackRate = getPlaybackRate();
+        return stretchPlaybackRange(blob, channelData, startSample, endSample, sampleRate, playbackRate).then(function(playData) {
+            if (request !== playbackRequestId || blob !== latestRecordingBlob) {
+                return; // 伸縮期間已有新的播放要求，或已切換錄音
+            }
+
+            var duration = playData.length / sampleRate;
+            var gapLength = loopPlayback ? Math.round(getLoopGapSeconds() * sampleRate) : 0; // 每遍之後的靜音
+            var newBuffer = audioContext.createBuffer(1, playData.length + gapLength, sampleRate);
+            newBuffer.getChannelData(0).set(playData);
+        
+            // 創建音訊源並播放
+            selectionAudioSource = audioContext.createBufferSource();
+            selectionAudioSource.buffer = newBuffer;
+            selectionAudioSource.loop = loopPlayback; // 整個緩衝（含間隔）首尾相接
+            selectionAudioSource.connect(audioContext.destination);
+        
+            // 開始播放動畫
+            var decimationFactor = accumulatedWaveform.decimationFactor;
+            var startSampleDecimated = (startSample + loopOffset) / decimationFactor;
+            var offsetSeconds = loopOffset / playbackRate / sampleRate; // 伸縮後緩衝中的起點
+            accumulatedWaveform.startPlayback(startSampleDecimated, sampleRate, playbackRate, loopPlayback ? {
+                start: startSample / decimationFactor,
+                end: endSample / decimationFactor,
+                period: newBuffer.duration,
+                offset: offsetSeconds
+            } : null);
+        
+            // 播放結束後清理
+            selectionAudioSource.onended = function() {
+                selectionAudioSource = null;
+                if (accumulatedWaveform) {
+                    accumulatedWaveform.stopPlayback();
+                    // 播放結束後，播放位置停留在結束位置
+                    accumulatedWaveform.setPlaybackPosition(endSample / decimationFactor);
+                }
+                syncViewStateBaseline();
+                console.log('播放完成');
+                recorderState.transition('ready');
+            };
+        
+            selectionAudioSource.start(0, offsetSeconds);
+            recorderState.transition('playing');
+            updatePlaybackButtonsState();
+            console.log('開始播放，時長: ' + duration.toFixed(2) + ' 秒（' + playbackRate + 'x）');
+        });
+        
+    }).catch(function(error) {
+        if (request !== playbackRequestId) {
+            return; // 已被新的播放要求取代
+        }
+        if (accumulatedWaveform) {
+            accumulatedWaveform.stopPlayback();
+        }
+        if (recorderState.is('playing')) {
+            recorderState.transition('ready');
+        }
+        updatePlaybackButtonsState();
+        reportError(new AppError(AppError.DECODE, '無法解碼錄音以播放', error), {
+            retry: playSelectedOrFullAudio,
+            retryLabel: '重新播放'
+        });
+    });
+}
+
+/**
+ * 綁定累積波形操作的互動控制
+ * @param {HTMLCanvasElement} canvas - 累積波形使用的畫布
+ */
+function bindAccumulatedWaveformInteractions(canvas) {
+    if (!canvas || accumulatedControlsBound) {
+        return;
+    }
+
+    accumulatedControlsBound = true;
+
+    var isDragging = false;
+    var isSelecting = false;
+    var isResizingSelection = false;
+    var resizeEdge = null; // 'left' 或 'right'
+    var markerDrag = null; // 拖曳中的標記 { id, edge, before, offset, moved }
+    var lastX = 0;
+    var selectionStartX = 0;
+    var activePointerId = null;
+    var longPressTimer = null;
+    var longPressDelay = 500; // 長按時間（毫秒）
+    var isLongPress = false;
+    var startX = 0;
+    var startY = 0;
+    var moveThreshold = 10; // 移動超過此距離視為拖曳而非長按
+    
+    // 檢測是否為觸控設備
+    var isTouchDevice = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0);
+    
+    // 根據設備類型設置邊緣檢測範圍
+    var edgeThreshold = isTouchDevice ? 25 : 10; // 觸控設備用更大的範圍
+
+    // 檢測滑鼠是否在選取區域邊緣
+    function getSelectionEdgeAt(x, rect) {
+        if (selectionStart === null || selectionEnd === null) {
+            return null;
+        }
+        
+        var visibleSamples = accumulatedWaveform.getVisibleSamples();
+        var selStart = Math.min(selectionStart, selectionEnd);
+        var selEnd = Math.max(selectionStart, selectionEnd);
+        
+        // 轉換樣本位置到像素位置
+        var leftSamplePos = selStart - accumulatedWaveform.viewStart;
+        var rightSamplePos = selEnd - accumulatedWaveform.viewStart;
+        
+        var leftX = (leftSamplePos / visibleSamples) * rect.width;
+        var rightX = (rightSamplePos / visibleSamples) * rect.width;
+        
+        // 檢查是否接近左邊緣
+        if (Math.abs(x - leftX) <= edgeThreshold) {
+            return 'left';
+        }
+        
+        // 檢查是否接近右邊緣
+        if (Math.abs(x - rightX) <= edgeThreshold) {
+            return 'right';
+        }
+        
+        return null;
+    }
+    
+    // 指標位置對應的原始樣本位置
+    function getSourceSampleAt(x, rect) {
+        var index = accumulatedWaveform.viewStart + (x / rect.width) * accumulatedWaveform.getVisibleSamples();
+        return Math.max(0, Math.min(getMarkerTimelineLength(), Math.round(index * accumulatedWaveform.decimationFactor)));
+    }
+
+    // 檢測指標位置上的標記（錄音中不可編輯）
+    function getMarkerAt(x, y, rect) {
+        if (recorderState.isCapturing() || !takeManager.getActiveTake()) {
+            return null;
+        }
+        return accumulatedWaveform.hitTestMarker(x, y, rect, edgeThreshold);
+    }
+
+    // 清除長按計時器
+    function clearLongPressTimer() {
+        if (longPressTimer) {
+            clearTimeout(longPressTimer);
+            longPressTimer = null;
+        }
+        isLongPress = false;
+    }
+
+    // 更新游標樣式
+    canvas.addEventListener('pointermove', function(event) {
+        if (!accumulatedWaveform || isDragging || isSelecting || isResizingSelection || markerDrag) {
+            return;
+        }
+        
+        var rect = canvas.getBoundingClientRect();
+        var x = event.clientX - rect.left;
+        var edge = getSelectionEdgeAt(x, rect);
+        var markerHit = !event.shiftKey && !edge ? getMarkerAt(x, event.clientY - rect.top, rect) : null;
+        
+        if (markerHit) {
+            canvas.style.cursor = markerHit.edge === 'move' ? 'move' : 'ew-resize';
+        } else if (event.shiftKey && edge) {
+            canvas.style.cursor = 'ew-resize';
+        } else if (event.shiftKey) {
+            canvas.style.cursor = 'crosshair';
+        } else {
+            canvas.style.cursor = 'grab';
+        }
+    });
+
+    canvas.addEventListener('pointerdown', function(event) {
+        if (!accumulatedWaveform) {
+            return;
+        }
+        
+        activePointerId = event.pointerId;
+        var rect = canvas.getBoundingClientRect();
+        var clickX = event.clientX - rect.left;
+        var clickY = event.clientY - rect.top;
+        
+        // 記錄起始位置
+        startX = event.clientX;
+        startY = event.clientY;
+        
+        // 檢查是否按下 Shift 鍵或在邊緣（PC 操作）
+        if (event.shiftKey) {
+            clearLongPressTimer();
+            
+            // 檢查是否在選取區域邊緣
+            var edge = getSelectionEdgeAt(clickX, rect);
+            
+            if (edge) {
+                // 拉伸選取區域邊緣
+                isResizingSelection = true;
+                resizeEdge = edge;
+                isDragging = false;
+                isSelecting = false;
+                canvas.style.cursor = 'ew-resize';
+            } else {
+                // 創建新的選取區域
+                isSelecting = true;
+                isDragging = false;
+                isResizingSelection = false;
+                selectionStartX = clickX;
+                
+                // 計算選取起始樣本
+                var visibleSamples = accumulatedWaveform.getVisibleSamples();
+                var sampleRatio = clickX / rect.width;
+                selectionStart = Math.floor(accumulatedWaveform.viewStart + sampleRatio * visibleSamples);
+                selectionEnd = selectionStart;
+                
+                // 清除舊的播放控制
+                var oldPlaybackControls = document.getElementById('selection-playback-controls');
+                if (oldPlaybackControls) {
+                    oldPlaybackControls.remove();
+                }
+                
+                accumulatedWaveform.draw();
+                canvas.style.cursor = 'crosshair';
+            }
+        } else if (event.button === 0 && !event.ctrlKey && !event.metaKey) {
+            // 左鍵單擊（非 Ctrl/Cmd）：移動播放位置或其他操作
+            
+            // 檢查是否直接點擊在選取區域邊緣（觸控設備優化）
+            var edge = getSelectionEdgeAt(clickX, rect);
+            var markerHit = edge ? null : getMarkerAt(clickX, clickY, rect);
+            
+            if (markerHit) {
+                // 拖曳標記、區段邊界或整個區段
+                clearLongPressTimer();
+                markerDrag = {
+                    id: markerHit.marker.id,
+                    edge: markerHit.edge,
+                    before: cloneMarkers(takeManager.getActiveTake().sourceMarkers),
+                    offset: getSourceSampleAt(clickX, rect) - markerHit.marker.start,
+                    moved: false
+                };
+                activeMarkerId = markerHit.marker.id;
+                accumulatedWaveform.activeMarkerId = activeMarkerId;
+                accumulatedWaveform.draw();
+                renderMarkerList();
+                canvas.style.cursor = markerHit.edge === 'move' ? 'move' : 'ew-resize';
+            } else if (edge) {
+                // 直接開始拉伸（無需 Shift，方便觸控操作）
+                clearLongPressTimer();
+                isResizingSelection = true;
+                resizeEdge = edge;
+                isDragging = false;
+                isSelecting = false;
+                canvas.style.cursor = 'ew-resize';
+                
+                // 觸控回饋
+                if (navigator.vibrate) {
+                    navigator.vibrate(50);
+                }
+            } else {
+                // 先設置播放位置（點擊時立即設置）
+                var visibleSamples = accumulatedWaveform.getVisibleSamples();
+                var sampleRatio = clickX / rect.width;
+                var clickedSample = Math.floor(accumulatedWaveform.viewStart + sampleRatio * visibleSamples);
+                
+                // 限制在有效範圍內
+                clickedSample = Math.max(0, Math.min(clickedSample, accumulatedWaveform.sampleCount));
+                accumulatedWaveform.setPlaybackPosition(clickedSample);
+                
+                // 開始長按檢測（用於觸控設備選取）
+                isLongPress = false;
+                longPressTimer = setTimeout(function() {
+                    // 長按觸發選取模式
+                    if (!isDragging && !isSelecting && !isResizingSelection) {
+                        isLongPress = true;
+                        isSelecting = true;
+                        isDragging = false;
+                        selectionStartX = clickX;
+                        
+                        // 計算選取起始樣本
+                        selectionStart = clickedSample;
+                        selectionEnd = selectionStart;
+                        
+                        // 清除舊的播放控制
+                        var oldPlaybackControls = document.getElementById('selection-playback-controls');
+                        if (oldPlaybackControls) {
+                            oldPlaybackControls.remove();
+                        }
+                        
+                        accumulatedWaveform.draw();
+                        canvas.style.cursor = 'crosshair';
+                        
+                        // 震動回饋
+                        if (navigator.vibrate) {
+                            navigator.vibrate(100);
+                        }
+                        
+                        // 視覺提示
+                        canvas.style.boxShadow = '0 0 10px 2px rgba(76, 175, 80, 0.5)';
+                    }
+                }, longPressDelay);
+                
+                // 一般拖曳平移模式（如果不觸發長按）
+                isDragging = true;
+                isSelecting = false;
+                isResizingSelection = false;
+                lastX = event.clientX;
+                accumulatedWaveform.isAutoScroll = false;
+                canvas.style.cursor = 'grabbing';
+            }
+        } else {
+            // 其他情況（如 Ctrl+點擊）：原有的拖曳行為
+            clearLongPressTimer();
+            isDragging = true;
+            isSelecting = false;
+            isResizingSelection = false;
+            lastX = event.clientX;
+            accumulatedWaveform.isAutoScroll = false;
+            canvas.style.cursor = 'grabbing';
+        }
+        
+        try {
+            canvas.setPointerCapture(activePointerId);
+        } catch (err) {
+            // ignore if not supported
+        }
+    });
+
+    canvas.addEventListener('pointermove', function(event) {
+        if (!accumulatedWaveform) {
+            return;
+        }
+        
+        if (event.pointerId !== activePointerId && (isDragging || isSelecting || isResizingSelection || markerDrag)) {
+            return;
+        }
+        
+        var rect = canvas.getBoundingClientRect();
+        var currentX = event.clientX - rect.left;
+        
+        // 檢測移動距離，超過閾值則取消長按
+        if (longPressTimer && !isLongPress) {
+            var moveDistance = Math.sqrt(
+                Math.pow(event.clientX - startX, 2) + 
+                Math.pow(event.clientY - startY, 2)
+            );
+            
+            if (moveDistance > moveThreshold) {
+                clearLongPressTimer();
+            }
+        }
+        
+        if (markerDrag) {
+            var take = takeManager.getActiveTake();
+            var marker = null;
+            for (var m = 0; take && m < take.markers.length; m++) {
+                if (take.markers[m].id === markerDrag.id) {
+                    marker = take.markers[m];
+                }
+            }
+            if (!marker) {
+                return;
+            }
+
+            var sample = getSourceSampleAt(currentX, rect);
+            if (markerDrag.edge === 'point') {
+                marker.start = marker.end = sample;
+            } else if (markerDrag.edge === 'start') {
+                marker.start = Math.min(sample, marker.end - 1);
+            } else if (markerDrag.edge === 'end') {
+                marker.end = Math.max(sample, marker.start + 1);
+            } else {
+                var length = marker.end - marker.start;
+                marker.start = Math.max(0, Math.min(getMarkerTimelineLength() - length, sample - markerDrag.offset));
+                marker.end = marker.start + length;
+            }
+
+            markerDrag.moved = true;
+            accumulatedWaveform.draw();
+            
+        } else if (isResizingSelection) {
+            // 拉伸選取區域邊緣
+            var visibleSamples = accumulatedWaveform.getVisibleSamples();
+            var sampleRatio = currentX / rect.width;
+            var newSample = Math.floor(accumulatedWaveform.viewStart + sampleRatio * visibleSamples);
+            
+            // 限制在有效範圍內
+            if (newSample < 0) newSample = 0;
+            if (newSample >= accumulatedWaveform.sampleCount) {
+                newSample = accumulatedWaveform.sampleCount - 1;
+            }
+            
+            // 更新對應的邊緣
+            if (resizeEdge === 'left') {
+                selectionStart = newSample;
+            } else if (resizeEdge === 'right') {
+                selectionEnd = newSample;
+            }
+            
+            accumulatedWaveform.draw();
+            
+        } else if (isSelecting) {
+            // 更新選取範圍
+            var visibleSamples = accumulatedWaveform.getVisibleSamples();
+            var sampleRatio = currentX / rect.width;
+            selectionEnd = Math.floor(accumulatedWaveform.viewStart + sampleRatio * visibleSamples);
+            
+            // 限制在有效範圍內
+            if (selectionEnd < 0) selectionEnd = 0;
+            if (selectionEnd >= accumulatedWaveform.sampleCount) {
+                selectionEnd = accumulatedWaveform.sampleCount - 1;
+            }
+            
+            accumulatedWaveform.draw();
+            
+        } else if (isDragging && !isLongPress) {
+            // 平移波形（長按模式下不平移）
+            var deltaX = event.clientX - lastX;
+            if (deltaX !== 0) {
+                accumulatedWaveform.panByPixels(-deltaX);
+                lastX = event.clientX;
+            }
+        }
+    });
+
+    function endDrag(event) {
+        if (event && event.pointerId !== activePointerId) {
+            return;
+        }
+        
+        // 清除長按計時器和視覺效果
+        clearLongPressTimer();
+        canvas.style.boxShadow = '';
+        
+        // 選取或拉伸完成後，不再顯示舊的播放 UI，僅重繪
+
+        // 標記拖曳完成：保存並記錄至操作歷史
+        if (markerDrag) {
+            var drag = markerDrag;
+            var take = takeManager.getActiveTake();
+            markerDrag = null;
+            if (drag.moved && take) {
+                var moved = take.markers.filter(function(marker) {
+                    return marker.id === drag.id;
+                })[0];
+                setTakeMarkers(take, take.markers);
+                commitMarkerChange(take, '移動標記「' + (moved ? moved.label : '') + '」', drag.before);
+            }
+        }
+        
+        isDragging = false;
+        isSelecting = false;
+        isResizingSelection = false;
+        resizeEdge = null;
+        
+    // 恢復預設游標
+        canvas.style.cursor = 'grab';
+        
+        if (activePointerId !== null) {
+            try {
+                canvas.releasePointerCapture(activePointerId);
+            } catch (err) {
+                // ignore if release not supported
+            }
+        }
+        activePointerId = null;
+
+        // 選取狀態可能已變更：記錄至操作歷史並更新按鈕狀態
+        recordViewStateChange();
+        updatePlaybackButtonsState();
+    }
+
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+    canvas.addEventListener('pointerleave', endDrag);
+
+    // 雙擊標記重新命名
+    canvas.addEventListener('dblclick', function(event) {
+        if (!accumulatedWaveform) {
+            return;
+        }
+
+        var rect = canvas.getBoundingClientRect();
+        var markerHit = getMarkerAt(event.clientX - rect.left, event.clientY - rect.top, rect);
+        if (!markerHit) {
+            return;
+        }
+
+        var name = prompt('請輸入標記名稱', markerHit.marker.label);
+        if (name !== null) {
+            renameMarker(markerHit.marker.id, name.trim());
+        }
+    });
+
+    canvas.addEventListener('wheel', function(event) {
+        if (!accumulatedWaveform) {
+            return;
+        }
+
+        event.preventDefault();
+
+        if (event.ctrlKey || event.metaKey) {
+            // Ctrl/Command + 滾輪：以指標位置為錨點縮放
+            var step = event.deltaY > 0 ? -1 : 1;
+            if (step !== 0) {
+                var rect = canvas.getBoundingClientRect();
+                var anchorRatio = (event.clientX - rect.left) / rect.width;
+                accumulatedWaveform.zoomBySteps(step, anchorRatio);
+            }
+        } else {
+            // 一般滾輪：平移視圖（支援水平與垂直）
+            var delta = Math.abs(event.deltaX) > Math.abs(event.deltaY) ? event.deltaX : event.deltaY;
+            if (event.shiftKey && event.deltaY !== 0) {
+                delta = event.deltaY;
+            }
+            if (delta !== 0) {
+                accumulatedWaveform.panByPixels(delta);
+            }
+        }
+    }, { passive: false });
+
+    var zoomInButton = accumulatedControls.zoomIn;
+    var zoomOutButton = accumulatedControls.zoomOut;
+    var zoomResetButton = accumulatedControls.zoomReset;
+    var panLeftButton = accumulatedControls.panLeft;
+    var panRightButton = accumulatedControls.panRight;
+
+    if (zoomInButton) {
+        zoomInButton.addEventListener('click', function() {
+            if (!accumulatedWaveform) {
+                return;
+            }
+            accumulatedWaveform.zoomBySteps(1, 0.5);
+        });
+    }
+
+    if (zoomOutButton) {
+        zoomOutButton.addEventListener('click', function() {
+            if (!accumulatedWaveform) {
+                return;
+            }
+            accumulatedWaveform.zoomBySteps(-1, 0.5);
+        });
+    }
+
+    if (zoomResetButton) {
+        zoomResetButton.addEventListener('click', function() {
+            if (!accumulatedWaveform) {
+                return;
+            }
+            accumulatedWaveform.resetView();
+        });
+    }
+
+    if (panLeftButton) {
+        panLeftButton.addEventListener('click', function() {
+            if (!accumulatedWaveform) {
+                return;
+            }
+            var step = Math.round(accumulatedWaveform.getVisibleSamples() * 0.25);
+            accumulatedWaveform.panBySamples(-step);
+        });
+    }
+
+    if (panRightButton) {
+        panRightButton.addEventListener('click', function() {
+            if (!accumulatedWaveform) {
+                return;
+            }
+            var step = Math.round(accumulatedWaveform.getVisibleSamples() * 0.25);
+            accumulatedWaveform.panBySamples(step);
+        });
+    }
+    
+    // 播放按鈕
+    // (舊) toolbar 播放按鈕已移除，播放改由主控制區按鈕
+}
+
+/**
+ * 顯示選取區域播放界面
+ */
+// (移除) showSelectionPlaybackUI: 選取播放控制改由主播放按鈕處理
+
+/**
+ * 計算選取區域的時長
+ */
+function calculateSelectionDuration(startSample, endSample) {
+    if (!accumulatedWaveform) {
+        return '0:00';
+    }
+    
+    var sampleCount = Math.abs(endSample - startSample);
+    var sampleRate = accumulatedWaveform.sourceSampleRate;
+    var effectiveSampleRate = sampleRate / accumulatedWaveform.decimationFactor;
+    var durationSeconds = sampleCount / effectiveSampleRate;
+    
+    return calculateTimeDuration(durationSeconds);
+}
+
+/**
+ * 播放選取的區域
+ */
+// (移除) playSelectedRegion: 改由 playSelectedOrFullAudio 整合處理
+
+/**
+ * 清除選取區域
+ */
+// (移除) clearSelection: 若需清除可直接設置 selectionStart/End = null 並 redraw
+
+/**
+ * 綁定全局波形的互動控制
+ * @param {HTMLCanvasElement} canvas - 全局波形使用的畫布
+ */
+function bindOverviewWaveformInteractions(canvas) {
+    if (!canvas || overviewControlsBound) {
+        return;
+    }
+
+    overviewControlsBound = true;
+
+    var isDragging = false;
+    var dragStartX = 0;
+    var dragStartViewStart = 0;
+    var isInViewWindow = false;
+    var activePointerId = null;
+    
+    // 邊緣拉伸相關變數
+    var isResizing = false;
+    var resizeEdge = null; // 'left' 或 'right'
+    var resizeStartX = 0;
+    var resizeStartViewStart = 0;
+    var resizeStartVisibleSamples = 0;
+    var edgeThreshold = 10; // 邊緣檢測閾值（畫素）
+    
+    // 檢查點擊位置是否在視窗指示器內
+    function isInsideViewWindow(clientX) {
+        if (!accumulatedWaveform || !accumulatedWaveform.sampleCount) {
+            return false;
+        }
+        
+        var rect = canvas.getBoundingClientRect();
+        var clickX = clientX - rect.left;
+        var sampleCount = accumulatedWaveform.sampleCount;
+        var viewStart = accumulatedWaveform.viewStart;
+        var visibleSamples = accumulatedWaveform.getVisibleSamples();
+        
+        var viewStartX = (viewStart / sampleCount) * rect.width;
+        var viewWidth = (visibleSamples / sampleCount) * rect.width;
+        
+        return clickX >= viewStartX && clickX <= (viewStartX + viewWidth);
+    }
+    
+    // 檢查是否在視窗邊緣
+    function getResizeEdge(clientX) {
+        if (!accumulatedWaveform || !accumulatedWaveform.sampleCount) {
+            return null;
+        }
+        
+        var rect = canvas.getBoundingClientRect();
+        var clickX = clientX - rect.left;
+        var sampleCount = accumulatedWaveform.sampleCount;
+        var viewStart = accumulatedWaveform.viewStart;
+        var visibleSamples = accumulatedWaveform.getVisibleSamples();
+        
+        var viewStartX = (viewStart / sampleCount) * rect.width;
+        var viewEndX = ((viewStart + visibleSamples) / sampleCount) * rect.width;
+        
+        // 檢查是否在左邊緣
+        if (Math.abs(clickX - viewStartX) <= edgeThreshold) {
+            return 'left';
+        }
+        
+        // 檢查是否在右邊緣
+        if (Math.abs(clickX - viewEndX) <= edgeThreshold) {
+            return 'right';
+        }
+        
+        return null;
+    }
+    
+    // 更新鼠標樣式
+    function updateCursor(clientX) {
+        if (!accumulatedWaveform || !accumulatedWaveform.sampleCount) {
+            canvas.style.cursor = 'default';
+            return;
+        }
+        
+        if (isDragging) {
+            if (isResizing) {
+                canvas.style.cursor = 'ew-resize';
+            } else {
+                canvas.style.cursor = 'grabbing';
+            }
+            return;
+        }
+        
+        var edge = getResizeEdge(clientX);
+        if (edge) {
+            canvas.style.cursor = 'ew-resize';
+        } else if (isInsideViewWindow(clientX)) {
+            canvas.style.cursor = 'grab';
+        } else {
+            canvas.style.cursor = 'pointer';
+        }
+    }
+    
+    canvas.addEventListener('pointerdown', function(event) {
+        if (!accumulatedWaveform || !accumulatedWaveform.sampleCount) {
+            return;
+        }
+        
+        var rect = canvas.getBoundingClientRect();
+        var clickX = event.clientX - rect.left;
+        
+        isDragging = true;
+        activePointerId = event.pointerId;
+        dragStartX = clickX;
+        dragStartViewStart = accumulatedWaveform.viewStart;
+        
+        // 檢查是否在邊緣進行拉伸
+        var edge = getResizeEdge(event.clientX);
+        if (edge) {
+            isResizing = true;
+            resizeEdge = edge;
+            resizeStartX = clickX;
+            resizeStartViewStart = accumulatedWaveform.viewStart;
+            resizeStartVisibleSamples = accumulatedWaveform.getVisibleSamples();
+        } else {
+            isResizing = false;
+            resizeEdge = null;
+            isInViewWindow = isInsideViewWindow(event.clientX);
+            
+            // 如果點擊在視窗外，立即跳轉到該位置
+            if (!isInViewWindow) {
+                var clickRatio = clickX / rect.width;
+                var targetSample = Math.floor(clickRatio * accumulatedWaveform.sampleCount);
+                var visibleSamples = accumulatedWaveform.getVisibleSamples();
+                accumulatedWaveform.viewStart = Math.floor(targetSample - visibleSamples / 2);
+                accumulatedWaveform.isAutoScroll = false;
+                accumulatedWaveform._enforceViewBounds();
+                accumulatedWaveform.draw();
+                
+                // 更新拖動起始位置
+                dragStartX = clickX;
+                dragStartViewStart = accumulatedWaveform.viewStart;
+                isInViewWindow = true;
+            }
+        }
+        
+        try {
+            canvas.setPointerCapture(activePointerId);
+        } catch (err) {
+            // ignore if not supported
+        }
+        
+        updateCursor(event.clientX);
+    });
+    
+    canvas.addEventListener('pointermove', function(event) {
+        if (!accumulatedWaveform || !accumulatedWaveform.sampleCount) {
+            return;
+        }
+        
+        var rect = canvas.getBoundingClientRect();
+        
+        // 更新鼠標樣式
+        if (!isDragging) {
+            updateCursor(event.clientX);
+        }
+        
+        if (!isDragging || event.pointerId !== activePointerId) {
+            return;
+        }
+        
+        var currentX = event.clientX - rect.left;
+        var deltaX = currentX - (isResizing ? resizeStartX : dragStartX);
+        var sampleCount = accumulatedWaveform.sampleCount;
+        
+        if (isResizing) {
+            // 處理邊緣拉伸
+            var deltaSamples = Math.floor((deltaX / rect.width) * sampleCount);
+            
+            if (resizeEdge === 'left') {
+                // 拉伸左邊緣：調整 viewStart 和 visibleSamples
+                var newViewStart = resizeStartViewStart + deltaSamples;
+                var newVisibleSamples = resizeStartVisibleSamples - deltaSamples;
+                
+                // 限制最小可視範圍
+                var minVisible = accumulatedWaveform._getMinVisibleSamples(sampleCount);
+                if (newVisibleSamples < minVisible) {
+                    newVisibleSamples = minVisible;
+                    newViewStart = resizeStartViewStart + resizeStartVisibleSamples - minVisible;
+                }
+                
+                // 確保不超出邊界
+                if (newViewStart < 0) {
+                    newVisibleSamples += newViewStart;
+                    newViewStart = 0;
+                }
+                
+                if (newVisibleSamples > 0) {
+                    accumulatedWaveform.viewStart = newViewStart;
+                    accumulatedWaveform.zoomFactor = sampleCount / newVisibleSamples;
+                }
+            } else if (resizeEdge === 'right') {
+                // 拉伸右邊緣：只調整 visibleSamples
+                var newVisibleSamples = resizeStartVisibleSamples + deltaSamples;
+                
+                // 限制最小可視範圍
+                var minVisible = accumulatedWaveform._getMinVisibleSamples(sampleCount);
+                if (newVisibleSamples < minVisible) {
+                    newVisibleSamples = minVisible;
+                }
+                
+                // 確保不超出邊界
+                var maxEnd = sampleCount - resizeStartViewStart;
+                if (newVisibleSamples > maxEnd) {
+                    newVisibleSamples = maxEnd;
+                }
+                
+                if (newVisibleSamples > 0) {
+                    accumulatedWaveform.zoomFactor = sampleCount / newVisibleSamples;
+                }
+            }
+            
+            accumulatedWaveform.isAutoScroll = false;
+            accumulatedWaveform._enforceViewBounds();
+            accumulatedWaveform.draw();
+        } else {
+            // 處理視窗拖動
+            var deltaSamples = Math.floor((deltaX / rect.width) * sampleCount);
+            
+            accumulatedWaveform.viewStart = dragStartViewStart + deltaSamples;
+            accumulatedWaveform.isAutoScroll = false;
+            accumulatedWaveform._enforceViewBounds();
+            accumulatedWaveform.draw();
+        }
+    });
+    
+    function endDrag(event) {
+        if (event && event.pointerId !== activePointerId) {
+            return;
+        }
+        
+        isDragging = false;
+        isResizing = false;
+        resizeEdge = null;
+        
+        if (activePointerId !== null) {
+            try {
+                canvas.releasePointerCapture(activePointerId);
+            } catch (err) {
+                // ignore if release not supported
+            }
+        }
+        activePointerId = null;
+        
+        // 恢復鼠標樣式
+        if (event) {
+            updateCursor(event.clientX);
+        } else {
+            canvas.style.cursor = 'default';
+        }
+    }
+    
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+    canvas.addEventListener('pointerleave', function(event) {
+        if (!isDragging) {
+            canvas.style.cursor = 'default';
+        }
+    });
+    
+    canvas.addEventListener('pointerenter', function(event) {
+        if (!isDragging) {
+            updateCursor(event.clientX);
+        }
+    });
+}
+
+/*=================================================================
+ * RecordingStore 類 - 本機錄音儲存（IndexedDB）
+ * 保存完成的 WAV 與波形峰值，重新整理頁面後仍可還原
+ *================================================================*/
+
+/**
+ * RecordingStore 類構造函數
+ * 錄音資訊（takes）與音訊資料（takeData）分開存放，
+ * 更新名稱或選取狀態時不必重寫整段音訊
+ * @param {string} [dbName] - 資料庫名稱
+ */
+function RecordingStore(dbName) {
+    this.dbName = dbName || 'simple-recordrtc-example';
+    this.dbVersion = 2;
+    this._dbPromise = null;
+    this._persistRequested = false;
+}
+
+/**
+ * 檢查瀏覽器是否支援 IndexedDB
+ * @returns {boolean} 是否支援
+ */
+RecordingStore.prototype.isSupported = function() {
+    return typeof window.indexedDB !== 'undefined';
+};
+
+/**
+ * 開啟（必要時建立）資料庫
+ * @returns {Promise<IDBDatabase>} 資料庫連線
+ */
+RecordingStore.prototype.open = function() {
+    if (this._dbPromise) {
+        return this._dbPromise;
+    }
+
+    var self = this;
+
+    this._dbPromise = new Promise(function(resolve, reject) {
+        if (!self.isSupported()) {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
+
+        var request = indexedDB.open(self.dbName, self.dbVersion);
+
+        request.onupgradeneeded = function(event) {
+            self._upgrade(request.result, event.oldVersion);
+        };
+
+        request.onsuccess = function() {
+            resolve(request.result);
+        };
+
+        request.onerror = function() {
+            reject(request.error);
+        };
+    });
+
+    // 開啟失敗時允許下次重試
+    this._dbPromise.catch(function() {
+        self._dbPromise = null;
+    });
+
+    return this._dbPromise;
+};
+
+/**
+ * 建立或升級資料表結構
+ * @param {IDBDatabase} db - 資料庫
+ * @param {number} oldVersion - 升級前的版本
+ */
+RecordingStore.prototype._upgrade = function(db, oldVersion) {
+    if (oldVersion < 1) {
+        var takes = db.createObjectStore('takes', { keyPath: 'id' });
+        takes.createIndex('createdAt', 'createdAt');
+        db.createObjectStore('takeData', { keyPath: 'id' });
+    }
+
+    if (oldVersion < 2) {
+        // 錄音中逐片段寫入的日誌，用於瀏覽器當機後復原
+        db.createObjectStore('journalSessions', { keyPath: 'id' });
+        var chunks = db.createObjectStore('journalChunks', { autoIncrement: true });
+        chunks.createIndex('sessionId', 'sessionId');
+    }
+};
+
+/**
+ * 在交易中執行操作，並於交易完成後回傳結果
+ * @param {string|Array} storeNames - 資料表名稱
+ * @param {string} mode - 'readonly' 或 'readwrite'
+ * @param {function} operation - 接收 transaction，可回傳 IDBRequest
+ * @returns {Promise} 操作結果
+ */
+RecordingStore.prototype._transaction = function(storeNames, mode, operation) {
+    return this.open().then(function(db) {
+        return new Promise(function(resolve, reject) {
+            var transaction = db.transaction(storeNames, mode);
+            var request = operation(transaction);
+
+            transaction.oncomplete = function() {
+                resolve(request ? request.result : undefined);
+            };
+            transaction.onerror = function() {
+                reject(transaction.error);
+            };
+            transaction.onabort = function() {
+                reject(transaction.error || new Error('Transaction aborted'));
+            };
+        });
+    });
+};
+
+/**
+ * 保存完整錄音（資訊、WAV、波形峰值與編輯清單）
+ * 編輯清單可能含貼上/取代的音訊片段，與音訊資料一起存在 takeData，
+ * 只有編輯變更時才寫入
+ * @param {RecordingTake} take - 錄音
+ * @returns {Promise} 保存結果
+ */
+RecordingStore.prototype.saveTake = function(take) {
+    this._requestPersistence();
+
+    var peaks = take.peaks ? {
+        sampleMin: new Float32Array(take.peaks.sampleMin),
+        sampleMax: new Float32Array(take.peaks.sampleMax),
+        sourceSampleRate: take.peaks.sourceSampleRate,
+        decimationFactor: take.peaks.decimationFactor
+    } : null;
+
+    return this._transaction(['takes', 'takeData'], 'readwrite', function(transaction) {
+        transaction.objectStore('takes').put(take.toRecord());
+        transaction.objectStore('takeData').put({
+            id: take.id,
+            blob: take.blob,
+            peaks: peaks,
+            edits: take.edits
+        });
+    });
+};
+
+/**
+ * 只更新錄音資訊（名稱、選取區間、播放位置等；不含音訊與編輯清單）
+ * @param {RecordingTake} take - 錄音
+ * @returns {Promise} 保存結果
+ */
+RecordingStore.prototype.saveTakeInfo = function(take) {
+    return this._transaction('takes', 'readwrite', function(transaction) {
+        transaction.objectStore('takes').put(take.toRecord());
+    });
+};
+
+/**
+ * 讀取所有已保存的錄音（依建立時間排序）
+ * @returns {Promise<Array>} 錄音資訊與資料的陣列 [{ info, data }]
+ */
+RecordingStore.prototype.loadTakes = function() {
+    var results = [];
+
+    return this._transaction(['takes', 'takeData'], 'readonly', function(transaction) {
+        var dataStore = transaction.objectStore('takeData');
+        var cursorRequest = transaction.objectStore('takes').index('createdAt').openCursor();
+
+        cursorRequest.onsuccess = function() {
+            var cursor = cursorRequest.result;
+            if (!cursor) {
+                return;
+            }
+
+            var entry = { info: cursor.value, data: null };
+            results.push(entry);
+
+            dataStore.get(cursor.value.id).onsuccess = function(event) {
+                entry.data = event.target.result || null;
+            };
+
+            cursor.continue();
+        };
+    }).then(function() {
+        // 略過音訊資料遺失的錄音
+        return results.filter(function(entry) {
+            return entry.data && entry.data.blob;
+        });
+    });
+};
+
+/**
+ * 刪除錄音
+ * @param {string} id - 錄音識別碼
+ * @returns {Promise} 刪除結果
+ */
+RecordingStore.prototype.deleteTake = function(id) {
+    return this._transaction(['takes', 'takeData'], 'readwrite', function(transaction) {
+        transaction.objectStore('takes').delete(id);
+        transaction.objectStore('takeData').delete(id);
+    });
+};
+
+/**
+ * 建立或更新錄音日誌的工作階段資訊
+ * @param {Object} session - { id, startedAt, sampleRate, channels, chunkCount, frameCount }
+ * @returns {Promise} 保存結果
+ */
+RecordingStore.prototype.saveJournalSession = function(session) {
+    return this._transaction('journalSessions', 'readwrite', function(transaction) {
+        transaction.objectStore('journalSessions').put(session);
+    });
+};
+
+/**
+ * 在同一交易中附加多個 PCM 片段並更新工作階段資訊
+ * @param {Object} session - 工作階段資訊
+ * @param {Array} chunks - [{ seq, pcm }]，pcm 為 16-bit PCM 的 ArrayBuffer
+ * @returns {Promise} 保存結果
+ */
+RecordingStore.prototype.appendJournalChunks = function(session, chunks) {
+    return this._transaction(['journalSessions', 'journalChunks'], 'readwrite', function(transaction) {
+        var chunkStore = transaction.objectStore('journalChunks');
+        for (var i = 0; i < chunks.length; i++) {
+            chunkStore.add({
+                sessionId: session.id,
+                seq: chunks[i].seq,
+                pcm: chunks[i].pcm
+            });
+        }
+        transaction.objectStore('journalSessions').put(session);
+    });
+};
+
+/**
+ * 讀取所有錄音日誌的工作階段
+ * @returns {Promise<Array>} 工作階段資訊
+ */
+RecordingStore.prototype.loadJournalSessions = function() {
+    return this._transaction('journalSessions', 'readonly', function(transaction) {
+        return transaction.objectStore('journalSessions').getAll();
+    });
+};
+
+/**
+ * 讀取工作階段的所有 PCM 片段（依序號排序）
+ * @param {string} sessionId - 工作階段識別碼
+ * @returns {Promise<Array>} 片段 [{ seq, pcm }]
+ */
+RecordingStore.prototype.loadJournalChunks = function(sessionId) {
+    return this._transaction('journalChunks', 'readonly', function(transaction) {
+        return transaction.objectStore('journalChunks').index('sessionId').getAll(sessionId);
+    }).then(function(chunks) {
+        return chunks.sort(function(a, b) {
+            return a.seq - b.seq;
+        });
+    });
+};
+
+/**
+ * 刪除工作階段與其所有片段
+ * @param {string} sessionId - 工作階段識別碼
+ * @returns {Promise} 刪除結果
+ */
+RecordingStore.prototype.deleteJournalSession = function(sessionId) {
+    return this._transaction(['journalSessions', 'journalChunks'], 'readwrite', function(transaction) {
+        transaction.objectStore('journalSessions').delete(sessionId);
+
+        var cursorRequest = transaction.objectStore('journalChunks').index('sessionId').openCursor(IDBKeyRange.only(sessionId));
+        cursorRequest.onsuccess = function() {
+            var cursor = cursorRequest.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+    });
+};
+
+/**
+ * 查詢儲存空間用量
+ * @returns {Promise<Object|null>} { usage, quota }（位元組），不支援時為 null
+ */
+RecordingStore.prototype.estimateUsage = function() {
+    if (!navigator.storage || !navigator.storage.estimate) {
+        return Promise.resolve(null);
+    }
+
+    return navigator.storage.estimate().then(function(estimate) {
+        return {
+            usage: estimate.usage || 0,
+            quota: estimate.quota || 0
+        };
+    });
+};
+
+/**
+ * 要求瀏覽器將儲存空間標記為持久（避免空間不足時被自動清除）
+ */
+RecordingStore.prototype._requestPersistence = function() {
+    if (this._persistRequested || !navigator.storage || !navigator.storage.persist) {
+        return;
+    }
+
+    this._persistRequested = true;
+    navigator.storage.persist().catch(function(error) {
+        console.warn('無法要求持久儲存空間:', error);
+    });
+};
+
+var recordingStore = new RecordingStore();
+
+/*=================================================================
+ * 多段錄音（Take）管理
+ * 保留同一題目的多次錄音，可重新開啟、比較、重新命名或捨棄
+ *================================================================*/
+
+/**
+ * 確保累積波形與全局波形視圖已建立並綁定互動
+ */
+function ensureWaveformViews() {
+    var accumulatedCanvas = document.getElementById('accumulated-waveform');
+    if (!accumulatedWaveform && accumulatedCanvas) {
+        accumulatedWaveform = new AccumulatedWaveform(accumulatedCanvas);
+        accumulatedWaveform.onLoopCount = updateLoopCounter;
+        bindAccumulatedWaveformInteractions(accumulatedCanvas);
+    }
+
+    var overviewCanvas = document.getElementById('overview-waveform');
+    if (!overviewWaveform && overviewCanvas && accumulatedWaveform) {
+        overviewWaveform = new OverviewWaveform(overviewCanvas, accumulatedWaveform);
+        bindOverviewWaveformInteractions(overviewCanvas);
+    }
+}
+
+/**
+ * RecordingTake 類構造函數
+ * 保存單次錄音的 WAV、波形峰值，以及各自的選取區間與播放位置
+ * @param {Object} options - 錄音資訊
+ * @param {string} [options.id] - 錄音識別碼
+ * @param {string} [options.name] - 顯示名稱
+ * @param {number} [options.createdAt] - 建立時間（毫秒）
+ * @param {number} [options.duration] - 時長（秒）
+ * @param {number} [options.sampleRate] - 採樣率
+ * @param {Blob} [options.blob] - WAV 音訊
+ * @param {Object} [options.peaks] - 由 AccumulatedWaveform.getPeaks() 產生的峰值快照
+ * @param {string} [options.promptId] - 對應的題目編號
+ * @param {string} [options.promptText] - 對應的題目文字
+ * @param {number} [options.channelCount] - 聲道數
+ * @param {Object} [options.captureInfo] - 錄音時的擷取設定（autoGainControl、deviceLabel、requested 要求值、settings 實際套用值、recordedSampleRate 錄音檔採樣率；匯入的檔案為 sourceFile）
+ * @param {Array<Object>} [options.edits] - 非破壞性編輯清單（依序套用於原始音訊）
+ * @param {Array<Object>} [options.sourceMarkers] - 標記與標籤區段（原始錄音的樣本位置，見 unmapMarkerThroughEdits）
+ * @param {Object} [options.sourceTier] - 標註層（原始錄音的累積波形索引，見 getSourceTier）
+ * @param {string} [options.masterFormat] - 保存編輯結果的母帶格式（預設 takeMasterFormat；匯入的高解析度 WAV 保留原位元深度）
+ */
+function RecordingTake(options) {
+    this.id = options.id || ('take-' + Date.now() + '-' + Math.floor(Math.random() * 100000));
+    this.name = options.name || '';
+    this.createdAt = options.createdAt || Date.now();
+    this.duration = options.duration || 0;
+    this.sampleRate = options.sampleRate || 0;
+    this.blob = options.blob || null;
+    this.url = this.blob ? URL.createObjectURL(this.blob) : null;
+    this.peaks = options.peaks || null;
+    this.promptId = options.promptId || null;
+    this.promptText = options.promptText || null;
+    this.channelCount = options.channelCount || 1;
+    this.captureInfo = options.captureInfo || null;
+    this.clipRegions = options.clipRegions || null; // 削波區段（目前音訊；null 表示尚未分析）
+    this.sourceTier = options.sourceTier || null;   // 標註層（原始錄音的累積波形索引；null 表示尚未建立）
+    this.tier = null;                               // 目前音訊上的標註層（開啟時依編輯清單計算，只保存在記憶體）
+    this.resumePoints = options.resumePoints || []; // 暫停後繼續錄音的位置（原始錄音的樣本位置）
+
+    // 非破壞性編輯：blob 永遠是原始錄音，套用編輯後的音訊另存於 editedBlob
+    this.edits = options.edits || [];
+    this.masterFormat = options.masterFormat || takeMasterFormat;
+
+    // 標記以原始錄音的位置保存，依編輯清單對應到目前音訊後顯示；
+    // 還原、復原與重做編輯時不必另外調整，被剪掉的標記也會隨原始音訊回來
+    this.sourceMarkers = options.sourceMarkers || [];
+    this.markers = getTakeViewMarkers(this);        // 目前音訊上的標記（只保存在記憶體）
+    this.editedBlob = null;
+    this.editedUrl = null;
+    this.sourceAudio = null;    // 原始音訊的解碼快取 { channels, sampleRate }
+    this.pitchTrack = null;     // 目前音訊的音高軌跡（只保存在記憶體）
+    this.renderPromise = null;  // 進行中的編輯重算
+
+    // 復原/重做歷史（只保存在記憶體）
+    this.history = new CommandHistory();
+
+    // 各錄音獨立保存的檢視狀態（以累積波形的樣本索引表示）
+    this.selectionStart = null;
+    this.selectionEnd = null;
+    this.playbackPosition = 0;
+    this.viewStart = 0;
+    this.zoomFactor = 1;
+}
+
+/**
+ * 轉換為可保存的錄音資訊（不含音訊資料與編輯清單，見 RecordingStore.saveTake）
+ * @returns {Object} 錄音資訊
+ */
+RecordingTake.prototype.toRecord = function() {
+    return {
+        id: this.id,
+        name: this.name,
+        createdAt: this.createdAt,
+        duration: this.duration,
+        sampleRate: this.sampleRate,
+        promptId: this.promptId,
+        promptText: this.promptText,
+        channelCount: this.channelCount,
+        captureInfo: this.captureInfo,
+        clipRegions: this.clipRegions,
+        sourceMarkers: this.sourceMarkers,
+        sourceTier: this.sourceTier,
+        resumePoints: this.resumePoints,
+        masterFormat: this.masterFormat,
+        selectionStart: this.selectionStart,
+        selectionEnd: this.selectionEnd,
+        playbackPosition: this.playbackPosition,
+        viewStart: this.viewStart,
+        zoomFactor: this.zoomFactor
+    };
+};
+
+/**
+ * 由保存的錄音資訊與音訊資料還原錄音
+ * @param {Object} info - toRecord() 產生的錄音資訊
+ * @param {Object} data - 音訊資料 { blob, peaks, edits }
+ * @returns {RecordingTake} 錄音
+ */
+RecordingTake.fromRecord = function(info, data) {
+    var edits = data.edits || info.edits || []; // 舊版將編輯清單存於錄音資訊
+
+    var take = new RecordingTake({
+        id: info.id,
+        name: info.name,
+        createdAt: info.createdAt,
+        duration: info.duration,
+        sampleRate: info.sampleRate,
+        blob: data.blob,
+        peaks: data.peaks,
+        promptId: info.promptId,
+        promptText: info.promptText,
+        channelCount: info.channelCount,
+        captureInfo: info.captureInfo,
+        clipRegions: info.clipRegions,
+        // 舊版保存的是目前音訊上的標記位置：對應回原始錄音
+        sourceMarkers: info.sourceMarkers || (info.markers || []).map(function(marker) {
+            return unmapMarkerThroughEdits(marker, edits);
+        }),
+        // 舊版保存的是目前音訊上的標註層：視為已套用全部編輯
+        sourceTier: info.sourceTier || (info.tier && edits.length ? {
+            name: info.tier.name,
+            intervals: info.tier.intervals.map(function(interval) {
+                return { start: interval.start, end: interval.end, text: interval.text, base: edits.length };
+            })
+        } : info.tier),
+        resumePoints: info.resumePoints,
+        masterFormat: info.masterFormat,
+        edits: edits
+    });
+
+    take.selectionStart = info.selectionStart === undefined ? null : info.selectionStart;
+    take.selectionEnd = info.selectionEnd === undefined ? null : info.selectionEnd;
+    take.playbackPosition = info.playbackPosition || 0;
+    take.viewStart = info.viewStart || 0;
+    take.zoomFactor = info.zoomFactor || 1;
+
+    return take;
+};
+
+/**
+ * 取得目前的音訊（有編輯時為編輯後的結果）
+ * @returns {Blob} WAV 音訊
+ */
+RecordingTake.prototype.getAudioBlob = function() {
+    return this.editedBlob || this.blob;
+};
+
+/**
+ * 取得目前音訊的 Object URL
+ * @returns {string} Object URL
+ */
+RecordingTake.prototype.getAudioUrl = function() {
+    return this.editedUrl || this.url;
+};
+
+/**
+ * 設定編輯後的音訊；傳入 null 表示回到原始錄音
+ * @param {Blob|null} blob - 編輯後的 WAV 音訊
+ */
+RecordingTake.prototype.setEditedAudio = function(blob) {
+    if (this.editedUrl) {
+        URL.revokeObjectURL(this.editedUrl);
+    }
+    this.editedBlob = blob;
+    this.editedUrl = blob ? URL.createObjectURL(blob) : null;
+};
+
+/**
+ * 釋放錄音佔用的 Object URL 與資料
+ */
+RecordingTake.prototype.dispose = function() {
+    if (this.url) {
+        URL.revokeObjectURL(this.url);
+        this.url = null;
+    }
+    this.setEditedAudio(null);
+    this.blob = null;
+    this.peaks = null;
+    this.sourceAudio = null;
+};
+
+/**
+ * TakeManager 類構造函數
+ * 管理錄音清單，並負責將選定的錄音載入波形視圖
+ * @param {HTMLElement} container - 顯示錄音清單的容器
+ * @param {RecordingStore} [store] - 本機儲存；未提供時只保存在記憶體
+ */
+function TakeManager(container, store) {
+    this.container = container;
+    this.store = store && store.isSupported() ? store : null;
+    this.takes = [];            // 依錄音順序排列的 RecordingTake
+    this.activeTakeId = null;   // 目前開啟於波形視圖的錄音
+    this.isLocked = false;      // 錄音中鎖定清單操作
+    this.takeCounter = 0;       // 預設命名用的計數器
+
+    this.render();
+}
+
+/**
+ * 依識別碼取得錄音
+ * @param {string} id - 錄音識別碼
+ * @returns {RecordingTake|null} 錄音物件
+ */
+TakeManager.prototype.getTake = function(id) {
+    for (var i = 0; i < this.takes.length; i++) {
+        if (this.takes[i].id === id) {
+            return this.takes[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * 取得目前開啟中的錄音
+ * @returns {RecordingTake|null} 錄音物件
+ */
+TakeManager.prototype.getActiveTake = function() {
+    return this.activeTakeId ? this.getTake(this.activeTakeId) : null;
+};
+
+/**
+ * 新增錄音至清單
+ * @param {RecordingTake} take - 新的錄音
+ * @param {boolean} [activate=true] - 是否立即開啟
+ * @returns {Promise<RecordingTake>} 保存至本機後 resolve（失敗時見 persistTake）
+ */
+TakeManager.prototype.addTake = function(take, activate) {
+    this.takeCounter++;
+    if (!take.name) {
+        take.name = '錄音 ' + this.takeCounter;
+    }
+
+    this.takes.push(take);
+    var saved = this.persistTake(take);
+
+    if (activate === false) {
+        this.render();
+    } else {
+        this.activateTake(take.id);
+    }
+
+    return saved;
+};
+
+/**
+ * 將完整錄音保存至本機
+ * 失敗時以 AppError.STORAGE reject，error.take 為仍保留在清單中的錄音（可再次保存）
+ * @param {RecordingTake} take - 錄音
+ * @returns {Promise<RecordingTake>} 保存完成後 resolve
+ */
+TakeManager.prototype.persistTake = function(take) {
+    if (!this.store) {
+        return Promise.resolve(take);
+    }
+
+    return this.store.saveTake(take).then(function() {
+        updateStorageUsage();
+        return take;
+    }, function(error) {
+        updateStorageUsage(error);
+        var appError = new AppError(AppError.STORAGE, '錄音「' + take.name + '」未能保存至本機', error);
+        appError.take = take;
+        throw appError;
+    });
+};
+
+/**
+ * 顯示本機保存失敗的通知，並提供重新保存
+ * @param {AppError} error - persistTake 的錯誤（含 error.take）
+ * @param {function} [onSaved] - 保存成功後執行（如刪除片段日誌），可回傳 Promise
+ */
+function reportTakeSaveError(error, onSaved) {
+    reportError(error, {
+        key: 'take-save',
+        retry: function() {
+            takeManager.persistTake(error.take).then(onSaved).catch(function(retryError) {
+                if (retryError.take) {
+                    reportTakeSaveError(retryError, onSaved);
+                } else {
+                    console.error('保存後續處理失敗:', retryError);
+                }
+            });
+        },
+        retryLabel: '重新保存'
+    });
+}
+
+/**
+ * 還原先前保存的錄音（不重新寫入儲存），並開啟最新的一段
+ * @param {Array<RecordingTake>} takes - 依建立時間排序的錄音
+ */
+TakeManager.prototype.restoreTakes = function(takes) {
+    if (!takes.length) {
+        return;
+    }
+
+    for (var i = 0; i < takes.length; i++) {
+        this.takes.push(takes[i]);
+        // 有編輯紀錄的錄音需重新產生編輯後的音訊
+        if (takes[i].edits.length) {
+            this.refreshEdits(takes[i], false);
+        }
+    }
+    this.takeCounter += takes.length;
+
+    // 錄音中不切換波形視圖
+    if (recorderState.isCapturing() || this.activeTakeId) {
+        this.render();
+        return;
+    }
+
+    this.activateTake(takes[takes.length - 1].id);
+};
+
+/**
+ * 將錄音資訊的變更寫入本機儲存
+ * @param {RecordingTake} take - 錄音
+ */
+TakeManager.prototype._persistInfo = function(take) {
+    if (!this.store) {
+        return;
+    }
+
+    this.store.saveTakeInfo(take).catch(function(error) {
+        console.warn('無法更新本機錄音資訊:', error);
+    });
+};
+
+/**
+ * 將波形視圖目前的選取與播放狀態存回開啟中的錄音
+ */
+TakeManager.prototype.saveActiveState = function() {
+    var take = this.getActiveTake();
+    if (!take) {
+        return;
+    }
+
+    take.selectionStart = selectionStart;
+    take.selectionEnd = selectionEnd;
+
+    if (accumulatedWaveform) {
+        take.playbackPosition = accumulatedWaveform.playbackPosition;
+        take.viewStart = accumulatedWaveform.viewStart;
+        take.zoomFactor = accumulatedWaveform.zoomFactor;
+    }
+
+    this._persistInfo(take);
+};
+
+/**
+ * 開啟指定錄音至累積波形與全局波形視圖
+ * @param {string} id - 錄音識別碼
+ */
+TakeManager.prototype.activateTake = function(id) {
+    var take = this.getTake(id);
+    if (!take) {
+        return;
+    }
+
+    // 切換前先停止播放並保存目前錄音的狀態
+    if (recorderState.is('playing')) {
+        pausePlayback();
+    }
+    if (this.activeTakeId !== id) {
+        this.saveActiveState();
+    }
+
+    this.activeTakeId = id;
+
+    latestRecordingBlob = take.getAudioBlob();
+    latestRecordingUrl = take.getAudioUrl();
+    audio.srcObject = null;
+    audio.src = latestRecordingUrl;
+
+    selectionStart = take.selectionStart;
+    selectionEnd = take.selectionEnd;
+
+    ensureWaveformViews();
+    if (accumulatedWaveform) {
+        accumulatedWaveform.loadPeaks(take.peaks, {
+            viewStart: take.viewStart,
+            zoomFactor: take.zoomFactor,
+            playbackPosition: take.playbackPosition
+        });
+        accumulatedWaveform.setClipRegions(take.clipRegions);
+        accumulatedWaveform.setPitchTrack(take.pitchTrack);
+        accumulatedWaveform.setMarkers(take.markers, activeMarkerId);
+        accumulatedWaveform.setResumePoints(getTakeResumePoints(take));
+    }
+    refreshTakeAnalysis(take);
+    renderMarkerList();
+    activeIntervalIndex = -1;
+    refreshTierView(take);
+
+    // 舊版保存的錄音沒有削波資訊，開啟時補做分析（有編輯者待重算時一併分析）
+    if (!take.clipRegions && (take.editedBlob || !take.edits.length)) {
+        this.analyzeClipping(take);
+    }
+
+    if (downloadButton) {
+        downloadButton.disabled = false;
+    }
+
+    recorderState.settle(true);
+    updatePlaybackButtonsState();
+    this.render();
+    syncViewStateBaseline();
+};
+
+/**
+ * 分析錄音目前音訊的削波區段，完成後更新波形標示與清單
+ * @param {RecordingTake} take - 錄音
+ * @returns {Promise} 完成後 resolve
+ */
+TakeManager.prototype.analyzeClipping = function(take) {
+    var self = this;
+
+    return readAudioChannels(take.getAudioBlob()).then(function(decoded) {
+        take.clipRegions = findClippedRegions(decoded.channels, decoded.sampleRate);
+        self._persistInfo(take);
+
+        if (take.id === self.activeTakeId && accumulatedWaveform) {
+            accumulatedWaveform.setClipRegions(take.clipRegions);
+        }
+        self.render();
+    }).catch(function(error) {
+        console.warn('無法分析削波:', error);
+    });
+};
+
+/**
+ * 關閉目前開啟的錄音（保留於清單中），用於開始新錄音前
+ */
+TakeManager.prototype.deactivate = function() {
+    this.saveActiveState();
+    this.activeTakeId = null;
+    clearTakeSpectrogram();
+
+    latestRecordingBlob = null;
+    latestRecordingUrl = null;
+    selectionStart = null;
+    selectionEnd = null;
+    recorderState.settle(false);
+
+    this.render();
+    renderMarkerList();
+    updateTierView();
+};
+
+/**
+ * 重新命名錄音
+ * @param {string} id - 錄音識別碼
+ * @param {string} name - 新名稱
+ */
+TakeManager.prototype.renameTake = function(id, name) {
+    var take = this.getTake(id);
+    if (!take || !name) {
+        return;
+    }
+
+    take.name = name;
+    this._persistInfo(take);
+    this.render();
+};
+
+/**
+ * 捨棄錄音；若為開啟中的錄音，改開啟最新的一段
+ * @param {string} id - 錄音識別碼
+ */
+TakeManager.prototype.removeTake = function(id) {
+    var index = -1;
+    for (var i = 0; i < this.takes.length; i++) {
+        if (this.takes[i].id === id) {
+            index = i;
+            break;
+        }
+    }
+    if (index === -1) {
+        return;
+    }
+
+    var take = this.takes[index];
+    var wasActive = take.id === this.activeTakeId;
+
+    if (wasActive) {
+        stopPlaybackAll();
+        this.activeTakeId = null;
+    }
+
+    this.takes.splice(index, 1);
+    take.dispose();
+
+    if (promptScript) {
+        promptScript.detachTake(id);
+    }
+
+    if (this.store) {
+        this.store.deleteTake(id).then(updateStorageUsage).catch(function(error) {
+            console.warn('無法刪除本機錄音:', error);
+        });
+    }
+
+    if (!wasActive) {
+        this.render();
+        return;
+    }
+
+    if (this.takes.length) {
+        this.activateTake(this.takes[this.takes.length - 1].id);
+        return;
+    }
+
+    // 清單已空：清除波形與播放器
+    latestRecordingBlob = null;
+    latestRecordingUrl = null;
+    selectionStart = null;
+    selectionEnd = null;
+    audio.removeAttribute('src');
+    audio.load();
+
+    if (accumulatedWaveform) {
+        accumulatedWaveform.loadPeaks(null);
+    }
+    if (downloadButton) {
+        downloadButton.disabled = true;
+    }
+
+    recorderState.settle(false);
+    updatePlaybackButtonsState();
+    this.render();
+};
+
+/**
+ * 以主播放器試聽指定錄音（不切換波形視圖），方便與其他錄音比較
+ * @param {string} id - 錄音識別碼
+ */
+TakeManager.prototype.previewTake = function(id) {
+    var take = this.getTake(id);
+    if (!take || !take.getAudioUrl()) {
+        return;
+    }
+
+    audio.srcObject = null;
+    audio.src = take.getAudioUrl();
+    audio.play().catch(function(error) {
+        console.warn('無法試聽錄音:', error);
+    });
+};
+
+/**
+ * 鎖定或解除鎖定清單操作（錄音期間鎖定）
+ * @param {boolean} locked - 是否鎖定
+ */
+TakeManager.prototype.setLocked = function(locked) {
+    this.isLocked = !!locked;
+    this.render();
+};
+
+/**
+ * 對開啟中的錄音加入一項編輯並重新產生音訊
+ * @param {Object} edit - 編輯操作（見 applyAudioEdit）
+ * @returns {Promise<Object|null>} 編輯後的音訊 { channels, sampleRate }
+ */
+TakeManager.prototype.applyEdit = function(edit) {
+    var take = this.getActiveTake();
+    if (!take || this.isLocked) {
+        return Promise.resolve(null);
+    }
+
+    take.edits.push(edit);
+    return this.refreshEdits(take, true);
+};
+
+/**
+ * 移除開啟中錄音的所有編輯，回到原始錄音
+ * @returns {Promise<Object|null>} 原始音訊 { channels, sampleRate }
+ */
+TakeManager.prototype.revertEdits = function() {
+    var take = this.getActiveTake();
+    if (!take || this.isLocked || !take.edits.length) {
+        return Promise.resolve(null);
+    }
+
+    // 插入的音訊內（沒有原始位置）的標記與標註層邊界貼齊被取代的區間
+    take.sourceMarkers = take.sourceMarkers.map(function(marker) {
+        return unmapMarkerThroughEdits(marker, take.edits, marker.base || 0, 0);
+    });
+    if (take.sourceTier && accumulatedWaveform) {
+        take.sourceTier.intervals = take.sourceTier.intervals.map(function(interval) {
+            return rebaseTierInterval(interval, take.edits, accumulatedWaveform.decimationFactor);
+        });
+    }
+    take.edits = [];
+    return this.refreshEdits(take, true);
+};
+
+/**
+ * 依編輯清單重新產生錄音的音訊，並更新波形、播放器與本機儲存
+ * @param {RecordingTake} take - 錄音
+ * @param {boolean} persist - 是否寫入本機儲存
+ * @returns {Promise<Object>} 編輯後的音訊 { channels, sampleRate }
+ */
+TakeManager.prototype.refreshEdits = function(take, persist) {
+    var self = this;
+
+    return renderTakeEdits(take).then(function(rendered) {
+        take.duration = rendered.channels[0].length / rendered.sampleRate;
+        take.clipRegions = findClippedRegions(rendered.channels, rendered.sampleRate);
+        take.markers = getTakeViewMarkers(take); // 標記跟著時間軸移動
+
+        // 開啟中的錄音：更新播放器並重建波形（保留縮放與捲動位置）
+        if (take.id === self.activeTakeId) {
+            if (recorderState.is('playing')) {
+                pausePlayback();
+            }
+
+            latestRecordingBlob = take.getAudioBlob();
+            latestRecordingUrl = take.getAudioUrl();
+            audio.srcObject = null;
+            audio.src = latestRecordingUrl;
+
+            ensureWaveformViews();
+            if (accumulatedWaveform) {
+                var viewState = {
+                    viewStart: accumulatedWaveform.viewStart,
+                    zoomFactor: accumulatedWaveform.zoomFactor,
+                    playbackPosition: accumulatedWaveform.playbackPosition
+                };
+                accumulatedWaveform.loadAudioData(rendered.channels[0], rendered.sampleRate);
+                take.peaks = accumulatedWaveform.getPeaks();
+                accumulatedWaveform.loadPeaks(take.peaks, viewState);
+                accumulatedWaveform.setClipRegions(take.clipRegions);
+                accumulatedWaveform.setMarkers(take.markers, activeMarkerId);
+                accumulatedWaveform.setResumePoints(getTakeResumePoints(take));
+                renderMarkerList();
+                refreshTierView(take); // 標註層跟著時間軸移動
+            }
+            refreshTakeAnalysis(take, rendered);
+
+            updatePlaybackButtonsState();
+        }
+
+        if (persist && self.store) {
+            self.store.saveTake(take).then(updateStorageUsage).catch(function(error) {
+                console.warn('無法保存錄音編輯:', error);
+                updateStorageUsage(error);
+            });
+        }
+
+        self.render();
+        return rendered;
+    });
+};
+
+/**
+ * 重新繪製錄音清單
+ */
+TakeManager.prototype.render = function() {
+    if (!this.container) {
+        return;
+    }
+
+    var self = this;
+    var container = this.container;
+
+    while (container.firstChild) {
+        container.removeChild(container.firstChild);
+    }
+
+    updateExportButtonsState();
+    renderHistoryPanel();
+
+    var title = document.createElement('div');
+    title.className = 'take-list-title';
+    title.textContent = '錄音清單（' + this.takes.length + '）';
+    container.appendChild(title);
+
+    if (!this.takes.length) {
+        var empty = document.createElement('div');
+        empty.className = 'take-list-empty';
+        empty.textContent = '尚無錄音';
+        container.appendChild(empty);
+        return;
+    }
+
+    var list = document.createElement('ul');
+    list.className = 'take-list-items';
+
+    function createButton(label, onClick) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.disabled = self.isLocked;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    this.takes.forEach(function(take) {
+        var item = document.createElement('li');
+        item.className = 'take-item' + (take.id === self.activeTakeId ? ' active' : '');
+
+        var info = document.createElement('div');
+        info.className = 'take-info';
+
+        var name = document.createElement('span');
+        name.className = 'take-name';
+        name.textContent = take.name;
+
+        var meta = document.createElement('span');
+        meta.className = 'take-meta';
+        meta.textContent = (take.promptId ? '題目 ' + take.promptId + ' · ' : '') +
+            calculateTimeDuration(take.duration) + ' · ' + new Date(take.createdAt).toLocaleString() +
+            (take.edits.length ? ' · 已編輯 ' + take.edits.length + ' 項' : '') +
+            (take.clipRegions && take.clipRegions.length ? ' · ⚠ 削波 ' + take.clipRegions.length + ' 處' : '');
+        if (take.clipRegions && take.clipRegions.length) {
+            meta.className += ' take-clipped';
+        }
+
+        info.appendChild(name);
+        info.appendChild(meta);
+        item.appendChild(info);
+
+        var actions = document.createElement('div');
+        actions.className = 'take-actions';
+
+        actions.appendChild(createButton('開啟', function() {
+            self.activateTake(take.id);
+        }));
+        actions.appendChild(createButton('試聽', function() {
+            self.previewTake(take.id);
+        }));
+        actions.appendChild(createButton('重新命名', function() {
+            var newName = prompt('請輸入新的錄音名稱', take.name);
+            if (newName !== null) {
+                self.renameTake(take.id, newName.trim());
+            }
+        }));
+        actions.appendChild(createButton('捨棄', function() {
+            if (confirm('確定要捨棄「' + take.name + '」嗎？')) {
+                self.removeTake(take.id);
+            }
+        }));
+
+        item.appendChild(actions);
+        list.appendChild(item);
+    });
+
+    container.appendChild(list);
+};
+
+/**
+ * 將錄音完成的 WAV Blob 建立為新的錄音段落並開啟
+ * @param {Blob} blob - WAV 音訊
+ * @param {Object} [options] - 額外的錄音資訊（name、promptId、promptText、captureInfo、resumePoints、masterFormat）
+ * @returns {Promise<RecordingTake>} 建立並保存至本機後 resolve（保存失敗見 TakeManager.persistTake）
+ */
+function createTakeFromBlob(blob, options) {
+    options = options || {};
+
+    return readAudioChannels(blob).then(function(decoded) {
+        ensureWaveformViews();
+
+        // 以完整錄音重建波形峰值，避免遺漏最後一個未送出的片段
+        var peaks = null;
+        if (accumulatedWaveform) {
+            accumulatedWaveform.loadAudioData(decoded.channels[0], decoded.sampleRate);
+            peaks = accumulatedWaveform.getPeaks();
+        }
+
+        var take = new RecordingTake({
+            name: options.name,
+            blob: blob,
+            duration: decoded.channels[0].length / decoded.sampleRate,
+            sampleRate: decoded.sampleRate,
+            peaks: peaks,
+            promptId: options.promptId,
+            promptText: options.promptText,
+            channelCount: decoded.channels.length,
+            captureInfo: options.captureInfo,
+            resumePoints: options.resumePoints,
+            masterFormat: options.masterFormat,
+            clipRegions: findClippedRegions(decoded.channels, decoded.sampleRate)
+        });
+
+        return takeManager.addTake(take);
+    });
+}
+
+takeManager = new TakeManager(document.getElementById('take-list'), recordingStore);
+
+/*=================================================================
+ * 本機儲存空間管理
+ * 顯示用量、清除舊錄音，並於載入頁面時還原錄音
+ *================================================================*/
+
+var storageControls = {
+    usage: document.getElementById('storage-usage'),
+    purgeAge: document.getElementById('storage-purge-age'),
+    purgeButton: document.getElementById('btn-purge-takes')
+};
+
+/**
+ * 將位元組數格式化為易讀字串
+ * @param {number} bytes - 位元組數
+ * @returns {string} 格式化字串
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) {
+        return bytes + ' B';
+    }
+    if (bytes < 1024 * 1024) {
+        return (bytes / 1024).toFixed(1) + ' KB';
+    }
+    if (bytes < 1024 * 1024 * 1024) {
+        return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    }
+    return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
+}
+
+/**
+ * 更新儲存空間用量顯示
+ * @param {Error} [saveError] - 最近一次保存失敗的錯誤（如空間不足）
+ */
+function updateStorageUsage(saveError) {
+    var usageLabel = storageControls.usage;
+    if (!usageLabel) {
+        return;
+    }
+
+    if (!takeManager || !takeManager.store) {
+        usageLabel.textContent = '此瀏覽器不支援本機儲存，重新整理後錄音將遺失';
+        return;
+    }
+
+    var quotaExceeded = saveError instanceof Error && saveError.name === 'QuotaExceededError';
+
+    recordingStore.estimateUsage().then(function(estimate) {
+        var text = '本機已保存 ' + takeManager.takes.length + ' 段錄音';
+        if (estimate && estimate.quota) {
+            var percent = (estimate.usage / estimate.quota) * 100;
+            text += '，已使用 ' + formatBytes(estimate.usage) + ' / ' + formatBytes(estimate.quota) +
+                '（' + percent.toFixed(1) + '%）';
+        }
+        if (quotaExceeded) {
+            text += ' — 儲存空間不足，最新錄音未能保存，請清除舊錄音';
+        }
+        usageLabel.textContent = text;
+    }).catch(function(error) {
+        console.warn('無法取得儲存空間用量:', error);
+    });
+}
+
+/**
+ * 清除早於指定時間的錄音
+ * @param {number} maxAgeMs - 保留期限（毫秒）；0 代表清除全部
+ * @returns {number} 清除的錄音數量
+ */
+function purgeTakesOlderThan(maxAgeMs) {
+    if (!takeManager || recorderState.isCapturing()) {
+        return 0;
+    }
+
+    var cutoff = Date.now() - maxAgeMs;
+    var expired = takeManager.takes.filter(function(take) {
+        return maxAgeMs === 0 || take.createdAt < cutoff;
+    });
+
+    expired.forEach(function(take) {
+        takeManager.removeTake(take.id);
+    });
+
+    return expired.length;
+}
+
+if (storageControls.purgeButton) {
+    storageControls.purgeButton.addEventListener('click', function() {
+        var maxAgeMs = storageControls.purgeAge ? Number(storageControls.purgeAge.value) : 0;
+        var label = storageControls.purgeAge ?
+            storageControls.purgeAge.options[storageControls.purgeAge.selectedIndex].text : '全部錄音';
+
+        if (!confirm('確定要清除「' + label + '」嗎？此操作無法復原。')) {
+            return;
+        }
+
+        var removed = purgeTakesOlderThan(maxAgeMs);
+        console.log('已清除 ' + removed + ' 段錄音');
+        updateStorageUsage();
+    });
+}
+
+// 離開頁面前保存目前錄音的選取與播放位置
+window.addEventListener('pagehide', function() {
+    if (takeManager) {
+        takeManager.saveActiveState();
+    }
+});
+
+// 載入頁面時還原先前保存的錄音
+(function restorePersistedTakes() {
+    if (!takeManager.store) {
+        updateStorageUsage();
+        return;
+    }
+
+    recordingStore.loadTakes().then(function(entries) {
+        var takes = entries.map(function(entry) {
+            var take = RecordingTake.fromRecord(entry.info, entry.data);
+            // 舊版的編輯清單存於錄音資訊：改存至 takeData，之後更新資訊時才不會遺失
+            if (!entry.data.edits && take.edits.length) {
+                recordingStore.saveTake(take).catch(function(error) {
+                    console.warn('無法轉換錄音的編輯清單:', error);
+                });
+            }
+            return take;
+        });
+        takeManager.restoreTakes(takes);
+        if (takes.length) {
+            console.log('已從本機還原 ' + takes.length + ' 段錄音');
+        }
+    }).catch(function(error) {
+        console.warn('無法還原本機錄音:', error);
+    }).then(function() {
+        updateStorageUsage();
+    });
+})();
+
+/*=================================================================
+ * ChunkJournal 類 - 錄音片段日誌
+ * 錄音期間將每個片段的 PCM 寫入 IndexedDB，瀏覽器當機後可重建 WAV
+ *================================================================*/
+
+/**
+ * 解析 WAV 檔頭，取得格式與 PCM 資料位置
+ * @param {ArrayBuffer} arrayBuffer - WAV 檔案內容
+ * @returns {Object|null} { audioFormat, sampleRate, channels, bitsPerSample, dataOffset, dataLength }，格式錯誤時為 null
+ */
+function parseWavFormat(arrayBuffer) {
+    if (arrayBuffer.byteLength < 12) {
+        return null;
+    }
+
+    var view = new DataView(arrayBuffer);
+
+    function readTag(offset) {
+        return String.fromCharCode(
+            view.getUint8(offset), view.getUint8(offset + 1),
+            view.getUint8(offset + 2), view.getUint8(offset + 3)
+        );
+    }
+
+    if (readTag(0) !== 'RIFF' || readTag(8) !== 'WAVE') {
+        return null;
+    }
+
+    var format = null;
+    var offset = 12;
+
+    // 逐一走訪子區塊，尋找 fmt 與 data
+    while (offset + 8 <= arrayBuffer.byteLength) {
+        var tag = readTag(offset);
+        var size = view.getUint32(offset + 4, true);
+
+        if (tag === 'fmt ') {
+            var audioFormat = view.getUint16(offset + 8, true);
+            // WAVE_FORMAT_EXTENSIBLE：實際格式記錄在 SubFormat GUID 的前兩個位元組
+            if (audioFormat === 0xFFFE && size >= 40) {
+                audioFormat = view.getUint16(offset + 32, true);
+            }
+            format = {
+                audioFormat: audioFormat,
+                channels: view.getUint16(offset + 10, true),
+                sampleRate: view.getUint32(offset + 12, true),
+                bitsPerSample: view.getUint16(offset + 22, true)
+            };
+        } else if (tag === 'data' && format) {
+            format.dataOffset = offset + 8;
+            format.dataLength = Math.min(size, arrayBuffer.byteLength - format.dataOffset);
+            return format;
+        }
+
+        offset += 8 + size + (size % 2);
+    }
+
+    return null;
+}
+
+/**
+ * ChunkJournal 類構造函數
+ * @param {RecordingStore} store - 本機儲存
+ */
+function ChunkJournal(store) {
+    this.store = store && store.isSupported() ? store : null;
+    this.session = null;        // 進行中的工作階段
+    this.pending = [];          // 等待寫入的片段
+    this.nextSeq = 0;           // 下一個片段序號
+    this._flushPromise = null;  // 進行中的寫入
+}
+
+/**
+ * 開始新的日誌工作階段（於錄音開始時呼叫）
+ */
+ChunkJournal.prototype.begin = function() {
+    if (!this.store) {
+        return;
+    }
+
+    this.session = {
+        id: 'session-' + Date.now(),
+        startedAt: Date.now(),
+        sampleRate: 0,
+        channels: 1,
+        chunkCount: 0,
+        frameCount: 0
+    };
+    this.pending = [];
+    this.nextSeq = 0;
+
+    this.store.saveJournalSession(this.session).catch(function(error) {
+        console.warn('無法建立錄音日誌:', error);
+    });
+};
+
+/**
+ * 附加一個錄音片段（StereoAudioRecorder 產生的 WAV Blob）
+ * @param {Blob} blob - 錄音片段
+ */
+ChunkJournal.prototype.append = function(blob) {
+    if (!this.session) {
+        return;
+    }
+
+    var self = this;
+    var session = this.session;
+    var seq = this.nextSeq++;   // 在讀取前配置序號，確保順序正確
+
+    blob.arrayBuffer().then(function(arrayBuffer) {
+        if (self.session !== session) {
+            return;
+        }
+
+        var format = parseWavFormat(arrayBuffer);
+        if (!format || format.bitsPerSample !== 16) {
+            console.warn('錄音片段格式無法寫入日誌');
+            return;
+        }
+
+        if (!session.sampleRate) {
+            session.sampleRate = format.sampleRate;
+            session.channels = format.channels;
+        }
+
+        session.frameCount += Math.floor(format.dataLength / 2 / format.channels);
+        self.pending.push({
+            seq: seq,
+            pcm: arrayBuffer.slice(format.dataOffset, format.dataOffset + format.dataLength)
+        });
+        self._flush();
+    }).catch(function(error) {
+        console.warn('無法寫入錄音日誌:', error);
+    });
+};
+
+/**
+ * 將等待中的片段以單一交易寫入；寫入期間抵達的片段會併入下一批
+ */
+ChunkJournal.prototype._flush = function() {
+    if (this._flushPromise || !this.pending.length || !this.session) {
+        return;
+    }
+
+    var self = this;
+    var batch = this.pending;
+    this.pending = [];
+    this.session.chunkCount += batch.length;
+
+    this._flushPromise = this.store.appendJournalChunks(this.session, batch).catch(function(error) {
+        console.warn('無法寫入錄音日誌:', error);
+    }).then(function() {
+        self._flushPromise = null;
+        self._flush();
+    });
+};
+
+/**
+ * 結束工作階段並刪除日誌（錄音已成功保存後呼叫）
+ * @param {Object} [session] - 要刪除的工作階段（省略時為目前的工作階段；延後重試時需指定，以免刪除新錄音的日誌）
+ * @returns {Promise} 刪除結果
+ */
+ChunkJournal.prototype.finish = function(session) {
+    session = session || this.session;
+    if (!session) {
+        return Promise.resolve();
+    }
+
+    var store = this.store;
+    var sessionId = session.id;
+    if (session === this.session) {
+        this.session = null;
+        this.pending = [];
+    }
+
+    // 等待進行中的寫入完成後再刪除，避免留下孤立片段
+    return (this._flushPromise || Promise.resolve()).then(function() {
+        return store.deleteJournalSession(sessionId);
+    }).catch(function(error) {
+        console.warn('無法刪除錄音日誌:', error);
+    });
+};
+
+/**
+ * 尋找先前未完成（未正常結束）的工作階段；空的工作階段會直接刪除
+ * @returns {Promise<Array>} 可復原的工作階段
+ */
+ChunkJournal.prototype.findUnfinishedSessions = function() {
+    if (!this.store) {
+        return Promise.resolve([]);
+    }
+
+    var self = this;
+
+    return this.store.loadJournalSessions().then(function(sessions) {
+        return sessions.filter(function(session) {
+            if (self.session && session.id === self.session.id) {
+                return false;
+            }
+            if (!session.chunkCount || !session.sampleRate) {
+                self.store.deleteJournalSession(session.id);
+                return false;
+            }
+            return true;
+        });
+    });
+};
+
+/**
+ * 以日誌中的 PCM 片段重建 WAV
+ * @param {Object} session - 工作階段資訊
+ * @returns {Promise<Blob>} 重建的 WAV
+ */
+ChunkJournal.prototype.rebuild = function(session) {
+    return this.store.loadJournalChunks(session.id).then(function(chunks) {
+        var channels = session.channels || 1;
+        var totalSamples = 0;
+
+        chunks.forEach(function(chunk) {
+            totalSamples += chunk.pcm.byteLength / 2;
+        });
+
+        var frameCount = Math.floor(totalSamples / channels);
+        var left = new Float32Array(frameCount);
+        var right = channels === 2 ? new Float32Array(frameCount) : null;
+        var frame = 0;
+
+        // 16-bit 交錯 PCM 轉回各聲道的浮點數資料
+        chunks.forEach(function(chunk) {
+            var samples = new Int16Array(chunk.pcm, 0, Math.floor(chunk.pcm.byteLength / 2));
+            for (var i = 0; i + channels - 1 < samples.length && frame < frameCount; i += channels) {
+                left[frame] = samples[i] / 0x7FFF;
+                if (right) {
+                    right[frame] = samples[i + 1] / 0x7FFF;
+                }
+                frame++;
+            }
+        });
+
+        return new Promise(function(resolve, reject) {
+            mergeLeftRightBuffers({
+                sampleRate: session.sampleRate,
+                numberOfAudioChannels: channels,
+                internalInterleavedLength: frameCount,
+                leftBuffers: [left],
+                rightBuffers: right ? [right] : [],
+                format: takeMasterFormat
+            }, function(buffer) {
+                resolve(new Blob([buffer], { type: 'audio/wav' }));
+            }, reject);
+        });
+    });
+};
+
+/**
+ * 捨棄工作階段
+ * @param {Object} session - 工作階段資訊
+ * @returns {Promise} 刪除結果
+ */
+ChunkJournal.prototype.discard = function(session) {
+    return this.store.deleteJournalSession(session.id);
+};
+
+var chunkJournal = new ChunkJournal(recordingStore);
+
+/**
+ * 顯示未完成錄音的復原提示
+ * @param {Array} sessions - 可復原的工作階段
+ */
+function showJournalRecovery(sessions) {
+    var panel = document.getElementById('journal-recovery');
+    if (!panel || !sessions.length) {
+        return;
+    }
+
+    var session = sessions[0];
+    var seconds = session.sampleRate ? (session.frameCount || 0) / session.sampleRate : 0;
+    panel.innerHTML = '';
+
+    var message = document.createElement('span');
+    message.textContent = '偵測到未正常結束的錄音（開始於 ' + new Date(session.startedAt).toLocaleString() +
+        '，約 ' + calculateTimeDuration(seconds) + '）。要從日誌重建嗎？';
+    panel.appendChild(message);
+
+    var recoverButton = document.createElement('button');
+    recoverButton.type = 'button';
+    recoverButton.textContent = '重建錄音';
+
+    var discardButton = document.createElement('button');
+    discardButton.type = 'button';
+    discardButton.textContent = '捨棄';
+
+    function next() {
+        sessions.shift();
+        if (sessions.length) {
+            showJournalRecovery(sessions);
+        } else {
+            panel.hidden = true;
+        }
+    }
+
+    recoverButton.addEventListener('click', function() {
+        if (recorderState.isCapturing()) {
+            notificationCenter.show({ key: 'journal-recovery', level: 'warning', title: '請先停止錄音後再重建' });
+            return;
+        }
+
+        recoverButton.disabled = true;
+        discardButton.disabled = true;
+
+        chunkJournal.rebuild(session).then(function(blob) {
+            return createTakeFromBlob(blob, {
+                name: '復原的錄音（' + new Date(session.startedAt).toLocaleString() + '）'
+            });
+        }).then(function() {
+            return chunkJournal.discard(session);
+        }).then(next).catch(function(error) {
+            if (error.take) {
+                // 已重建但未能保存：保留日誌，重新保存成功後才捨棄
+                reportTakeSaveError(error, function() {
+                    return chunkJournal.discard(session).then(next);
+                });
+                return;
+            }
+            console.error('無法重建錄音:', error);
+            recoverButton.disabled = false;
+            discardButton.disabled = false;
+        });
+    });
+
+    discardButton.addEventListener('click', function() {
+        if (!confirm('確定要捨棄這段未完成的錄音嗎？')) {
+            return;
+        }
+        chunkJournal.discard(session).then(next).catch(function(error) {
+            console.warn('無法捨棄錄音日誌:', error);
+        });
+    });
+
+    panel.appendChild(recoverButton);
+    panel.appendChild(discardButton);
+    panel.hidden = false;
+}
+
+// 載入頁面時檢查是否有未完成的錄音
+chunkJournal.findUnfinishedSessions().then(showJournalRecovery).catch(function(error) {
+    console.warn('無法讀取錄音日誌:', error);
+});
+
+/*=================================================================
+ * PromptScript 類 - 題目腳本
+ * 載入純文字 / CSV / JSON 題目清單，逐題錄音並追蹤進度
+ *================================================================*/
+
+/**
+ * 解析 CSV 文字（支援雙引號欄位與跳脫的雙引號）
+ * @param {string} text - CSV 內容
+ * @returns {Array<Array<string>>} 各列欄位
+ */
+function parseCsvRows(text) {
+    var rows = [];
+    var row = [];
+    var field = '';
+    var inQuotes = false;
+
+    for (var i = 0; i < text.length; i++) {
+        var ch = text.charAt(i);
+
+        if (inQuotes) {
+            if (ch === '"') {
+                if (text.charAt(i + 1) === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text.charAt(i + 1) === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // 移除空白列
+    return rows.filter(function(cells) {
+        return cells.some(function(cell) {
+            return cell.trim() !== '';
+        });
+    });
+}
+
+/**
+ * 依檔案類型解析題目腳本
+ * - JSON：字串陣列、{ id, text } 物件陣列，或 { prompts: [...] }
+ * - CSV：含 id / text 標題列，或「編號,文字」兩欄、單欄文字
+ * - 純文字：每行一題，可用 Tab 分隔「編號<Tab>文字」
+ * @param {string} text - 檔案內容
+ * @param {string} fileName - 檔案名稱（用於判斷格式）
+ * @returns {Array<Object>} 題目 [{ id, text }]
+ */
+function parsePromptScript(text, fileName) {
+    var extension = (fileName || '').split('.').pop().toLowerCase();
+    var items = [];
+
+    text = text.replace(/^\uFEFF/, ''); // 移除 BOM
+
+    if (extension === 'json') {
+        var data = JSON.parse(text);
+        var list = Array.isArray(data) ? data : (data && data.prompts);
+        if (!Array.isArray(list)) {
+            throw new Error('JSON 題目檔必須是陣列或包含 prompts 陣列');
+        }
+        items = list.map(function(entry) {
+            if (typeof entry === 'string') {
+                return { id: '', text: entry };
+            }
+            return {
+                id: entry.id !== undefined ? String(entry.id) : '',
+                text: String(entry.text || entry.prompt || entry.sentence || '')
+            };
+        });
+    } else if (extension === 'csv') {
+        var rows = parseCsvRows(text);
+        var idColumn = -1;
+        var textColumn = -1;
+
+        if (rows.length) {
+            var header = rows[0].map(function(cell) {
+                return cell.trim().toLowerCase();
+            });
+            idColumn = header.indexOf('id');
+            ['text', 'prompt', 'sentence'].forEach(function(name) {
+                if (textColumn === -1) {
+                    textColumn = header.indexOf(name);
+                }
+            });
+            if (textColumn !== -1) {
+                rows.shift();
+            }
+        }
+
+        items = rows.map(function(cells) {
+            if (textColumn !== -1) {
+                return { id: idColumn !== -1 ? cells[idColumn] || '' : '', text: cells[textColumn] || '' };
+            }
+            if (cells.length >= 2) {
+                return { id: cells[0], text: cells.slice(1).join(',') };
+            }
+            return { id: '', text: cells[0] };
+        });
+    } else {
+        items = text.split(/\r?\n/).map(function(line) {
+            var tabIndex = line.indexOf('\t');
+            if (tabIndex !== -1) {
+                return { id: line.slice(0, tabIndex), text: line.slice(tabIndex + 1) };
+            }
+            return { id: '', text: line };
+        });
+    }
+
+    var prompts = [];
+    items.forEach(function(item) {
+        var promptText = (item.text || '').trim();
+        if (!promptText) {
+            return;
+        }
+        var number = prompts.length + 1;
+        prompts.push({
+            id: (item.id || '').trim() || ('P' + (number < 10 ? '00' : number < 100 ? '0' : '') + number),
+            text: promptText
+        });
+    });
+
+    if (!prompts.length) {
+        throw new Error('題目檔中沒有任何題目');
+    }
+
+    return prompts;
+}
+
+/**
+ * PromptScript 類構造函數
+ * 題目狀態：pending（未錄）、done（已完成）、skipped（略過）、rerecord（需重錄）
+ * @param {Object} elements - 相關 DOM 元素
+ */
+function PromptScript(elements) {
+    this.elements = elements;
+    this.prompts = [];      // [{ id, text, status, takeIds }]
+    this.index = 0;         // 目前題目索引
+    this.isLocked = false;  // 錄音中鎖定切換
+    this.storageKey = 'simple-recordrtc-example.promptScript';
+    this.defaultText = elements.text ? elements.text.textContent : '';
+
+    this._restore();
+    this.render();
+}
+
+/**
+ * 載入新的題目清單（重設所有進度）
+ * @param {Array<Object>} prompts - 題目 [{ id, text }]
+ */
+PromptScript.prototype.load = function(prompts) {
+    this.prompts = prompts.map(function(prompt) {
+        return {
+            id: prompt.id,
+            text: prompt.text,
+            status: 'pending',
+            takeIds: []
+        };
+    });
+    this.index = 0;
+    this._save();
+    this.render();
+};
+
+/**
+ * 取得目前題目
+ * @returns {Object|null} 題目
+ */
+PromptScript.prototype.getCurrent = function() {
+    return this.prompts.length ? this.prompts[this.index] : null;
+};
+
+/**
+ * 依識別碼取得題目
+ * @param {string} id - 題目編號
+ * @returns {Object|null} 題目
+ */
+PromptScript.prototype.getPrompt = function(id) {
+    for (var i = 0; i < this.prompts.length; i++) {
+        if (this.prompts[i].id === id) {
+            return this.prompts[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * 跳至指定題目
+ * @param {number} index - 題目索引
+ */
+PromptScript.prototype.goTo = function(index) {
+    if (this.isLocked || !this.prompts.length) {
+        return;
+    }
+    this.index = Math.max(0, Math.min(index, this.prompts.length - 1));
+    this._save();
+    this.render();
+};
+
+/**
+ * 下一題
+ */
+PromptScript.prototype.next = function() {
+    this.goTo(this.index + 1);
+};
+
+/**
+ * 上一題
+ */
+PromptScript.prototype.previous = function() {
+    this.goTo(this.index - 1);
+};
+
+/**
+ * 設定目前題目的狀態
+ * @param {string} status - 'pending' | 'done' | 'skipped' | 'rerecord'
+ */
+PromptScript.prototype.setCurrentStatus = function(status) {
+    var prompt = this.getCurrent();
+    if (!prompt || this.isLocked) {
+        return;
+    }
+    prompt.status = status;
+    this._save();
+    this.render();
+};
+
+/**
+ * 將完成的錄音連結至題目並標記完成
+ * @param {string} promptId - 題目編號
+ * @param {string} takeId - 錄音識別碼
+ */
+PromptScript.prototype.attachTake = function(promptId, takeId) {
+    var prompt = this.getPrompt(promptId);
+    if (!prompt) {
+        return;
+    }
+    if (prompt.takeIds.indexOf(takeId) === -1) {
+        prompt.takeIds.push(takeId);
+    }
+    prompt.status = 'done';
+    this._save();
+    this.render();
+};
+
+/**
+ * 錄音被捨棄時解除連結；題目沒有任何錄音時恢復為未錄
+ * @param {string} takeId - 錄音識別碼
+ */
+PromptScript.prototype.detachTake = function(takeId) {
+    var changed = false;
+
+    this.prompts.forEach(function(prompt) {
+        var position = prompt.takeIds.indexOf(takeId);
+        if (position === -1) {
+            return;
+        }
+        prompt.takeIds.splice(position, 1);
+        if (!prompt.takeIds.length && prompt.status === 'done') {
+            prompt.status = 'pending';
+        }
+        changed = true;
+    });
+
+    if (changed) {
+        this._save();
+        this.render();
+    }
+};
+
+/**
+ * 統計各狀態的題數
+ * @returns {Object} { total, done, skipped, rerecord, pending }
+ */
+PromptScript.prototype.getProgress = function() {
+    var progress = { total: this.prompts.length, done: 0, skipped: 0, rerecord: 0, pending: 0 };
+    this.prompts.forEach(function(prompt) {
+        progress[prompt.status]++;
+    });
+    return progress;
+};
+
+/**
+ * 鎖定或解除鎖定題目切換（錄音期間鎖定）
+ * @param {boolean} locked - 是否鎖定
+ */
+PromptScript.prototype.setLocked = function(locked) {
+    this.isLocked = !!locked;
+    this.render();
+};
+
+/**
+ * 更新題目顯示與進度
+ */
+PromptScript.prototype.render = function() {
+    var elements = this.elements;
+    var prompt = this.getCurrent();
+    var statusLabels = { pending: '未錄', done: '已完成', skipped: '已略過', rerecord: '需重錄' };
+
+    if (elements.text) {
+        elements.text.textContent = prompt ? '請念：' + prompt.text : this.defaultText;
+    }
+
+    if (elements.progress) {
+        if (prompt) {
+            var progress = this.getProgress();
+            elements.progress.textContent = '第 ' + (this.index + 1) + ' / ' + progress.total + ' 題（' +
+                prompt.id + '，' + statusLabels[prompt.status] + '）｜完成 ' + progress.done +
+                '・略過 ' + progress.skipped + '・需重錄 ' + progress.rerecord + '・未錄 ' + progress.pending;
+        } else {
+            elements.progress.textContent = '尚未載入題目檔（支援 .txt / .csv / .json）';
+        }
+    }
+
+    var hasPrompts = this.prompts.length > 0;
+    var disabled = this.isLocked || !hasPrompts;
+
+    if (elements.previous) {
+        elements.previous.disabled = disabled || this.index === 0;
+    }
+    if (elements.next) {
+        elements.next.disabled = disabled || this.index >= this.prompts.length - 1;
+    }
+    if (elements.skip) {
+        elements.skip.disabled = disabled;
+    }
+    if (elements.rerecord) {
+        elements.rerecord.disabled = disabled;
+    }
+    if (elements.file) {
+        elements.file.disabled = this.isLocked;
+    }
+};
+
+/**
+ * 將題目與進度保存至 localStorage
+ */
+PromptScript.prototype._save = function() {
+    try {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            prompts: this.prompts,
+            index: this.index
+        }));
+    } catch (error) {
+        console.warn('無法保存題目進度:', error);
+    }
+};
+
+/**
+ * 從 localStorage 還原題目與進度
+ */
+PromptScript.prototype._restore = function() {
+    try {
+        var saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        if (saved && Array.isArray(saved.prompts)) {
+            this.prompts = saved.prompts;
+            this.index = Math.max(0, Math.min(saved.index || 0, this.prompts.length - 1));
+        }
+    } catch (error) {
+        console.warn('無法還原題目進度:', error);
+    }
+};
+
+var promptScript = new PromptScript({
+    text: document.getElementById('prompt-text'),
+    progress: document.getElementById('prompt-progress'),
+    file: document.getElementById('prompt-file'),
+    previous: document.getElementById('prompt-prev'),
+    next: document.getElementById('prompt-next'),
+    skip: document.getElementById('prompt-skip'),
+    rerecord: document.getElementById('prompt-rerecord'),
+    autoAdvance: document.getElementById('prompt-auto-advance')
+});
+
+(function bindPromptControls() {
+    var elements = promptScript.elements;
+
+    if (elements.file) {
+        elements.file.addEventListener('change', function() {
+            var file = this.files && this.files[0];
+            if (!file) {
+                return;
+            }
+
+            var input = this;
+            file.text().then(function(text) {
+                var prompts = parsePromptScript(text, file.name);
+                if (promptScript.prompts.length && !confirm('載入新題目檔會重設目前的進度，確定嗎？')) {
+                    return;
+                }
+                promptScript.load(prompts);
+                console.log('已載入 ' + prompts.length + ' 題');
+            }).catch(function(error) {
+                console.error('無法載入題目檔:', error);
+                notificationCenter.show({ key: 'prompt-import', level: 'error', title: '無法載入題目檔', message: error.message });
+            }).then(function() {
+                input.value = '';
+            });
+        });
+    }
+
+    if (elements.previous) {
+        elements.previous.addEventListener('click', function() {
+            promptScript.previous();
+        });
+    }
+    if (elements.next) {
+        elements.next.addEventListener('click', function() {
+            promptScript.next();
+        });
+    }
+    if (elements.skip) {
+        elements.skip.addEventListener('click', function() {
+            promptScript.setCurrentStatus('skipped');
+            promptScript.next();
+        });
+    }
+    if (elements.rerecord) {
+        elements.rerecord.addEventListener('click', function() {
+            promptScript.setCurrentStatus('rerecord');
+        });
+    }
+})();
+
+/*=================================================================
+ * 音訊編碼器
+ * 可擴充的編碼器註冊表：WAV（16/24 位元整數、32 位元浮點）與 FLAC；
+ * 編碼函數必須自給自足（不引用外部變數），才能序列化進 Web Worker 執行
+ *================================================================*/
+
+/**
+ * 將多聲道 PCM 編碼為 WAV
+ * @param {Array<Float32Array|Float64Array>} channels - 各聲道樣本（-1 ~ 1）
+ * @param {number} sampleRate - 採樣率
+ * @param {Object} options - { bitsPerSample: 16|24|32, float: 是否為 IEEE 浮點 }
+ * @returns {ArrayBuffer} WAV 檔案內容
+ */
+function encodeWavFile(channels, sampleRate, options) {
+    options = options || {};
+
+    var bitsPerSample = options.bitsPerSample || 16;
+    var isFloat = !!options.float;
+    var numberOfChannels = channels.length;
+    var length = numberOfChannels ? channels[0].length : 0;
+    var bytesPerSample = bitsPerSample / 8;
+    var blockAlign = numberOfChannels * bytesPerSample;
+    var dataLength = length * blockAlign;
+
+    // 浮點格式需加上 cbSize 欄位與 fact 區塊
+    var fmtLength = isFloat ? 18 : 16;
+    var factLength = isFloat ? 12 : 0;
+    var headerLength = 12 + 8 + fmtLength + factLength + 8;
+
+    var buffer = new ArrayBuffer(headerLength + dataLength);
+    var view = new DataView(buffer);
+
+    function writeTag(offset, tag) {
+        for (var i = 0; i < tag.length; i++) {
+            view.setUint8(offset + i, tag.charCodeAt(i));
+        }
+    }
+
+    writeTag(0, 'RIFF');
+    view.setUint32(4, headerLength - 8 + dataLength, true);
+    writeTag(8, 'WAVE');
+
+    writeTag(12, 'fmt ');
+    view.setUint32(16, fmtLength, true);
+    view.setUint16(20, isFloat ? 3 : 1, true);          // 1 = PCM，3 = IEEE float
+    view.setUint16(22, numberOfChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);  // byte rate
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitsPerSample, true);
+
+    var offset = 36;
+    if (isFloat) {
+        view.setUint16(36, 0, true);                    // cbSize
+        writeTag(38, 'fact');
+        view.setUint32(42, 4, true);
+        view.setUint32(46, length, true);               // 每聲道樣本數
+        offset = 50;
+    }
+
+    writeTag(offset, 'data');
+    view.setUint32(offset + 4, dataLength, true);
+    offset += 8;
+
+    // 交錯寫入各聲道樣本：L R L R ...
+    for (var i = 0; i < length; i++) {
+        for (var channel = 0; channel < numberOfChannels; channel++) {
+            var sample = channels[channel][i];
+
+            if (isFloat) {
+                view.setFloat32(offset, sample, true);
+                offset += 4;
+                continue;
+            }
+
+            // 整數格式先限制範圍，避免溢位繞回
+            sample = sample > 1 ? 1 : (sample < -1 ? -1 : sample);
+
+            if (bitsPerSample === 16) {
+                view.setInt16(offset, Math.round(sample * 0x7FFF), true);
+            } else if (bitsPerSample === 24) {
+                var value = Math.round(sample * 0x7FFFFF);
+                view.setUint8(offset, value & 0xFF);
+                view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                view.setUint8(offset + 2, (value >> 16) & 0xFF);
+            } else {
+                view.setInt32(offset, Math.round(sample * 0x7FFFFFFF), true);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * 將多聲道 PCM 編碼為 FLAC（無損壓縮）
+ * 使用固定區塊大小、FIXED 預測器（0~4 階）與 Rice 編碼；
+ * 各聲道獨立編碼，STREAMINFO 的 MD5 欄位留空（規格允許）
+ * @param {Array<Float32Array|Float64Array>} channels - 各聲道樣本（-1 ~ 1）
+ * @param {number} sampleRate - 採樣率
+ * @param {Object} options - { bitsPerSample: 16|24, blockSize: 區塊樣本數 }
+ * @returns {ArrayBuffer} FLAC 檔案內容
+ */
+function encodeFlacFile(channels, sampleRate, options) {
+    options = options || {};
+
+    var bitsPerSample = options.bitsPerSample || 16;
+    var blockSize = options.blockSize || 4096;
+    var numberOfChannels = channels.length;
+    var totalSamples = numberOfChannels ? channels[0].length : 0;
+    var maxValue = Math.pow(2, bitsPerSample - 1) - 1;
+    var sampleSizeCodes = { 8: 1, 12: 2, 16: 4, 20: 5, 24: 6 };
+    var sampleRateCodes = {
+        88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6,
+        24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11
+    };
+
+    /*-----------------------------------------------------------
+     * 位元寫入器（MSB 優先，自動擴充緩衝區）
+     *----------------------------------------------------------*/
+    var bytes = new Uint8Array(1 << 16);
+    var byteLength = 0;
+    var bitBuffer = 0;
+    var bitCount = 0;
+
+    function pushByte(value) {
+        if (byteLength === bytes.length) {
+            var grown = new Uint8Array(bytes.length * 2);
+            grown.set(bytes);
+            bytes = grown;
+        }
+        bytes[byteLength++] = value;
+    }
+
+    function writeBits(value, count) {
+        while (count > 0) {
+            var size = Math.min(count, 8 - bitCount);
+            var shift = count - size;
+            var chunk = (value >>> shift) & ((1 << size) - 1);
+            bitBuffer = (bitBuffer << size) | chunk;
+            bitCount += size;
+            count -= size;
+            if (bitCount === 8) {
+                pushByte(bitBuffer);
+                bitBuffer = 0;
+                bitCount = 0;
+            }
+        }
+    }
+
+    function writeSigned(value, count) {
+        writeBits(count === 32 ? value : value & ((1 << count) - 1), count);
+    }
+
+    function writeUnary(zeros) {
+        while (zeros > 0) {
+            var size = Math.min(zeros, 24);
+            writeBits(0, size);
+            zeros -= size;
+        }
+        writeBits(1, 1);
+    }
+
+    function alignToByte() {
+        if (bitCount) {
+            writeBits(0, 8 - bitCount);
+        }
+    }
+
+    /*-----------------------------------------------------------
+     * CRC-8（多項式 0x07）與 CRC-16（多項式 0x8005）
+     *----------------------------------------------------------*/
+    function crc8(from, to) {
+        var crc = 0;
+        for (var i = from; i < to; i++) {
+            crc ^= bytes[i];
+            for (var bit = 0; bit < 8; bit++) {
+                crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+            }
+        }
+        return crc;
+    }
+
+    function crc16(from, to) {
+        var crc = 0;
+        for (var i = from; i < to; i++) {
+            crc ^= bytes[i] << 8;
+            for (var bit = 0; bit < 8; bit++) {
+                crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xFFFF : (crc << 1) & 0xFFFF;
+            }
+        }
+        return crc;
+    }
+
+    /*-----------------------------------------------------------
+     * Rice 編碼參數估算
+     *----------------------------------------------------------*/
+    function estimateRice(sum, count, maxParameter) {
+        if (count === 0) {
+            return { parameter: 0, bits: 0 };
+        }
+
+        var mean = sum / count;
+        var guess = mean > 1 ? Math.floor(Math.log(mean) / Math.LN2) : 0;
+        var best = null;
+
+        for (var k = Math.max(0, guess - 1); k <= Math.min(maxParameter, guess + 1); k++) {
+            var bits = count * (k + 1) + Math.max(0, Math.floor(sum / Math.pow(2, k) - count / 2));
+            if (!best || bits < best.bits) {
+                best = { parameter: k, bits: bits };
+            }
+        }
+
+        return best || { parameter: maxParameter, bits: count * (maxParameter + 1) + Math.floor(sum / Math.pow(2, maxParameter)) };
+    }
+
+    function fixedResiduals(samples, order, count) {
+        var residuals = new Int32Array(count - order);
+        for (var i = order; i < count; i++) {
+            var s = samples;
+            var r;
+            switch (order) {
+                case 0: r = s[i]; break;
+                case 1: r = s[i] - s[i - 1]; break;
+                case 2: r = s[i] - 2 * s[i - 1] + s[i - 2]; break;
+                case 3: r = s[i] - 3 * s[i - 1] + 3 * s[i - 2] - s[i - 3]; break;
+                default: r = s[i] - 4 * s[i - 1] + 6 * s[i - 2] - 4 * s[i - 3] + s[i - 4]; break;
+            }
+            residuals[i - order] = r;
+        }
+        return residuals;
+    }
+
+    function foldResidual(r) {
+        return r >= 0 ? r * 2 : -r * 2 - 1;
+    }
+
+    /**
+     * 為指定殘差挑選最省位元的分割階數與各分割 Rice 參數
+     */
+    function planResidual(residuals, order, count) {
+        var maxParameter = 30;
+        var maxPartitionOrder = 0;
+        while (maxPartitionOrder < 8 &&
+               count % (1 << (maxPartitionOrder + 1)) === 0 &&
+               (count >> (maxPartitionOrder + 1)) > order) {
+            maxPartitionOrder++;
+        }
+
+        // 以最細分割計算各分割的總和，再逐層合併
+        var partitions = 1 << maxPartitionOrder;
+        var partitionSize = count >> maxPartitionOrder;
+        var sums = new Float64Array(partitions);
+        var counts = new Float64Array(partitions);
+        for (var i = 0; i < residuals.length; i++) {
+            var partition = Math.floor((i + order) / partitionSize);
+            sums[partition] += foldResidual(residuals[i]);
+            counts[partition]++;
+        }
+
+        var best = null;
+        for (var partitionOrder = maxPartitionOrder; partitionOrder >= 0; partitionOrder--) {
+            var parameters = [];
+            var bits = 0;
+            var largest = 0;
+            for (var p = 0; p < sums.length; p++) {
+                var estimate = estimateRice(sums[p], counts[p], maxParameter);
+                parameters.push(estimate.parameter);
+                largest = Math.max(largest, estimate.parameter);
+                bits += estimate.bits;
+            }
+            bits += sums.length * (largest > 14 ? 5 : 4);
+
+            if (!best || bits < best.bits) {
+                best = { partitionOrder: partitionOrder, parameters: parameters, bits: bits, wide: largest > 14 };
+            }
+
+            if (partitionOrder > 0) {
+                var mergedSums = new Float64Array(sums.length / 2);
+                var mergedCounts = new Float64Array(sums.length / 2);
+                for (var m = 0; m < mergedSums.length; m++) {
+                    mergedSums[m] = sums[m * 2] + sums[m * 2 + 1];
+                    mergedCounts[m] = counts[m * 2] + counts[m * 2 + 1];
+                }
+                sums = mergedSums;
+                counts = mergedCounts;
+            }
+        }
+
+        return best;
+    }
+
+    function writeResidual(residuals, order, count, plan) {
+        var parameterBits = plan.wide ? 5 : 4;
+        var partitions = 1 << plan.partitionOrder;
+        var partitionSize = count >> plan.partitionOrder;
+        var index = 0;
+
+        writeBits(plan.wide ? 1 : 0, 2);   // 0 = RICE，1 = RICE2
+        writeBits(plan.partitionOrder, 4);
+
+        for (var p = 0; p < partitions; p++) {
+            var k = plan.parameters[p];
+            var size = p === 0 ? partitionSize - order : partitionSize;
+            writeBits(k, parameterBits);
+            for (var i = 0; i < size; i++) {
+                var folded = foldResidual(residuals[index++]);
+                writeUnary(Math.floor(folded / Math.pow(2, k)));
+                if (k > 0) {
+                    writeBits(folded % Math.pow(2, k), k);
+                }
+            }
+        }
+    }
+
+    function writeSubframe(samples, count) {
+        var constant = true;
+        for (var i = 1; i < count; i++) {
+            if (samples[i] !== samples[0]) {
+                constant = false;
+                break;
+            }
+        }
+
+        if (constant) {
+            writeBits(0, 8);                    // CONSTANT
+            writeSigned(samples[0], bitsPerSample);
+            return;
+        }
+
+        // 以殘差絕對值總和挑選預測階數
+        var bestOrder = 0;
+        var bestResiduals = null;
+        var bestSum = Infinity;
+        for (var order = 0; order <= Math.min(4, count - 1); order++) {
+            var residuals = fixedResiduals(samples, order, count);
+            var sum = 0;
+            for (var r = 0; r < residuals.length; r++) {
+                sum += Math.abs(residuals[r]);
+            }
+            if (sum < bestSum) {
+                bestSum = sum;
+                bestOrder = order;
+                bestResiduals = residuals;
+            }
+        }
+
+        var plan = planResidual(bestResiduals, bestOrder, count);
+        var fixedBits = bestOrder * bitsPerSample + 6 + plan.bits;
+
+        if (fixedBits >= count * bitsPerSample) {
+            writeBits(1 << 1, 8);               // VERBATIM
+            for (var v = 0; v < count; v++) {
+                writeSigned(samples[v], bitsPerSample);
+            }
+            return;
+        }
+
+        writeBits((8 | bestOrder) << 1, 8);     // FIXED
+        for (var w = 0; w < bestOrder; w++) {
+            writeSigned(samples[w], bitsPerSample);
+        }
+        writeResidual(bestResiduals, bestOrder, count, plan);
+    }
+
+    function writeFrameNumber(value) {
+        if (value < 0x80) {
+            writeBits(value, 8);
+        } else if (value < 0x800) {
+            writeBits(0xC0 | (value >> 6), 8);
+            writeBits(0x80 | (value & 0x3F), 8);
+        } else if (value < 0x10000) {
+            writeBits(0xE0 | (value >> 12), 8);
+            writeBits(0x80 | ((value >> 6) & 0x3F), 8);
+            writeBits(0x80 | (value & 0x3F), 8);
+        } else {
+            writeBits(0xF0 | (value >> 18), 8);
+            writeBits(0x80 | ((value >> 12) & 0x3F), 8);
+            writeBits(0x80 | ((value >> 6) & 0x3F), 8);
+            writeBits(0x80 | (value & 0x3F), 8);
+        }
+    }
+
+    /*-----------------------------------------------------------
+     * 檔頭與 STREAMINFO
+     *----------------------------------------------------------*/
+    writeBits(0x664C6143, 32);                  // "fLaC"
+    writeBits(1, 1);                            // 最後一個中繼資料區塊
+    writeBits(0, 7);                            // STREAMINFO
+    writeBits(34, 24);
+    writeBits(blockSize, 16);                   // 最小區塊
+    writeBits(blockSize, 16);                   // 最大區塊
+    writeBits(0, 24);                           // 最小訊框（未知）
+    writeBits(0, 24);                           // 最大訊框（未知）
+    writeBits(sampleRate, 20);
+    writeBits(numberOfChannels - 1, 3);
+    writeBits(bitsPerSample - 1, 5);
+    writeBits(Math.floor(totalSamples / 4294967296), 4);
+    writeBits(totalSamples >>> 0, 32);
+    for (var md5 = 0; md5 < 4; md5++) {
+        writeBits(0, 32);
+    }
+
+    /*-----------------------------------------------------------
+     * 逐區塊寫入訊框
+     *----------------------------------------------------------*/
+    var samples = new Int32Array(blockSize);
+
+    // 常見採樣率使用標準代碼，其餘以 16 位元赫茲值寫在訊框檔頭
+    var sampleRateCode = sampleRateCodes[sampleRate] || (sampleRate < 65536 ? 13 : 0);
+
+    for (var start = 0, frameNumber = 0; start < totalSamples; start += blockSize, frameNumber++) {
+        var count = Math.min(blockSize, totalSamples - start);
+        var frameStart = byteLength;
+
+        writeBits(0x3FFE, 14);                  // 同步碼
+        writeBits(0, 1);
+        writeBits(0, 1);                        // 固定區塊大小
+        writeBits(7, 4);                        // 區塊大小寫在檔頭末端（16 位元）
+        writeBits(sampleRateCode, 4);
+        writeBits(numberOfChannels - 1, 4);     // 各聲道獨立
+        writeBits(sampleSizeCodes[bitsPerSample] || 0, 3);
+        writeBits(0, 1);
+        writeFrameNumber(frameNumber);
+        writeBits(count - 1, 16);
+        if (sampleRateCode === 13) {
+            writeBits(sampleRate, 16);
+        }
+        writeBits(crc8(frameStart, byteLength), 8);
+
+        for (var channel = 0; channel < numberOfChannels; channel++) {
+            var source = channels[channel];
+            for (var i = 0; i < count; i++) {
+                var value = source[start + i];
+                value = value > 1 ? 1 : (value < -1 ? -1 : value);
+                samples[i] = Math.round(value * maxValue);
+            }
+            writeSubframe(samples, count);
+        }
+
+        alignToByte();
+        writeBits(crc16(frameStart, byteLength), 16);
+    }
+
+    return bytes.slice(0, byteLength).buffer;
+}
+
+var audioEncoders = {};     // 已註冊的編碼器（依 id）
+var audioEncoderOrder = []; // 註冊順序（供選單使用）
+
+/**
+ * 註冊音訊編碼器
+ * @param {string} id - 編碼器代號
+ * @param {Object} descriptor - { label, extension, mimeType, encode, options }
+ *   encode(channels, sampleRate, options) 需回傳 ArrayBuffer，且可獨立序列化
+ */
+function registerAudioEncoder(id, descriptor) {
+    descriptor.id = id;
+    if (!audioEncoders[id]) {
+        audioEncoderOrder.push(id);
+    }
+    audioEncoders[id] = descriptor;
+}
+
+/**
+ * 取得音訊編碼器，找不到時回傳 16 位元 WAV
+ * @param {string} id - 編碼器代號
+ * @returns {Object} 編碼器描述
+ */
+function getAudioEncoder(id) {
+    return audioEncoders[id] || audioEncoders.wav16;
+}
+
+registerAudioEncoder('wav16', {
+    label: 'WAV 16-bit',
+    extension: 'wav',
+    mimeType: 'audio/wav',
+    encode: encodeWavFile,
+    options: { bitsPerSample: 16 }
+});
+
+registerAudioEncoder('wav24', {
+    label: 'WAV 24-bit',
+    extension: 'wav',
+    mimeType: 'audio/wav',
+    encode: encodeWavFile,
+    options: { bitsPerSample: 24 }
+});
+
+registerAudioEncoder('wav32f', {
+    label: 'WAV 32-bit float',
+    extension: 'wav',
+    mimeType: 'audio/wav',
+    encode: encodeWavFile,
+    options: { bitsPerSample: 32, float: true }
+});
+
+registerAudioEncoder('flac', {
+    label: 'FLAC 16-bit',
+    extension: 'flac',
+    mimeType: 'audio/flac',
+    encode: encodeFlacFile,
+    options: { bitsPerSample: 16 }
+});
+
+registerAudioEncoder('flac24', {
+    label: 'FLAC 24-bit',
+    extension: 'flac',
+    mimeType: 'audio/flac',
+    encode: encodeFlacFile,
+    options: { bitsPerSample: 24 }
+});
+
+// 錄音段落保存的母帶格式（錄音、編輯結果與匯入檔案皆以此寫入本機儲存）：
+// 16 位元 WAV 與原本保存的錄音相同，不增加儲存用量；匯出時再轉為所選格式。
+// 匯入 24 位元或浮點 WAV 時改用相同解析度（見 getImportMasterFormat），避免截為 16 位元
+var takeMasterFormat = 'wav16';
+
+/**
+ * 解析 WAV 為各聲道浮點樣本（不經 AudioContext 重採樣）
+ * @param {ArrayBuffer} arrayBuffer - WAV 檔案內容
+ * @returns {Object|null} { channels, sampleRate }，不支援的格式回傳 null
+ */
+function decodeWavChannels(arrayBuffer) {
+    var format = parseWavFormat(arrayBuffer);
+    if (!format || !format.channels) {
+        return null;
+    }
+
+    var bits = format.bitsPerSample;
+    var isFloat = format.audioFormat === 3;
+    if (isFloat ? bits !== 32 : (format.audioFormat !== 1 || [8, 16, 24, 32].indexOf(bits) === -1)) {
+        return null;
+    }
+
+    var bytesPerSample = bits / 8;
+    var frameCount = Math.floor(format.dataLength / (bytesPerSample * format.channels));
+    var view = new DataView(arrayBuffer, format.dataOffset);
+    var channels = [];
+    for (var c = 0; c < format.channels; c++) {
+        channels.push(new Float32Array(frameCount));
+    }
+
+    var offset = 0;
+    for (var i = 0; i < frameCount; i++) {
+        for (var channel = 0; channel < format.channels; channel++) {
+            var value;
+            if (isFloat) {
+                value = view.getFloat32(offset, true);
+            } else if (bits === 16) {
+                value = view.getInt16(offset, true) / 0x7FFF;
+            } else if (bits === 24) {
+                var raw = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+                value = raw / 0x7FFFFF;
+            } else if (bits === 32) {
+                value = view.getInt32(offset, true) / 0x7FFFFFFF;
+            } else {
+                value = (view.getUint8(offset) - 128) / 127;
+            }
+            channels[channel][i] = value;
+            offset += bytesPerSample;
+        }
+    }
+
+    return { channels: channels, sampleRate: format.sampleRate };
+}
+
+/**
+ * 讀取音訊 Blob 的各聲道樣本
+ * WAV 直接解析以保留原始採樣率與精度，其餘格式交由瀏覽器解碼
+ * @param {Blob} blob - 音訊檔案
+ * @returns {Promise<Object>} { channels, sampleRate }
+ */
+function readAudioChannels(blob) {
+    return blob.arrayBuffer().then(function(arrayBuffer) {
+        var decoded = decodeWavChannels(arrayBuffer);
+        if (decoded) {
+            return decoded;
+        }
+
+        return initializeAudioContext().then(function() {
+            return audioContext.decodeAudioData(arrayBuffer);
+        }).then(function(audioBuffer) {
+            var channels = [];
+            for (var c = 0; c < audioBuffer.numberOfChannels; c++) {
+                channels.push(audioBuffer.getChannelData(c));
+            }
+            return { channels: channels, sampleRate: audioBuffer.sampleRate };
+        });
+    });
+}
+
+/**
+ * 以指定編碼器將各聲道樣本編碼為音訊 Blob（於 Web Worker 執行）
+ * @param {Array<Float32Array>} channels - 各聲道樣本
+ * @param {number} sampleRate - 採樣率
+ * @param {string} formatId - 編碼器代號
+ * @param {Object} [resample] - { sampleRate: 目標採樣率（0 表示不轉換）, quality: 重採樣品質 }
+ * @returns {Promise<Blob>} 編碼後的檔案
+ */
+function encodeAudioChannels(channels, sampleRate, formatId, resample) {
+    var encoder = getAudioEncoder(formatId);
+    resample = resample || {};
+
+    return new Promise(function(resolve, reject) {
+        mergeLeftRightBuffers({
+            desiredSampRate: resample.sampleRate || 0,
+            resampleQuality: resample.quality,
+            sampleRate: sampleRate,
+            numberOfAudioChannels: channels.length > 1 ? 2 : 1,
+            internalInterleavedLength: channels[0].length,
+            leftBuffers: [channels[0]],
+            rightBuffers: channels.length > 1 ? [channels[1]] : [],
+            format: encoder.id
+        }, function(buffer) {
+            resolve(new Blob([buffer], { type: encoder.mimeType }));
+        }, reject);
+    });
+}
+
+/**
+ * 將音訊 Blob 轉為指定格式
+ * @param {Blob} blob - 音訊檔案
+ * @param {string} formatId - 編碼器代號
+ * @param {Object} [resample] - 重採樣設定，見 encodeAudioChannels
+ * @param {Object} [trim] - 裁除首尾靜音的設定（見 trimSilence），省略時不裁除
+ * @returns {Promise<Blob>} 轉換後的檔案
+ */
+function transcodeBlob(blob, formatId, resample, trim) {
+    return readAudioChannels(blob).then(function(decoded) {
+        var channels = trim ? trimSilence(decoded.channels, decoded.sampleRate, trim).channels : decoded.channels;
+        return encodeAudioChannels(channels, decoded.sampleRate, formatId, resample);
+    });
+}
+
+/**
+ * 取得使用者選擇的輸出格式
+ * @returns {Object} 編碼器描述
+ */
+function getSelectedAudioEncoder() {
+    var select = document.getElementById('export-audio-format');
+    return getAudioEncoder(select ? select.value : 'wav16');
+}
+
+/**
+ * 取得使用者選擇的重採樣設定（下載、上傳與匯出共用）
+ * @returns {Object} { sampleRate: 目標採樣率（0 表示維持原採樣率）, quality: 'low' | 'medium' | 'high' }
+ */
+function getSelectedResample() {
+    var rateSelect = document.getElementById('export-sample-rate');
+    var qualitySelect = document.getElementById('export-resample-quality');
+
+    return {
+        sampleRate: rateSelect ? Number(rateSelect.value) || 0 : 0,
+        quality: qualitySelect ? qualitySelect.value : 'medium'
+    };
+}
+
+/**
+ * 取得使用者選擇的裁除首尾靜音設定（下載、上傳與匯出共用）
+ * @returns {Object|null} trimSilence 的設定；未勾選時為 null
+ */
+function getSelectedTrim() {
+    var toggle = document.getElementById('export-trim-silence');
+    if (!toggle || !toggle.checked) {
+        return null;
+    }
+
+    var paddingInput = document.getElementById('export-trim-padding');
+    var padding = paddingInput ? parseFloat(paddingInput.value) : NaN;
+
+    return {
+        thresholdDb: getVadOptions().thresholdDb,
+        paddingSeconds: padding >= 0 ? padding : 0.2
+    };
+}
+
+// 依註冊表建立輸出格式選單
+(function populateAudioFormatSelect() {
+    var select = document.getElementById('export-audio-format');
+    if (!select) {
+        return;
+    }
+
+    audioEncoderOrder.forEach(function(id) {
+        var option = document.createElement('option');
+        option.value = id;
+        option.textContent = audioEncoders[id].label;
+        select.appendChild(option);
+    });
+    select.value = 'wav16';
+})();
+
+/*=================================================================
+ * ZipBuilder 類 - 瀏覽器端 ZIP 打包
+ * 以不壓縮（STORE）方式打包多個檔案，音訊本身已難以再壓縮
+ *================================================================*/
+
+var crc32Table = null; // CRC-32 查表（延遲建立）
+
+/**
+ * 計算 CRC-32 校驗碼
+ * @param {Uint8Array} bytes - 資料
+ * @returns {number} CRC-32（無號整數）
+ */
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (var n = 0; n < 256; n++) {
+            var c = n;
+            for (var k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    var crc = 0xFFFFFFFF;
+    for (var i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * ZipBuilder 類構造函數
+ */
+function ZipBuilder() {
+    this.files = []; // [{ name, nameBytes, data, crc, date }]
+}
+
+/**
+ * 加入檔案
+ * @param {string} name - 壓縮檔內的路徑
+ * @param {Uint8Array|string} data - 檔案內容（字串以 UTF-8 編碼）
+ * @param {Date} [date] - 修改時間
+ */
+ZipBuilder.prototype.addFile = function(name, data, date) {
+    var encoder = new TextEncoder();
+    var bytes = typeof data === 'string' ? encoder.encode(data) : data;
+
+    this.files.push({
+        nameBytes: encoder.encode(name),
+        data: bytes,
+        crc: crc32(bytes),
+        date: date || new Date()
+    });
+};
+
+/**
+ * 產生 ZIP 檔案
+ * @returns {Blob} application/zip
+ */
+ZipBuilder.prototype.generate = function() {
+    var parts = [];
+    var centralParts = [];
+    var offset = 0;
+    var centralSize = 0;
+
+    function toDosTime(date) {
+        return (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    }
+
+    function toDosDate(date) {
+        return ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    }
+
+    for (var i = 0; i < this.files.length; i++) {
+        var file = this.files[i];
+        var time = toDosTime(file.date);
+        var day = toDosDate(file.date);
+
+        // 本機檔頭（flag 0x0800：檔名為 UTF-8）
+        var local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true);
+        local.setUint16(8, 0, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, file.crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, file.nameBytes.length, true);
+        local.setUint16(28, 0, true);
+
+        parts.push(local, file.nameBytes, file.data);
+
+        // 中央目錄項目
+        var central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, file.crc, true);
+        central.setUint32(20, file.data.length, true);
+        central.setUint32(24, file.data.length, true);
+        central.setUint16(28, file.nameBytes.length, true);
+        central.setUint32(42, offset, true);
+
+        centralParts.push(central, file.nameBytes);
+        centralSize += 46 + file.nameBytes.length;
+        offset += 30 + file.nameBytes.length + file.data.length;
+    }
+
+    // 中央目錄結尾
+    var end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, this.files.length, true);
+    end.setUint16(10, this.files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob(parts.concat(centralParts, [end]), { type: 'application/zip' });
+};
+
+/*=================================================================
+ * 錄音匯出
+ * 將音訊（依所選輸出格式）與語料清單（JSON / TSV）一起打包下載
+ *================================================================*/
+
+var exportControls = {
+    manifestFormat: document.getElementById('export-manifest-format'),
+    exportTake: document.getElementById('btn-export-take'),
+    exportAll: document.getElementById('btn-export-all')
+};
+
+/**
+ * 觸發瀏覽器下載 Blob
+ * @param {Blob} blob - 檔案內容
+ * @param {string} fileName - 下載檔名
+ */
+function downloadBlob(blob, fileName) {
+    var downloadUrl = URL.createObjectURL(blob);
+    var anchor = document.createElement('a');
+    anchor.style.display = 'none';
+    anchor.href = downloadUrl;
+    anchor.download = fileName;
+    document.body.appendChild(anchor);
+    anchor.click();
+    document.body.removeChild(anchor);
+
+    setTimeout(function() {
+        URL.revokeObjectURL(downloadUrl);
+    }, 0);
+}
+
+/**
+ * 將名稱轉為安全的檔名
+ * @param {string} name - 原始名稱
+ * @returns {string} 檔名
+ */
+function toSafeFileName(name) {
+    return String(name || 'recording').replace(/[\\/:*?"<>|\s]+/g, '_').replace(/^_+|_+$/g, '') || 'recording';
+}
+
+/**
+ * 產生單一錄音的清單項目
+ * @param {RecordingTake} take - 錄音
+ * @param {string} fileName - 壓縮檔內的音訊檔名
+ * @param {Object} encoder - 音訊編碼器描述
+ * @param {number} sampleRate - 輸出檔案的採樣率
+ * @param {Object} [trimmed] - 裁除靜音後保留的原始樣本範圍 { start, end }
+ * @returns {Object} 清單項目
+ */
+function buildManifestEntry(take, fileName, encoder, sampleRate, trimmed) {
+    var offset = trimmed ? trimmed.start : 0;
+    var keptSamples = trimmed ? trimmed.end - trimmed.start : Math.round(take.duration * take.sampleRate);
+    var capture = take.captureInfo || {};
+    var entry = {
+        file: fileName,
+        format: encoder.id,
+        takeId: take.id,
+        takeName: take.name,
+        promptId: take.promptId,
+        promptText: take.promptText,
+        sampleRate: sampleRate,
+        channels: take.channelCount,
+        durationSeconds: Number((keptSamples / take.sampleRate).toFixed(3)),
+        trimStartSeconds: Number((offset / take.sampleRate).toFixed(3)),
+        autoGainControl: capture.autoGainControl === undefined ? null : capture.autoGainControl,
+        deviceLabel: capture.deviceLabel || null,
+        sourceFile: capture.sourceFile || null,
+        captureSettings: capture.settings || null,
+        recordedSampleRate: take.sampleRate,
+        createdAt: new Date(take.createdAt).toISOString(),
+        selection: null
+    };
+
+    // 選取區間由累積波形索引換算為原始樣本與秒數，再換算為輸出檔案的樣本位置
+    // （裁除首尾靜音時以保留範圍的起點為原點，超出範圍的部分截斷）
+    if (take.selectionStart !== null && take.selectionEnd !== null && take.selectionStart !== take.selectionEnd && take.peaks) {
+        var factor = take.peaks.decimationFactor;
+        var startSample = Math.min(keptSamples, Math.max(0, Math.min(take.selectionStart, take.selectionEnd) * factor - offset));
+        var endSample = Math.min(keptSamples, Math.max(0, Math.max(take.selectionStart, take.selectionEnd) * factor - offset));
+        var rateRatio = sampleRate / take.sampleRate;
+        entry.selection = {
+            startSample: Math.round(startSample * rateRatio),
+            endSample: Math.round(endSample * rateRatio),
+            startSeconds: Number((startSample / take.sampleRate).toFixed(3)),
+            endSeconds: Number((endSample / take.sampleRate).toFixed(3))
+        };
+    }
+
+    return entry;
+}
+
+/**
+ * 將清單序列化為 JSON 或 TSV
+ * @param {Array<Object>} entries - 清單項目
+ * @param {string} format - 'json' 或 'tsv'
+ * @returns {string} 清單內容
+ */
+function serializeManifest(entries, format) {
+    if (format !== 'tsv') {
+        return JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            items: entries
+        }, null, 2);
+    }
+
+    var columns = [
+        'file', 'format', 'take_id', 'take_name', 'prompt_id', 'prompt_text', 'sample_rate', 'channels',
+        'duration_sec', 'trim_start_sec', 'agc', 'device_label', 'source_file', 'capture_sample_rate', 'recorded_sample_rate', 'capture_channels',
+        'capture_latency_sec', 'echo_cancellation', 'noise_suppression', 'selection_start_sample', 'selection_end_sample',
+        'selection_start_sec', 'selection_end_sec', 'created_at'
+    ];
+
+    function cell(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        return String(value).replace(/[\t\r\n]+/g, ' ');
+    }
+
+    var lines = [columns.join('\t')];
+    entries.forEach(function(entry) {
+        var selection = entry.selection || {};
+        var capture = entry.captureSettings || {};
+        lines.push([
+            entry.file, entry.format, entry.takeId, entry.takeName, entry.promptId, entry.promptText, entry.sampleRate,
+            entry.channels, entry.durationSeconds, entry.trimStartSeconds, entry.autoGainControl, entry.deviceLabel,
+            entry.sourceFile, capture.sampleRate, entry.recordedSampleRate, capture.channelCount, capture.latency, capture.echoCancellation,
+            capture.noiseSuppression, selection.startSample, selection.endSample, selection.startSeconds, selection.endSeconds,
+            entry.createdAt
+        ].map(cell).join('\t'));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * 將多段錄音打包為 ZIP（音訊 + 清單）
+ * @param {Array<RecordingTake>} takes - 要匯出的錄音
+ * @param {string} format - 清單格式 'json' 或 'tsv'
+ * @param {Object} encoder - 音訊編碼器描述
+ * @param {Object} resample - 重採樣設定 { sampleRate, quality }
+ * @param {Object} [trim] - 裁除首尾靜音的設定，省略時不裁除
+ * @returns {Promise<Blob>} ZIP 檔案
+ */
+function buildTakesArchive(takes, format, encoder, resample, trim) {
+    var zip = new ZipBuilder();
+    var entries = [];
+
+    return takes.reduce(function(chain, take, index) {
+        var trimmed = null;
+
+        return chain.then(function() {
+            return ensureTakeAudio(take).then(readAudioChannels);
+        }).then(function(decoded) {
+            var channels = decoded.channels;
+            if (trim) {
+                trimmed = trimSilence(channels, decoded.sampleRate, trim);
+                channels = trimmed.channels;
+            }
+            return encodeAudioChannels(channels, decoded.sampleRate, encoder.id, resample);
+        }).then(function(blob) {
+            return blob.arrayBuffer();
+        }).then(function(arrayBuffer) {
+            var number = String(index + 1);
+            while (number.length < 3) {
+                number = '0' + number;
+            }
+            var fileName = number + '_' + toSafeFileName(take.name) + '.' + encoder.extension;
+
+            zip.addFile(fileName, new Uint8Array(arrayBuffer), new Date(take.createdAt));
+            entries.push(buildManifestEntry(take, fileName, encoder, resample.sampleRate || take.sampleRate, trimmed));
+        });
+    }, Promise.resolve()).then(function() {
+        zip.addFile('manifest.' + (format === 'tsv' ? 'tsv' : 'json'), serializeManifest(entries, format));
+        return zip.generate();
+    });
+}
+
+/**
+ * 匯出錄音並下載
+ * @param {Array<RecordingTake>} takes - 要匯出的錄音
+ * @param {string} archiveName - ZIP 檔名（不含副檔名）
+ */
+function exportTakes(takes, archiveName) {
+    if (!takes.length) {
+        return;
+    }
+
+    // 先保存目前錄音的選取區間，讓清單反映畫面上的狀態
+    takeManager.saveActiveState();
+
+    var format = exportControls.manifestFormat ? exportControls.manifestFormat.value : 'json';
+
+    buildTakesArchive(takes, format, getSelectedAudioEncoder(), getSelectedResample(), getSelectedTrim()).then(function(zipBlob) {
+        downloadBlob(zipBlob, toSafeFileName(archiveName) + '.zip');
+    }).catch(function(error) {
+        reportError(new AppError(AppError.ENCODE, '無法匯出錄音', error), {
+            key: 'export',
+            retry: function() {
+                exportTakes(takes, archiveName);
+            }
+        });
+    });
+}
+
+/**
+ * 依錄音清單與錄音狀態更新匯出按鈕
+ */
+function updateExportButtonsState() {
+    if (!exportControls) {
+        return; // 匯出區段尚未初始化
+    }
+
+    var hasTakes = !!(takeManager && takeManager.takes.length);
+
+    if (exportControls.exportTake) {
+        exportControls.exportTake.disabled = recorderState.isCapturing() || !(takeManager && takeManager.getActiveTake());
+    }
+    if (exportControls.exportAll) {
+        exportControls.exportAll.disabled = recorderState.isCapturing() || !hasTakes;
+    }
+}
+
+if (exportControls.exportTake) {
+    exportControls.exportTake.addEventListener('click', function() {
+        var take = takeManager.getActiveTake();
+        if (take) {
+            exportTakes([take], take.name);
+        }
+    });
+}
+
+if (exportControls.exportAll) {
+    exportControls.exportAll.addEventListener('click', function() {
+        exportTakes(takeManager.takes.slice(), 'recordings-' + new Date().toISOString().replace(/[:.]/g, '-'));
+    });
+}
+
+updateExportButtonsState();
+
+/*=================================================================
+ * CommandHistory 類 - 復原 / 重做
+ * 每段錄音各自記錄選取區間、播放位置與音訊編輯，
+ * 以筆數與記憶體用量（剪貼片段大小）雙重上限限制歷史長度
+ *================================================================*/
+
+/**
+ * CommandHistory 類構造函數
+ * 指令格式：{ label, size, undo(), redo() }，undo/redo 可回傳 Promise
+ * @param {Object} [options] - 設定
+ * @param {number} [options.limit=100] - 最多保留的指令數
+ * @param {number} [options.maxBytes=67108864] - 指令附帶資料的記憶體上限（位元組）
+ */
+function CommandHistory(options) {
+    options = options || {};
+    this.limit = options.limit || 100;
+    this.maxBytes = options.maxBytes || 64 * 1024 * 1024;
+    this.undoStack = [];    // 已套用的指令（最後一筆為最新）
+    this.redoStack = [];    // 已復原、可重做的指令（最後一筆為下一個重做）
+    this.isBusy = false;    // 非同步復原/重做進行中
+    this.viewState = null;  // 最近一次記錄時的選取與播放位置
+}
+
+/**
+ * 新增已執行的指令；會清空重做堆疊
+ * @param {Object} command - 指令
+ */
+CommandHistory.prototype.push = function(command) {
+    command.size = command.size || 0;
+    this.undoStack.push(command);
+    this.redoStack = [];
+    this._trim();
+};
+
+/**
+ * 超過筆數或記憶體上限時，捨棄最舊的指令
+ */
+CommandHistory.prototype._trim = function() {
+    var total = 0;
+    this.undoStack.concat(this.redoStack).forEach(function(command) {
+        total += command.size;
+    });
+
+    while (this.undoStack.length && (this.undoStack.length > this.limit || total > this.maxBytes)) {
+        total -= this.undoStack.shift().size;
+    }
+};
+
+/**
+ * 是否可以復原
+ * @returns {boolean}
+ */
+CommandHistory.prototype.canUndo = function() {
+    return !this.isBusy && this.undoStack.length > 0;
+};
+
+/**
+ * 是否可以重做
+ * @returns {boolean}
+ */
+CommandHistory.prototype.canRedo = function() {
+    return !this.isBusy && this.redoStack.length > 0;
+};
+
+/**
+ * 以指定方向執行一筆指令，並在兩個堆疊間移動
+ * @param {Array} from - 來源堆疊
+ * @param {Array} to - 目的堆疊
+ * @param {string} method - 'undo' 或 'redo'
+ * @returns {Promise<boolean>} 是否有執行
+ */
+CommandHistory.prototype._step = function(from, to, method) {
+    if (this.isBusy || !from.length) {
+        return Promise.resolve(false);
+    }
+
+    var self = this;
+    var command = from.pop();
+    this.isBusy = true;
+
+    return Promise.resolve().then(function() {
+        return command[method]();
+    }).then(function() {
+        self.isBusy = false;
+        to.push(command);
+        return true;
+    }, function(error) {
+        // 執行失敗時放回原堆疊，避免歷史錯位
+        self.isBusy = false;
+        from.push(command);
+        throw error;
+    });
+};
+
+/**
+ * 復原最近一筆指令
+ * @returns {Promise<boolean>} 是否有執行
+ */
+CommandHistory.prototype.undo = function() {
+    return this._step(this.undoStack, this.redoStack, 'undo');
+};
+
+/**
+ * 重做最近一筆復原的指令
+ * @returns {Promise<boolean>} 是否有執行
+ */
+CommandHistory.prototype.redo = function() {
+    return this._step(this.redoStack, this.undoStack, 'redo');
+};
+
+/**
+ * 連續復原或重做，直到已套用的指令數等於指定值
+ * @param {number} position - 目標的已套用指令數
+ * @returns {Promise} 完成後 resolve
+ */
+CommandHistory.prototype.goTo = function(position) {
+    var self = this;
+
+    if (position < this.undoStack.length) {
+        return this.undo().then(function(done) {
+            return done ? self.goTo(position) : null;
+        });
+    }
+    if (position > this.undoStack.length && this.redoStack.length) {
+        return this.redo().then(function(done) {
+            return done ? self.goTo(position) : null;
+        });
+    }
+    return Promise.resolve();
+};
+
+var historyControls = {
+    undo: document.getElementById('history-undo'),
+    redo: document.getElementById('history-redo'),
+    list: document.getElementById('history-list')
+};
+
+/**
+ * 取得開啟中錄音的操作歷史
+ * @returns {CommandHistory|null}
+ */
+function getActiveHistory() {
+    var take = takeManager && takeManager.getActiveTake();
+    return take ? take.history : null;
+}
+
+/**
+ * 取得目前的選取與播放位置（累積波形索引）
+ * 同時保存標記清單與標註層，讓音訊編輯的復原/重做一併還原被移動的標記與邊界
+ * @returns {Object} { selectionStart, selectionEnd, playbackPosition, markers, tier }
+ */
+function captureViewState() {
+    var take = takeManager && takeManager.getActiveTake();
+    return {
+        selectionStart: selectionStart,
+        selectionEnd: selectionEnd,
+        playbackPosition: accumulatedWaveform ? accumulatedWaveform.playbackPosition : 0,
+        markers: take ? cloneMarkers(take.sourceMarkers) : null,
+        tier: take ? cloneTier(take.sourceTier) : null
+    };
+}
+
+/**
+ * 還原選取與播放位置
+ * @param {Object} state - captureViewState() 產生的狀態
+ */
+function restoreViewState(state) {
+    if (!accumulatedWaveform) {
+        return;
+    }
+
+    if (recorderState.is('playing')) {
+        pausePlayback();
+    }
+
+    selectionStart = state.selectionStart;
+    selectionEnd = state.selectionEnd;
+
+    var take = takeManager.getActiveTake();
+    if (take && state.markers) {
+        take.sourceMarkers = cloneMarkers(state.markers);
+        take.markers = getTakeViewMarkers(take);
+        accumulatedWaveform.markers = take.markers;
+        renderMarkerList();
+    }
+    if (take && state.tier !== undefined) {
+        take.sourceTier = cloneTier(state.tier);
+        refreshTierView(take);
+    }
+    accumulatedWaveform.setPlaybackPosition(state.playbackPosition); // 同時重繪波形
+
+    var history = getActiveHistory();
+    if (history) {
+        history.viewState = captureViewState();
+    }
+
+    takeManager.saveActiveState();
+    updatePlaybackButtonsState();
+}
+
+/**
+ * 以目前的選取與播放位置作為基準，不記錄為指令
+ * （用於切換錄音、播放移動游標、編輯完成等非使用者直接操作的變更）
+ */
+function syncViewStateBaseline() {
+    var history = getActiveHistory();
+    if (history) {
+        history.viewState = captureViewState();
+        renderHistoryPanel();
+    }
+}
+
+/**
+ * 比對基準狀態，若選取或播放位置有變更則記錄為一筆指令
+ */
+function recordViewStateChange() {
+    var history = getActiveHistory();
+    if (!history || !accumulatedWaveform) {
+        return;
+    }
+
+    var before = history.viewState;
+    var after = captureViewState();
+
+    // 播放中游標持續移動，只比對選取區間
+    if (recorderState.is('playing') && before) {
+        after.playbackPosition = before.playbackPosition;
+    }
+
+    history.viewState = after;
+
+    if (!before) {
+        return;
+    }
+
+    var selectionChanged = before.selectionStart !== after.selectionStart || before.selectionEnd !== after.selectionEnd;
+    var positionChanged = before.playbackPosition !== after.playbackPosition;
+    if (!selectionChanged && !positionChanged) {
+        return;
+    }
+
+    var factor = accumulatedWaveform.decimationFactor;
+    var rate = accumulatedWaveform.sourceSampleRate;
+    function seconds(index) {
+        return (index * factor / rate).toFixed(2);
+    }
+
+    var label;
+    if (selectionChanged && (after.selectionStart === null || after.selectionStart === after.selectionEnd)) {
+        label = '取消選取';
+    } else if (selectionChanged) {
+        label = '選取 ' + seconds(Math.min(after.selectionStart, after.selectionEnd)) + '–' +
+            seconds(Math.max(after.selectionStart, after.selectionEnd)) + ' 秒';
+    } else {
+        label = '播放位置 ' + seconds(after.playbackPosition) + ' 秒';
+    }
+
+    history.push({
+        label: label,
+        undo: function() {
+            restoreViewState(before);
+        },
+        redo: function() {
+            restoreViewState(after);
+        }
+    });
+
+    renderHistoryPanel();
+}
+
+/**
+ * 記錄一筆音訊編輯
+ * @param {RecordingTake} take - 錄音
+ * @param {Object} edit - 編輯操作
+ * @param {Object} before - 編輯前的選取與播放位置
+ * @param {Object} after - 編輯後的選取與播放位置
+ */
+function recordEditCommand(take, edit, before, after) {
+    take.history.push({
+        label: describeAudioEdit(edit, take.sampleRate),
+        size: getAudioEditSize(edit),
+        undo: function() {
+            take.edits.splice(take.edits.lastIndexOf(edit), 1);
+            return takeManager.refreshEdits(take, true).then(function() {
+                restoreViewState(before);
+            });
+        },
+        redo: function() {
+            take.edits.push(edit);
+            return takeManager.refreshEdits(take, true).then(function() {
+                restoreViewState(after);
+            });
+        }
+    });
+
+    take.history.viewState = after;
+    renderHistoryPanel();
+}
+
+/**
+ * 記錄「還原原始錄音」（移除全部編輯）
+ * @param {RecordingTake} take - 錄音
+ * @param {Array<Object>} edits - 被移除的編輯清單
+ * @param {Object} before - 之前的選取與播放位置
+ * @param {Object} after - 之後的選取與播放位置
+ */
+function recordRevertCommand(take, edits, before, after) {
+    var size = 0;
+    edits.forEach(function(edit) {
+        size += getAudioEditSize(edit);
+    });
+
+    take.history.push({
+        label: '還原原始錄音',
+        size: size,
+        undo: function() {
+            take.edits = edits.slice();
+            return takeManager.refreshEdits(take, true).then(function() {
+                restoreViewState(before);
+            });
+        },
+        redo: function() {
+            take.edits = [];
+            return takeManager.refreshEdits(take, true).then(function() {
+                restoreViewState(after);
+            });
+        }
+    });
+
+    take.history.viewState = after;
+    renderHistoryPanel();
+}
+
+/**
+ * 執行復原或重做
+ * @param {string} direction - 'undo' 或 'redo'
+ */
+function stepHistory(direction) {
+    var history = getActiveHistory();
+    if (!history || recorderState.isCapturing() || isApplyingEdit) {
+        return;
+    }
+
+    var action = direction === 'redo' ? history.redo() : history.undo();
+    renderHistoryPanel();
+
+    action.catch(function(error) {
+        reportError(new AppError(AppError.EDIT, direction === 'redo' ? '無法重做' : '無法復原', error), {
+            key: 'history',
+            retry: function() {
+                stepHistory(direction);
+            }
+        });
+    }).then(renderHistoryPanel);
+}
+
+/**
+ * 重新繪製操作歷史清單與復原/重做按鈕
+ */
+function renderHistoryPanel() {
+    if (!historyControls) {
+        return; // 歷史區段尚未初始化
+    }
+
+    var history = getActiveHistory();
+    var locked = recorderState.isCapturing() || !history;
+
+    if (historyControls.undo) {
+        historyControls.undo.disabled = locked || !history.canUndo();
+    }
+    if (historyControls.redo) {
+        historyControls.redo.disabled = locked || !history.canRedo();
+    }
+
+    var list = historyControls.list;
+    if (!list) {
+        return;
+    }
+
+    while (list.firstChild) {
+        list.removeChild(list.firstChild);
+    }
+
+    if (!history) {
+        return;
+    }
+
+    // 清單：起點 + 已套用的指令 + 可重做的指令（由舊到新）
+    var entries = [{ label: '開啟錄音' }].concat(history.undoStack, history.redoStack.slice().reverse());
+    var appliedCount = history.undoStack.length;
+
+    entries.forEach(function(command, index) {
+        var item = document.createElement('li');
+        item.className = 'history-item' +
+            (index === appliedCount ? ' current' : '') +
+            (index > appliedCount ? ' undone' : '');
+        item.textContent = command.label;
+
+        if (!locked && index !== appliedCount) {
+            item.title = '回到此步驟';
+            var goTo = function() {
+                if (isApplyingEdit || getActiveHistory() !== history) {
+                    return;
+                }
+                history.goTo(index).catch(function(error) {
+                    reportError(new AppError(AppError.EDIT, '無法回到「' + command.label + '」', error), {
+                        key: 'history',
+                        retry: goTo
+                    });
+                }).then(renderHistoryPanel);
+                renderHistoryPanel();
+            };
+            item.addEventListener('click', goTo);
+        }
+
+        list.appendChild(item);
+    });
+
+    list.scrollTop = list.scrollHeight;
+}
+
+if (historyControls.undo) {
+    historyControls.undo.addEventListener('click', function() {
+        stepHistory('undo');
+    });
+}
+
+if (historyControls.redo) {
+    historyControls.redo.addEventListener('click', function() {
+        stepHistory('redo');
+    });
+}
+
+// 復原/重做的快捷鍵（預設 Ctrl+Z、Ctrl+Shift+Z / Ctrl+Y）由 ShortcutManager 統一管理
+
+renderHistoryPanel();
+
+/*=================================================================
+ * 非破壞性波形編輯
+ * 每段錄音保留原始音訊與編輯清單（剪下、複製、貼上、刪除、裁切、插入靜音），
+ * 波形、播放、下載與匯出皆使用依編輯清單重新產生的音訊
+ *================================================================*/
+
+var editControls = {
+    cut: document.getElementById('edit-cut'),
+    copy: document.getElementById('edit-copy'),
+    paste: document.getElementById('edit-paste'),
+    deleteSelection: document.getElementById('edit-delete'),
+    crop: document.getElementById('edit-crop'),
+    insertSilence: document.getElementById('edit-insert-silence'),
+    silenceSeconds: document.getElementById('edit-silence-seconds'),
+    revert: document.getElementById('edit-revert'),
+    punchIn: document.getElementById('punch-in'),
+    punchPreroll: document.getElementById('punch-preroll'),
+    punchCrossfade: document.getElementById('punch-crossfade')
+};
+
+var editClipboard = null;   // 複製或剪下的音訊 { channels, sampleRate }
+var isApplyingEdit = false; // 編輯重算中，暫停接受新的編輯
+
+// 編輯操作的顯示名稱
+var audioEditLabels = {
+    cut: '剪下',
+    'delete': '刪除',
+    crop: '裁切',
+    paste: '貼上',
+    silence: '插入靜音',
+    replace: '插入重錄'
+};
+
+/**
+ * 以新的片段取代聲道資料中的一段區間
+ * @param {Array<Float32Array>} channels - 各聲道樣本
+ * @param {number} start - 起始樣本
+ * @param {number} end - 結束樣本（不含）
+ * @param {Array<Float32Array>|null} insert - 要插入的各聲道樣本（聲道不足時沿用第一聲道）
+ * @returns {Array<Float32Array>} 新的各聲道樣本
+ */
+function spliceAudioChannels(channels, start, end, insert) {
+    var length = channels[0].length;
+    start = Math.max(0, Math.min(length, start));
+    end = Math.max(start, Math.min(length, end));
+    var insertLength = insert ? insert[0].length : 0;
+
+    return channels.map(function(channel, index) {
+        var result = new Float32Array(length - (end - start) + insertLength);
+        result.set(channel.subarray(0, start), 0);
+        if (insert) {
+            result.set(insert[index] || insert[0], start);
+        }
+        result.set(channel.subarray(end), start + insertLength);
+        return result;
+    });
+}
+
+/**
+ * 以新的片段取代一段區間，並於兩側邊界做等功率交叉淡化
+ * 淡化使用被取代區間內側的原始音訊，因此結果長度與直接取代相同
+ * @param {Array<Float32Array>} channels - 各聲道樣本
+ * @param {number} start - 起始樣本
+ * @param {number} end - 結束樣本（不含）
+ * @param {Array<Float32Array>} clip - 新的各聲道樣本（聲道不足時沿用第一聲道）
+ * @param {number} crossfade - 淡化長度（樣本數）
+ * @returns {Array<Float32Array>} 新的各聲道樣本
+ */
+function crossfadeAudioChannels(channels, start, end, clip, crossfade) {
+    var length = channels[0].length;
+    start = Math.max(0, Math.min(length, start));
+    end = Math.max(start, Math.min(length, end));
+
+    var clipLength = clip[0].length;
+    var fade = Math.max(0, Math.min(crossfade || 0, Math.floor(clipLength / 2), Math.floor((end - start) / 2)));
+    var result = spliceAudioChannels(channels, start, end, clip);
+
+    result.forEach(function(channel, index) {
+        var original = channels[index];
+        for (var i = 0; i < fade; i++) {
+            var t = (i + 0.5) / fade;
+            var fadeIn = Math.sin(t * Math.PI / 2);
+            var fadeOut = Math.cos(t * Math.PI / 2);
+
+            // 前緣：原始音訊淡出、新片段淡入
+            channel[start + i] = channel[start + i] * fadeIn + original[start + i] * fadeOut;
+
+            // 後緣：新片段淡出、原始音訊淡入
+            var clipIndex = start + clipLength - fade + i;
+            channel[clipIndex] = channel[clipIndex] * fadeOut + original[end - fade + i] * fadeIn;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * 複製聲道資料中的一段區間
+ * @param {Array<Float32Array>} channels - 各聲道樣本
+ * @param {number} start - 起始樣本
+ * @param {number} end - 結束樣本（不含）
+ * @returns {Array<Float32Array>} 區間內的各聲道樣本
+ */
+function sliceAudioChannels(channels, start, end) {
+    return channels.map(function(channel) {
+        return channel.slice(start, end);
+    });
+}
+
+/**
+ * 套用單一編輯操作
+ * 位置皆以原始採樣率的樣本數表示，並以前一項編輯完成後的時間軸為準
+ * @param {Array<Float32Array>} channels - 各聲道樣本
+ * @param {Object} edit - 編輯操作 { type, start, end, clip, length }
+ * @returns {Array<Float32Array>} 編輯後的各聲道樣本
+ */
+function applyAudioEdit(channels, edit) {
+    switch (edit.type) {
+        case 'cut':
+        case 'delete':
+            return spliceAudioChannels(channels, edit.start, edit.end, null);
+        case 'crop':
+            return sliceAudioChannels(channels, edit.start, edit.end);
+        case 'paste':
+            return spliceAudioChannels(channels, edit.start, edit.end, edit.clip);
+        case 'silence':
+            return spliceAudioChannels(channels, edit.start, edit.start, [new Float32Array(edit.length)]);
+        case 'replace':
+            return crossfadeAudioChannels(channels, edit.start, edit.end, edit.clip, edit.crossfade);
+        default:
+            console.warn('未知的編輯操作:', edit.type);
+            return channels;
+    }
+}
+
+/**
+ * 產生編輯操作的說明文字
+ * @param {Object} edit - 編輯操作
+ * @param {number} sampleRate - 採樣率
+ * @returns {string} 說明文字
+ */
+function describeAudioEdit(edit, sampleRate) {
+    function seconds(samples) {
+        return (samples / sampleRate).toFixed(2);
+    }
+
+    var label = audioEditLabels[edit.type] || edit.type;
+
+    if (edit.type === 'silence') {
+        return label + ' ' + seconds(edit.length) + ' 秒 @ ' + seconds(edit.start) + ' 秒';
+    }
+    if (edit.type === 'paste') {
+        return label + ' ' + seconds(edit.clip[0].length) + ' 秒 @ ' + seconds(edit.start) + ' 秒';
+    }
+    if (edit.type === 'replace') {
+        return label + ' ' + seconds(edit.start) + '–' + seconds(edit.end) + ' 秒（新長度 ' + seconds(edit.clip[0].length) + ' 秒）';
+    }
+    return label + ' ' + seconds(edit.start) + '–' + seconds(edit.end) + ' 秒';
+}
+
+/**
+ * 估算編輯操作附帶資料的記憶體用量
+ * @param {Object} edit - 編輯操作
+ * @returns {number} 位元組數
+ */
+function getAudioEditSize(edit) {
+    var size = 0;
+    (edit.clip || []).forEach(function(channel) {
+        size += channel.byteLength;
+    });
+    return size;
+}
+
+/**
+ * 依編輯清單計算錄音目前的音訊（原始音訊解碼後快取於記憶體）
+ * @param {RecordingTake} take - 錄音
+ * @returns {Promise<Object>} { channels, sampleRate }
+ */
+function renderTakeAudio(take) {
+    var source = take.sourceAudio ? Promise.resolve(take.sourceAudio) : readAudioChannels(take.blob).then(function(decoded) {
+        take.sourceAudio = decoded;
+        return decoded;
+    });
+
+    return source.then(function(decoded) {
+        var channels = decoded.channels;
+        take.edits.forEach(function(edit) {
+            channels = applyAudioEdit(channels, edit);
+        });
+        return { channels: channels, sampleRate: decoded.sampleRate };
+    });
+}
+
+/**
+ * 重新產生錄音編輯後的 WAV（同一段錄音的重算依序執行）
+ * @param {RecordingTake} take - 錄音
+ * @returns {Promise<Object>} 編輯後的音訊 { channels, sampleRate }
+ */
+function renderTakeEdits(take) {
+    function run() {
+        return renderTakeAudio(take).then(function(rendered) {
+            if (!take.edits.length) {
+                take.setEditedAudio(null);
+                return rendered;
+            }
+
+            return encodeAudioChannels(rendered.channels, rendered.sampleRate, take.masterFormat).then(function(blob) {
+                take.setEditedAudio(blob);
+                return rendered;
+            });
+        });
+    }
+
+    take.renderPromise = (take.renderPromise || Promise.resolve()).then(run, run);
+    return take.renderPromise;
+}
+
+/**
+ * 取得錄音目前的音訊；編輯後的 WAV 尚未產生時先行重算
+ * @param {RecordingTake} take - 錄音
+ * @returns {Promise<Blob>} WAV 音訊
+ */
+function ensureTakeAudio(take) {
+    if (!take.edits.length || take.editedBlob) {
+        return Promise.resolve(take.getAudioBlob());
+    }
+
+    return renderTakeEdits(take).then(function() {
+        return take.getAudioBlob();
+    });
+}
+
+/**
+ * 將目前的選取區間換算為原始樣本範圍
+ * @returns {Object|null} { start, end }，沒有選取時為 null
+ */
+function getSelectionSampleRange() {
+    if (!accumulatedWaveform || selectionStart === null || selectionEnd === null || selectionStart === selectionEnd) {
+        return null;
+    }
+
+    var factor = accumulatedWaveform.decimationFactor;
+    return {
+        start: Math.round(Math.min(selectionStart, selectionEnd) * factor),
+        end: Math.round(Math.max(selectionStart, selectionEnd) * factor)
+    };
+}
+
+/**
+ * 取得播放位置對應的原始樣本
+ * @returns {number} 樣本位置
+ */
+function getPlaybackSample() {
+    if (!accumulatedWaveform) {
+        return 0;
+    }
+    return Math.round(accumulatedWaveform.playbackPosition * accumulatedWaveform.decimationFactor);
+}
+
+/**
+ * 以原始樣本範圍設定選取區間與播放位置
+ * @param {number|null} start - 起始樣本；null 表示取消選取
+ * @param {number} [end] - 結束樣本
+ * @param {number} [cursor] - 播放位置樣本（預設為起始樣本）
+ */
+function selectSampleRange(start, end, cursor) {
+    if (!accumulatedWaveform) {
+        return;
+    }
+
+    var factor = accumulatedWaveform.decimationFactor;
+
+    if (start === null || start === end) {
+        selectionStart = null;
+        selectionEnd = null;
+    } else {
+        selectionStart = Math.round(start / factor);
+        selectionEnd = Math.round(end / factor);
+    }
+
+    var position = cursor === undefined ? start : cursor;
+    accumulatedWaveform.setPlaybackPosition(Math.round((position || 0) / factor)); // 同時重繪波形
+
+    takeManager.saveActiveState();
+    updatePlaybackButtonsState();
+}
+
+/**
+ * 對開啟中的錄音執行一項編輯，完成後設定新的選取區間
+ * @param {Object} edit - 編輯操作
+ * @param {function} [onApplied] - 完成後的處理（例如更新選取區間）
+ * @returns {Promise<Object|null>} 編輯後的音訊；未套用（編輯進行中或失敗）時為 null
+ */
+function runAudioEdit(edit, onApplied) {
+    if (isApplyingEdit) {
+        return Promise.resolve(null);
+    }
+
+    var take = takeManager.getActiveTake();
+    var before = captureViewState();
+
+    isApplyingEdit = true;
+    updateEditButtonsState();
+
+    return takeManager.applyEdit(edit).then(function(rendered) {
+        isApplyingEdit = false;
+        if (rendered && onApplied) {
+            onApplied(rendered);
+        }
+        if (rendered) {
+            recordEditCommand(take, edit, before, captureViewState());
+        }
+        updatePlaybackButtonsState();
+        return rendered;
+    }).catch(function(error) {
+        isApplyingEdit = false;
+        updatePlaybackButtonsState();
+        reportError(new AppError(AppError.EDIT, '無法套用編輯', error), {
+            key: 'edit',
+            retry: function() {
+                if (takeManager.getActiveTake() === take) {
+                    runAudioEdit(edit, onApplied);
+                }
+            }
+        });
+        return null;
+    });
+}
+
+/**
+ * 複製選取區間至剪貼簿
+ * @returns {Promise} 完成後 resolve
+ */
+function copySelection() {
+    var take = takeManager.getActiveTake();
+    var range = getSelectionSampleRange();
+    if (!take || !range) {
+        return Promise.resolve();
+    }
+
+    return renderTakeAudio(take).then(function(rendered) {
+        editClipboard = {
+            channels: sliceAudioChannels(rendered.channels, range.start, range.end),
+            sampleRate: rendered.sampleRate
+        };
+        updateEditButtonsState();
+    });
+}
+
+/**
+ * 依錄音與選取狀態更新編輯按鈕
+ */
+function updateEditButtonsState() {
+    if (!editControls) {
+        return; // 編輯區段尚未初始化
+    }
+
+    var take = takeManager && takeManager.getActiveTake();
+    var ready = !!take && !recorderState.isCapturing() && !isApplyingEdit;
+    var hasRange = ready && selectionStart !== null && selectionEnd !== null && selectionStart !== selectionEnd;
+
+    var rangeButtons = [editControls.cut, editControls.copy, editControls.deleteSelection, editControls.crop, editControls.punchIn];
+    rangeButtons.forEach(function(button) {
+        if (button) {
+            button.disabled = !hasRange;
+        }
+    });
+
+    if (editControls.paste) {
+        editControls.paste.disabled = !ready || !editClipboard;
+    }
+    if (editControls.insertSilence) {
+        editControls.insertSilence.disabled = !ready;
+    }
+    if (editControls.revert) {
+        editControls.revert.disabled = !ready || !take.edits.length;
+    }
+}
+
+if (editControls.copy) {
+    editControls.copy.addEventListener('click', function copy() {
+        copySelection().catch(function(error) {
+            reportError(new AppError(AppError.EDIT, '無法複製選取區間', error), {
+                key: 'edit',
+                retry: copy
+            });
+        });
+    });
+}
+
+if (editControls.cut) {
+    editControls.cut.addEventListener('click', function cut() {
+        var range = getSelectionSampleRange();
+        if (!range) {
+            return;
+        }
+
+        copySelection().then(function() {
+            runAudioEdit({ type: 'cut', start: range.start, end: range.end }, function() {
+                selectSampleRange(null, null, range.start);
+            });
+        }).catch(function(error) {
+            reportError(new AppError(AppError.EDIT, '無法剪下選取區間', error), {
+                key: 'edit',
+                retry: cut
+            });
+        });
+    });
+}
+
+if (editControls.deleteSelection) {
+    editControls.deleteSelection.addEventListener('click', function() {
+        var range = getSelectionSampleRange();
+        if (!range) {
+            return;
+        }
+
+        runAudioEdit({ type: 'delete', start: range.start, end: range.end }, function() {
+            selectSampleRange(null, null, range.start);
+        });
+    });
+}
+
+if (editControls.crop) {
+    editControls.crop.addEventListener('click', function() {
+        var range = getSelectionSampleRange();
+        if (!range) {
+            return;
+        }
+
+        runAudioEdit({ type: 'crop', start: range.start, end: range.end }, function() {
+            selectSampleRange(null, null, 0);
+        });
+    });
+}
+
+if (editControls.paste) {
+    editControls.paste.addEventListener('click', function() {
+        var take = takeManager.getActiveTake();
+        if (!take || !editClipboard) {
+            return;
+        }
+
+        if (editClipboard.sampleRate !== take.sampleRate) {
+            notificationCenter.show({
+                key: 'paste',
+                level: 'warning',
+                title: '無法貼上',
+                message: '剪貼簿的採樣率（' + editClipboard.sampleRate + ' Hz）與目前錄音（' + take.sampleRate + ' Hz）不同。'
+            });
+            return;
+        }
+
+        // 有選取區間時取代該區間，否則插入於播放位置
+        var range = getSelectionSampleRange() || { start: getPlaybackSample(), end: getPlaybackSample() };
+        var clip = editClipboard.channels;
+
+        runAudioEdit({ type: 'paste', start: range.start, end: range.end, clip: clip }, function() {
+            selectSampleRange(range.start, range.start + clip[0].length);
+        });
+    });
+}
+
+if (editControls.insertSilence) {
+    editControls.insertSilence.addEventListener('click', function() {
+        var take = takeManager.getActiveTake();
+        if (!take) {
+            return;
+        }
+
+        var seconds = editControls.silenceSeconds ? parseFloat(editControls.silenceSeconds.value) : 0.5;
+        if (!(seconds > 0)) {
+            return;
+        }
+
+        var range = getSelectionSampleRange();
+        var start = range ? range.start : getPlaybackSample();
+        var length = Math.round(seconds * take.sampleRate);
+
+        runAudioEdit({ type: 'silence', start: start, length: length }, function() {
+            selectSampleRange(start, start + length);
+        });
+    });
+}
+
+/**
+ * 移除開啟中錄音的所有編輯，回到原始錄音（可復原）
+ */
+function revertActiveTake() {
+    var take = takeManager.getActiveTake();
+    if (!take || isApplyingEdit) {
+        return;
+    }
+
+    var edits = take.edits.slice();
+    var before = captureViewState();
+
+    isApplyingEdit = true;
+    takeManager.revertEdits().then(function(rendered) {
+        isApplyingEdit = false;
+        selectSampleRange(null, null, 0);
+        if (rendered) {
+            recordRevertCommand(take, edits, before, captureViewState());
+        }
+    }).catch(function(error) {
+        isApplyingEdit = false;
+        updatePlaybackButtonsState();
+        reportError(new AppError(AppError.EDIT, '無法還原原始錄音', error), {
+            key: 'edit',
+            retry: function() {
+                if (takeManager.getActiveTake() === take) {
+                    revertActiveTake();
+                }
+            }
+        });
+    });
+}
+
+if (editControls.revert) {
+    editControls.revert.addEventListener('click', function() {
+        if (isApplyingEdit || !confirm('確定要移除所有編輯，回到原始錄音嗎？')) {
+            return;
+        }
+        revertActiveTake();
+    });
+}
+
+updateEditButtonsState();
+
+/*=================================================================
+ * 插入重錄（Punch-in）
+ * 只重新錄製選取區間：可先播放區間前的預備段落（pre-roll），
+ * 錄音完成後以交叉淡化取代原區間，結果合併回開啟中的錄音
+ *================================================================*/
+
+var punchInSession = null; // 進行中的插入重錄（錄音期間保留開啟中的錄音）
+
+/**
+ * 依目前的選取區間開始插入重錄
+ */
+function startPunchIn() {
+    var take = takeManager.getActiveTake();
+    var range = getSelectionSampleRange();
+    if (!take || !range || recorderState.isCapturing() || isApplyingEdit) {
+        return;
+    }
+
+    var prerollSeconds = editControls.punchPreroll ? parseFloat(editControls.punchPreroll.value) : 1;
+    var crossfadeMs = editControls.punchCrossfade ? parseFloat(editControls.punchCrossfade.value) : 10;
+
+    initializeAudioContext().then(function() {
+        if (recorderState.isCapturing() || isApplyingEdit || takeManager.getActiveTake() !== take) {
+            return;
+        }
+
+        // 錄音器以音訊系統的採樣率錄製：與原錄音不同時錄好也無法插入，開始前就告知
+        if (audioContext.sampleRate !== take.sampleRate) {
+            notificationCenter.show({
+                key: 'punch-in',
+                level: 'error',
+                title: '無法插入重錄',
+                message: '音訊系統的採樣率（' + audioContext.sampleRate + ' Hz）與原錄音（' + take.sampleRate +
+                    ' Hz）不同，錄好的音訊無法插入。請改用相同採樣率的音訊裝置後再試。'
+            });
+            return;
+        }
+
+        punchInSession = {
+            takeId: take.id,
+            start: range.start,
+            end: range.end,
+            preroll: Math.min(range.start, Math.round(Math.max(0, prerollSeconds || 0) * take.sampleRate)),
+            crossfade: Math.round(Math.max(0, crossfadeMs || 0) / 1000 * take.sampleRate),
+            skipSeconds: 0,   // 錄音開頭需捨棄的長度（預備段落期間與輸入延遲）
+            source: null      // 預備段落的播放節點
+        };
+
+        startRecording.call(document.getElementById('btn-toggle-recording'));
+    }).catch(function(error) {
+        reportError(error instanceof AppError ? error : new AppError(AppError.AUDIO_CONTEXT, '無法開始插入重錄', error));
+    });
+}
+
+/**
+ * 錄音器啟動後播放預備段落，並於累積波形上顯示進行位置
+ * @param {Object} session - 插入重錄狀態
+ * @param {number} recordStartTime - 錄音器啟動時的 AudioContext 時間
+ * @returns {Promise} 開始播放後 resolve
+ */
+function beginPunchInPlayback(session, recordStartTime) {
+    var take = takeManager.getTake(session.takeId);
+    if (!take) {
+        return Promise.resolve();
+    }
+
+    // 麥克風的輸入延遲：錄到的聲音比實際發聲晚這段時間才進入錄音檔
+    var inputLatency = recordingCaptureInfo && recordingCaptureInfo.settings.latency || 0;
+    session.skipSeconds = inputLatency;
+
+    return renderTakeAudio(take).then(function(rendered) {
+        if (punchInSession !== session) {
+            return; // 已停止錄音
+        }
+
+        var from = session.start - session.preroll;
+        var startTime = audioContext.currentTime;
+
+        if (session.preroll > 0) {
+            var buffer = audioContext.createBuffer(rendered.channels.length, session.preroll, rendered.sampleRate);
+            rendered.channels.forEach(function(channel, index) {
+                buffer.getChannelData(index).set(channel.subarray(from, session.start));
+            });
+
+            session.source = audioContext.createBufferSource();
+            session.source.buffer = buffer;
+            session.source.connect(audioContext.destination);
+            session.source.start(startTime);
+
+            // 使用者聽到預備段落結束的時間 = 播放開始 + 預備長度 + 輸出延遲；
+            // 該時間發出的聲音再經過輸入延遲才寫入錄音檔
+            var latency = (audioContext.baseLatency || 0) + (audioContext.outputLatency || 0);
+            session.skipSeconds = Math.max(0, startTime - recordStartTime) + session.preroll / rendered.sampleRate +
+                latency + inputLatency;
+        }
+
+        if (accumulatedWaveform) {
+            accumulatedWaveform.startPlayback(from / accumulatedWaveform.decimationFactor, rendered.sampleRate);
+        }
+    }).catch(function(error) {
+        console.error('無法播放預備段落:', error);
+    });
+}
+
+/**
+ * 停止預備段落播放與波形進行位置
+ * @param {Object} session - 插入重錄狀態
+ */
+function stopPunchInPlayback(session) {
+    if (session.source) {
+        try { session.source.stop(); } catch(e) {}
+        session.source = null;
+    }
+    if (accumulatedWaveform) {
+        accumulatedWaveform.stopPlayback();
+    }
+}
+
+/**
+ * 以錄好的音訊取代插入重錄的區間（加入開啟中錄音的編輯清單，可復原）
+ * 未能套用或保存至本機時 reject，呼叫端據此保留片段日誌
+ * @param {Object} session - 插入重錄狀態
+ * @param {Blob} blob - 錄音結果（母帶格式）
+ * @returns {Promise} 編輯套用並保存後 resolve
+ */
+function finishPunchIn(session, blob) {
+    var take = null;
+
+    return readAudioChannels(blob).then(function(decoded) {
+        take = takeManager.getActiveTake();
+        if (!take || take.id !== session.takeId) {
+            throw new Error('插入重錄的錄音已關閉');
+        }
+
+        if (decoded.sampleRate !== take.sampleRate) {
+            throw new Error('錄音的採樣率（' + decoded.sampleRate + ' Hz）與原錄音（' + take.sampleRate + ' Hz）不同，無法插入重錄');
+        }
+
+        // 捨棄預備段落期間錄到的音訊
+        var skip = Math.min(decoded.channels[0].length, Math.round(session.skipSeconds * decoded.sampleRate));
+        var clip = decoded.channels.map(function(channel) {
+            return channel.slice(skip);
+        });
+        if (!clip[0].length) {
+            throw new Error('預備段落結束前就停止錄音，沒有可插入的音訊');
+        }
+
+        return runAudioEdit({
+            type: 'replace',
+            start: session.start,
+            end: session.end,
+            clip: clip,
+            crossfade: session.crossfade
+        }, function() {
+            selectSampleRange(session.start, session.start + clip[0].length);
+        });
+    }).then(function(rendered) {
+        if (!rendered) {
+            throw new Error('無法套用插入重錄');
+        }
+        // 編輯的背景保存不回報結果，片段日誌刪除前再確認寫入本機
+        return takeManager.persistTake(take);
+    });
+}
+
+if (editControls.punchIn) {
+    editControls.punchIn.addEventListener('click', startPunchIn);
+}
+
+/*=================================================================
+ * 語音活動偵測（VAD）
+ * 以短時能量與過零率判斷語音：免手動錄音（偵測到語音自動開始、
+ * 持續靜音後自動停止），以及匯出時裁除首尾靜音
+ *================================================================*/
+
+var vadFrameSeconds = 0.02; // 分析框長度（20 毫秒）
+
+/**
+ * 分析一個音框的能量與過零率
+ * 能量超過門檻視為有聲語音；能量稍低但過零率高（摩擦音等無聲子音）亦視為語音
+ * @param {Float32Array} samples - 音框樣本
+ * @param {number} thresholdDb - 語音能量門檻（dBFS）
+ * @param {number} [zcrThreshold=0.25] - 無聲子音的過零率門檻（每樣本）
+ * @returns {Object} { db, zcr, speech }
+ */
+function analyzeVoiceFrame(samples, thresholdDb, zcrThreshold) {
+    var sum = 0;
+    var crossings = 0;
+
+    for (var i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+        if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) {
+            crossings++;
+        }
+    }
+
+    var db = toDecibels(Math.sqrt(sum / Math.max(1, samples.length)));
+    var zcr = crossings / Math.max(1, samples.length - 1);
+
+    var voiced = db >= thresholdDb;
+    var unvoiced = db >= thresholdDb - 10 && zcr >= (zcrThreshold || 0.25);
+
+    return { db: db, zcr: zcr, speech: voiced || unvoiced };
+}
+
+/**
+ * 找出錄音中第一段與最後一段語音的範圍
+ * @param {Array<Float32Array>} channels - 各聲道樣本
+ * @param {number} sampleRate - 採樣率
+ * @param {Object} options - { thresholdDb, zcrThreshold, minSpeechSeconds }
+ * @returns {Object|null} { start, end }（樣本），找不到語音時為 null
+ */
+function findVoiceBounds(channels, sampleRate, options) {
+    var frameLength = Math.max(1, Math.round(vadFrameSeconds * sampleRate));
+    var minFrames = Math.max(1, Math.round((options.minSpeechSeconds || 0.06) / vadFrameSeconds));
+    var length = channels[0].length;
+    var first = -1;
+    var last = -1;
+    var run = 0;
+
+    for (var offset = 0; offset < length; offset += frameLength) {
+        var end = Math.min(length, offset + frameLength);
+        var speech = channels.some(function(channel) {
+            return analyzeVoiceFrame(channel.subarray(offset, end), options.thresholdDb, options.zcrThreshold).speech;
+        });
+
+        if (!speech) {
+            run = 0;
+            continue;
+        }
+
+        // 需連續數個語音框才算語音，避免按鍵聲等短暫雜音
+        run++;
+        if (run === minFrames && first < 0) {
+            first = offset - (minFrames - 1) * frameLength;
+        }
+        if (run >= minFrames) {
+            last = end;
+        }
+    }
+
+    return first < 0 ? null : { start: first, end: last };
+}
+
+/**
+ * 裁除首尾靜音（保留前後緩衝）；找不到語音時維持原樣
+ * @param {Array<Float32Array>} channels - 各聲道樣本
+ * @param {number} sampleRate - 採樣率
+ * @param {Object} options - findVoiceBounds 的設定，另含 paddingSeconds
+ * @returns {Object} { channels, start, end }（start/end 為保留範圍的原始樣本位置）
+ */
+function trimSilence(channels, sampleRate, options) {
+    var length = channels[0].length;
+    var bounds = findVoiceBounds(channels, sampleRate, options);
+    if (!bounds) {
+        return { channels: channels, start: 0, end: length };
+    }
+
+    var padding = Math.round((options.paddingSeconds || 0) * sampleRate);
+    var start = Math.max(0, bounds.start - padding);
+    var end = Math.min(length, bounds.end + padding);
+
+    return {
+        channels: channels.map(function(channel) {
+            return channel.subarray(start, end);
+        }),
+        start: start,
+        end: end
+    };
+}
+
+/**
+ * VoiceActivityDetector 類構造函數
+ * 定期讀取 AnalyserNode 的時域資料，判斷語音開始與結束
+ * @param {AnalyserNode} analyserNode - 分析器節點
+ * @param {Object} [options] - 設定
+ * @param {number} [options.thresholdDb=-45] - 語音能量門檻（dBFS）
+ * @param {number} [options.zcrThreshold=0.25] - 無聲子音的過零率門檻
+ * @param {number} [options.minSpeechSeconds=0.06] - 連續語音多久後視為開始
+ * @param {number} [options.trailingSilenceSeconds=1.5] - 連續靜音多久後視為結束
+ */
+function VoiceActivityDetector(analyserNode, options) {
+    options = options || {};
+    this.analyser = analyserNode;
+    this.thresholdDb = options.thresholdDb !== undefined ? options.thresholdDb : -45;
+    this.zcrThreshold = options.zcrThreshold || 0.25;
+    this.minSpeechSeconds = options.minSpeechSeconds || 0.06;
+    this.trailingSilenceSeconds = options.trailingSilenceSeconds || 1.5;
+
+    this.onSpeechStart = null; // 語音開始回調
+    this.onSpeechEnd = null;   // 語音結束回調
+    this.onFrame = null;       // 每個音框的分析結果回調（顯示用）
+
+    this.timer = null;
+    this.buffer = null;
+    this.reset();
+}
+
+/**
+ * 重設偵測狀態（視為靜音中）
+ */
+VoiceActivityDetector.prototype.reset = function() {
+    this.isSpeaking = false;
+    this.speechSeconds = 0;
+    this.silenceSeconds = 0;
+};
+
+/**
+ * 開始偵測
+ */
+VoiceActivityDetector.prototype.start = function() {
+    if (this.timer) {
+        return;
+    }
+
+    var self = this;
+    this.reset();
+    this.timer = setInterval(function() {
+        self._tick();
+    }, vadFrameSeconds * 1000);
+};
+
+/**
+ * 停止偵測
+ */
+VoiceActivityDetector.prototype.stop = function() {
+    if (this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+    this.reset();
+};
+
+/**
+ * 分析最新的音框並更新語音狀態（內部方法）
+ */
+VoiceActivityDetector.prototype._tick = function() {
+    var size = this.analyser.fftSize;
+    if (!this.buffer || this.buffer.length !== size) {
+        this.buffer = new Float32Array(size);
+    }
+    this.analyser.getFloatTimeDomainData(this.buffer);
+
+    // 只分析最近一個音框長度的樣本，與計時間隔一致
+    var frameLength = Math.min(size, Math.round(vadFrameSeconds * audioContext.sampleRate));
+    var frame = analyzeVoiceFrame(this.buffer.subarray(size - frameLength), this.thresholdDb, this.zcrThreshold);
+
+    if (frame.speech) {
+        this.speechSeconds += vadFrameSeconds;
+        this.silenceSeconds = 0;
+        if (!this.isSpeaking && this.speechSeconds >= this.minSpeechSeconds) {
+            this.isSpeaking = true;
+            if (this.onSpeechStart) {
+                this.onSpeechStart();
+            }
+        }
+    } else {
+        this.silenceSeconds += vadFrameSeconds;
+        this.speechSeconds = 0;
+        if (this.isSpeaking && this.silenceSeconds >= this.trailingSilenceSeconds) {
+            this.isSpeaking = false;
+            if (this.onSpeechEnd) {
+                this.onSpeechEnd();
+            }
+        }
+    }
+
+    if (this.onFrame) {
+        this.onFrame(frame);
+    }
+};
+
+var vadControls = {
+    arm: document.getElementById('vad-arm'),
+    threshold: document.getElementById('vad-threshold'),
+    trailingSilence: document.getElementById('vad-trailing-silence'),
+    status: document.getElementById('vad-status')
+};
+
+/**
+ * PreRollBuffer 類構造函數
+ * 以環狀緩衝持續保存麥克風最近數秒的音訊；免手動錄音由語音觸發時，
+ * 將語音開始前的片段接在錄音開頭，避免偵測延遲與錄音器啟動時間吃掉字首
+ * @param {AudioNode} sourceNode - 麥克風來源節點
+ * @param {number} seconds - 保留的秒數
+ */
+function PreRollBuffer(sourceNode, seconds) {
+    var self = this;
+    this.source = sourceNode;
+    this.sampleRate = audioContext.sampleRate;
+    this.capacity = Math.ceil(seconds * this.sampleRate);
+    this.channels = [new Float32Array(this.capacity), new Float32Array(this.capacity)];
+    this.written = 0; // 累計寫入的樣本數（環狀位置為 written % capacity）
+
+    // 與 StereoAudioRecorder 相同以 ScriptProcessorNode 取得原始樣本；輸出接到靜音節點維持運作
+    this.processor = audioContext.createScriptProcessor(2048, 2, 2);
+    this.processor.onaudioprocess = function(event) {
+        self._write(event.inputBuffer);
+    };
+    sourceNode.connect(this.processor);
+    this.processor.connect(analyserSilencer);
+}
+
+/**
+ * 寫入一段音訊（內部方法）
+ * @param {AudioBuffer} inputBuffer - ScriptProcessorNode 的輸入
+ */
+PreRollBuffer.prototype._write = function(inputBuffer) {
+    var length = inputBuffer.length;
+    for (var c = 0; c < 2; c++) {
+        var input = inputBuffer.getChannelData(Math.min(c, inputBuffer.numberOfChannels - 1));
+        var ring = this.channels[c];
+        for (var i = 0; i < length; i++) {
+            ring[(this.written + i) % this.capacity] = input[i];
+        }
+    }
+    this.written += length;
+};
+
+/**
+ * 取出最近的音訊
+ * @param {number} count - 樣本數（超過已保存的量時取全部）
+ * @returns {Array<Float32Array>} 左右聲道
+ */
+PreRollBuffer.prototype.read = function(count) {
+    count = Math.max(0, Math.min(Math.round(count), this.capacity, this.written));
+    var start = this.written - count;
+    var capacity = this.capacity;
+
+    return this.channels.map(function(ring) {
+        var output = new Float32Array(count);
+        for (var i = 0; i < count; i++) {
+            output[i] = ring[(start + i) % capacity];
+        }
+        return output;
+    });
+};
+
+/**
+ * 停止保存並中斷連接
+ */
+PreRollBuffer.prototype.disconnect = function() {
+    this.processor.onaudioprocess = null;
+    try { this.source.disconnect(this.processor); } catch (e) {}
+    this.processor.disconnect();
+};
+
+var handsFreePreRollSeconds = 0.3; // 語音開始前額外保留的秒數（較輕的字首常低於門檻）
+
+// 免手動錄音狀態：待命期間持續開啟麥克風，錄音時沿用同一個串流，並由預錄緩衝補上語音開頭
+var handsFree = {
+    armed: false,
+    listening: false,   // 待命且未在錄音，可由語音觸發開始
+    autoStarted: false, // 目前的錄音是否由語音觸發（才會自動停止）
+    stream: null,       // 麥克風串流
+    source: null,       // 待命期間連接 analyser 的來源節點
+    preRoll: null,      // 最近數秒音訊的環狀緩衝（PreRollBuffer）
+    speechOnset: 0,     // 語音開始處在預錄緩衝中的位置（累計樣本數）
+    detector: null
+};
+
+/**
+ * 取出由語音觸發的錄音之前的音訊（語音開始前 handsFreePreRollSeconds 秒至目前）
+ * 於錄音器開始錄音後立即呼叫，兩者約略接續（誤差在一個處理區塊內）
+ * @returns {Object|null} { channels, sampleRate }；非語音觸發時為 null
+ */
+function takeHandsFreePreRoll() {
+    var preRoll = handsFree.preRoll;
+    if (!handsFree.autoStarted || !preRoll) {
+        return null;
+    }
+
+    var from = handsFree.speechOnset - handsFreePreRollSeconds * preRoll.sampleRate;
+    var channels = preRoll.read(preRoll.written - from);
+    return channels[0].length ? { channels: channels, sampleRate: preRoll.sampleRate } : null;
+}
+
+/**
+ * 讀取 VAD 設定（免手動錄音與匯出裁除靜音共用門檻）
+ * @returns {Object} { thresholdDb, trailingSilenceSeconds }
+ */
+function getVadOptions() {
+    var threshold = vadControls.threshold ? parseFloat(vadControls.threshold.value) : NaN;
+    var trailing = vadControls.trailingSilence ? parseFloat(vadControls.trailingSilence.value) : NaN;
+
+    return {
+        thresholdDb: isNaN(threshold) ? -45 : threshold,
+        trailingSilenceSeconds: trailing > 0 ? trailing : 1.5
+    };
+}
+
+/**
+ * 更新免手動錄音的狀態文字與按鈕
+ * @param {string} [text] - 狀態文字
+ */
+function updateHandsFreeStatus(text) {
+    if (vadControls.arm) {
+        vadControls.arm.textContent = handsFree.armed ? '取消待命' : '免手動錄音（待命）';
+        vadControls.arm.classList.toggle('active', handsFree.armed);
+        vadControls.arm.disabled = !handsFree.armed && (recorderState.isCapturing() || !!punchInSession);
+    }
+    if (vadControls.status && text !== undefined) {
+        vadControls.status.textContent = text;
+    }
+}
+
+/**
+ * 將待命用的麥克風來源接上 analyser，開始等待語音
+ */
+function resumeHandsFreeMonitor() {
+    if (!handsFree.armed || !handsFree.stream) {
+        return;
+    }
+
+    if (!handsFree.source) {
+        handsFree.source = audioContext.createMediaStreamSource(handsFree.stream);
+        handsFree.preRoll = new PreRollBuffer(handsFree.source, 3);
+    }
+    handsFree.source.connect(analyser);
+    analyser.fftSize = 1024;
+
+    handsFree.listening = true;
+    handsFree.autoStarted = false;
+    handsFree.detector.reset();
+    updateHandsFreeStatus('待命中：等待語音…');
+}
+
+/**
+ * 錄音期間改由即時波形的來源餵入 analyser，避免重複連接造成音量加倍
+ * （預錄緩衝保持連接，錄音器開始後才取出語音開頭）
+ */
+function suspendHandsFreeMonitor() {
+    handsFree.listening = false;
+    if (handsFree.source) {
+        try { handsFree.source.disconnect(analyser); } catch (e) {}
+    }
+}
+
+/**
+ * 進入免手動錄音待命
+ */
+function armHandsFree() {
+    if (handsFree.armed || recorderState.isCapturing() || punchInSession) {
+        return;
+    }
+
+    handsFree.armed = true;
+    updateHandsFreeStatus('正在開啟麥克風…');
+
+    initializeAudioContext().then(function() {
+        captureMicrophone(function(microphone) {
+            if (!handsFree.armed) {
+                microphone.getTracks().forEach(function(track) { track.stop(); });
+                return;
             }
-            
-            console.log('從播放位置開始: 樣本 ' + startSample);
-        } else if (selectionStart !== null && selectionEnd !== null) {
-            // 有選取範圍，播放選取範圍
-            var decimationFactor = accumulatedWaveform.decimationFactor;
-            startSample = Math.min(selectionStart, selectionEnd) * decimationFactor;
-            endSample = Math.max(selectionStart, selectionEnd) * decimationFactor;
-            
-            startSample = Math.max(0, Math.floor(startSample));
-            endSample = Math.min(channelData.length, Math.ceil(endSample));
-            
-            console.log('播放選取範圍: 樣本 ' + startSample + ' 到 ' + endSample);
+
+            var options = getVadOptions();
+            handsFree.stream = microphone;
+            handsFree.detector = new VoiceActivityDetector(analyser, options);
+
+            handsFree.detector.onSpeechStart = function() {
+                if (!handsFree.listening || recorderState.isCapturing() || punchInSession) {
+                    return;
+                }
+                handsFree.autoStarted = true;
+                // 偵測到語音時已經過 minSpeechSeconds 與一個分析框，往回推算語音開始處
+                if (handsFree.preRoll) {
+                    handsFree.speechOnset = handsFree.preRoll.written -
+                        (handsFree.detector.minSpeechSeconds + vadFrameSeconds) * handsFree.preRoll.sampleRate;
+                }
+                startRecording.call(document.getElementById('btn-toggle-recording'));
+                updateHandsFreeStatus('偵測到語音：錄音中');
+            };
+
+            handsFree.detector.onSpeechEnd = function() {
+                // 使用者暫停錄音時不自動停止
+                if (!handsFree.autoStarted || !recorderState.is('recording')) {
+                    return;
+                }
+                updateHandsFreeStatus('靜音超過 ' + handsFree.detector.trailingSilenceSeconds + ' 秒：停止錄音');
+                stopRecording.call(document.getElementById('btn-toggle-recording'));
+            };
+
+            handsFree.detector.onFrame = function(frame) {
+                if (handsFree.listening && vadControls.status) {
+                    var level = isFinite(frame.db) ? frame.db.toFixed(0) : '-∞';
+                    vadControls.status.textContent = '待命中：等待語音…（' + level + ' dBFS）';
+                }
+            };
+
+            handsFree.detector.start();
+            resumeHandsFreeMonitor();
+            startLevelMeter(true);
+        }, abortHandsFree);
+    }).catch(function(error) {
+        abortHandsFree(error instanceof AppError ? error : new AppError(AppError.AUDIO_CONTEXT, '無法啟動語音偵測', error));
+    });
+}
+
+/**
+ * 免手動錄音未能進入待命：結束待命並顯示可重試的錯誤通知
+ * @param {AppError} error - 失敗原因
+ */
+function abortHandsFree(error) {
+    disarmHandsFree();
+    reportError(error, error.missingDevice ? {
+        actions: getMissingInputDeviceActions(armHandsFree)
+    } : {
+        retry: armHandsFree,
+        retryLabel: '重新待命'
+    });
+}
+
+/**
+ * 結束免手動錄音待命（進行中的錄音不受影響，由使用者手動停止）
+ */
+function disarmHandsFree() {
+    handsFree.armed = false;
+    handsFree.listening = false;
+    handsFree.autoStarted = false;
+
+    if (handsFree.detector) {
+        handsFree.detector.stop();
+        handsFree.detector = null;
+    }
+    if (handsFree.preRoll) {
+        handsFree.preRoll.disconnect();
+        handsFree.preRoll = null;
+    }
+    if (handsFree.source) {
+        handsFree.source.disconnect();
+        handsFree.source = null;
+    }
+
+    // 錄音中的串流於錄音停止時關閉
+    if (handsFree.stream && !recorderState.isCapturing()) {
+        handsFree.stream.getTracks().forEach(function(track) { track.stop(); });
+        stopLevelMeter();
+    }
+    handsFree.stream = null;
+
+    updateHandsFreeStatus('');
+}
+
+if (vadControls.arm) {
+    vadControls.arm.addEventListener('click', function() {
+        if (handsFree.armed) {
+            disarmHandsFree();
         } else {
-            // 播放整句
-            startSample = 0;
-            endSample = channelData.length;
-            console.log('播放整句: 總共 ' + channelData.length + ' 個樣本');
+            armHandsFree();
+        }
+    });
+}
+
+// 調整門檻或靜音長度時立即套用於待命中的偵測器
+[vadControls.threshold, vadControls.trailingSilence].forEach(function(input) {
+    if (!input) {
+        return;
+    }
+    input.addEventListener('change', function() {
+        if (handsFree.detector) {
+            var options = getVadOptions();
+            handsFree.detector.thresholdDb = options.thresholdDb;
+            handsFree.detector.trailingSilenceSeconds = options.trailingSilenceSeconds;
+        }
+    });
+});
+
+updateHandsFreeStatus('');
+
+/*=================================================================
+ * 標記與標籤區段
+ * 每段錄音可加入具名的時間點標記與標籤區段（原始樣本位置），
+ * 於累積波形上拖曳、雙擊重新命名，並可匯入/匯出 Audacity 標籤檔與 WebVTT
+ * 標記保存在原始錄音的位置（take.sourceMarkers），顯示與匯出時依編輯清單對應到目前音訊（take.markers）
+ *================================================================*/
+
+var markerControls = {
+    addPoint: document.getElementById('marker-add'),
+    addRegion: document.getElementById('marker-add-region'),
+    importFile: document.getElementById('marker-import'),
+    exportAudacity: document.getElementById('marker-export-audacity'),
+    exportVtt: document.getElementById('marker-export-vtt'),
+    list: document.getElementById('marker-list')
+};
+
+var activeMarkerId = null; // 清單與波形上反白的標記
+
+/**
+ * 建立標記；start 等於 end 時為時間點標記，否則為標籤區段
+ * @param {number} start - 起始位置（原始樣本）
+ * @param {number} end - 結束位置（原始樣本）
+ * @param {string} label - 名稱
+ * @returns {Object} 標記 { id, start, end, label }
+ */
+function createMarker(start, end, label) {
+    return {
+        id: 'marker-' + Date.now() + '-' + Math.floor(Math.random() * 100000),
+        start: Math.min(start, end),
+        end: Math.max(start, end),
+        label: label || ''
+    };
+}
+
+/**
+ * 複製標記清單（供操作歷史保存前後狀態）
+ * @param {Array<Object>} markers - 標記清單
+ * @returns {Array<Object>} 複本
+ */
+function cloneMarkers(markers) {
+    return (markers || []).map(function(marker) {
+        var copy = { id: marker.id, start: marker.start, end: marker.end, label: marker.label };
+        if (marker.base) {
+            copy.base = marker.base;
+        }
+        return copy;
+    });
+}
+
+/**
+ * 依起點排序標記清單
+ * @param {Array<Object>} markers - 標記清單
+ * @returns {Array<Object>} 排序後的新陣列
+ */
+function sortMarkers(markers) {
+    return markers.slice().sort(function(a, b) {
+        return a.start - b.start || a.end - b.end;
+    });
+}
+
+/**
+ * 將一個原始樣本位置對應到編輯後的時間軸
+ * 位於被取代區間內的位置對應到新片段內（超出新片段長度時貼齊其終點）
+ * @param {number} position - 原始樣本位置
+ * @param {Object} edit - 編輯操作（見 applyAudioEdit）
+ * @returns {number} 編輯後的位置
+ */
+function mapSamplePositionThroughEdit(position, edit) {
+    if (edit.type === 'crop') {
+        return Math.max(0, Math.min(edit.end - edit.start, position - edit.start));
+    }
+
+    var start = edit.start;
+    var end = edit.type === 'silence' ? edit.start : edit.end;
+    var inserted = edit.type === 'silence' ? edit.length : (edit.clip ? edit.clip[0].length : 0);
+
+    if (position <= start) {
+        return position;
+    }
+    if (position >= end) {
+        return position - (end - start) + inserted;
+    }
+    return start + Math.min(position - start, inserted);
+}
+
+/**
+ * 將編輯後時間軸上的位置對應回編輯前（mapSamplePositionThroughEdit 的反向）
+ * @param {number} position - 編輯後的原始樣本位置
+ * @param {Object} edit - 編輯操作（見 applyAudioEdit）
+ * @param {boolean} [snap=false] - 位於新插入的音訊內時貼齊被取代區間，而非回傳 null
+ * @returns {number|null} 編輯前的位置；位於新插入、沒有對應原始音訊的部分時為 null
+ */
+function unmapSamplePositionThroughEdit(position, edit, snap) {
+    if (edit.type === 'crop') {
+        return position + edit.start;
+    }
+
+    var start = edit.start;
+    var end = edit.type === 'silence' ? edit.start : edit.end;
+    var inserted = edit.type === 'silence' ? edit.length : (edit.clip ? edit.clip[0].length : 0);
+
+    if (position <= start) {
+        return position;
+    }
+    if (position >= start + inserted) {
+        return position - inserted + (end - start);
+    }
+    if (position - start <= end - start) {
+        return position; // 取代的片段內仍有對應的原始位置
+    }
+    return snap ? end : null;
+}
+
+/**
+ * 將保存的標記對應到目前的時間軸
+ * @param {Object} marker - 保存的標記（base 為位置已套用的編輯數，省略表示原始錄音）
+ * @param {Array<Object>} edits - 編輯清單
+ * @returns {Object|null} 目前時間軸上的標記；落在被刪除的區間內時為 null
+ */
+function mapMarkerThroughEdits(marker, edits) {
+    var mapped = [{ id: marker.id, start: marker.start, end: marker.end, label: marker.label }];
+    edits.slice(marker.base || 0).forEach(function(edit) {
+        mapped = mapMarkersThroughEdit(mapped, edit);
+    });
+    return mapped[0] || null;
+}
+
+/**
+ * 將目前時間軸上的標記換算為保存用的位置
+ * 逐一反推編輯，盡量對應回原始錄音；位於插入的音訊內（沒有原始位置）時停在該項編輯之後，記錄於 base
+ * @param {Object} marker - 標記
+ * @param {Array<Object>} edits - 編輯清單
+ * @param {number} [base=edits.length] - 標記位置已套用的編輯數
+ * @param {number} [target=0] - 要對應到的編輯數；指定時無法反推的位置貼齊被取代的區間
+ * @returns {Object} 保存用的標記
+ */
+function unmapMarkerThroughEdits(marker, edits, base, target) {
+    var start = marker.start;
+    var end = marker.end;
+    var snap = target !== undefined;
+    base = base === undefined ? edits.length : base;
+    target = target || 0;
+
+    while (base > target) {
+        var edit = edits[base - 1];
+        var previousStart = unmapSamplePositionThroughEdit(start, edit, snap);
+        var previousEnd = unmapSamplePositionThroughEdit(end, edit, snap);
+        if (previousStart === null || previousEnd === null) {
+            break;
+        }
+        start = previousStart;
+        end = previousEnd;
+        base--;
+    }
+
+    var result = { id: marker.id, start: start, end: end, label: marker.label };
+    if (base) {
+        result.base = base;
+    }
+    return result;
+}
+
+/**
+ * 取得錄音在目前音訊上的標記（落在被刪除區間內的標記暫不顯示，還原編輯後重新出現）
+ * @param {RecordingTake} take - 錄音
+ * @returns {Array<Object>} 標記清單（目前音訊的原始樣本位置）
+ */
+function getTakeViewMarkers(take) {
+    var markers = [];
+    take.sourceMarkers.forEach(function(marker) {
+        var mapped = mapMarkerThroughEdits(marker, take.edits);
+        if (mapped) {
+            markers.push(mapped);
+        }
+    });
+    return markers;
+}
+
+/**
+ * 將標記位置對應到編輯後的時間軸
+ * 被刪除區間內的時間點與完全落在其中的區段會移除，跨越編輯點的區段隨之伸縮
+ * @param {Array<Object>} markers - 標記清單（原始樣本位置）
+ * @param {Object} edit - 編輯操作（見 applyAudioEdit）
+ * @returns {Array<Object>} 新的標記清單
+ */
+function mapMarkersThroughEdit(markers, edit) {
+    if (edit.type === 'crop') {
+        return markers.filter(function(marker) {
+            return marker.end >= edit.start && marker.start <= edit.end;
+        }).map(function(marker) {
+            return {
+                id: marker.id,
+                start: mapSamplePositionThroughEdit(marker.start, edit),
+                end: mapSamplePositionThroughEdit(marker.end, edit),
+                label: marker.label
+            };
+        });
+    }
+
+    var start = edit.start;
+    var end = edit.type === 'silence' ? edit.start : edit.end;
+    var inserted = edit.type === 'silence' ? edit.length : (edit.clip ? edit.clip[0].length : 0);
+
+    var result = [];
+    markers.forEach(function(marker) {
+        // 剪下/刪除時，完全落在刪除區間內的標記一併移除
+        if (!inserted && marker.start > start && marker.end < end) {
+            return;
+        }
+
+        var mapped = {
+            id: marker.id,
+            start: mapSamplePositionThroughEdit(marker.start, edit),
+            end: mapSamplePositionThroughEdit(marker.end, edit),
+            label: marker.label
+        };
+        // 原本有長度的區段被壓縮為零時移除
+        if (mapped.end > mapped.start || marker.end === marker.start) {
+            result.push(mapped);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * 取得錄音在目前音訊中的暫停標記位置
+ * 繼續錄音的位置以原始錄音保存，依編輯清單逐一對應（被刪除的位置隨之移除）
+ * @param {RecordingTake} take - 錄音
+ * @returns {Array<number>} 繼續錄音的位置（目前音訊的原始樣本位置）
+ */
+function getTakeResumePoints(take) {
+    var points = take.resumePoints.map(function(position) {
+        return { start: position, end: position };
+    });
+    take.edits.forEach(function(edit) {
+        points = mapMarkersThroughEdit(points, edit);
+    });
+    return points.map(function(point) {
+        return point.start;
+    });
+}
+
+/**
+ * 秒數轉為 WebVTT 時間戳記（HH:MM:SS.mmm）
+ * @param {number} seconds - 秒數
+ * @returns {string} 時間戳記
+ */
+function formatVttTimestamp(seconds) {
+    var milliseconds = Math.max(0, Math.round(seconds * 1000));
+    function pad(value, size) {
+        var text = String(value);
+        while (text.length < size) {
+            text = '0' + text;
+        }
+        return text;
+    }
+
+    return pad(Math.floor(milliseconds / 3600000), 2) + ':' +
+        pad(Math.floor(milliseconds / 60000) % 60, 2) + ':' +
+        pad(Math.floor(milliseconds / 1000) % 60, 2) + '.' +
+        pad(milliseconds % 1000, 3);
+}
+
+/**
+ * 解析 WebVTT 時間戳記（小時可省略）
+ * @param {string} text - 時間戳記
+ * @returns {number} 秒數；格式錯誤時為 NaN
+ */
+function parseVttTimestamp(text) {
+    var match = /^(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})$/.exec(text.trim());
+    if (!match) {
+        return NaN;
+    }
+    return (parseInt(match[1] || '0', 10) * 3600) + parseInt(match[2], 10) * 60 +
+        parseInt(match[3], 10) + parseInt(match[4], 10) / 1000;
+}
+
+/**
+ * 轉為 Audacity 標籤檔（起點、終點秒數與名稱，以 Tab 分隔）
+ * @param {Array<Object>} markers - 標記清單
+ * @param {number} sampleRate - 採樣率
+ * @returns {string} 標籤檔內容
+ */
+function serializeAudacityLabels(markers, sampleRate) {
+    return sortMarkers(markers).map(function(marker) {
+        return (marker.start / sampleRate).toFixed(6) + '\t' +
+            (marker.end / sampleRate).toFixed(6) + '\t' +
+            marker.label.replace(/[\t\r\n]+/g, ' ');
+    }).join('\n') + '\n';
+}
+
+/**
+ * 解析 Audacity 標籤檔；略過頻率範圍行（以反斜線開頭）
+ * @param {string} text - 標籤檔內容
+ * @param {number} sampleRate - 採樣率
+ * @returns {Array<Object>} 標記清單
+ */
+function parseAudacityLabels(text, sampleRate) {
+    var markers = [];
+
+    text.split(/\r?\n/).forEach(function(line, index) {
+        if (!line.trim() || line.charAt(0) === '\\') {
+            return;
+        }
+
+        var fields = line.split('\t');
+        var start = parseFloat(fields[0].replace(',', '.'));
+        var end = fields.length > 1 ? parseFloat(fields[1].replace(',', '.')) : start;
+        if (!isFinite(start) || !isFinite(end)) {
+            throw new Error('第 ' + (index + 1) + ' 行不是有效的標籤');
+        }
+
+        markers.push(createMarker(Math.round(start * sampleRate), Math.round(end * sampleRate), fields.slice(2).join(' ')));
+    });
+
+    return markers;
+}
+
+/**
+ * 轉為 WebVTT 字幕檔；時間點標記輸出為長度為零的字幕
+ * @param {Array<Object>} markers - 標記清單
+ * @param {number} sampleRate - 採樣率
+ * @returns {string} WebVTT 內容
+ */
+function serializeWebVtt(markers, sampleRate) {
+    var lines = ['WEBVTT', ''];
+
+    sortMarkers(markers).forEach(function(marker, index) {
+        lines.push(String(index + 1));
+        lines.push(formatVttTimestamp(marker.start / sampleRate) + ' --> ' + formatVttTimestamp(marker.end / sampleRate));
+        lines.push(marker.label.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n{2,}/g, '\n') || '-');
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * 解析 WebVTT 字幕檔；NOTE、STYLE、REGION 區塊與字幕內的標記語法會略過
+ * @param {string} text - WebVTT 內容
+ * @param {number} sampleRate - 採樣率
+ * @returns {Array<Object>} 標記清單
+ */
+function parseWebVtt(text, sampleRate) {
+    var normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    if (!/^WEBVTT(?:[ \t]|\n|$)/.test(normalized)) {
+        throw new Error('檔案開頭不是 WEBVTT');
+    }
+
+    var markers = [];
+    normalized.split(/\n{2,}/).slice(1).forEach(function(block) {
+        var lines = block.split('\n');
+        if (/^(NOTE|STYLE|REGION)\b/.test(lines[0])) {
+            return;
+        }
+
+        var timingIndex = -1;
+        for (var i = 0; i < lines.length && i < 2; i++) {
+            if (lines[i].indexOf('-->') !== -1) {
+                timingIndex = i;
+                break;
+            }
+        }
+        if (timingIndex === -1) {
+            return;
+        }
+
+        var times = lines[timingIndex].split('-->');
+        var start = parseVttTimestamp(times[0]);
+        var end = parseVttTimestamp(times[1].trim().split(/\s+/)[0]);
+        if (!isFinite(start) || !isFinite(end)) {
+            throw new Error('無效的時間：' + lines[timingIndex]);
+        }
+
+        var label = lines.slice(timingIndex + 1).join('\n')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&')
+            .replace(/\n+$/, '');
+
+        markers.push(createMarker(Math.round(start * sampleRate), Math.round(end * sampleRate), label));
+    });
+
+    return markers;
+}
+
+/**
+ * 取得目前錄音的長度（原始樣本數）
+ * @returns {number}
+ */
+function getMarkerTimelineLength() {
+    return accumulatedWaveform ? Math.round(accumulatedWaveform.sampleCount * accumulatedWaveform.decimationFactor) : 0;
+}
+
+/**
+ * 以目前音訊上的標記清單更新錄音的標記
+ * 位置未變的標記沿用保存的原始位置，新增或移動的標記再反推回原始錄音；
+ * 目前看不到（位於被刪除區間內）的標記保留
+ * @param {RecordingTake} take - 錄音
+ * @param {Array<Object>} markers - 標記清單（目前音訊的原始樣本位置）
+ */
+function setTakeMarkers(take, markers) {
+    var saved = {};
+    take.sourceMarkers.forEach(function(marker) {
+        saved[marker.id] = marker;
+    });
+
+    var listed = {};
+    var sourceMarkers = markers.map(function(marker) {
+        listed[marker.id] = true;
+        var source = saved[marker.id];
+        var mapped = source ? mapMarkerThroughEdits(source, take.edits) : null;
+        if (mapped && mapped.start === marker.start && mapped.end === marker.end) {
+            source = cloneMarkers([source])[0];
+            source.label = marker.label;
+            return source;
+        }
+        return unmapMarkerThroughEdits(marker, take.edits);
+    });
+
+    take.sourceMarkers.forEach(function(marker) {
+        if (!listed[marker.id] && !mapMarkerThroughEdits(marker, take.edits)) {
+            sourceMarkers.push(marker);
+        }
+    });
+
+    setTakeSourceMarkers(take, sourceMarkers);
+}
+
+/**
+ * 設定錄音保存的標記（原始錄音的位置）；開啟中的錄音同步更新波形與清單並保存
+ * @param {RecordingTake} take - 錄音
+ * @param {Array<Object>} sourceMarkers - 保存的標記清單
+ */
+function setTakeSourceMarkers(take, sourceMarkers) {
+    take.sourceMarkers = cloneMarkers(sourceMarkers);
+    take.markers = getTakeViewMarkers(take);
+
+    if (take !== takeManager.getActiveTake()) {
+        return;
+    }
+    if (accumulatedWaveform) {
+        accumulatedWaveform.setMarkers(take.markers, activeMarkerId);
+    }
+    renderMarkerList();
+    takeManager.saveActiveState();
+}
+
+/**
+ * 將標記變更記錄為一筆操作歷史
+ * @param {RecordingTake} take - 錄音
+ * @param {string} label - 歷史清單顯示的說明
+ * @param {Array<Object>} before - 變更前保存的標記清單（sourceMarkers）
+ */
+function commitMarkerChange(take, label, before) {
+    var after = cloneMarkers(take.sourceMarkers);
+    takeManager.saveActiveState();
+
+    take.history.push({
+        label: label,
+        undo: function() {
+            setTakeSourceMarkers(take, before);
+        },
+        redo: function() {
+            setTakeSourceMarkers(take, after);
         }
-        
-        if (startSample >= endSample) {
-            console.warn('播放範圍無效');
+    });
+
+    take.history.viewState = captureViewState();
+    renderHistoryPanel();
+}
+
+/**
+ * 在播放位置加入時間點標記，或以選取區間加入標籤區段
+ * @param {boolean} region - 是否加入標籤區段
+ */
+function addMarker(region) {
+    var take = takeManager && takeManager.getActiveTake();
+    if (!take || !accumulatedWaveform || recorderState.isCapturing()) {
+        return;
+    }
+
+    var factor = accumulatedWaveform.decimationFactor;
+    var start, end;
+    if (region) {
+        if (selectionStart === null || selectionEnd === null || selectionStart === selectionEnd) {
             return;
         }
-        
-        // 提取播放範圍的音訊數據
-        var duration = (endSample - startSample) / sampleRate;
-        var newBuffer = audioContext.createBuffer(1, endSample - startSample, sampleRate);
-        var newChannelData = newBuffer.getChannelData(0);
-        
-        for (var i = 0; i < newChannelData.length; i++) {
-            newChannelData[i] = channelData[startSample + i];
+        start = Math.round(Math.min(selectionStart, selectionEnd) * factor);
+        end = Math.round(Math.max(selectionStart, selectionEnd) * factor);
+    } else {
+        start = end = Math.round(accumulatedWaveform.playbackPosition * factor);
+    }
+
+    var before = cloneMarkers(take.sourceMarkers);
+    var marker = createMarker(start, end, (region ? '區段 ' : '標記 ') + (take.markers.length + 1));
+    activeMarkerId = marker.id;
+    setTakeMarkers(take, take.markers.concat([marker]));
+    commitMarkerChange(take, '新增' + (region ? '區段' : '標記') + '「' + marker.label + '」', before);
+}
+
+/**
+ * 重新命名標記
+ * @param {string} id - 標記識別碼
+ * @param {string} label - 新名稱
+ */
+function renameMarker(id, label) {
+    var take = takeManager && takeManager.getActiveTake();
+    if (!take || recorderState.isCapturing()) {
+        return;
+    }
+
+    var before = cloneMarkers(take.sourceMarkers);
+    var changed = false;
+    var markers = cloneMarkers(take.markers).map(function(marker) {
+        if (marker.id === id && marker.label !== label) {
+            marker.label = label;
+            changed = true;
         }
-        
-        // 創建音訊源並播放
-    selectionAudioSource = audioContext.createBufferSource();
-        selectionAudioSource.buffer = newBuffer;
-        selectionAudioSource.connect(audioContext.destination);
-        
-        // 開始播放動畫
-        var decimationFactor = accumulatedWaveform.decimationFactor;
-        var startSampleDecimated = startSample / decimationFactor;
-        accumulatedWaveform.startPlayback(startSampleDecimated, sampleRate);
-        
-        // 播放結束後清理
-        selectionAudioSource.onended = function() {
-            selectionAudioSource = null;
-            if (accumulatedWaveform) {
-                accumulatedWaveform.stopPlayback();
-                // 播放結束後，播放位置停留在結束位置
-                accumulatedWaveform.setPlaybackPosition(endSample / decimationFactor);
+        return marker;
+    });
+
+    if (changed) {
+        setTakeMarkers(take, markers);
+        commitMarkerChange(take, '重新命名標記為「' + label + '」', before);
+    }
+}
+
+/**
+ * 刪除標記
+ * @param {string} id - 標記識別碼
+ */
+function removeMarker(id) {
+    var take = takeManager && takeManager.getActiveTake();
+    if (!take || recorderState.isCapturing()) {
+        return;
+    }
+
+    var before = cloneMarkers(take.sourceMarkers);
+    var removed = null;
+    var markers = take.markers.filter(function(marker) {
+        if (marker.id === id) {
+            removed = marker;
+            return false;
+        }
+        return true;
+    });
+
+    if (removed) {
+        setTakeMarkers(take, markers);
+        commitMarkerChange(take, '刪除標記「' + removed.label + '」', before);
+    }
+}
+
+/**
+ * 跳至標記：播放位置移到起點，區段同時設為選取區間
+ * @param {Object} marker - 標記
+ */
+function focusMarker(marker) {
+    if (!accumulatedWaveform || recorderState.isCapturing()) {
+        return;
+    }
+
+    if (recorderState.is('playing')) {
+        pausePlayback();
+    }
+
+    var factor = accumulatedWaveform.decimationFactor;
+    var position = marker.start / factor;
+    if (marker.end > marker.start) {
+        selectionStart = position;
+        selectionEnd = marker.end / factor;
+    }
+
+    // 標記不在可視範圍內時捲動視圖
+    var visibleSamples = accumulatedWaveform.getVisibleSamples();
+    if (position < accumulatedWaveform.viewStart || position > accumulatedWaveform.viewStart + visibleSamples) {
+        accumulatedWaveform.viewStart = Math.max(0, position - visibleSamples * 0.1);
+        accumulatedWaveform.isAutoScroll = false;
+        accumulatedWaveform._enforceViewBounds();
+    }
+
+    activeMarkerId = marker.id;
+    accumulatedWaveform.activeMarkerId = marker.id;
+    accumulatedWaveform.setPlaybackPosition(position);
+    renderMarkerList();
+
+    takeManager.saveActiveState();
+    recordViewStateChange();
+    updatePlaybackButtonsState();
+}
+
+/**
+ * 重新繪製標記清單
+ */
+function renderMarkerList() {
+    var list = markerControls.list;
+    if (!list) {
+        return;
+    }
+
+    while (list.firstChild) {
+        list.removeChild(list.firstChild);
+    }
+
+    updateMarkerButtonsState();
+
+    var take = takeManager && takeManager.getActiveTake();
+    if (!take) {
+        return;
+    }
+
+    var sampleRate = (accumulatedWaveform && accumulatedWaveform.sourceSampleRate) || take.sampleRate || 1;
+    var locked = recorderState.isCapturing();
+
+    sortMarkers(take.markers).forEach(function(marker) {
+        var row = document.createElement('tr');
+        row.className = 'marker-row' + (marker.id === activeMarkerId ? ' active' : '') +
+            (marker.end > marker.start ? ' region' : '');
+
+        var nameCell = document.createElement('td');
+        var input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'marker-label-input';
+        input.value = marker.label;
+        input.disabled = locked;
+        input.addEventListener('change', function() {
+            renameMarker(marker.id, input.value.trim());
+        });
+        nameCell.appendChild(input);
+
+        var timeCell = document.createElement('td');
+        timeCell.className = 'marker-time';
+        timeCell.textContent = (marker.start / sampleRate).toFixed(3) +
+            (marker.end > marker.start ? ' – ' + (marker.end / sampleRate).toFixed(3) : '') + ' 秒';
+
+        var actionCell = document.createElement('td');
+        var jump = document.createElement('button');
+        jump.type = 'button';
+        jump.textContent = marker.end > marker.start ? '選取' : '跳至';
+        jump.disabled = locked;
+        jump.addEventListener('click', function() {
+            focusMarker(marker);
+        });
+        var remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = '刪除';
+        remove.disabled = locked;
+        remove.addEventListener('click', function() {
+            removeMarker(marker.id);
+        });
+        actionCell.appendChild(jump);
+        actionCell.appendChild(remove);
+
+        row.appendChild(nameCell);
+        row.appendChild(timeCell);
+        row.appendChild(actionCell);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * 依錄音與選取狀態更新標記按鈕
+ */
+function updateMarkerButtonsState() {
+    if (!markerControls) {
+        return; // 標記區段尚未初始化
+    }
+
+    var take = takeManager && takeManager.getActiveTake();
+    var ready = !!take && !recorderState.isCapturing();
+    var hasRange = ready && selectionStart !== null && selectionEnd !== null && selectionStart !== selectionEnd;
+    var hasMarkers = ready && take.markers.length > 0;
+
+    if (markerControls.addPoint) markerControls.addPoint.disabled = !ready;
+    if (markerControls.addRegion) markerControls.addRegion.disabled = !hasRange;
+    if (markerControls.importFile) markerControls.importFile.disabled = !ready;
+    if (markerControls.exportAudacity) markerControls.exportAudacity.disabled = !hasMarkers;
+    if (markerControls.exportVtt) markerControls.exportVtt.disabled = !hasMarkers;
+}
+
+/**
+ * 下載目前錄音的標記
+ * @param {string} format - 'audacity' 或 'vtt'
+ */
+function exportMarkers(format) {
+    var take = takeManager && takeManager.getActiveTake();
+    if (!take || !take.markers.length) {
+        return;
+    }
+
+    var sampleRate = (accumulatedWaveform && accumulatedWaveform.sourceSampleRate) || take.sampleRate;
+    var baseName = toSafeFileName(take.name);
+    if (format === 'vtt') {
+        downloadBlob(new Blob([serializeWebVtt(take.markers, sampleRate)], { type: 'text/vtt' }), baseName + '_markers.vtt');
+    } else {
+        downloadBlob(new Blob([serializeAudacityLabels(take.markers, sampleRate)], { type: 'text/plain' }), baseName + '_labels.txt');
+    }
+}
+
+if (markerControls.addPoint) {
+    markerControls.addPoint.addEventListener('click', function() {
+        addMarker(false);
+    });
+}
+
+if (markerControls.addRegion) {
+    markerControls.addRegion.addEventListener('click', function() {
+        addMarker(true);
+    });
+}
+
+if (markerControls.exportAudacity) {
+    markerControls.exportAudacity.addEventListener('click', function() {
+        exportMarkers('audacity');
+    });
+}
+
+if (markerControls.exportVtt) {
+    markerControls.exportVtt.addEventListener('click', function() {
+        exportMarkers('vtt');
+    });
+}
+
+if (markerControls.importFile) {
+    markerControls.importFile.addEventListener('change', function() {
+        var file = this.files && this.files[0];
+        var take = takeManager && takeManager.getActiveTake();
+        if (!file || !take) {
+            return;
+        }
+
+        var input = this;
+        file.text().then(function(text) {
+            var sampleRate = (accumulatedWaveform && accumulatedWaveform.sourceSampleRate) || take.sampleRate;
+            var isVtt = /\.vtt$/i.test(file.name) || /^\uFEFF?WEBVTT/.test(text);
+            var limit = getMarkerTimelineLength();
+
+            // 超出錄音長度的部分截掉，起點已超出者略過
+            var imported = (isVtt ? parseWebVtt(text, sampleRate) : parseAudacityLabels(text, sampleRate)).filter(function(marker) {
+                return marker.start <= limit;
+            }).map(function(marker) {
+                marker.end = Math.min(marker.end, limit);
+                return marker;
+            });
+
+            if (!imported.length) {
+                notificationCenter.show({ key: 'marker-import', level: 'warning', title: '檔案中沒有可匯入的標記' });
+                return;
+            }
+
+            var before = cloneMarkers(take.sourceMarkers);
+            setTakeMarkers(take, take.markers.concat(imported));
+            commitMarkerChange(take, '匯入 ' + imported.length + ' 個標記', before);
+            console.log('已匯入 ' + imported.length + ' 個標記（' + (isVtt ? 'WebVTT' : 'Audacity') + '）');
+        }).catch(function(error) {
+            console.error('無法匯入標記:', error);
+            notificationCenter.show({ key: 'marker-import', level: 'error', title: '無法匯入標記', message: error.message });
+        }).then(function() {
+            input.value = '';
+            updatePlaybackButtonsState();
+        });
+    });
+}
+
+/*=================================================================
+ * 標註層（TextGrid）
+ * 累積波形下方的轉寫層：連續的區間涵蓋整段錄音，邊界以累積波形索引
+ * （與 selectionStart/selectionEnd 相同的座標）表示；可在播放位置分割、
+ * 拖曳邊界、輸入文字，並讀寫 Praat TextGrid
+ * 與標記相同，邊界保存在原始錄音的位置（take.sourceTier），依編輯清單對應到目前音訊後顯示（take.tier）
+ *================================================================*/
+
+/**
+ * AnnotationTier 類構造函數
+ * 繪製時與累積波形的縮放、平移對齊
+ * @param {HTMLCanvasElement} canvas - 用於繪製的 Canvas 元素
+ */
+function AnnotationTier(canvas) {
+    this.canvas = canvas;
+    this.canvasContext = canvas.getContext('2d');
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.tier = null;          // { name, intervals: [{ start, end, text }] }
+    this.activeIndex = -1;     // 目前編輯的區間
+    this.clear();
+}
+
+/**
+ * 清空畫布
+ */
+AnnotationTier.prototype.clear = function() {
+    this.canvasContext.fillStyle = '#fffdf5';
+    this.canvasContext.fillRect(0, 0, this.width, this.height);
+};
+
+/**
+ * 設定要顯示的標註層並重繪
+ * @param {Object|null} tier - 標註層
+ * @param {number} [activeIndex=-1] - 目前編輯的區間
+ */
+AnnotationTier.prototype.setTier = function(tier, activeIndex) {
+    this.tier = tier || null;
+    this.activeIndex = typeof activeIndex === 'number' ? activeIndex : -1;
+    this.draw();
+};
+
+/**
+ * 依累積波形的可視範圍繪製區間、文字與播放位置
+ */
+AnnotationTier.prototype.draw = function() {
+    this.clear();
+
+    var waveform = accumulatedWaveform;
+    if (!this.tier || !waveform || !waveform.sampleCount) {
+        return;
+    }
+
+    var ctx = this.canvasContext;
+    var width = this.width;
+    var height = this.height;
+    var viewStart = waveform.viewStart;
+    var visibleSamples = waveform.getVisibleSamples();
+    var viewEnd = viewStart + visibleSamples;
+
+    function toX(index) {
+        return ((index - viewStart) / visibleSamples) * width;
+    }
+
+    ctx.save();
+    ctx.font = '13px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    var intervals = this.tier.intervals;
+    for (var i = 0; i < intervals.length; i++) {
+        var interval = intervals[i];
+        if (interval.end < viewStart || interval.start > viewEnd) {
+            continue;
+        }
+
+        var x1 = toX(interval.start);
+        var x2 = toX(interval.end);
+        var left = Math.max(0, x1);
+        var right = Math.min(width, x2);
+
+        if (i === this.activeIndex) {
+            ctx.fillStyle = '#fff3bf';
+            ctx.fillRect(left, 0, right - left, height);
+        }
+
+        if (interval.text && right - left > 12) {
+            ctx.fillStyle = '#2d3748';
+            ctx.fillText(interval.text, (left + right) / 2, height / 2, right - left - 6);
+        }
+
+        // 區間起點即邊界（第一個區間的起點為錄音開頭，不畫）
+        if (i > 0) {
+            ctx.strokeStyle = '#1E88E5';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x1, 0);
+            ctx.lineTo(x1, height);
+            ctx.stroke();
+        }
+    }
+
+    // 播放位置
+    var position = waveform.playbackPosition;
+    if (position >= viewStart && position <= viewEnd) {
+        var playbackX = toX(position);
+        ctx.strokeStyle = '#FF0000';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(playbackX, 0);
+        ctx.lineTo(playbackX, height);
+        ctx.stroke();
+    }
+
+    ctx.restore();
+};
+
+/**
+ * 找出指定位置上的邊界或區間
+ * @param {number} x - 相對於畫布左緣的位置（顯示像素）
+ * @param {DOMRect} rect - 畫布的顯示範圍
+ * @param {number} threshold - 邊界判定距離（顯示像素）
+ * @returns {Object|null} { boundary } 為第 boundary 個區間的起點，或 { interval }
+ */
+AnnotationTier.prototype.hitTest = function(x, rect, threshold) {
+    var waveform = accumulatedWaveform;
+    if (!this.tier || !waveform || !waveform.sampleCount) {
+        return null;
+    }
+
+    var visibleSamples = waveform.getVisibleSamples();
+    var index = waveform.viewStart + (x / rect.width) * visibleSamples;
+    var intervals = this.tier.intervals;
+
+    for (var i = 1; i < intervals.length; i++) {
+        var boundaryX = ((intervals[i].start - waveform.viewStart) / visibleSamples) * rect.width;
+        if (Math.abs(x - boundaryX) <= threshold) {
+            return { boundary: i };
+        }
+    }
+
+    var found = findTierInterval(this.tier, index);
+    return found === -1 ? null : { interval: found };
+};
+
+/**
+ * 建立只有一個空白區間的標註層
+ * @param {number} total - 錄音長度（累積波形索引）
+ * @param {string} [name] - 層名稱
+ * @returns {Object} 標註層
+ */
+function createDefaultTier(total, name) {
+    return { name: name || 'words', intervals: [{ start: 0, end: total, text: '' }] };
+}
+
+/**
+ * 複製標註層（供操作歷史保存前後狀態）
+ * @param {Object|null} tier - 標註層
+ * @returns {Object|null} 複本
+ */
+function cloneTier(tier) {
+    if (!tier) {
+        return null;
+    }
+    return {
+        name: tier.name,
+        intervals: tier.intervals.map(function(interval) {
+            var copy = { start: interval.start, end: interval.end, text: interval.text };
+            if (interval.base) {
+                copy.base = interval.base;
+            }
+            return copy;
+        })
+    };
+}
+
+/**
+ * 找出包含指定位置的區間
+ * @param {Object} tier - 標註層
+ * @param {number} index - 累積波形索引
+ * @returns {number} 區間序號；找不到時為 -1
+ */
+function findTierInterval(tier, index) {
+    var intervals = tier.intervals;
+    for (var i = 0; i < intervals.length; i++) {
+        var isLast = i === intervals.length - 1;
+        if (index >= intervals[i].start && (index < intervals[i].end || (isLast && index <= intervals[i].end))) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * 讓區間首尾相接並涵蓋 0 到 total；移除長度為零的區間
+ * @param {Object} tier - 標註層
+ * @param {number} total - 錄音長度（累積波形索引）
+ * @returns {Object} 新的標註層
+ */
+function normalizeTier(tier, total) {
+    var intervals = [];
+    var position = 0;
+
+    tier.intervals.forEach(function(interval) {
+        var end = Math.min(total, interval.end);
+        if (end > position) {
+            intervals.push({ start: position, end: end, text: interval.text });
+            position = end;
+        }
+    });
+
+    if (!intervals.length) {
+        return createDefaultTier(total, tier.name);
+    }
+    intervals[intervals.length - 1].end = total;
+
+    return { name: tier.name, intervals: intervals };
+}
+
+/**
+ * 將標註層的位置（累積波形索引）依序對應到編輯後的時間軸
+ * @param {number} position - 位置
+ * @param {Array<Object>} edits - 編輯清單
+ * @param {number} from - 位置已套用的編輯數
+ * @param {number} to - 要對應到的編輯數
+ * @param {number} factor - 下采樣倍率
+ * @returns {number} 對應後的位置
+ */
+function mapTierPosition(position, edits, from, to, factor) {
+    for (var i = from; i < to; i++) {
+        position = mapSamplePositionThroughEdit(position * factor, edits[i]) / factor;
+    }
+    return position;
+}
+
+/**
+ * 將標註層的位置逐一反推編輯，盡量對應回原始錄音
+ * @param {number} position - 位置（累積波形索引）
+ * @param {Array<Object>} edits - 編輯清單
+ * @param {number} base - 位置已套用的編輯數
+ * @param {boolean} snap - 位於插入的音訊內時貼齊被取代的區間；否則停在該項編輯之後
+ * @param {number} factor - 下采樣倍率
+ * @returns {Object} { position, base }
+ */
+function unmapTierPosition(position, edits, base, snap, factor) {
+    while (base > 0) {
+        var previous = unmapSamplePositionThroughEdit(position * factor, edits[base - 1], snap);
+        if (previous === null) {
+            break;
+        }
+        position = previous / factor;
+        base--;
+    }
+    return { position: position, base: base };
+}
+
+/**
+ * 將保存的標註層對應到目前的時間軸
+ * 區間依起點排序後首尾相接（同 normalizeTier），落在被刪除區間內的區間暫不顯示
+ * @param {RecordingTake} take - 錄音
+ * @param {number} factor - 下采樣倍率
+ * @param {number} total - 目前的錄音長度（累積波形索引）
+ * @returns {Array<Object>} 顯示的區間 [{ source, start, end, mappedStart, mappedEnd }]
+ */
+function mapSourceTier(take, factor, total) {
+    var edits = take.edits;
+    var mapped = take.sourceTier.intervals.map(function(interval) {
+        var base = interval.base || 0;
+        return {
+            source: interval,
+            mappedStart: mapTierPosition(interval.start, edits, base, edits.length, factor),
+            mappedEnd: mapTierPosition(interval.end, edits, base, edits.length, factor)
+        };
+    }).sort(function(a, b) {
+        return a.mappedStart - b.mappedStart;
+    });
+
+    var entries = [];
+    var position = 0;
+    mapped.forEach(function(item) {
+        var end = Math.min(total, item.mappedEnd);
+        if (end > position) {
+            item.start = position;
+            item.end = end;
+            entries.push(item);
+            position = end;
+        }
+    });
+    if (entries.length) {
+        entries[entries.length - 1].end = total;
+    }
+    return entries;
+}
+
+/**
+ * 取得錄音在目前音訊上的標註層
+ * @param {RecordingTake} take - 錄音
+ * @param {number} factor - 下采樣倍率
+ * @param {number} total - 目前的錄音長度（累積波形索引）
+ * @returns {Object|null} 標註層；尚未建立時為 null
+ */
+function getTakeViewTier(take, factor, total) {
+    if (!take.sourceTier) {
+        return null;
+    }
+
+    var entries = mapSourceTier(take, factor, total);
+    if (!entries.length) {
+        return createDefaultTier(total, take.sourceTier.name);
+    }
+    return {
+        name: take.sourceTier.name,
+        intervals: entries.map(function(entry) {
+            return { start: entry.start, end: entry.end, text: entry.source.text };
+        })
+    };
+}
+
+/**
+ * 將目前音訊上的標註層換算為保存用的標註層
+ * 未移動的邊界沿用保存的位置，其餘反推回原始錄音（位於插入的音訊內時以 base 記錄已套用的編輯數）；
+ * 目前看不到的區間保留，與變更後的區間重疊時捨棄
+ * @param {RecordingTake} take - 錄音
+ * @param {Object} tier - 目前音訊上的標註層
+ * @param {number} factor - 下采樣倍率
+ * @param {number} total - 目前的錄音長度（累積波形索引）
+ * @returns {Object} 保存用的標註層
+ */
+function getSourceTier(take, tier, factor, total) {
+    var edits = take.edits;
+    var starts = {};
+    var ends = {};
+    var shown = [];
+
+    if (take.sourceTier) {
+        mapSourceTier(take, factor, total).forEach(function(entry) {
+            var base = entry.source.base || 0;
+            shown.push(entry.source);
+            if (entry.start === entry.mappedStart) {
+                starts[entry.start] = { position: entry.source.start, base: base };
             }
-            console.log('播放完成');
-            updatePlaybackButtonsState();
+            if (entry.end === entry.mappedEnd) {
+                ends[entry.end] = { position: entry.source.end, base: base };
+            }
+        });
+    }
+
+    var intervals = tier.intervals.map(function(interval) {
+        var start = starts[interval.start] || unmapTierPosition(interval.start, edits, edits.length, false, factor);
+        var end = ends[interval.end] || unmapTierPosition(interval.end, edits, edits.length, false, factor);
+        var base = Math.max(start.base, end.base);
+        var result = {
+            start: mapTierPosition(start.position, edits, start.base, base, factor),
+            end: mapTierPosition(end.position, edits, end.base, base, factor),
+            text: interval.text
         };
-        
-        selectionAudioSource.start(0);
-        updatePlaybackButtonsState();
-        console.log('開始播放，時長: ' + duration.toFixed(2) + ' 秒');
-        
-    }).catch(function(error) {
-        console.error('播放失敗:', error);
-        if (accumulatedWaveform) {
-            accumulatedWaveform.stopPlayback();
+        if (base) {
+            result.base = base;
         }
-        updatePlaybackButtonsState();
+        return result;
     });
+
+    if (take.sourceTier) {
+        // 以原始錄音的位置比較重疊
+        var ranges = intervals.map(function(interval) {
+            return rebaseTierInterval(interval, edits, factor);
+        });
+        take.sourceTier.intervals.forEach(function(interval) {
+            if (shown.indexOf(interval) !== -1) {
+                return;
+            }
+            var hidden = rebaseTierInterval(interval, edits, factor);
+            var overlaps = ranges.some(function(range) {
+                return range.start < hidden.end && range.end > hidden.start;
+            });
+            if (!overlaps) {
+                intervals.push(interval);
+            }
+        });
+    }
+
+    return { name: tier.name, intervals: intervals };
 }
 
 /**
- * 綁定累積波形操作的互動控制
- * @param {HTMLCanvasElement} canvas - 累積波形使用的畫布
+ * 將保存的區間對應回原始錄音（插入的音訊內的位置貼齊被取代的區間）
+ * @param {Object} interval - 保存的區間
+ * @param {Array<Object>} edits - 編輯清單
+ * @param {number} factor - 下采樣倍率
+ * @returns {Object} 原始錄音上的區間 { start, end, text }
  */
-function bindAccumulatedWaveformInteractions(canvas) {
-    if (!canvas || accumulatedControlsBound) {
-        return;
+function rebaseTierInterval(interval, edits, factor) {
+    var base = interval.base || 0;
+    return {
+        start: unmapTierPosition(interval.start, edits, base, true, factor).position,
+        end: unmapTierPosition(interval.end, edits, base, true, factor).position,
+        text: interval.text
+    };
+}
+
+/**
+ * 將 Praat 文字檔的字串加上引號（內部的引號重複一次）
+ * @param {string} text - 字串
+ * @returns {string} 加上引號的字串
+ */
+function quoteTextGridString(text) {
+    return '"' + String(text).replace(/"/g, '""') + '"';
+}
+
+/**
+ * 轉為 Praat TextGrid（長格式，單一區間層）
+ * @param {Object} tier - 標註層
+ * @param {number} secondsPerIndex - 每個累積波形索引的秒數
+ * @returns {string} TextGrid 內容
+ */
+function serializeTextGrid(tier, secondsPerIndex) {
+    function seconds(index) {
+        return String(Math.round(index * secondsPerIndex * 1e6) / 1e6);
     }
 
-    accumulatedControlsBound = true;
+    var intervals = tier.intervals;
+    var xmax = seconds(intervals[intervals.length - 1].end);
+    var lines = [
+        'File type = "ooTextFile"',
+        'Object class = "TextGrid"',
+        '',
+        'xmin = 0 ',
+        'xmax = ' + xmax + ' ',
+        'tiers? <exists> ',
+        'size = 1 ',
+        'item []: ',
+        '    item [1]:',
+        '        class = "IntervalTier" ',
+        '        name = ' + quoteTextGridString(tier.name) + ' ',
+        '        xmin = 0 ',
+        '        xmax = ' + xmax + ' ',
+        '        intervals: size = ' + intervals.length + ' '
+    ];
 
-    var isDragging = false;
-    var isSelecting = false;
-    var isResizingSelection = false;
-    var resizeEdge = null; // 'left' 或 'right'
-    var lastX = 0;
-    var selectionStartX = 0;
-    var activePointerId = null;
-    var longPressTimer = null;
-    var longPressDelay = 500; // 長按時間（毫秒）
-    var isLongPress = false;
-    var startX = 0;
-    var startY = 0;
-    var moveThreshold = 10; // 移動超過此距離視為拖曳而非長按
-    
-    // 檢測是否為觸控設備
-    var isTouchDevice = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0);
-    
-    // 根據設備類型設置邊緣檢測範圍
-    var edgeThreshold = isTouchDevice ? 25 : 10; // 觸控設備用更大的範圍
+    intervals.forEach(function(interval, index) {
+        lines.push('        intervals [' + (index + 1) + ']:');
+        lines.push('            xmin = ' + seconds(interval.start) + ' ');
+        lines.push('            xmax = ' + seconds(interval.end) + ' ');
+        lines.push('            text = ' + quoteTextGridString(interval.text) + ' ');
+    });
 
-    // 檢測滑鼠是否在選取區域邊緣
-    function getSelectionEdgeAt(x, rect) {
-        if (selectionStart === null || selectionEnd === null) {
-            return null;
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * 解析 Praat TextGrid（長格式或短格式）
+ * 兩種格式的字串與數值順序相同，因此略過欄位名稱與 [n] 索引後依序讀取
+ * @param {string} text - TextGrid 內容
+ * @returns {Object} { xmin, xmax, tiers: [{ className, name, xmin, xmax, items }] }；
+ *   區間層的 items 為 [{ xmin, xmax, text }]，點層為 [{ time, text }]
+ */
+function parseTextGrid(text) {
+    var tokens = [];
+    var pattern = /"((?:[^"]|"")*)"|\[\d*\]|<(exists|absent)>|(-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)/g;
+    var match;
+    while ((match = pattern.exec(text))) {
+        if (match[1] !== undefined) {
+            tokens.push(match[1].replace(/""/g, '"'));
+        } else if (match[2]) {
+            tokens.push(match[2] === 'exists');
+        } else if (match[3] !== undefined) {
+            tokens.push(parseFloat(match[3]));
         }
-        
-        var visibleSamples = accumulatedWaveform.getVisibleSamples();
-        var selStart = Math.min(selectionStart, selectionEnd);
-        var selEnd = Math.max(selectionStart, selectionEnd);
-        
-        // 轉換樣本位置到像素位置
-        var leftSamplePos = selStart - accumulatedWaveform.viewStart;
-        var rightSamplePos = selEnd - accumulatedWaveform.viewStart;
-        
-        var leftX = (leftSamplePos / visibleSamples) * rect.width;
-        var rightX = (rightSamplePos / visibleSamples) * rect.width;
-        
-        // 檢查是否接近左邊緣
-        if (Math.abs(x - leftX) <= edgeThreshold) {
-            return 'left';
+    }
+
+    var position = 0;
+    function next(type) {
+        if (position >= tokens.length) {
+            throw new Error('TextGrid 內容不完整');
         }
-        
-        // 檢查是否接近右邊緣
-        if (Math.abs(x - rightX) <= edgeThreshold) {
-            return 'right';
+        var token = tokens[position++];
+        if (typeof token !== type) {
+            throw new Error('TextGrid 格式錯誤（第 ' + position + ' 個欄位）');
         }
-        
-        return null;
+        return token;
     }
-    
-    // 清除長按計時器
-    function clearLongPressTimer() {
-        if (longPressTimer) {
-            clearTimeout(longPressTimer);
-            longPressTimer = null;
-        }
-        isLongPress = false;
+
+    if (next('string') !== 'ooTextFile' || next('string') !== 'TextGrid') {
+        throw new Error('不是 TextGrid 文字檔');
     }
 
-    // 更新游標樣式
-    canvas.addEventListener('pointermove', function(event) {
-        if (!accumulatedWaveform || isDragging || isSelecting || isResizingSelection) {
-            return;
-        }
-        
-        var rect = canvas.getBoundingClientRect();
-        var x = event.clientX - rect.left;
-        var edge = getSelectionEdgeAt(x, rect);
-        
-        if (event.shiftKey && edge) {
-            canvas.style.cursor = 'ew-resize';
-        } else if (event.shiftKey) {
-            canvas.style.cursor = 'crosshair';
-        } else {
-            canvas.style.cursor = 'grab';
-        }
-    });
+    var result = { xmin: next('number'), xmax: next('number'), tiers: [] };
+    if (!next('boolean')) {
+        return result;
+    }
 
-    canvas.addEventListener('pointerdown', function(event) {
-        if (!accumulatedWaveform) {
-            return;
-        }
-        
-        activePointerId = event.pointerId;
-        var rect = canvas.getBoundingClientRect();
-        var clickX = event.clientX - rect.left;
-        var clickY = event.clientY - rect.top;
-        
-        // 記錄起始位置
-        startX = event.clientX;
-        startY = event.clientY;
-        
-        // 檢查是否按下 Shift 鍵或在邊緣（PC 操作）
-        if (event.shiftKey) {
-            clearLongPressTimer();
-            
-            // 檢查是否在選取區域邊緣
-            var edge = getSelectionEdgeAt(clickX, rect);
-            
-            if (edge) {
-                // 拉伸選取區域邊緣
-                isResizingSelection = true;
-                resizeEdge = edge;
-                isDragging = false;
-                isSelecting = false;
-                canvas.style.cursor = 'ew-resize';
-            } else {
-                // 創建新的選取區域
-                isSelecting = true;
-                isDragging = false;
-                isResizingSelection = false;
-                selectionStartX = clickX;
-                
-                // 計算選取起始樣本
-                var visibleSamples = accumulatedWaveform.getVisibleSamples();
-                var sampleRatio = clickX / rect.width;
-                selectionStart = Math.floor(accumulatedWaveform.viewStart + sampleRatio * visibleSamples);
-                selectionEnd = selectionStart;
-                
-                // 清除舊的播放控制
-                var oldPlaybackControls = document.getElementById('selection-playback-controls');
-                if (oldPlaybackControls) {
-                    oldPlaybackControls.remove();
-                }
-                
-                accumulatedWaveform.draw();
-                canvas.style.cursor = 'crosshair';
-            }
-        } else if (event.button === 0 && !event.ctrlKey && !event.metaKey) {
-            // 左鍵單擊（非 Ctrl/Cmd）：移動播放位置或其他操作
-            
-            // 檢查是否直接點擊在選取區域邊緣（觸控設備優化）
-            var edge = getSelectionEdgeAt(clickX, rect);
-            
-            if (edge) {
-                // 直接開始拉伸（無需 Shift，方便觸控操作）
-                clearLongPressTimer();
-                isResizingSelection = true;
-                resizeEdge = edge;
-                isDragging = false;
-                isSelecting = false;
-                canvas.style.cursor = 'ew-resize';
-                
-                // 觸控回饋
-                if (navigator.vibrate) {
-                    navigator.vibrate(50);
-                }
+    var tierCount = next('number');
+    for (var t = 0; t < tierCount; t++) {
+        var tier = {
+            className: next('string'),
+            name: next('string'),
+            xmin: next('number'),
+            xmax: next('number'),
+            items: []
+        };
+        var count = next('number');
+        for (var i = 0; i < count; i++) {
+            if (tier.className === 'IntervalTier') {
+                tier.items.push({ xmin: next('number'), xmax: next('number'), text: next('string') });
             } else {
-                // 先設置播放位置（點擊時立即設置）
-                var visibleSamples = accumulatedWaveform.getVisibleSamples();
-                var sampleRatio = clickX / rect.width;
-                var clickedSample = Math.floor(accumulatedWaveform.viewStart + sampleRatio * visibleSamples);
-                
-                // 限制在有效範圍內
-                clickedSample = Math.max(0, Math.min(clickedSample, accumulatedWaveform.sampleCount));
-                accumulatedWaveform.setPlaybackPosition(clickedSample);
-                
-                // 開始長按檢測（用於觸控設備選取）
-                isLongPress = false;
-                longPressTimer = setTimeout(function() {
-                    // 長按觸發選取模式
-                    if (!isDragging && !isSelecting && !isResizingSelection) {
-                        isLongPress = true;
-                        isSelecting = true;
-                        isDragging = false;
-                        selectionStartX = clickX;
-                        
-                        // 計算選取起始樣本
-                        selectionStart = clickedSample;
-                        selectionEnd = selectionStart;
-                        
-                        // 清除舊的播放控制
-                        var oldPlaybackControls = document.getElementById('selection-playback-controls');
-                        if (oldPlaybackControls) {
-                            oldPlaybackControls.remove();
-                        }
-                        
-                        accumulatedWaveform.draw();
-                        canvas.style.cursor = 'crosshair';
-                        
-                        // 震動回饋
-                        if (navigator.vibrate) {
-                            navigator.vibrate(100);
-                        }
-                        
-                        // 視覺提示
-                        canvas.style.boxShadow = '0 0 10px 2px rgba(76, 175, 80, 0.5)';
-                    }
-                }, longPressDelay);
-                
-                // 一般拖曳平移模式（如果不觸發長按）
-                isDragging = true;
-                isSelecting = false;
-                isResizingSelection = false;
-                lastX = event.clientX;
-                accumulatedWaveform.isAutoScroll = false;
-                canvas.style.cursor = 'grabbing';
-            }
-        } else {
-            // 其他情況（如 Ctrl+點擊）：原有的拖曳行為
-            clearLongPressTimer();
-            isDragging = true;
-            isSelecting = false;
-            isResizingSelection = false;
-            lastX = event.clientX;
-            accumulatedWaveform.isAutoScroll = false;
-            canvas.style.cursor = 'grabbing';
-        }
-        
-        try {
-            canvas.setPointerCapture(activePointerId);
-        } catch (err) {
-            // ignore if not supported
+                tier.items.push({ time: next('number'), text: next('string') });
+            }
+        }
+        result.tiers.push(tier);
+    }
+
+    return result;
+}
+
+/**
+ * 解碼文字檔；Praat 預設以 UTF-16 儲存非 ASCII 內容，依 BOM 判斷編碼
+ * @param {ArrayBuffer} buffer - 檔案內容
+ * @returns {string} 文字
+ */
+function decodeTextFile(buffer) {
+    var bytes = new Uint8Array(buffer);
+    var encoding = 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        encoding = 'utf-16le';
+    } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        encoding = 'utf-16be';
+    }
+    return new TextDecoder(encoding).decode(bytes);
+}
+
+var tierControls = {
+    canvas: document.getElementById('annotation-tier'),
+    name: document.getElementById('tier-name'),
+    split: document.getElementById('tier-split'),
+    merge: document.getElementById('tier-merge'),
+    text: document.getElementById('tier-text'),
+    importFile: document.getElementById('tier-import'),
+    exportFile: document.getElementById('tier-export')
+};
+
+var annotationTier = tierControls.canvas ? new AnnotationTier(tierControls.canvas) : null;
+var activeIntervalIndex = -1;  // 目前編輯的區間
+var tierTextBefore = null;     // 開始輸入文字前的標註層（合併為一筆歷史）
+
+/**
+ * 取得開啟中錄音的標註層；尚未建立時以單一空白區間初始化
+ * @returns {Object|null} 標註層
+ */
+function getActiveTier() {
+    var take = takeManager && takeManager.getActiveTake();
+    if (!take || !accumulatedWaveform || !accumulatedWaveform.sampleCount || recorderState.isCapturing()) {
+        return null;
+    }
+    var factor = accumulatedWaveform.decimationFactor;
+    var total = accumulatedWaveform.sampleCount;
+    if (!take.sourceTier) {
+        take.sourceTier = getSourceTier(take, createDefaultTier(total, tierControls.name ? tierControls.name.value.trim() : ''), factor, total);
+    }
+    if (!take.tier) {
+        take.tier = getTakeViewTier(take, factor, total);
+    }
+    return take.tier;
+}
+
+/**
+ * 以目前音訊上的標註層更新開啟中錄音的標註層（換算為原始錄音的位置保存）
+ * @param {RecordingTake} take - 錄音
+ * @param {Object} tier - 標註層
+ */
+function setTakeTier(take, tier) {
+    setTakeSourceTier(take, getSourceTier(take, tier, accumulatedWaveform.decimationFactor, accumulatedWaveform.sampleCount));
+}
+
+/**
+ * 設定錄音保存的標註層（原始錄音的位置）；開啟中的錄音同步更新畫面並保存
+ * @param {RecordingTake} take - 錄音
+ * @param {Object|null} sourceTier - 保存的標註層
+ */
+function setTakeSourceTier(take, sourceTier) {
+    take.sourceTier = cloneTier(sourceTier);
+
+    if (take !== takeManager.getActiveTake()) {
+        take.tier = null; // 開啟時重新計算
+        return;
+    }
+    refreshTierView(take);
+    takeManager.saveActiveState();
+}
+
+/**
+ * 依編輯清單重新計算開啟中錄音在目前音訊上的標註層，並更新畫面
+ * @param {RecordingTake} take - 錄音
+ */
+function refreshTierView(take) {
+    var ready = accumulatedWaveform && accumulatedWaveform.sampleCount > 0;
+    take.tier = ready ? getTakeViewTier(take, accumulatedWaveform.decimationFactor, accumulatedWaveform.sampleCount) : null;
+
+    if (!take.tier || activeIntervalIndex >= take.tier.intervals.length) {
+        activeIntervalIndex = -1;
+    }
+    updateTierView();
+}
+
+/**
+ * 將標註層變更記錄為一筆操作歷史
+ * @param {RecordingTake} take - 錄音
+ * @param {string} label - 歷史清單顯示的說明
+ * @param {Object|null} before - 變更前保存的標註層（sourceTier）
+ */
+function commitTierChange(take, label, before) {
+    var after = cloneTier(take.sourceTier);
+    takeManager.saveActiveState();
+
+    take.history.push({
+        label: label,
+        undo: function() {
+            setTakeSourceTier(take, before);
+        },
+        redo: function() {
+            setTakeSourceTier(take, after);
         }
     });
 
-    canvas.addEventListener('pointermove', function(event) {
-        if (!accumulatedWaveform) {
+    take.history.viewState = captureViewState();
+    renderHistoryPanel();
+}
+
+/**
+ * 依開啟中的錄音更新標註層畫面與控制項
+ */
+function updateTierView() {
+    var take = takeManager && takeManager.getActiveTake();
+    var tier = take ? take.tier : null;
+
+    if (annotationTier) {
+        annotationTier.setTier(tier, activeIntervalIndex);
+    }
+    if (tierControls.name && tier && document.activeElement !== tierControls.name) {
+        tierControls.name.value = tier.name;
+    }
+    if (tierControls.text && document.activeElement !== tierControls.text) {
+        var interval = tier && tier.intervals[activeIntervalIndex];
+        tierControls.text.value = interval ? interval.text : '';
+    }
+    updateTierButtonsState();
+}
+
+/**
+ * 依錄音與選取狀態更新標註層按鈕
+ */
+function updateTierButtonsState() {
+    if (!tierControls) {
+        return; // 標註層區段尚未初始化
+    }
+
+    var take = takeManager && takeManager.getActiveTake();
+    var ready = !!take && !recorderState.isCapturing() && !!accumulatedWaveform && accumulatedWaveform.sampleCount > 0;
+    var tier = ready ? take.tier : null;
+
+    if (tierControls.split) tierControls.split.disabled = !ready;
+    if (tierControls.merge) tierControls.merge.disabled = !tier || activeIntervalIndex < 0 || activeIntervalIndex >= tier.intervals.length - 1;
+    if (tierControls.text) tierControls.text.disabled = !tier || activeIntervalIndex < 0;
+    if (tierControls.importFile) tierControls.importFile.disabled = !ready;
+    if (tierControls.exportFile) tierControls.exportFile.disabled = !tier;
+}
+
+/**
+ * 選擇區間：設為選取區間並將播放位置移到起點，方便播放與輸入文字
+ * @param {number} index - 區間序號
+ * @param {boolean} focusText - 是否將焦點移到文字輸入框
+ */
+function selectTierInterval(index, focusText) {
+    var tier = getActiveTier();
+    if (!tier || index < 0 || index >= tier.intervals.length) {
+        return;
+    }
+
+    if (recorderState.is('playing')) {
+        pausePlayback();
+    }
+
+    var interval = tier.intervals[index];
+    activeIntervalIndex = index;
+    selectionStart = interval.start;
+    selectionEnd = interval.end;
+    accumulatedWaveform.setPlaybackPosition(interval.start);
+
+    updateTierView();
+    takeManager.saveActiveState();
+    recordViewStateChange();
+    updatePlaybackButtonsState();
+
+    if (focusText && tierControls.text) {
+        // 輸入框已有焦點時不會觸發 focus 事件，直接換成新區間的文字
+        tierControls.text.value = interval.text;
+        tierTextBefore = cloneTier(takeManager.getActiveTake().sourceTier);
+        tierControls.text.focus();
+        tierControls.text.select();
+    }
+}
+
+/**
+ * 在播放位置分割所在的區間；左半保留原文字並成為目前編輯的區間
+ */
+function splitTierAtCursor() {
+    var take = takeManager && takeManager.getActiveTake();
+    var tier = getActiveTier();
+    if (!tier) {
+        return;
+    }
+
+    var position = accumulatedWaveform.playbackPosition;
+    var index = findTierInterval(tier, position);
+    var interval = tier.intervals[index];
+    if (!interval || position <= interval.start || position >= interval.end) {
+        return; // 位於既有邊界上
+    }
+
+    var before = cloneTier(take.sourceTier);
+    var next = cloneTier(tier);
+    next.intervals.splice(index, 1,
+        { start: interval.start, end: position, text: interval.text },
+        { start: position, end: interval.end, text: '' });
+
+    activeIntervalIndex = index;
+    setTakeTier(take, next);
+    commitTierChange(take, '分割區間 @ ' + (position * accumulatedWaveform.decimationFactor / accumulatedWaveform.sourceSampleRate).toFixed(3) + ' 秒', before);
+
+    if (tierControls.text) {
+        tierControls.text.focus();
+    }
+}
+
+/**
+ * 將目前的區間與下一個區間合併（文字以空白相接）
+ */
+function mergeTierInterval() {
+    var take = takeManager && takeManager.getActiveTake();
+    var tier = getActiveTier();
+    var index = activeIntervalIndex;
+    if (!tier || index < 0 || index >= tier.intervals.length - 1) {
+        return;
+    }
+
+    var before = cloneTier(take.sourceTier);
+    var next = cloneTier(tier);
+    var left = next.intervals[index];
+    var right = next.intervals[index + 1];
+    left.end = right.end;
+    left.text = [left.text, right.text].filter(Boolean).join(' ');
+    next.intervals.splice(index + 1, 1);
+
+    setTakeTier(take, next);
+    commitTierChange(take, '合併區間', before);
+}
+
+/**
+ * 下載目前錄音的標註層為 TextGrid
+ */
+function exportTextGrid() {
+    var take = takeManager && takeManager.getActiveTake();
+    if (!take || !take.tier || !accumulatedWaveform) {
+        return;
+    }
+
+    var secondsPerIndex = accumulatedWaveform.decimationFactor / accumulatedWaveform.sourceSampleRate;
+    var blob = new Blob([serializeTextGrid(take.tier, secondsPerIndex)], { type: 'text/plain' });
+    downloadBlob(blob, toSafeFileName(take.name) + '.TextGrid');
+}
+
+/**
+ * 匯入 TextGrid 的第一個區間層，取代目前的標註層
+ * @param {File} file - TextGrid 檔案
+ * @returns {Promise} 完成後 resolve
+ */
+function importTextGrid(file) {
+    var take = takeManager && takeManager.getActiveTake();
+    if (!take || !getActiveTier()) {
+        return Promise.resolve();
+    }
+
+    return file.arrayBuffer().then(function(buffer) {
+        var grid = parseTextGrid(decodeTextFile(buffer));
+        var source = grid.tiers.filter(function(tier) {
+            return tier.className === 'IntervalTier';
+        })[0];
+        if (!source) {
+            throw new Error('檔案中沒有區間層（IntervalTier）');
+        }
+        if (grid.tiers.length > 1) {
+            console.log('TextGrid 有 ' + grid.tiers.length + ' 層，只匯入第一個區間層「' + source.name + '」');
+        }
+
+        var hasText = take.tier.intervals.some(function(interval) {
+            return interval.text;
+        });
+        if (hasText && !confirm('匯入會取代目前的標註層，確定嗎？')) {
             return;
         }
-        
-        if (event.pointerId !== activePointerId && (isDragging || isSelecting || isResizingSelection)) {
+
+        var indexPerSecond = accumulatedWaveform.sourceSampleRate / accumulatedWaveform.decimationFactor;
+        var before = cloneTier(take.sourceTier);
+        activeIntervalIndex = -1;
+        setTakeTier(take, normalizeTier({
+            name: source.name,
+            intervals: source.items.map(function(item) {
+                return { start: item.xmin * indexPerSecond, end: item.xmax * indexPerSecond, text: item.text };
+            })
+        }, accumulatedWaveform.sampleCount));
+        commitTierChange(take, '匯入 TextGrid（' + take.tier.intervals.length + ' 個區間）', before);
+    });
+}
+
+/**
+ * 綁定標註層畫布的互動：點選區間、拖曳邊界
+ * @param {HTMLCanvasElement} canvas - 標註層畫布
+ */
+function bindAnnotationTierInteractions(canvas) {
+    var drag = null; // 拖曳中的邊界 { boundary, before, moved }
+
+    canvas.addEventListener('pointerdown', function(event) {
+        var tier = getActiveTier();
+        if (!tier || event.button !== 0) {
             return;
         }
-        
+
         var rect = canvas.getBoundingClientRect();
-        var currentX = event.clientX - rect.left;
-        
-        // 檢測移動距離，超過閾值則取消長按
-        if (longPressTimer && !isLongPress) {
-            var moveDistance = Math.sqrt(
-                Math.pow(event.clientX - startX, 2) + 
-                Math.pow(event.clientY - startY, 2)
-            );
-            
-            if (moveDistance > moveThreshold) {
-                clearLongPressTimer();
-            }
+        var hit = annotationTier.hitTest(event.clientX - rect.left, rect, 6);
+        if (!hit) {
+            return;
         }
-        
-        if (isResizingSelection) {
-            // 拉伸選取區域邊緣
-            var visibleSamples = accumulatedWaveform.getVisibleSamples();
-            var sampleRatio = currentX / rect.width;
-            var newSample = Math.floor(accumulatedWaveform.viewStart + sampleRatio * visibleSamples);
-            
-            // 限制在有效範圍內
-            if (newSample < 0) newSample = 0;
-            if (newSample >= accumulatedWaveform.sampleCount) {
-                newSample = accumulatedWaveform.sampleCount - 1;
-            }
-            
-            // 更新對應的邊緣
-            if (resizeEdge === 'left') {
-                selectionStart = newSample;
-            } else if (resizeEdge === 'right') {
-                selectionEnd = newSample;
-            }
-            
-            accumulatedWaveform.draw();
-            
-        } else if (isSelecting) {
-            // 更新選取範圍
-            var visibleSamples = accumulatedWaveform.getVisibleSamples();
-            var sampleRatio = currentX / rect.width;
-            selectionEnd = Math.floor(accumulatedWaveform.viewStart + sampleRatio * visibleSamples);
-            
-            // 限制在有效範圍內
-            if (selectionEnd < 0) selectionEnd = 0;
-            if (selectionEnd >= accumulatedWaveform.sampleCount) {
-                selectionEnd = accumulatedWaveform.sampleCount - 1;
-            }
-            
-            accumulatedWaveform.draw();
-            
-        } else if (isDragging && !isLongPress) {
-            // 平移波形（長按模式下不平移）
-            var deltaX = event.clientX - lastX;
-            if (deltaX !== 0) {
-                accumulatedWaveform.panByPixels(-deltaX);
-                lastX = event.clientX;
+
+        if (hit.boundary) {
+            drag = { boundary: hit.boundary, before: cloneTier(takeManager.getActiveTake().sourceTier), moved: false };
+            try {
+                canvas.setPointerCapture(event.pointerId);
+            } catch (err) {
+                // ignore if not supported
             }
+        } else {
+            selectTierInterval(hit.interval, true);
+            event.preventDefault(); // 保留文字框焦點
+        }
+    });
+
+    canvas.addEventListener('pointermove', function(event) {
+        var rect = canvas.getBoundingClientRect();
+        var x = event.clientX - rect.left;
+        var take = takeManager && takeManager.getActiveTake();
+
+        if (!drag || !take || !take.tier) {
+            var hit = annotationTier && annotationTier.hitTest(x, rect, 6);
+            canvas.style.cursor = hit && hit.boundary ? 'ew-resize' : 'pointer';
+            return;
         }
+
+        // 邊界限制在相鄰兩個邊界之間（至少保留一個原始樣本）
+        var intervals = take.tier.intervals;
+        var left = intervals[drag.boundary - 1];
+        var right = intervals[drag.boundary];
+        var step = 1 / accumulatedWaveform.decimationFactor;
+        var index = accumulatedWaveform.viewStart + (x / rect.width) * accumulatedWaveform.getVisibleSamples();
+        index = Math.max(left.start + step, Math.min(right.end - step, index));
+
+        left.end = right.start = index;
+        drag.moved = true;
+        annotationTier.draw();
     });
 
     function endDrag(event) {
-        if (event && event.pointerId !== activePointerId) {
+        if (!drag) {
             return;
         }
-        
-        // 清除長按計時器和視覺效果
-        clearLongPressTimer();
-        canvas.style.boxShadow = '';
-        
-        // 選取或拉伸完成後，不再顯示舊的播放 UI，僅重繪
-        
-        isDragging = false;
-        isSelecting = false;
-        isResizingSelection = false;
-        resizeEdge = null;
-        
-    // 恢復預設游標
-        canvas.style.cursor = 'grab';
-        
-        if (activePointerId !== null) {
-            try {
-                canvas.releasePointerCapture(activePointerId);
-            } catch (err) {
-                // ignore if release not supported
-            }
+
+        var finished = drag;
+        var take = takeManager.getActiveTake();
+        drag = null;
+        try {
+            canvas.releasePointerCapture(event.pointerId);
+        } catch (err) {
+            // ignore if release not supported
         }
-        activePointerId = null;
 
-        // 選取狀態可能已變更，更新按鈕狀態
-        updatePlaybackButtonsState();
+        if (finished.moved && take) {
+            setTakeTier(take, take.tier);
+            commitTierChange(take, '移動邊界', finished.before);
+        }
     }
 
     canvas.addEventListener('pointerup', endDrag);
     canvas.addEventListener('pointercancel', endDrag);
-    canvas.addEventListener('pointerleave', endDrag);
+}
 
-    canvas.addEventListener('wheel', function(event) {
-        if (!accumulatedWaveform) {
+if (tierControls.canvas && annotationTier) {
+    bindAnnotationTierInteractions(tierControls.canvas);
+}
+
+if (tierControls.split) {
+    tierControls.split.addEventListener('click', splitTierAtCursor);
+}
+
+if (tierControls.merge) {
+    tierControls.merge.addEventListener('click', mergeTierInterval);
+}
+
+if (tierControls.text) {
+    tierControls.text.addEventListener('focus', function() {
+        var take = takeManager && takeManager.getActiveTake();
+        tierTextBefore = take ? cloneTier(take.sourceTier) : null;
+    });
+
+    // 輸入時即時更新畫面，離開輸入框或按 Enter 時記錄為一筆歷史
+    tierControls.text.addEventListener('input', function() {
+        var take = takeManager && takeManager.getActiveTake();
+        var interval = take && take.tier && take.tier.intervals[activeIntervalIndex];
+        if (interval) {
+            interval.text = tierControls.text.value;
+            annotationTier.draw();
+        }
+    });
+
+    tierControls.text.addEventListener('change', function() {
+        var take = takeManager && takeManager.getActiveTake();
+        var interval = take && take.tier && take.tier.intervals[activeIntervalIndex];
+        var before = tierTextBefore;
+        if (!interval || !before) {
             return;
         }
 
+        // 輸入中只更新畫面上的標註層，保存的標註層仍是輸入前的內容
+        var saved = getTakeViewTier(take, accumulatedWaveform.decimationFactor, accumulatedWaveform.sampleCount);
+        var previous = saved && saved.intervals[activeIntervalIndex];
+        if (!previous || previous.text !== interval.text) {
+            setTakeTier(take, take.tier);
+            commitTierChange(take, '標註「' + interval.text + '」', before);
+        }
+        tierTextBefore = cloneTier(take.sourceTier);
+    });
+
+    // Enter：完成目前區間並跳到下一個區間
+    tierControls.text.addEventListener('keydown', function(event) {
+        if (event.key !== 'Enter' || event.isComposing) {
+            return;
+        }
         event.preventDefault();
+        tierControls.text.dispatchEvent(new Event('change'));
 
-        if (event.ctrlKey || event.metaKey) {
-            // Ctrl/Command + 滾輪：以指標位置為錨點縮放
-            var step = event.deltaY > 0 ? -1 : 1;
-            if (step !== 0) {
-                var rect = canvas.getBoundingClientRect();
-                var anchorRatio = (event.clientX - rect.left) / rect.width;
-                accumulatedWaveform.zoomBySteps(step, anchorRatio);
-            }
-        } else {
-            // 一般滾輪：平移視圖（支援水平與垂直）
-            var delta = Math.abs(event.deltaX) > Math.abs(event.deltaY) ? event.deltaX : event.deltaY;
-            if (event.shiftKey && event.deltaY !== 0) {
-                delta = event.deltaY;
-            }
-            if (delta !== 0) {
-                accumulatedWaveform.panByPixels(delta);
-            }
+        var take = takeManager && takeManager.getActiveTake();
+        if (take && take.tier && activeIntervalIndex < take.tier.intervals.length - 1) {
+            selectTierInterval(activeIntervalIndex + 1, true);
+        }
+    });
+}
+
+if (tierControls.name) {
+    tierControls.name.addEventListener('change', function() {
+        var take = takeManager && takeManager.getActiveTake();
+        var tier = getActiveTier();
+        var name = tierControls.name.value.trim();
+        if (!tier || !name || name === tier.name) {
+            return;
         }
-    }, { passive: false });
 
-    var zoomInButton = accumulatedControls.zoomIn;
-    var zoomOutButton = accumulatedControls.zoomOut;
-    var zoomResetButton = accumulatedControls.zoomReset;
-    var panLeftButton = accumulatedControls.panLeft;
-    var panRightButton = accumulatedControls.panRight;
+        var before = cloneTier(take.sourceTier);
+        tier.name = name;
+        setTakeTier(take, tier);
+        commitTierChange(take, '標註層名稱「' + name + '」', before);
+    });
+}
 
-    if (zoomInButton) {
-        zoomInButton.addEventListener('click', function() {
-            if (!accumulatedWaveform) {
-                return;
-            }
-            accumulatedWaveform.zoomBySteps(1, 0.5);
-        });
-    }
+if (tierControls.exportFile) {
+    tierControls.exportFile.addEventListener('click', exportTextGrid);
+}
 
-    if (zoomOutButton) {
-        zoomOutButton.addEventListener('click', function() {
-            if (!accumulatedWaveform) {
-                return;
-            }
-            accumulatedWaveform.zoomBySteps(-1, 0.5);
-        });
-    }
+if (tierControls.importFile) {
+    tierControls.importFile.addEventListener('change', function() {
+        var file = this.files && this.files[0];
+        if (!file) {
+            return;
+        }
 
-    if (zoomResetButton) {
-        zoomResetButton.addEventListener('click', function() {
-            if (!accumulatedWaveform) {
-                return;
-            }
-            accumulatedWaveform.resetView();
+        var input = this;
+        importTextGrid(file).catch(function(error) {
+            console.error('無法匯入 TextGrid:', error);
+            notificationCenter.show({ key: 'textgrid-import', level: 'error', title: '無法匯入 TextGrid', message: error.message });
+        }).then(function() {
+            input.value = '';
         });
-    }
+    });
+}
 
-    if (panLeftButton) {
-        panLeftButton.addEventListener('click', function() {
-            if (!accumulatedWaveform) {
-                return;
-            }
-            var step = Math.round(accumulatedWaveform.getVisibleSamples() * 0.25);
-            accumulatedWaveform.panBySamples(-step);
-        });
-    }
+/*=================================================================
+ * 匯入音訊檔案
+ * 以檔案選擇或拖放匯入 WAV/OGG/MP3/WebM，解碼後轉為母帶格式並建立錄音段落，
+ * 之後即可如同一般錄音播放、選取、編輯與匯出
+ *================================================================*/
 
-    if (panRightButton) {
-        panRightButton.addEventListener('click', function() {
-            if (!accumulatedWaveform) {
-                return;
-            }
-            var step = Math.round(accumulatedWaveform.getVisibleSamples() * 0.25);
-            accumulatedWaveform.panBySamples(step);
-        });
-    }
-    
-    // 播放按鈕
-    // (舊) toolbar 播放按鈕已移除，播放改由主控制區按鈕
+var importControls = {
+    file: document.getElementById('audio-import'),
+    status: document.getElementById('audio-import-status')
+};
+
+var isImportingAudio = false; // 匯入進行中，避免重複觸發
+var importStatusHint = importControls.status ? importControls.status.textContent : '';
+
+// 可匯入的副檔名；瀏覽器未提供 MIME 類型時以副檔名判斷
+var importableAudioPattern = /\.(wav|wave|ogg|oga|opus|mp3|webm)$/i;
+
+/**
+ * 判斷檔案是否為可匯入的音訊
+ * @param {File} file - 檔案
+ * @returns {boolean}
+ */
+function isImportableAudioFile(file) {
+    var type = file.type || '';
+    return type.indexOf('audio/') === 0 || type === 'video/webm' || importableAudioPattern.test(file.name);
 }
 
 /**
- * 顯示選取區域播放界面
+ * 顯示匯入進度或結果
+ * @param {string} text - 狀態文字（空字串表示恢復預設提示）
  */
-// (移除) showSelectionPlaybackUI: 選取播放控制改由主播放按鈕處理
+function setImportStatus(text) {
+    if (importControls.status) {
+        importControls.status.textContent = text || importStatusHint;
+    }
+}
 
 /**
- * 計算選取區域的時長
+ * 依錄音與匯入狀態更新匯入控制項
  */
-function calculateSelectionDuration(startSample, endSample) {
-    if (!accumulatedWaveform) {
-        return '0:00';
+function updateImportButtonsState() {
+    if (!importControls) {
+        return; // 匯入區段尚未初始化
+    }
+
+    if (importControls.file) {
+        importControls.file.disabled = recorderState.isCapturing() || isImportingAudio;
     }
-    
-    var sampleCount = Math.abs(endSample - startSample);
-    var sampleRate = accumulatedWaveform.sourceSampleRate;
-    var effectiveSampleRate = sampleRate / accumulatedWaveform.decimationFactor;
-    var durationSeconds = sampleCount / effectiveSampleRate;
-    
-    return calculateTimeDuration(durationSeconds);
 }
 
 /**
- * 播放選取的區域
+ * 匯入單一音訊檔案：解碼（WAV 直接解析，其餘交由 decodeAudioData）後
+ * 重新編碼為母帶格式，使編輯與匯出流程與錄音相同
+ * @param {File} file - 音訊檔案
+ * @returns {Promise<RecordingTake>} 建立完成的錄音
  */
-// (移除) playSelectedRegion: 改由 playSelectedOrFullAudio 整合處理
+function importAudioFile(file) {
+    var masterFormat = takeMasterFormat;
+
+    return getImportMasterFormat(file).then(function(formatId) {
+        masterFormat = formatId;
+        return readAudioChannels(file);
+    }).then(function(decoded) {
+        if (!decoded.channels.length || !decoded.channels[0].length) {
+            throw new Error('檔案中沒有音訊');
+        }
+        return encodeAudioChannels(decoded.channels, decoded.sampleRate, masterFormat);
+    }).then(function(blob) {
+        return createTakeFromBlob(blob, {
+            name: file.name.replace(/\.[^.]+$/, ''),
+            captureInfo: { sourceFile: file.name },
+            masterFormat: masterFormat
+        });
+    });
+}
 
 /**
- * 清除選取區域
+ * 依來源 WAV 的位元深度選擇匯入錄音的母帶格式
+ * 24 位元與 32 位元（整數或浮點）WAV 保留原解析度；其他格式（含有損壓縮）使用 takeMasterFormat
+ * @param {File} file - 音訊檔案
+ * @returns {Promise<string>} 編碼器代號
  */
-// (移除) clearSelection: 若需清除可直接設置 selectionStart/End = null 並 redraw
+function getImportMasterFormat(file) {
+    // 只讀取檔頭：fmt 區塊位於 data 區塊之前
+    return file.slice(0, 65536).arrayBuffer().then(function(header) {
+        var format = parseWavFormat(header);
+        if (!format || format.bitsPerSample <= 16) {
+            return takeMasterFormat;
+        }
+        return format.bitsPerSample === 24 ? 'wav24' : 'wav32f';
+    }, function() {
+        return takeMasterFormat;
+    });
+}
 
 /**
- * 綁定全局波形的互動控制
- * @param {HTMLCanvasElement} canvas - 全局波形使用的畫布
+ * 依序匯入多個音訊檔案，最後開啟最後一個成功匯入的錄音
+ * @param {FileList|Array<File>} files - 檔案清單
+ * @returns {Promise} 全部處理完成後 resolve
  */
-function bindOverviewWaveformInteractions(canvas) {
-    if (!canvas) {
-        return;
+function importAudioFiles(files) {
+    files = Array.prototype.slice.call(files || []);
+
+    if (recorderState.isCapturing()) {
+        notificationCenter.show({ key: 'import-skipped', level: 'warning', title: '錄音中無法匯入音訊檔案', message: '請先停止錄音。' });
+        return Promise.resolve();
     }
-    
-    var isDragging = false;
-    var dragStartX = 0;
-    var dragStartViewStart = 0;
-    var isInViewWindow = false;
-    var activePointerId = null;
-    
-    // 邊緣拉伸相關變數
-    var isResizing = false;
-    var resizeEdge = null; // 'left' 或 'right'
-    var resizeStartX = 0;
-    var resizeStartViewStart = 0;
-    var resizeStartVisibleSamples = 0;
-    var edgeThreshold = 10; // 邊緣檢測閾值（畫素）
-    
-    // 檢查點擊位置是否在視窗指示器內
-    function isInsideViewWindow(clientX) {
-        if (!accumulatedWaveform || !accumulatedWaveform.sampleCount) {
-            return false;
-        }
-        
-        var rect = canvas.getBoundingClientRect();
-        var clickX = clientX - rect.left;
-        var sampleCount = accumulatedWaveform.sampleCount;
-        var viewStart = accumulatedWaveform.viewStart;
-        var visibleSamples = accumulatedWaveform.getVisibleSamples();
-        
-        var viewStartX = (viewStart / sampleCount) * rect.width;
-        var viewWidth = (visibleSamples / sampleCount) * rect.width;
-        
-        return clickX >= viewStartX && clickX <= (viewStartX + viewWidth);
+    if (isImportingAudio || !files.length) {
+        return Promise.resolve();
     }
-    
-    // 檢查是否在視窗邊緣
-    function getResizeEdge(clientX) {
-        if (!accumulatedWaveform || !accumulatedWaveform.sampleCount) {
-            return null;
+
+    var skipped = files.filter(function(file) {
+        return !isImportableAudioFile(file);
+    });
+    files = files.filter(isImportableAudioFile);
+
+    if (!files.length) {
+        notificationCenter.show({ key: 'import-skipped', level: 'warning', title: '不支援的檔案格式', message: '請選擇 WAV、OGG、MP3 或 WebM 音訊檔。' });
+        return Promise.resolve();
+    }
+
+    if (recorderState.is('playing')) {
+        pausePlayback();
+    }
+
+    isImportingAudio = true;
+    updateImportButtonsState();
+
+    var failed = [];
+
+    var chain = Promise.resolve();
+    files.forEach(function(file, index) {
+        chain = chain.then(function() {
+            setImportStatus('正在匯入 ' + file.name + '（' + (index + 1) + '/' + files.length + '）…');
+            return importAudioFile(file).catch(function(error) {
+                if (error.take) {
+                    reportTakeSaveError(error); // 已匯入但未能保存至本機，不需重新匯入
+                    return;
+                }
+                console.error('無法匯入音訊檔案 ' + file.name + ':', error);
+                failed.push(file);
+            });
+        });
+    });
+
+    return chain.then(function() {
+        isImportingAudio = false;
+        setImportStatus(failed.length < files.length ? '' : '匯入失敗');
+        updateImportButtonsState();
+
+        function names(list) {
+            return list.map(function(file) {
+                return file.name;
+            }).join('、');
         }
-        
-        var rect = canvas.getBoundingClientRect();
-        var clickX = clientX - rect.left;
-        var sampleCount = accumulatedWaveform.sampleCount;
-        var viewStart = accumulatedWaveform.viewStart;
-        var visibleSamples = accumulatedWaveform.getVisibleSamples();
-        
-        var viewStartX = (viewStart / sampleCount) * rect.width;
-        var viewEndX = ((viewStart + visibleSamples) / sampleCount) * rect.width;
-        
-        // 檢查是否在左邊緣
-        if (Math.abs(clickX - viewStartX) <= edgeThreshold) {
-            return 'left';
+
+        if (skipped.length) {
+            notificationCenter.show({
+                key: 'import-skipped',
+                level: 'warning',
+                title: '已略過不支援的檔案',
+                message: names(skipped)
+            });
         }
-        
-        // 檢查是否在右邊緣
-        if (Math.abs(clickX - viewEndX) <= edgeThreshold) {
-            return 'right';
+        if (failed.length) {
+            reportError(new AppError(AppError.DECODE, '無法匯入 ' + names(failed)), {
+                key: 'import-decode',
+                retry: function() {
+                    importAudioFiles(failed);
+                },
+                retryLabel: '重新匯入'
+            });
         }
-        
-        return null;
-    }
-    
-    // 更新鼠標樣式
-    function updateCursor(clientX) {
-        if (!accumulatedWaveform || !accumulatedWaveform.sampleCount) {
-            canvas.style.cursor = 'default';
-            return;
+    });
+}
+
+if (importControls.file) {
+    importControls.file.addEventListener('change', function() {
+        var input = this;
+        importAudioFiles(input.files).then(function() {
+            input.value = '';
+        });
+    });
+}
+
+// 拖放匯入：將檔案拖曳到頁面任何位置即可匯入，拖曳期間標示可放置
+(function() {
+    var dragDepth = 0;
+
+    // 放在檔案輸入框（標註、標記匯入）上時交由瀏覽器預設處理
+    function hasFiles(event) {
+        if (event.target && event.target.type === 'file') {
+            return false;
         }
-        
-        if (isDragging) {
-            if (isResizing) {
-                canvas.style.cursor = 'ew-resize';
-            } else {
-                canvas.style.cursor = 'grabbing';
-            }
+        var types = event.dataTransfer && event.dataTransfer.types;
+        return !!types && Array.prototype.indexOf.call(types, 'Files') !== -1;
+    }
+
+    function setDropActive(active) {
+        document.body.classList.toggle('audio-drop-active', active);
+    }
+
+    document.addEventListener('dragenter', function(event) {
+        if (!hasFiles(event)) {
             return;
         }
-        
-        var edge = getResizeEdge(clientX);
-        if (edge) {
-            canvas.style.cursor = 'ew-resize';
-        } else if (isInsideViewWindow(clientX)) {
-            canvas.style.cursor = 'grab';
-        } else {
-            canvas.style.cursor = 'pointer';
-        }
-    }
-    
-    canvas.addEventListener('pointerdown', function(event) {
-        if (!accumulatedWaveform || !accumulatedWaveform.sampleCount) {
+        dragDepth++;
+        setDropActive(!recorderState.isCapturing());
+    });
+
+    document.addEventListener('dragover', function(event) {
+        if (!hasFiles(event)) {
             return;
         }
-        
-        var rect = canvas.getBoundingClientRect();
-        var clickX = event.clientX - rect.left;
-        
-        isDragging = true;
-        activePointerId = event.pointerId;
-        dragStartX = clickX;
-        dragStartViewStart = accumulatedWaveform.viewStart;
-        
-        // 檢查是否在邊緣進行拉伸
-        var edge = getResizeEdge(event.clientX);
-        if (edge) {
-            isResizing = true;
-            resizeEdge = edge;
-            resizeStartX = clickX;
-            resizeStartViewStart = accumulatedWaveform.viewStart;
-            resizeStartVisibleSamples = accumulatedWaveform.getVisibleSamples();
-        } else {
-            isResizing = false;
-            resizeEdge = null;
-            isInViewWindow = isInsideViewWindow(event.clientX);
-            
-            // 如果點擊在視窗外，立即跳轉到該位置
-            if (!isInViewWindow) {
-                var clickRatio = clickX / rect.width;
-                var targetSample = Math.floor(clickRatio * accumulatedWaveform.sampleCount);
-                var visibleSamples = accumulatedWaveform.getVisibleSamples();
-                accumulatedWaveform.viewStart = Math.floor(targetSample - visibleSamples / 2);
-                accumulatedWaveform.isAutoScroll = false;
-                accumulatedWaveform._enforceViewBounds();
-                accumulatedWaveform.draw();
-                
-                // 更新拖動起始位置
-                dragStartX = clickX;
-                dragStartViewStart = accumulatedWaveform.viewStart;
-                isInViewWindow = true;
-            }
+        event.preventDefault();
+        event.dataTransfer.dropEffect = recorderState.isCapturing() ? 'none' : 'copy';
+    });
+
+    document.addEventListener('dragleave', function(event) {
+        if (!hasFiles(event)) {
+            return;
         }
-        
-        try {
-            canvas.setPointerCapture(activePointerId);
-        } catch (err) {
-            // ignore if not supported
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (!dragDepth) {
+            setDropActive(false);
         }
-        
-        updateCursor(event.clientX);
     });
-    
-    canvas.addEventListener('pointermove', function(event) {
-        if (!accumulatedWaveform || !accumulatedWaveform.sampleCount) {
+
+    document.addEventListener('drop', function(event) {
+        if (!hasFiles(event)) {
             return;
         }
-        
-        var rect = canvas.getBoundingClientRect();
-        
-        // 更新鼠標樣式
-        if (!isDragging) {
-            updateCursor(event.clientX);
+        event.preventDefault();
+        dragDepth = 0;
+        setDropActive(false);
+        importAudioFiles(event.dataTransfer.files);
+    });
+})();
+
+updateImportButtonsState();
+
+/*=================================================================
+ * ShortcutManager 類 - 鍵盤快捷鍵
+ * 以動作清單集中管理快捷鍵：錄音、播放、縮放、平移、跳至開頭/結尾、
+ * 逐樣本微調選取邊界、復原/重做等；按鍵可自訂並保存於 localStorage
+ *================================================================*/
+
+/**
+ * ShortcutManager 類構造函數
+ * @param {Object} elements - 說明視窗元素 { overlay, list, close, reset }
+ * @param {string} [storageKey] - localStorage 鍵名
+ */
+function ShortcutManager(elements, storageKey) {
+    this.elements = elements;
+    this.storageKey = storageKey || 'recorder.shortcuts';
+    this.actions = [];          // 依顯示順序排列的動作
+    this.bindings = {};         // 動作代號 → 按鍵組合陣列
+    this.capturingId = null;    // 正在設定按鍵的動作
+}
+
+/**
+ * 註冊動作
+ * @param {string} id - 動作代號
+ * @param {string} label - 顯示名稱
+ * @param {Array<string>} defaultKeys - 預設按鍵組合（如 'Ctrl+KeyZ'、'Space'）
+ * @param {function} run - 執行函數，傳入 KeyboardEvent
+ */
+ShortcutManager.prototype.register = function(id, label, defaultKeys, run) {
+    this.actions.push({ id: id, label: label, defaultKeys: defaultKeys, run: run });
+    this.bindings[id] = defaultKeys.slice();
+};
+
+/**
+ * 將鍵盤事件轉為按鍵組合字串（使用實體按鍵代碼，不受輸入法與 Shift 字元影響）
+ * @param {KeyboardEvent} event - 鍵盤事件
+ * @returns {string} 按鍵組合，例如 'Ctrl+Shift+KeyZ'
+ */
+ShortcutManager.normalize = function(event) {
+    var parts = [];
+    if (event.ctrlKey || event.metaKey) {
+        parts.push('Ctrl');
+    }
+    if (event.altKey) {
+        parts.push('Alt');
+    }
+    if (event.shiftKey) {
+        parts.push('Shift');
+    }
+    parts.push(event.code);
+    return parts.join('+');
+};
+
+/**
+ * 將按鍵組合轉為顯示文字
+ * @param {string} combo - 按鍵組合
+ * @returns {string} 顯示文字
+ */
+ShortcutManager.describe = function(combo) {
+    var names = {
+        Space: '空白鍵', Escape: 'Esc', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓',
+        Comma: ',', Period: '.', Slash: '/', Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']'
+    };
+    return combo.split('+').map(function(part) {
+        return names[part] || part.replace(/^(Key|Digit|Numpad)/, '');
+    }).join('+');
+};
+
+/**
+ * 處理 keydown：輸入框中保留瀏覽器預設行為
+ * @param {KeyboardEvent} event - 鍵盤事件
+ */
+ShortcutManager.prototype.handleKeydown = function(event) {
+    if (/^(Control|Shift|Alt|Meta)/.test(event.key)) {
+        return;
+    }
+
+    // 設定按鍵中：Esc 取消，其他組合指定給該動作
+    if (this.capturingId) {
+        event.preventDefault();
+        if (event.code !== 'Escape') {
+            this.bindings[this.capturingId] = [ShortcutManager.normalize(event)];
+            this._save();
         }
-        
-        if (!isDragging || event.pointerId !== activePointerId) {
+        this.capturingId = null;
+        this.render();
+        return;
+    }
+
+    var target = event.target;
+    if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+        return;
+    }
+
+    // 說明視窗開啟時只接受關閉
+    if (this.isOpen()) {
+        if (event.code === 'Escape') {
+            event.preventDefault();
+            this.close();
+        }
+        return;
+    }
+
+    var combo = ShortcutManager.normalize(event);
+    for (var i = 0; i < this.actions.length; i++) {
+        var action = this.actions[i];
+        if (this.bindings[action.id].indexOf(combo) !== -1) {
+            event.preventDefault();
+            action.run(event);
             return;
         }
-        
-        var currentX = event.clientX - rect.left;
-        var deltaX = currentX - (isResizing ? resizeStartX : dragStartX);
-        var sampleCount = accumulatedWaveform.sampleCount;
-        
-        if (isResizing) {
-            // 處理邊緣拉伸
-            var deltaSamples = Math.floor((deltaX / rect.width) * sampleCount);
-            
-            if (resizeEdge === 'left') {
-                // 拉伸左邊緣：調整 viewStart 和 visibleSamples
-                var newViewStart = resizeStartViewStart + deltaSamples;
-                var newVisibleSamples = resizeStartVisibleSamples - deltaSamples;
-                
-                // 限制最小可視範圍
-                var minVisible = accumulatedWaveform._getMinVisibleSamples(sampleCount);
-                if (newVisibleSamples < minVisible) {
-                    newVisibleSamples = minVisible;
-                    newViewStart = resizeStartViewStart + resizeStartVisibleSamples - minVisible;
-                }
-                
-                // 確保不超出邊界
-                if (newViewStart < 0) {
-                    newVisibleSamples += newViewStart;
-                    newViewStart = 0;
-                }
-                
-                if (newVisibleSamples > 0) {
-                    accumulatedWaveform.viewStart = newViewStart;
-                    accumulatedWaveform.zoomFactor = sampleCount / newVisibleSamples;
-                }
-            } else if (resizeEdge === 'right') {
-                // 拉伸右邊緣：只調整 visibleSamples
-                var newVisibleSamples = resizeStartVisibleSamples + deltaSamples;
-                
-                // 限制最小可視範圍
-                var minVisible = accumulatedWaveform._getMinVisibleSamples(sampleCount);
-                if (newVisibleSamples < minVisible) {
-                    newVisibleSamples = minVisible;
-                }
-                
-                // 確保不超出邊界
-                var maxEnd = sampleCount - resizeStartViewStart;
-                if (newVisibleSamples > maxEnd) {
-                    newVisibleSamples = maxEnd;
-                }
-                
-                if (newVisibleSamples > 0) {
-                    accumulatedWaveform.zoomFactor = sampleCount / newVisibleSamples;
-                }
+    }
+};
+
+/**
+ * 說明視窗是否開啟
+ * @returns {boolean}
+ */
+ShortcutManager.prototype.isOpen = function() {
+    return !!(this.elements.overlay && !this.elements.overlay.hidden);
+};
+
+/**
+ * 開啟說明視窗
+ */
+ShortcutManager.prototype.open = function() {
+    if (!this.elements.overlay) {
+        return;
+    }
+    this.render();
+    this.elements.overlay.hidden = false;
+};
+
+/**
+ * 關閉說明視窗
+ */
+ShortcutManager.prototype.close = function() {
+    this.capturingId = null;
+    if (this.elements.overlay) {
+        this.elements.overlay.hidden = true;
+    }
+};
+
+/**
+ * 恢復全部預設按鍵
+ */
+ShortcutManager.prototype.resetDefaults = function() {
+    var self = this;
+    this.actions.forEach(function(action) {
+        self.bindings[action.id] = action.defaultKeys.slice();
+    });
+    this.capturingId = null;
+    this._save();
+    this.render();
+};
+
+/**
+ * 重新繪製說明視窗中的按鍵清單
+ */
+ShortcutManager.prototype.render = function() {
+    var list = this.elements.list;
+    if (!list) {
+        return;
+    }
+
+    var self = this;
+    while (list.firstChild) {
+        list.removeChild(list.firstChild);
+    }
+
+    // 同一組合被多個動作使用時，只有清單中較前面的動作生效
+    var owners = {};
+    this.actions.forEach(function(action) {
+        self.bindings[action.id].forEach(function(combo) {
+            if (!owners[combo]) {
+                owners[combo] = action.id;
             }
-            
-            accumulatedWaveform.isAutoScroll = false;
-            accumulatedWaveform._enforceViewBounds();
-            accumulatedWaveform.draw();
+        });
+    });
+
+    this.actions.forEach(function(action) {
+        var row = document.createElement('tr');
+
+        var label = document.createElement('td');
+        label.textContent = action.label;
+
+        var keys = document.createElement('td');
+        if (self.capturingId === action.id) {
+            keys.textContent = '請按下新的按鍵（Esc 取消）…';
+            keys.className = 'shortcut-capturing';
         } else {
-            // 處理視窗拖動
-            var deltaSamples = Math.floor((deltaX / rect.width) * sampleCount);
-            
-            accumulatedWaveform.viewStart = dragStartViewStart + deltaSamples;
-            accumulatedWaveform.isAutoScroll = false;
-            accumulatedWaveform._enforceViewBounds();
-            accumulatedWaveform.draw();
+            self.bindings[action.id].forEach(function(combo) {
+                var key = document.createElement('kbd');
+                key.textContent = ShortcutManager.describe(combo);
+                if (owners[combo] !== action.id) {
+                    key.className = 'shortcut-conflict';
+                    key.title = '與其他快捷鍵重複，目前不會觸發';
+                }
+                keys.appendChild(key);
+            });
         }
+
+        var actions = document.createElement('td');
+        var change = document.createElement('button');
+        change.type = 'button';
+        change.textContent = '變更';
+        change.addEventListener('click', function() {
+            self.capturingId = action.id;
+            self.render();
+        });
+        actions.appendChild(change);
+
+        row.appendChild(label);
+        row.appendChild(keys);
+        row.appendChild(actions);
+        list.appendChild(row);
     });
-    
-    function endDrag(event) {
-        if (event && event.pointerId !== activePointerId) {
-            return;
+};
+
+/**
+ * 將自訂按鍵保存至 localStorage（只保存與預設不同者）
+ */
+ShortcutManager.prototype._save = function() {
+    var self = this;
+    var custom = {};
+    this.actions.forEach(function(action) {
+        if (self.bindings[action.id].join(' ') !== action.defaultKeys.join(' ')) {
+            custom[action.id] = self.bindings[action.id];
         }
-        
-        isDragging = false;
-        isResizing = false;
-        resizeEdge = null;
-        
-        if (activePointerId !== null) {
-            try {
-                canvas.releasePointerCapture(activePointerId);
-            } catch (err) {
-                // ignore if release not supported
+    });
+
+    try {
+        localStorage.setItem(this.storageKey, JSON.stringify(custom));
+    } catch (error) {
+        console.warn('無法保存快捷鍵設定:', error);
+    }
+};
+
+/**
+ * 從 localStorage 還原自訂按鍵（於註冊所有動作後呼叫）
+ */
+ShortcutManager.prototype.restore = function() {
+    try {
+        var saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null') || {};
+        var self = this;
+        Object.keys(saved).forEach(function(id) {
+            if (self.bindings[id] && Array.isArray(saved[id])) {
+                self.bindings[id] = saved[id].slice();
             }
-        }
-        activePointerId = null;
-        
-        // 恢復鼠標樣式
-        if (event) {
-            updateCursor(event.clientX);
-        } else {
-            canvas.style.cursor = 'default';
-        }
+        });
+    } catch (error) {
+        console.warn('無法還原快捷鍵設定:', error);
     }
-    
-    canvas.addEventListener('pointerup', endDrag);
-    canvas.addEventListener('pointercancel', endDrag);
-    canvas.addEventListener('pointerleave', function(event) {
-        if (!isDragging) {
-            canvas.style.cursor = 'default';
-        }
+};
+
+/**
+ * 以按鈕目前的啟用狀態執行其點擊動作（快捷鍵與按鈕行為一致）
+ * @param {HTMLElement} button - 按鈕
+ */
+function clickIfEnabled(button) {
+    if (button && !button.disabled) {
+        button.click();
+    }
+}
+
+/**
+ * 將播放位置移至錄音開頭或結尾，並捲動視圖
+ * @param {boolean} toEnd - 是否移至結尾
+ */
+function jumpPlaybackPosition(toEnd) {
+    if (!accumulatedWaveform || !accumulatedWaveform.sampleCount || recorderState.isCapturing()) {
+        return;
+    }
+
+    if (recorderState.is('playing')) {
+        pausePlayback();
+    }
+
+    if (toEnd) {
+        accumulatedWaveform.scrollToLatest();
+    } else {
+        accumulatedWaveform.viewStart = 0;
+        accumulatedWaveform.isAutoScroll = false;
+    }
+    accumulatedWaveform.setPlaybackPosition(toEnd ? accumulatedWaveform.sampleCount : 0);
+
+    takeManager.saveActiveState();
+    recordViewStateChange();
+    updatePlaybackButtonsState();
+}
+
+var nudgeHistoryTimer = null; // 連續微調合併為一筆歷史
+
+/**
+ * 以一個原始樣本為單位移動選取區間的起點或終點
+ * @param {string} edge - 'start' 或 'end'
+ * @param {number} direction - -1 向左、1 向右
+ */
+function nudgeSelectionEdge(edge, direction) {
+    if (!accumulatedWaveform || recorderState.isCapturing() || selectionStart === null || selectionEnd === null || selectionStart === selectionEnd) {
+        return;
+    }
+
+    // 選取以累積波形索引保存，一個原始樣本 = 1 / 下采樣倍率
+    var step = direction / accumulatedWaveform.decimationFactor;
+    var total = accumulatedWaveform.sampleCount;
+    var low = Math.min(selectionStart, selectionEnd);
+    var high = Math.max(selectionStart, selectionEnd);
+
+    if (edge === 'start') {
+        low = Math.max(0, Math.min(high - Math.abs(step), low + step));
+    } else {
+        high = Math.min(total, Math.max(low + Math.abs(step), high + step));
+    }
+
+    selectionStart = low;
+    selectionEnd = high;
+    accumulatedWaveform.draw();
+    takeManager.saveActiveState();
+    updatePlaybackButtonsState();
+
+    clearTimeout(nudgeHistoryTimer);
+    nudgeHistoryTimer = setTimeout(recordViewStateChange, 400);
+}
+
+var shortcutManager = new ShortcutManager({
+    overlay: document.getElementById('shortcut-help'),
+    list: document.getElementById('shortcut-list'),
+    close: document.getElementById('shortcut-close'),
+    reset: document.getElementById('shortcut-reset')
+});
+
+shortcutManager.register('record', '開始 / 停止錄音', ['KeyR'], function() {
+    clickIfEnabled(document.getElementById('btn-toggle-recording'));
+});
+shortcutManager.register('pauseRecording', '暫停 / 繼續錄音', ['KeyP'], function() {
+    clickIfEnabled(btnPauseRecording);
+});
+shortcutManager.register('playPause', '播放 / 暫停', ['Space'], function() {
+    if (recorderState.is('playing')) {
+        clickIfEnabled(btnPause);
+    } else {
+        clickIfEnabled(btnPlay);
+    }
+});
+shortcutManager.register('stop', '停止播放', ['KeyS'], function() {
+    clickIfEnabled(btnStopPlayback);
+});
+shortcutManager.register('zoomIn', '放大', ['Equal', 'NumpadAdd'], function() {
+    clickIfEnabled(accumulatedControls.zoomIn);
+});
+shortcutManager.register('zoomOut', '縮小', ['Minus', 'NumpadSubtract'], function() {
+    clickIfEnabled(accumulatedControls.zoomOut);
+});
+shortcutManager.register('zoomReset', '重置視圖', ['Digit0'], function() {
+    clickIfEnabled(accumulatedControls.zoomReset);
+});
+shortcutManager.register('panLeft', '向左平移', ['ArrowLeft'], function() {
+    clickIfEnabled(accumulatedControls.panLeft);
+});
+shortcutManager.register('panRight', '向右平移', ['ArrowRight'], function() {
+    clickIfEnabled(accumulatedControls.panRight);
+});
+shortcutManager.register('slower', '降低播放速度', ['BracketLeft'], function() {
+    stepPlaybackRate(-1);
+});
+shortcutManager.register('faster', '提高播放速度', ['BracketRight'], function() {
+    stepPlaybackRate(1);
+});
+shortcutManager.register('loop', '切換循環播放', ['KeyL'], function() {
+    if (loopControls.toggle) {
+        loopControls.toggle.checked = !loopControls.toggle.checked;
+        loopControls.toggle.dispatchEvent(new Event('change'));
+    }
+});
+shortcutManager.register('jumpStart', '跳至開頭', ['Home'], function() {
+    jumpPlaybackPosition(false);
+});
+shortcutManager.register('jumpEnd', '跳至結尾', ['End'], function() {
+    jumpPlaybackPosition(true);
+});
+shortcutManager.register('nudgeStartLeft', '選取起點左移一個樣本', ['Comma'], function() {
+    nudgeSelectionEdge('start', -1);
+});
+shortcutManager.register('nudgeStartRight', '選取起點右移一個樣本', ['Period'], function() {
+    nudgeSelectionEdge('start', 1);
+});
+shortcutManager.register('nudgeEndLeft', '選取終點左移一個樣本', ['Shift+Comma'], function() {
+    nudgeSelectionEdge('end', -1);
+});
+shortcutManager.register('nudgeEndRight', '選取終點右移一個樣本', ['Shift+Period'], function() {
+    nudgeSelectionEdge('end', 1);
+});
+shortcutManager.register('addMarker', '在播放位置加入標記', ['KeyM'], function() {
+    addMarker(false);
+});
+shortcutManager.register('addRegion', '以選取區間加入標籤區段', ['Shift+KeyM'], function() {
+    addMarker(true);
+});
+shortcutManager.register('tierSplit', '在播放位置分割標註區間', ['KeyB'], function() {
+    splitTierAtCursor();
+});
+shortcutManager.register('clearSelection', '取消選取區間', ['Escape'], function() {
+    clickIfEnabled(btnClearSelection);
+});
+shortcutManager.register('undo', '復原', ['Ctrl+KeyZ'], function() {
+    stepHistory('undo');
+});
+shortcutManager.register('redo', '重做', ['Ctrl+Shift+KeyZ', 'Ctrl+KeyY'], function() {
+    stepHistory('redo');
+});
+shortcutManager.register('help', '顯示快捷鍵說明', ['Shift+Slash', 'F1'], function() {
+    shortcutManager.open();
+});
+shortcutManager.restore();
+
+document.addEventListener('keydown', function(event) {
+    shortcutManager.handleKeydown(event);
+});
+
+if (shortcutManager.elements.close) {
+    shortcutManager.elements.close.addEventListener('click', function() {
+        shortcutManager.close();
     });
-    
-    canvas.addEventListener('pointerenter', function(event) {
-        if (!isDragging) {
-            updateCursor(event.clientX);
+}
+if (shortcutManager.elements.reset) {
+    shortcutManager.elements.reset.addEventListener('click', function() {
+        shortcutManager.resetDefaults();
+    });
+}
+if (shortcutManager.elements.overlay) {
+    // 點擊視窗外的背景關閉
+    shortcutManager.elements.overlay.addEventListener('click', function(event) {
+        if (event.target === shortcutManager.elements.overlay) {
+            shortcutManager.close();
         }
     });
 }
 
+var shortcutHelpButton = document.getElementById('btn-shortcut-help');
+if (shortcutHelpButton) {
+    shortcutHelpButton.addEventListener('click', function() {
+        shortcutManager.open();
+    });
+}
+
 /*=================================================================
  * 停止錄音回調函數
  * 處理錄音停止後的各種操作：波形生成、檔案上傳等
@@ -2059,6 +12116,40 @@ function stopRecordingCallback() {
     // 獲取左右聲道數據
     var leftchannel = internalRecorder.leftchannel;   // 左聲道數據
     var rightchannel = internalRecorder.rightchannel; // 右聲道數據
+    var recordedLength = internalRecorder.recordingLength;
+
+    // 語音觸發的錄音：將預錄緩衝中的語音開頭接在最前面（採樣率不同時略過）
+    var preRoll = recordingPreRoll;
+    var preRollLength = 0;
+    recordingPreRoll = null;
+    if (preRoll && preRoll.sampleRate === internalRecorder.sampleRate) {
+        preRollLength = preRoll.channels[0].length;
+        leftchannel = [preRoll.channels[0]].concat(leftchannel);
+        rightchannel = [preRoll.channels[1]].concat(rightchannel);
+        recordedLength += preRollLength;
+    } else if (recordingCaptureInfo) {
+        delete recordingCaptureInfo.preRollSeconds;
+    }
+
+    /**
+     * 停止即時顯示，並讓免手動錄音繼續待命（錄音檔產生或失敗後執行）
+     */
+    function releaseLiveViews() {
+        if (liveWaveform) {
+            liveWaveform.stop();
+            liveWaveform = null;
+        }
+
+        stopLiveSpectrogram();
+        livePitchTracker = null;
+
+        // 免手動錄音待命中：繼續等待下一段語音（電平表持續顯示以便調整門檻）
+        if (!handsFree.armed) {
+            stopLevelMeter();
+        }
+        resumeHandsFreeMonitor();
+        updateHandsFreeStatus();
+    }
 
     /*---------------------------------------------------------------
      * 生成自定義 WAV 檔案
@@ -2070,9 +12161,10 @@ function stopRecordingCallback() {
         desiredSampRate: internalRecorder.desiredSampRate,           // 目標採樣率
         sampleRate: internalRecorder.sampleRate,                     // 原始採樣率
         numberOfAudioChannels: internalRecorder.numberOfAudioChannels, // 聲道數量
-        internalInterleavedLength: internalRecorder.recordingLength,  // 錄音長度
+        internalInterleavedLength: recordedLength,                    // 錄音長度（含預錄的語音開頭）
         leftBuffers: leftchannel,                                     // 左聲道緩衝區
-        rightBuffers: internalRecorder.numberOfAudioChannels === 1 ? [] : rightchannel // 右聲道緩衝區（單聲道時為空陣列）
+        rightBuffers: internalRecorder.numberOfAudioChannels === 1 ? [] : rightchannel, // 右聲道緩衝區（單聲道時為空陣列）
+        format: takeMasterFormat                                      // 母帶格式（16 位元 WAV）
     }, function(buffer, view) {
         /*-----------------------------------------------------------
          * WAV 檔案生成完成回調
@@ -2084,33 +12176,143 @@ function stopRecordingCallback() {
             type: 'audio/wav'
         });
 
-        if (latestRecordingUrl) {
-            URL.revokeObjectURL(latestRecordingUrl);
-            latestRecordingUrl = null;
-        }
+        // 錄音檔已產生：finalizing → ready/idle（新錄音段落開啟時再轉為 ready）
+        recorderState.settle(!!latestRecordingBlob);
 
-        latestRecordingBlob = blob;
-        latestRecordingUrl = URL.createObjectURL(blob);
+        // 插入重錄：不上傳、不建立新的錄音段落，直接取代開啟中錄音的區間
+        var punch = punchInSession;
+        punchInSession = null;
+
+        // 記下本次錄音的片段日誌：延後的重試可能在下一段錄音開始後才完成
+        var journalSession = chunkJournal.session;
+        var finishJournal = function() {
+            return chunkJournal.finish(journalSession);
+        };
+
+        if (punch) {
+            recordingPrompt = null;
+            recordingCaptureInfo = null;
+            // 套用並保存後才刪除片段日誌；失敗時保留，可於重新整理後復原
+            finishPunchIn(punch, blob).then(finishJournal).catch(function(error) {
+                if (error.take) {
+                    reportTakeSaveError(error, finishJournal);
+                    return;
+                }
+                console.error('插入重錄失敗:', error);
+                notificationCenter.show({
+                    key: 'punch-in',
+                    level: 'error',
+                    title: '插入重錄失敗',
+                    message: error.message + '。錄音片段日誌已保留，可於重新整理頁面後復原。'
+                });
+            });
+        } else {
+            // 依所選輸出格式轉檔後上傳錄音檔案到伺服器
+            var uploadEncoder = getSelectedAudioEncoder();
+            var upload = function(uploadBlob) {
+                uploadToServer(uploadBlob, uploadEncoder.extension, function(progress, result) {
+                    if(progress === 'ended') {
+                        // 上傳完成：更新按鈕狀態為下載連結
+                        button.disabled = false;
+                        button.innerHTML = 'Click to download from server';
+                        button.onclick = function() {
+                            window.open(result); // 開啟下載連結
+                        };
+                        return;
+                    }
+                    if (progress === 'failed') {
+                        // 上傳失敗：錄音仍保留在本機，可由通知重試
+                        reportError(new AppError(AppError.UPLOAD, '錄音未能上傳至伺服器（已保留在本機錄音清單）', result), {
+                            retry: function() {
+                                upload(uploadBlob);
+                            }
+                        });
+                        return;
+                    }
+                    // 上傳進行中：更新按鈕文字顯示進度
+                    button.innerHTML = progress;
+                });
+            };
+            var transcodeAndUpload = function() {
+                transcodeBlob(blob, uploadEncoder.id, getSelectedResample(), getSelectedTrim()).then(upload, function(error) {
+                    reportError(new AppError(AppError.UPLOAD, '無法轉換上傳格式，錄音未上傳（已保留在本機錄音清單）', error), {
+                        retry: transcodeAndUpload
+                    });
+                });
+            };
+            transcodeAndUpload();
+
+            // 建立新的錄音段落並開啟（同時載入主播放器），保留先前的錄音；
+            // 保存成功後才刪除片段日誌，失敗時仍可於下次載入時復原
+            var prompt = recordingPrompt;
+            var takeOptions = {
+                captureInfo: recordingCaptureInfo,
+                resumePoints: recordingPause ? recordingPause.resumePoints.map(function(position) {
+                    return position + preRollLength; // 位置以錄音器樣本計算，需加上接在開頭的預錄長度
+                }) : []
+            };
+            recordingPrompt = null;
+            recordingCaptureInfo = null;
+            recordingPause = null;
+
+            if (prompt) {
+                takeOptions.name = prompt.id + ' #' + (prompt.takeIds.length + 1);
+                takeOptions.promptId = prompt.id;
+                takeOptions.promptText = prompt.text;
+            }
+
+            // 將錄音連結至題目，並視設定自動前往下一題
+            var linkPrompt = function(take) {
+                if (!prompt) {
+                    return;
+                }
+                promptScript.attachTake(prompt.id, take.id);
+                var autoAdvance = promptScript.elements.autoAdvance;
+                if (autoAdvance && autoAdvance.checked && promptScript.getCurrent() === prompt) {
+                    promptScript.next();
+                }
+            };
+
+            var keepTake = function() {
+                createTakeFromBlob(blob, takeOptions).then(function(take) {
+                    linkPrompt(take);
+                    return finishJournal();
+                }).catch(function(error) {
+                    if (!error.take) {
+                        // 無法解碼錄音：保留片段日誌，可重試或於重新整理頁面後復原
+                        reportError(new AppError(AppError.DECODE, '無法建立錄音段落（錄音片段日誌已保留）', error), {
+                            key: 'take-decode',
+                            retry: keepTake
+                        });
+                        return;
+                    }
+                    // 錄音已在清單中但未寫入本機：保留片段日誌，重試保存成功後才刪除
+                    linkPrompt(error.take);
+                    reportTakeSaveError(error, finishJournal);
+                });
+            };
+            keepTake();
+        }
 
-        // 將音頻載入到主播放器
-        audio.srcObject = null;
-        audio.src = latestRecordingUrl;
-        
         /*-----------------------------------------------------------
          * 清理即時波形顯示
          * 停止即時波形並清理資源
          *----------------------------------------------------------*/
-        if (liveWaveform) {
-            liveWaveform.stop();
-            liveWaveform = null;
-        }
-
-        if (downloadButton) {
-            downloadButton.disabled = false;
-        }
-
-        // 有可播放錄音後，更新播放按鈕狀態
-        updatePlaybackButtonsState();
+        releaseLiveViews();
+
+        // 下載按鈕與播放按鈕狀態於錄音段落開啟時更新
+    }, function(error) {
+        // 無法產生錄音檔：finalizing → error → idle/ready，片段日誌保留供重新整理後復原
+        recordingPrompt = null;
+        recordingCaptureInfo = null;
+        recordingPause = null;
+        punchInSession = null;
+
+        var appError = new AppError(AppError.ENCODE, '無法產生錄音檔（錄音片段日誌已保留，重新整理頁面後可復原）', error);
+        recorderState.transition('error', appError);
+        recorderState.settle(!!latestRecordingBlob);
+        releaseLiveViews();
+        reportError(appError);
     });
 
     /*---------------------------------------------------------------
@@ -2118,23 +12320,11 @@ function stopRecordingCallback() {
      * 清理資源並開始檔案上傳流程
      *--------------------------------------------------------------*/
     
-    recorder.microphone.stop(); // 停止麥克風錄音
-    var button = this;           // 保存按鈕引用
-    
-    // 上傳錄音檔案到伺服器
-    uploadToServer(recorder, function(progress, fileURL) {
-        if(progress === 'ended') {
-            // 上傳完成：更新按鈕狀態為下載連結
-            button.disabled = false;
-            button.innerHTML = 'Click to download from server';
-            button.onclick = function() {
-                window.open(fileURL); // 開啟下載連結
-            };
-            return;
-        }
-        // 上傳進行中：更新按鈕文字顯示進度
-        button.innerHTML = progress;
-    });
+    // 停止麥克風錄音（免手動錄音待命中的串流保持開啟）
+    if (recorder.microphone !== handsFree.stream) {
+        recorder.microphone.stop();
+    }
+    var button = this;           // 保存按鈕引用（上傳於 WAV 產生後進行）
 
     /*---------------------------------------------------------------
      * 檔案上傳相關函數
@@ -2145,23 +12335,15 @@ function stopRecordingCallback() {
 
     /**
      * 上傳錄音檔案到伺服器
-     * @param {Object} recordRTC - RecordRTC 錄音器實例或 Blob 物件
-     * @param {function} callback - 進度回調函數
+     * @param {Blob} blob - 已編碼的音訊檔案
+     * @param {string} extension - 副檔名（依輸出格式）
+     * @param {function} callback - 進度回調函數（完成時為 'ended' 與檔案網址，失敗時為 'failed' 與錯誤）
      */
-    function uploadToServer(recordRTC, callback) {
-        // 獲取 Blob 物件（可能直接是 Blob 或從 RecordRTC 提取）
-        var blob = recordRTC instanceof Blob ? recordRTC : recordRTC.blob;
+    function uploadToServer(blob, extension, callback) {
         var fileType = blob.type.split('/')[0] || 'audio'; // 獲取檔案類型（通常是 'audio'）
         
         // 生成唯一檔案名稱
-        var fileName = 'xxx_' + (Math.random() * 1000).toString().replace('.', '');
-        
-        // 根據瀏覽器類型設定檔案副檔名
-        if (fileType === 'audio') {
-            fileName += '.' + (!!navigator.mozGetUserMedia ? 'ogg' : 'wav'); // Firefox 使用 ogg，其他使用 wav
-        } else {
-            fileName += '.webm'; // 視頻檔案使用 webm
-        }
+        var fileName = 'xxx_' + (Math.random() * 1000).toString().replace('.', '') + '.' + extension;
 
         // 創建 FormData 物件用於檔案上傳
         var formData = new FormData();
@@ -2175,7 +12357,11 @@ function stopRecordingCallback() {
         var upload_directory = 'uploads/';   // 上傳目錄
 
         // 執行 HTTP 請求上傳檔案
-        makeXMLHttpRequest(upload_url, formData, function(progress) {
+        makeXMLHttpRequest(upload_url, formData, function(progress, error) {
+            if (progress === 'upload-failed') {
+                callback('failed', error); // 上傳失敗
+                return;
+            }
             if (progress !== 'upload-ended') {
                 callback(progress); // 更新上傳進度
                 return;
@@ -2192,7 +12378,7 @@ function stopRecordingCallback() {
      * 建立 XMLHttpRequest 請求上傳檔案
      * @param {string} url - 上傳目標 URL
      * @param {FormData} data - 要上傳的表單數據
-     * @param {function} callback - 進度回調函數
+     * @param {function} callback - 進度回調函數（失敗時為 'upload-failed' 與錯誤）
      */
     function makeXMLHttpRequest(url, data, callback) {
         var request = new XMLHttpRequest(); // 創建 HTTP 請求物件
@@ -2201,6 +12387,9 @@ function stopRecordingCallback() {
         request.onreadystatechange = function() {
             if (request.readyState == 4 && request.status == 200) {
                 callback('upload-ended'); // 上傳完成
+            } else if (request.readyState == 4) {
+                // 伺服器拒絕（HTTP 狀態碼）或連線失敗、中止（狀態碼 0）
+                callback('upload-failed', new Error(request.status ? '伺服器回應 HTTP ' + request.status : '連線中斷'));
             }
         };
 
@@ -2249,7 +12438,10 @@ function stopRecordingCallback() {
  * 用於在不同函數間共享錄音器實例
  *================================================================*/
 var recorder; // 全域可訪問的錄音器物件
-var isCurrentlyRecording = false; // 追蹤當前錄音狀態
+var recordingPrompt = null;       // 錄音開始時的題目（錄音完成後連結至該題）
+var recordingCaptureInfo = null;  // 錄音時的擷取設定（寫入匯出清單）
+var recordingPause = null;        // 本次錄音的暫停紀錄 { startedAt, total, resumePoints }
+var recordingPreRoll = null;      // 語音觸發錄音前的音訊 { channels, sampleRate }（接在錄音開頭）
 
 /*=================================================================
  * 錄音切換按鈕事件處理
@@ -2257,30 +12449,144 @@ var isCurrentlyRecording = false; // 追蹤當前錄音狀態
  *================================================================*/
 
 document.getElementById('btn-toggle-recording').onclick = function() {
-    if (!isCurrentlyRecording) {
-        // 開始錄音
-        startRecording.call(this);
-    } else {
+    if (recorderState.is('recording', 'paused')) {
         // 停止錄音
         stopRecording.call(this);
+    } else {
+        // 開始錄音（開啟麥克風或產生錄音檔期間按鈕停用）
+        startRecording.call(this);
     }
 };
 
+/**
+ * 依錄音狀態更新錄音切換按鈕，並於使用麥克風期間鎖定錄音清單與題目切換
+ * @param {string} state - 目前狀態
+ * @param {string} previous - 先前狀態
+ */
+function renderRecordingToggle(state, previous) {
+    var toggleButton = document.getElementById('btn-toggle-recording');
+    var labels = {
+        acquiring: '… 正在開啟麥克風',
+        recording: '■ 停止錄音',
+        paused: '■ 停止錄音',
+        finalizing: '… 正在處理錄音'
+    };
+
+    toggleButton.classList.toggle('recording', recorderState.isCapturing());
+    toggleButton.innerHTML = labels[state] || '● 開始錄音';
+    toggleButton.disabled = state === 'acquiring' || state === 'finalizing';
+
+    var capturing = recorderState.isCapturing();
+    var wasCapturing = ['acquiring', 'recording', 'paused'].indexOf(previous) !== -1;
+    if (capturing !== wasCapturing) {
+        if (takeManager) {
+            takeManager.setLocked(capturing);
+        }
+        promptScript.setLocked(capturing);
+    }
+}
+
+recorderState.subscribe(renderRecordingToggle);
+
+/*=================================================================
+ * 暫停 / 繼續錄音
+ * 暫停期間不擷取音訊也不產生錄音檔；繼續錄音的位置記錄為暫停標記
+ *================================================================*/
+
+/**
+ * 暫停錄音（插入重錄需與預備段落同步，不可暫停）
+ */
+function pauseRecording() {
+    if (!recorderState.is('recording') || punchInSession || !recorder) {
+        return;
+    }
+
+    recorder.pauseRecording();
+    recordingPause.startedAt = Date.now();
+    recorderState.transition('paused');
+}
+
+/**
+ * 繼續錄音，並於累積波形標示繼續的位置
+ */
+function resumeRecording() {
+    if (!recorderState.is('paused') || !recorder) {
+        return;
+    }
+
+    // 以錄音器已擷取的樣本數作為位置，與最終錄音檔一致
+    recordingPause.resumePoints.push(recorder.getInternalRecorder().recordingLength);
+    recordingPause.total += Date.now() - recordingPause.startedAt;
+    recordingPause.startedAt = 0;
+
+    if (accumulatedWaveform) {
+        accumulatedWaveform.setResumePoints(recordingPause.resumePoints.slice());
+    }
+
+    recorder.resumeRecording();
+    recorderState.transition('recording');
+}
+
+/**
+ * 取得本次錄音扣除暫停時間後的長度
+ * @returns {number} 秒數
+ */
+function getRecordingElapsedSeconds() {
+    var paused = recordingPause ? recordingPause.total : 0;
+    if (recordingPause && recordingPause.startedAt) {
+        paused += Date.now() - recordingPause.startedAt;
+    }
+    return Math.max(0, new Date().getTime() - dateStarted - paused) / 1000;
+}
+
+/**
+ * 依錄音狀態更新暫停錄音按鈕
+ * @param {string} state - 目前狀態
+ */
+function renderPauseRecordingButton(state) {
+    if (!btnPauseRecording) {
+        return;
+    }
+
+    var paused = state === 'paused';
+    btnPauseRecording.classList.toggle('paused', paused);
+    btnPauseRecording.innerHTML = paused ? '● 繼續錄音' : '⏸ 暫停錄音';
+    btnPauseRecording.disabled = !(paused || state === 'recording') || !!punchInSession;
+}
+
+if (btnPauseRecording) {
+    btnPauseRecording.addEventListener('click', function() {
+        if (recorderState.is('paused')) {
+            resumeRecording();
+        } else {
+            pauseRecording();
+        }
+    });
+}
+
+recorderState.subscribe(renderPauseRecordingButton);
+
 // 綁定主播放控制按鈕
-if (btnPlay) {
-    btnPlay.addEventListener('click', function() {
-        // 確保 AudioContext 可用
-        initializeAudioContext().then(function(){
-            if (audioContext.state === 'suspended') {
-                return audioContext.resume();
-            }
-        }).finally(function(){
-            playSelectedOrFullAudio();
-            updatePlaybackButtonsState();
-        });
+/**
+ * 播放按鈕：確保 AudioContext 可用後開始播放（無法建立時由 playSelectedOrFullAudio 顯示錯誤）
+ */
+function startPlaybackFromButton() {
+    initializeAudioContext().then(function(){
+        if (audioContext.state === 'suspended') {
+            return audioContext.resume();
+        }
+    }).catch(function(error) {
+        console.warn('Unable to start AudioContext:', error);
+    }).then(function(){
+        playSelectedOrFullAudio();
+        updatePlaybackButtonsState();
     });
 }
 
+if (btnPlay) {
+    btnPlay.addEventListener('click', startPlaybackFromButton);
+}
+
 function pausePlayback() {
     if (selectionAudioSource) {
         try { selectionAudioSource.onended = null; selectionAudioSource.stop(); } catch(e) {}
@@ -2290,6 +12596,10 @@ function pausePlayback() {
         accumulatedWaveform.stopPlayback();
         // 不重置播放位置，保留於暫停點
     }
+    if (recorderState.is('playing')) {
+        recorderState.transition('ready');
+    }
+    syncViewStateBaseline();
     updatePlaybackButtonsState();
 }
 
@@ -2313,6 +12623,10 @@ function stopPlaybackAll() {
             accumulatedWaveform.setPlaybackPosition(0);
         }
     }
+    if (recorderState.is('playing')) {
+        recorderState.transition('ready');
+    }
+    recordViewStateChange();
     updatePlaybackButtonsState();
 }
 
@@ -2325,7 +12639,7 @@ if (btnStopPlayback) {
 // 新增：清除選取區間
 function clearSelection() {
     // 若正在播放，使用暫停以保留播放位置
-    if (selectionAudioSource || (accumulatedWaveform && accumulatedWaveform.isPlaying)) {
+    if (recorderState.is('playing')) {
         pausePlayback();
     }
     selectionStart = null;
@@ -2333,6 +12647,7 @@ function clearSelection() {
     if (accumulatedWaveform) {
         accumulatedWaveform.draw();
     }
+    recordViewStateChange();
     updatePlaybackButtonsState();
 }
 
@@ -2348,20 +12663,18 @@ if (btnClearSelection) {
  *================================================================*/
 
 function startRecording() {
-    var toggleButton = document.getElementById('btn-toggle-recording');
-    
+    // 暫停播放（playing → ready）後才能開始錄音
+    if (recorderState.is('playing')) {
+        pausePlayback();
+    }
+
     /*---------------------------------------------------------------
      * 初始化錄音狀態
-     * 設定各種狀態變數並清理之前的錄音
+     * 進入 acquiring（按鈕、鎖定等由狀態訂閱者更新）並清理之前的錄音
      *--------------------------------------------------------------*/
-    isCurrentlyRecording = true;    // 設定為錄音中
-    is_ready_to_record = false;     // 設定為非準備狀態
-    is_recording = true;            // 設定為錄音中
-    is_recorded = false;            // 設定為未完成錄音
-    
-    // 更新按鈕樣式和文字
-    toggleButton.classList.add('recording');
-    toggleButton.innerHTML = '■ 停止錄音';
+    if (!recorderState.transition('acquiring')) {
+        return; // 錄音中或仍在產生上一段錄音檔
+    }
 
     // 清空之前的錄音片段容器
     let element = audioBlobsContainer;
@@ -2369,15 +12682,19 @@ function startRecording() {
         element.removeChild(element.firstChild);
     }
 
-    if (downloadButton) {
+    if (downloadButton && !punchInSession) {
         downloadButton.disabled = true;
     }
 
-    if (latestRecordingUrl) {
-        URL.revokeObjectURL(latestRecordingUrl);
-        latestRecordingUrl = null;
+    // 關閉目前開啟的錄音（錄音本身保留在清單中）；
+    // 插入重錄時保留開啟中的錄音，錄音完成後取代其選取區間
+    var punch = punchInSession;
+    if (takeManager && !punch) {
+        takeManager.deactivate();
     }
-    latestRecordingBlob = null;
+
+    // 記錄本次錄音對應的題目（錄音期間題目切換由狀態訂閱者鎖定）
+    recordingPrompt = punch ? null : promptScript.getCurrent();
     
     // 清理之前的即時波形顯示
     if (liveWaveform) {
@@ -2385,8 +12702,9 @@ function startRecording() {
         liveWaveform = null;
     }
 
-    // 錄音開始時停用播放控制
-    updatePlaybackButtonsState();
+    // 免手動錄音待命中：錄音期間暫停等待語音，analyser 改由即時波形餵入
+    suspendHandsFreeMonitor();
+    updateHandsFreeStatus(handsFree.armed ? '錄音中' : undefined);
 
     /*---------------------------------------------------------------
      * 捕獲麥克風並開始錄音
@@ -2395,8 +12713,20 @@ function startRecording() {
     captureMicrophone(function(microphone) {
         // 初始化 Web Audio API 並等待就緒
         initializeAudioContext().then(function() {
-            // 將麥克風音頻流設定到主音頻元素
-            audio.srcObject = microphone;
+            // 將麥克風音頻流設定到主音頻元素（插入重錄時保留原錄音）
+            if (!punch) {
+                audio.srcObject = microphone;
+            }
+
+            // 記錄擷取設定，錄音完成後隨錄音保存
+            var agcToggle = document.getElementById('agc-toggle');
+            var audioTrack = microphone.getAudioTracks()[0];
+            recordingCaptureInfo = {
+                autoGainControl: agcToggle ? agcToggle.checked : false,
+                deviceLabel: audioTrack ? audioTrack.label : '',
+                requested: getCaptureConstraints(),
+                settings: readAppliedCaptureSettings(microphone)
+            };
 
             /*-----------------------------------------------------------
              * 初始化即時波形顯示
@@ -2408,24 +12738,19 @@ function startRecording() {
                 liveWaveform.start(microphone);
             }
 
+            // 電平表：每次錄音重新計算峰值保持與削波次數
+            startLevelMeter(true);
+            startLiveSpectrogram();
+
             /*-----------------------------------------------------------
              * 初始化累積波形顯示
              * 顯示目前為止已錄製的所有音訊波形
              *----------------------------------------------------------*/
-            var accumulatedCanvas = document.getElementById('accumulated-waveform');
-            accumulatedWaveform = accumulatedCanvas ? new AccumulatedWaveform(accumulatedCanvas) : null;
-            if (accumulatedCanvas) {
-                bindAccumulatedWaveformInteractions(accumulatedCanvas);
-            }
-            
-            /*-----------------------------------------------------------
-             * 初始化全局波形視圖
-             * 顯示整體波形並標示當前觀察區域
-             *----------------------------------------------------------*/
-            var overviewCanvas = document.getElementById('overview-waveform');
-            overviewWaveform = overviewCanvas && accumulatedWaveform ? new OverviewWaveform(overviewCanvas, accumulatedWaveform) : null;
-            if (overviewCanvas) {
-                bindOverviewWaveformInteractions(overviewCanvas);
+            ensureWaveformViews();
+            if (accumulatedWaveform && !punch) {
+                accumulatedWaveform.playbackPosition = 0;
+                accumulatedWaveform.reset();
+                startLivePitchTracking(audioContext.sampleRate);
             }
 
             /*-----------------------------------------------------------
@@ -2436,7 +12761,7 @@ function startRecording() {
                 type: 'audio',                    // 錄音類型：音頻
                 mimeType: 'audio/wav',            // 輸出格式：WAV
                 recorderType: StereoAudioRecorder, // 使用立體聲錄音器
-                numberOfAudioChannels: 1,         // 聲道數：單聲道
+                numberOfAudioChannels: recordingCaptureInfo.settings.channelCount >= 2 ? 2 : 1, // 聲道數：依實際擷取的聲道（預設單聲道）
                 //sampleRate: 48000,             // 採樣率（註解掉使用預設值）
                 //desiredSampRate: 48000,        // 目標採樣率（註解掉使用預設值）
                 bufferSize: 2048,                // 緩衝區大小
@@ -2467,8 +12792,13 @@ function startRecording() {
                     audioBlobsContainer.appendChild(audioContainer); // 添加到主容器
                     audioBlobsContainer.appendChild(document.createElement('hr')); // 添加分隔線
 
-                    // 更新累積波形顯示
-                    appendBlobToAccumulatedWaveform(blob);
+                    // 寫入片段日誌（當機後復原用）
+                    chunkJournal.append(blob);
+
+                    // 更新累積波形顯示（插入重錄時保留原錄音的波形）
+                    if (!punch) {
+                        appendBlobToAccumulatedWaveform(blob);
+                    }
                 }
             });
 
@@ -2477,12 +12807,29 @@ function startRecording() {
              * 啟動錄音器並開始計時顯示
              *----------------------------------------------------------*/
             recorder.startRecording(); // 開始錄音
+            chunkJournal.begin();      // 開始新的片段日誌
+
+            // 錄音器以音訊系統的採樣率錄製（與擷取設定的要求值無關），一併保存以免清單誤導
+            recordingCaptureInfo.recordedSampleRate = recorder.getInternalRecorder().sampleRate;
+            showAppliedCaptureSettings(recordingCaptureInfo.settings, recordingCaptureInfo.recordedSampleRate);
+            recordingPause = { startedAt: 0, total: 0, resumePoints: [] };
+
+            // 免手動錄音由語音觸發：取出語音開始前的音訊，錄音完成後接在開頭
+            recordingPreRoll = punch ? null : takeHandsFreePreRoll();
+            if (recordingPreRoll) {
+                recordingCaptureInfo.preRollSeconds = recordingPreRoll.channels[0].length / recordingPreRoll.sampleRate;
+            }
+            recorderState.transition('recording');
+
+            if (punch) {
+                beginPunchInPlayback(punch, audioContext.currentTime); // 播放預備段落
+            }
 
             dateStarted = new Date().getTime(); // 記錄開始時間
 
             /*-----------------------------------------------------------
              * 錄音時間顯示循環
-             * 每秒更新一次錄音時長顯示
+             * 每秒更新一次錄音時長顯示（不計暫停時間）
              *----------------------------------------------------------*/
             (function looper() {
                 if(!recorder) {
@@ -2491,7 +12838,8 @@ function startRecording() {
 
                 // 更新時長顯示：計算並顯示已錄音時間
                 document.querySelector('h3').innerHTML = 'Recording Duration: ' + 
-                    calculateTimeDuration((new Date().getTime() - dateStarted) / 1000);
+                    calculateTimeDuration(getRecordingElapsedSeconds()) +
+                    (recorderState.is('paused') ? '（已暫停）' : '');
 
                 setTimeout(looper, 1000); // 1秒後再次執行
             })();
@@ -2502,13 +12850,59 @@ function startRecording() {
              *----------------------------------------------------------*/
             recorder.microphone = microphone; // 保存麥克風引用
         }).catch(function(err) {
-            console.error('Failed to initialize AudioContext:', err);
-            alert('無法初始化音頻系統，請重新整理頁面後再試。');
-            // 錯誤時恢復按鈕狀態
-            isCurrentlyRecording = false;
-            toggleButton.classList.remove('recording');
-            toggleButton.innerHTML = '● 開始錄音';
+            // 錯誤時釋放麥克風（免手動錄音待命中的串流保留）並恢復按鈕狀態
+            if (microphone !== handsFree.stream) {
+                microphone.getTracks().forEach(function(track) { track.stop(); });
+            }
+            // 本次建立但尚未完成設定的錄音器（尚未保存麥克風引用）
+            if (recorder && !recorder.microphone) {
+                try { recorder.destroy(); } catch (e) {}
+                recorder = null;
+            }
+            abortRecordingStart(err instanceof AppError ? err : new AppError(AppError.AUDIO_CONTEXT, '無法啟動錄音', err));
         });
+    }, abortRecordingStart);
+}
+
+/**
+ * 錄音未能開始：還原錄音狀態與控制項，並顯示可重試的錯誤通知
+ * @param {AppError} error - 失敗原因
+ */
+function abortRecordingStart(error) {
+    var toggleButton = document.getElementById('btn-toggle-recording');
+
+    if (liveWaveform) {
+        liveWaveform.stop();
+        liveWaveform = null;
+    }
+    stopLiveSpectrogram();
+    livePitchTracker = null;
+    if (!handsFree.armed) {
+        stopLevelMeter();
+    }
+
+    recordingPrompt = null;
+    recordingCaptureInfo = null;
+    punchInSession = null;
+
+    // acquiring → error → idle/ready：按鈕與鎖定由狀態訂閱者還原
+    recorderState.transition('error', error);
+    recorderState.settle(!!latestRecordingBlob);
+    resumeHandsFreeMonitor();
+    updateHandsFreeStatus();
+
+    var retry = function() {
+        if (!recorderState.isCapturing()) {
+            startRecording.call(toggleButton);
+        }
+    };
+
+    // 選擇的輸入裝置未連接：詢問是否改用系統預設裝置，而非自動以其他麥克風錄音
+    reportError(error, error.missingDevice ? {
+        actions: getMissingInputDeviceActions(retry)
+    } : {
+        retry: retry,
+        retryLabel: '重試錄音'
     });
 }
 
@@ -2518,44 +12912,38 @@ function startRecording() {
  *================================================================*/
 
 function stopRecording() {
-    var toggleButton = document.getElementById('btn-toggle-recording');
-    
     /*---------------------------------------------------------------
      * 更新錄音狀態
-     * 設定各種狀態變數並觸發停止錄音流程
+     * 進入 finalizing（按鈕、鎖定等由狀態訂閱者更新）並觸發停止錄音流程
      *--------------------------------------------------------------*/
-    isCurrentlyRecording = false;            // 設定為非錄音中
+    if (!recorderState.transition('finalizing')) {
+        return; // 麥克風仍在開啟中，或沒有進行中的錄音
+    }
+    if (punchInSession) {
+        stopPunchInPlayback(punchInSession); // 停止預備段落播放
+    }
     recorder.stopRecording(stopRecordingCallback); // 停止錄音並執行回調
-    
-    // 更新狀態變數
-    is_ready_to_record = true;               // 設定為準備錄音狀態
-    is_recording = false;                    // 設定為非錄音中
-    is_recorded = true;                      // 設定為已完成錄音
-    
-    // 更新按鈕樣式和文字
-    toggleButton.classList.remove('recording');
-    toggleButton.innerHTML = '● 開始錄音';
     // 等待 stopRecordingCallback 生成 blob 後再啟用播放
 }
 
 if (downloadButton) {
-    downloadButton.onclick = function() {
+    downloadButton.onclick = function download() {
         if (!latestRecordingBlob) {
             return;
         }
 
-        var downloadUrl = URL.createObjectURL(latestRecordingBlob);
-        var anchor = document.createElement('a');
-        anchor.style.display = 'none';
-        anchor.href = downloadUrl;
-        anchor.download = 'recording-' + new Date().toISOString().replace(/[:.]/g, '-') + '.wav';
-        document.body.appendChild(anchor);
-        anchor.click();
-        document.body.removeChild(anchor);
+        // 依所選輸出格式轉檔後下載
+        var encoder = getSelectedAudioEncoder();
+        var fileName = 'recording-' + new Date().toISOString().replace(/[:.]/g, '-') + '.' + encoder.extension;
 
-        setTimeout(function() {
-            URL.revokeObjectURL(downloadUrl);
-        }, 0);
+        transcodeBlob(latestRecordingBlob, encoder.id, getSelectedResample(), getSelectedTrim()).then(function(blob) {
+            downloadBlob(blob, fileName);
+        }).catch(function(error) {
+            reportError(new AppError(AppError.ENCODE, '無法轉換下載格式', error), {
+                key: 'download',
+                retry: download
+            });
+        });
     };
 }
 
@@ -2568,10 +12956,20 @@ if (downloadButton) {
 /**
  * 合併左右聲道緩衝區
  * 將分離的左右聲道數據合併為完整的音頻檔案
- * @param {Object} config - 音頻配置物件
+ * @param {Object} config - 音頻配置物件（format 指定編碼器代號，預設為 16 位元 WAV）
  * @param {function} callback - 完成回調函數
+ * @param {function} [onError] - 編碼失敗時的回調函數，參數為 Error（省略時只記錄於主控台）
  */
-function mergeLeftRightBuffers(config, callback) {
+function mergeLeftRightBuffers(config, callback, onError) {
+    onError = onError || function(error) {
+        console.error('音訊編碼失敗:', error);
+    };
+
+    // 依輸出格式選擇編碼器，編碼函數以名稱傳入（Worker 中同名函數由 processInWebWorker 載入）
+    var encoder = getAudioEncoder(config.format);
+    config.encoderName = encoder.encode.name;
+    config.encoderOptions = encoder.options;
+
     /**
      * 音頻緩衝區合併主函數
      * 處理聲道合併、採樣率轉換、WAV 格式生成
@@ -2590,6 +12988,12 @@ function mergeLeftRightBuffers(config, callback) {
         var sampleRate = config.sampleRate;              // 原始採樣率
         var internalInterleavedLength = config.internalInterleavedLength; // 交錯數據長度
         var desiredSampRate = config.desiredSampRate;    // 目標採樣率
+        var resampleQuality = config.resampleQuality;    // 重採樣品質等級
+
+        // 目標採樣率與原始相同時不需轉換
+        if (desiredSampRate === sampleRate) {
+            desiredSampRate = 0;
+        }
 
         /*-----------------------------------------------------------
          * 處理立體聲音頻 (雙聲道)
@@ -2599,10 +13003,10 @@ function mergeLeftRightBuffers(config, callback) {
             leftBuffers = mergeBuffers(leftBuffers, internalInterleavedLength);   // 合併左聲道
             rightBuffers = mergeBuffers(rightBuffers, internalInterleavedLength); // 合併右聲道
             
-            // 如果需要改變採樣率，進行插值處理
+            // 如果需要改變採樣率，進行重採樣處理
             if (desiredSampRate) {
-                leftBuffers = interpolateArray(leftBuffers, desiredSampRate, sampleRate);
-                rightBuffers = interpolateArray(rightBuffers, desiredSampRate, sampleRate);
+                leftBuffers = interpolateArray(leftBuffers, desiredSampRate, sampleRate, resampleQuality);
+                rightBuffers = interpolateArray(rightBuffers, desiredSampRate, sampleRate, resampleQuality);
             }
         }
 
@@ -2613,9 +13017,9 @@ function mergeLeftRightBuffers(config, callback) {
         if (numberOfAudioChannels === 1) {
             leftBuffers = mergeBuffers(leftBuffers, internalInterleavedLength); // 合併左聲道
             
-            // 如果需要改變採樣率，進行插值處理
+            // 如果需要改變採樣率，進行重採樣處理
             if (desiredSampRate) {
-                leftBuffers = interpolateArray(leftBuffers, desiredSampRate, sampleRate);
+                leftBuffers = interpolateArray(leftBuffers, desiredSampRate, sampleRate, resampleQuality);
             }
         }
 
@@ -2629,47 +13033,85 @@ function mergeLeftRightBuffers(config, callback) {
 
         /*-----------------------------------------------------------
          * 採樣率轉換相關函數
-         * 參考資料: http://stackoverflow.com/a/28977136/552182
+         * 帶限（windowed-sinc）重採樣：以 Kaiser 視窗化的 sinc 低通濾波器
+         * 同時完成內插與抗混疊，降採樣時截止頻率隨目標 Nyquist 頻率下移
          *----------------------------------------------------------*/
-        
+
         /**
-         * 陣列插值函數 - 用於採樣率轉換
-         * 使用線性插值將音頻數據從一個採樣率轉換到另一個採樣率
+         * 陣列重採樣函數 - 用於採樣率轉換
          * @param {Array} data - 原始音頻數據陣列
          * @param {number} newSampleRate - 目標採樣率
          * @param {number} oldSampleRate - 原始採樣率
-         * @returns {Array} 轉換後的音頻數據陣列
+         * @param {string} quality - 品質等級 'low' | 'medium' | 'high'
+         * @returns {Float64Array} 轉換後的音頻數據陣列
          */
-        function interpolateArray(data, newSampleRate, oldSampleRate) {
-            var fitCount = Math.round(data.length * (newSampleRate / oldSampleRate)); // 計算新陣列長度
-            var newData = [];                                                          // 新數據陣列
-            var springFactor = Number((data.length - 1) / (fitCount - 1));        // 插值彈性係數
-            
-            newData[0] = data[0]; // 設定第一個數據點（邊界條件）
-            
-            // 對中間的數據點進行線性插值
-            for (var i = 1; i < fitCount - 1; i++) {
-                var tmp = i * springFactor;                                        // 計算插值位置
-                var before = Number(Math.floor(tmp)).toFixed();                    // 前一個數據點索引
-                var after = Number(Math.ceil(tmp)).toFixed();                      // 後一個數據點索引
-                var atPoint = tmp - before;                                        // 插值權重
-                newData[i] = linearInterpolate(data[before], data[after], atPoint); // 線性插值計算
+        function interpolateArray(data, newSampleRate, oldSampleRate, quality) {
+            // 各品質等級：sinc 單側零交越數、Kaiser beta、通帶比例
+            var settings = {
+                low: { zeroCrossings: 8, beta: 5, rolloff: 0.90 },
+                medium: { zeroCrossings: 16, beta: 7, rolloff: 0.94 },
+                high: { zeroCrossings: 32, beta: 9.5, rolloff: 0.97 }
+            };
+            var setting = settings[quality] || settings.medium;
+
+            var ratio = newSampleRate / oldSampleRate;                 // 輸出/輸入採樣率比
+            var fitCount = Math.round(data.length * ratio);            // 計算新陣列長度
+            var newData = new Float64Array(fitCount);                  // 新數據陣列
+            var cutoff = Math.min(1, ratio) * setting.rolloff;         // 截止頻率（相對輸入 Nyquist）
+            var halfWidth = setting.zeroCrossings / cutoff;            // 濾波器單側寬度（輸入樣本數）
+
+            // 預先建立濾波器查表（每個零交越 512 格，查表時線性內插）
+            var resolution = 512;
+            var tableLength = setting.zeroCrossings * resolution;
+            var table = new Float64Array(tableLength + 2);
+            var besselBeta = besselI0(setting.beta);
+            for (var t = 0; t <= tableLength; t++) {
+                var x = t / resolution;                                // 以零交越為單位的距離
+                var position = x / setting.zeroCrossings;              // 視窗內位置 0 ~ 1
+                var sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+                var taper = besselI0(setting.beta * Math.sqrt(1 - position * position)) / besselBeta;
+                table[t] = sinc * taper;
             }
-            
-            newData[fitCount - 1] = data[data.length - 1]; // 設定最後一個數據點（邊界條件）
-            return newData; // 返回插值後的數據
+
+            for (var i = 0; i < fitCount; i++) {
+                var center = i / ratio;                                // 對應的輸入位置
+                var first = Math.max(0, Math.ceil(center - halfWidth));
+                var last = Math.min(data.length - 1, Math.floor(center + halfWidth));
+                var sum = 0;
+
+                for (var j = first; j <= last; j++) {
+                    var index = Math.abs(center - j) * cutoff * resolution;
+                    var base = Math.floor(index);
+                    if (base >= tableLength) {
+                        continue;
+                    }
+                    var fraction = index - base;
+                    sum += data[j] * (table[base] + (table[base + 1] - table[base]) * fraction);
+                }
+
+                newData[i] = sum * cutoff; // 乘上截止頻率以維持單位增益
+            }
+
+            return newData; // 返回重採樣後的數據
         }
 
         /**
-         * 線性插值函數
-         * 在兩個數據點之間進行線性插值
-         * @param {number} before - 前一個數據點的值
-         * @param {number} after - 後一個數據點的值
-         * @param {number} atPoint - 插值位置 (0-1 之間)
-         * @returns {number} 插值結果
+         * 第一類零階修正貝索函數（Kaiser 視窗使用）
+         * @param {number} x - 輸入值
+         * @returns {number} I0(x)
          */
-        function linearInterpolate(before, after, atPoint) {
-            return before + (after - before) * atPoint; // 線性插值計算公式
+        function besselI0(x) {
+            var sum = 1;
+            var term = 1;
+            var halfX = x / 2;
+            for (var k = 1; k < 50; k++) {
+                term *= (halfX / k) * (halfX / k);
+                sum += term;
+                if (term < sum * 1e-12) {
+                    break;
+                }
+            }
+            return sum;
         }
 
         /**
@@ -2694,112 +13136,15 @@ function mergeLeftRightBuffers(config, callback) {
             return result; // 返回合併後的數據
         }
 
-        /**
-         * 交錯左右聲道數據
-         * 將分離的左右聲道數據交錯排列為立體聲格式
-         * @param {Array} leftChannel - 左聲道數據
-         * @param {Array} rightChannel - 右聲道數據
-         * @returns {Float64Array} 交錯後的立體聲數據
-         */
-        function interleave(leftChannel, rightChannel) {
-            var length = leftChannel.length + rightChannel.length; // 總數據長度
-            var result = new Float64Array(length);                  // 結果陣列
-            var inputIndex = 0;                                     // 輸入索引
-
-            // 交錯排列左右聲道數據：L R L R L R...
-            for (var index = 0; index < length;) {
-                result[index++] = leftChannel[inputIndex];  // 左聲道
-                result[index++] = rightChannel[inputIndex]; // 右聲道
-                inputIndex++;                               // 移至下一組數據
-            }
-            return result; // 返回交錯後的數據
-        }
-
-        /**
-         * 將字串寫入 DataView
-         * 用於在 WAV 檔案中寫入 UTF-8 字串（如 "RIFF", "WAVE" 等標識符）
-         * @param {DataView} view - DataView 物件
-         * @param {number} offset - 寫入偏移量
-         * @param {string} string - 要寫入的字串
-         */
-        function writeUTFBytes(view, offset, string) {
-            var lng = string.length; // 字串長度
-            // 逐字元寫入字串的 UTF-8 編碼
-            for (var i = 0; i < lng; i++) {
-                view.setUint8(offset + i, string.charCodeAt(i)); // 寫入字元的 ASCII 碼
-            }
-        }
-
-        // interleave both channels together
-        var interleaved;
-
-        if (numberOfAudioChannels === 2) {
-            interleaved = interleave(leftBuffers, rightBuffers);
-        }
-
-        if (numberOfAudioChannels === 1) {
-            interleaved = leftBuffers;
-        }
-
-        var interleavedLength = interleaved.length;
-
-        // create wav file
-        var resultingBufferLength = 44 + interleavedLength * 2;
-
-        var buffer = new ArrayBuffer(resultingBufferLength);
-
+        /*-----------------------------------------------------------
+         * 編碼輸出檔案
+         * 由設定中指定的編碼函數（已一併載入 Worker）產生檔案內容
+         *----------------------------------------------------------*/
+        var channels = numberOfAudioChannels === 2 ? [leftBuffers, rightBuffers] : [leftBuffers];
+        var encode = self[config.encoderName || 'encodeWavFile'];
+        var buffer = encode(channels, sampleRate, config.encoderOptions || { bitsPerSample: 16 });
         var view = new DataView(buffer);
 
-        // RIFF chunk descriptor/identifier 
-        writeUTFBytes(view, 0, 'RIFF');
-
-        // RIFF chunk length
-        view.setUint32(4, 44 + interleavedLength * 2, true);
-
-        // RIFF type 
-        writeUTFBytes(view, 8, 'WAVE');
-
-        // format chunk identifier 
-        // FMT sub-chunk
-        writeUTFBytes(view, 12, 'fmt ');
-
-        // format chunk length 
-        view.setUint32(16, 16, true);
-
-        // sample format (raw)
-        view.setUint16(20, 1, true);
-
-        // stereo (2 channels)
-        view.setUint16(22, numberOfAudioChannels, true);
-
-        // sample rate 
-        view.setUint32(24, sampleRate, true);
-
-        // byte rate (sample rate * block align)
-        view.setUint32(28, sampleRate * 2, true);
-
-        // block align (channel count * bytes per sample) 
-        view.setUint16(32, numberOfAudioChannels * 2, true);
-
-        // bits per sample 
-        view.setUint16(34, 16, true);
-
-        // data sub-chunk
-        // data chunk identifier 
-        writeUTFBytes(view, 36, 'data');
-
-        // data chunk length 
-        view.setUint32(40, interleavedLength * 2, true);
-
-        // write the PCM samples
-        var lng = interleavedLength;
-        var index = 44;
-        var volume = 1;
-        for (var i = 0; i < lng; i++) {
-            view.setInt16(index, interleaved[i] * (0x7FFF * volume), true);
-            index += 2;
-        }
-
         if (cb) {
             return cb({
                 buffer: buffer,
@@ -2819,9 +13164,16 @@ function mergeLeftRightBuffers(config, callback) {
      *--------------------------------------------------------------*/
     if (!isChrome) {
         // Microsoft Edge 瀏覽器：直接在主線程處理
-        mergeAudioBuffers(config, function(data) {
-            callback(data.buffer, data.view); // 返回處理結果
-        });
+        var result;
+        try {
+            mergeAudioBuffers(config, function(data) {
+                result = data;
+            });
+        } catch (error) {
+            onError(error);
+            return;
+        }
+        callback(result.buffer, result.view); // 返回處理結果
         return;
     }
 
@@ -2829,12 +13181,35 @@ function mergeLeftRightBuffers(config, callback) {
      * Chrome 瀏覽器：使用 Web Worker 處理
      * 在背景線程中處理音頻以避免阻塞 UI
      *--------------------------------------------------------------*/
-    var webWorker = processInWebWorker(mergeAudioBuffers); // 創建 Web Worker
+    var webWorker;
+    try {
+        webWorker = processInWebWorker(mergeAudioBuffers, [encoder.encode]); // 創建 Web Worker（含編碼函數）
+    } catch (error) {
+        onError(error);
+        return;
+    }
+
+    // 每個 Worker 只處理一次，完成或失敗後都結束並釋放記憶體
+    function releaseWorker() {
+        webWorker.terminate();
+        URL.revokeObjectURL(webWorker.workerURL);
+    }
 
-    // 監聽 Worker 處理完成事件
+    // 監聽 Worker 處理完成事件（編碼函數拋出的錯誤由 processInWebWorker 回傳為 { error }）
     webWorker.onmessage = function(event) {
+        releaseWorker();
+        if (event.data.error) {
+            onError(new Error(event.data.error));
+            return;
+        }
         callback(event.data.buffer, event.data.view); // 返回處理結果
-        URL.revokeObjectURL(webWorker.workerURL);      // 釋放記憶體
+    };
+
+    // Worker 無法載入或未捕捉的錯誤
+    webWorker.onerror = function(event) {
+        event.preventDefault();
+        releaseWorker();
+        onError(new Error(event.message || '音訊編碼 Worker 發生錯誤'));
     };
 
     webWorker.postMessage(config); // 發送配置數據給 Worker
@@ -2844,14 +13219,21 @@ function mergeLeftRightBuffers(config, callback) {
  * 在 Web Worker 中處理函數
  * 創建一個 Web Worker 來在背景線程執行指定函數
  * @param {Function} _function - 要在 Worker 中執行的函數
+ * @param {Array<Function>} dependencies - 一併載入 Worker 的全域函數（可省略）
  * @returns {Worker} Web Worker 實例
  */
-function processInWebWorker(_function) {
+function processInWebWorker(_function, dependencies) {
+    // 依賴函數以原名宣告，Worker 內可直接以名稱呼叫
+    var sources = (dependencies || []).map(function(dependency) {
+        return dependency.toString() + ';';
+    });
+
     // 創建包含函數代碼的 Blob URL
-    var workerURL = URL.createObjectURL(new Blob([
+    var workerURL = URL.createObjectURL(new Blob(sources.concat([
         _function.toString(),  // 函數的字串表示
-        ';this.onmessage = function (eee) {' + _function.name + '(eee.data);}'  // Worker 訊息處理器
-    ], {
+        // Worker 訊息處理器：執行失敗時回傳錯誤訊息，主線程不會無限等待
+        ';this.onmessage = function (eee) { try { ' + _function.name + '(eee.data); } catch (e) { postMessage({ error: String((e && e.message) || e) }); } }'
+    ]), {
         type: 'application/javascript'  // MIME 類型
     }));
 
@@ -2869,7 +13251,6 @@ function processInWebWorker(_function) {
 (function initAGCControl() {
     // 獲取 AGC 開關元素
     var agcToggle = document.getElementById('agc-toggle');
-    var toggleButton = document.getElementById('btn-toggle-recording');
     
     if (!agcToggle) {
         return; // 如果找不到元素，直接返回
@@ -2877,7 +13258,7 @@ function processInWebWorker(_function) {
     
     // 監聽 AGC 開關變更事件
     agcToggle.addEventListener('change', function() {
-        if (!isCurrentlyRecording) {
+        if (!recorderState.isCapturing()) {
             // 只有在未錄音時才允許變更
             var message = this.checked 
                 ? 'AGC 已啟用：錄音時會自動調整音量，但可能有 1-3 秒的初始延遲'
@@ -2887,24 +13268,14 @@ function processInWebWorker(_function) {
             console.log(message);
         } else {
             // 如果正在錄音，提示使用者
-            alert('請先停止錄音後再變更 AGC 設定');
+            notificationCenter.show({ key: 'agc', level: 'warning', title: '請先停止錄音後再變更 AGC 設定' });
             // 恢復原來的狀態
             this.checked = !this.checked;
         }
     });
     
-    // 錄音時禁用 AGC 開關
-    var originalToggleOnClick = toggleButton ? toggleButton.onclick : null;
-    if (toggleButton && originalToggleOnClick) {
-        toggleButton.onclick = function() {
-            if (!isCurrentlyRecording) {
-                // 開始錄音時禁用 AGC 開關
-                agcToggle.disabled = true;
-            } else {
-                // 停止錄音時重新啟用 AGC 開關
-                agcToggle.disabled = false;
-            }
-            return originalToggleOnClick.call(this);
-        };
-    }
+    // 使用麥克風期間禁用 AGC 開關
+    recorderState.subscribe(function() {
+        agcToggle.disabled = recorderState.isCapturing();
+    });
 })();